@@ -0,0 +1,58 @@
+/**
+ * Cuentas de MercadoPago. Cada cuenta pertenece a un país (site) y solo cobra en su
+ * moneda, así que cobrar en varias monedas requiere una cuenta por moneda:
+ *   MERCADOPAGO_ACCESS_TOKEN / MERCADOPAGO_WEBHOOK_SECRET → cuenta principal, en MERCADOPAGO_CURRENCY (PEN por defecto)
+ *   MERCADOPAGO_ACCESS_TOKEN_<MONEDA> / MERCADOPAGO_WEBHOOK_SECRET_<MONEDA> → cuentas adicionales (ej: _MXN)
+ * Las monedas sin cuenta configurada se cobran en la de la cuenta principal.
+ * Se lee en cada llamada: dotenv puede cargarse después de importar este módulo.
+ */
+
+// Monedas de los sites de MercadoPago con precios en config/plans.js
+export const MERCADOPAGO_SITE_CURRENCIES = ['PEN', 'MXN', 'ARS', 'COP'];
+
+function getPrimaryCurrency() {
+    const currency = String(process.env.MERCADOPAGO_CURRENCY || '').trim().toUpperCase();
+    return MERCADOPAGO_SITE_CURRENCIES.includes(currency) ? currency : 'PEN';
+}
+
+/**
+ * Cuentas configuradas; la primera es la principal
+ * @returns {Array<{ currency: string, accessToken: string|undefined, webhookSecret: string|undefined }>}
+ */
+export function getMercadoPagoAccounts() {
+    const primary = getPrimaryCurrency();
+    const accounts = [
+        {
+            currency: primary,
+            accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN,
+            webhookSecret: process.env.MERCADOPAGO_WEBHOOK_SECRET,
+        },
+    ];
+
+    for (const currency of MERCADOPAGO_SITE_CURRENCIES) {
+        const accessToken = process.env[`MERCADOPAGO_ACCESS_TOKEN_${currency}`];
+        if (currency === primary || !accessToken) continue;
+        accounts.push({
+            currency,
+            accessToken,
+            webhookSecret: process.env[`MERCADOPAGO_WEBHOOK_SECRET_${currency}`],
+        });
+    }
+
+    return accounts;
+}
+
+/**
+ * Cuenta que cobra en una moneda; sin moneda (o sin cuenta para ella) devuelve la principal
+ */
+export function getMercadoPagoAccount(currency = null) {
+    const accounts = getMercadoPagoAccounts();
+    const code = typeof currency === 'string' ? currency.toUpperCase() : null;
+    return accounts.find((account) => account.currency === code) || accounts[0];
+}
+
+export default {
+    MERCADOPAGO_SITE_CURRENCIES,
+    getMercadoPagoAccounts,
+    getMercadoPagoAccount,
+};
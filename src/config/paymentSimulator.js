@@ -0,0 +1,17 @@
+/**
+ * Simulador local de MercadoPago y PayPal (src/scripts/paymentSimulator.js).
+ * Con PAYMENT_SIMULATOR_URL definido los servicios de pago llaman al simulador
+ * en vez de a las APIs reales. En producción se ignora.
+ */
+
+export const DEFAULT_SIMULATOR_PORT = 4010;
+
+/**
+ * URL base del simulador, o null si no está habilitado
+ * @returns {string|null}
+ */
+export function getPaymentSimulatorUrl() {
+    const url = process.env.PAYMENT_SIMULATOR_URL;
+    if (!url || process.env.NODE_ENV === 'production') return null;
+    return url.replace(/\/+$/, '');
+}
@@ -0,0 +1,116 @@
+/**
+ * Catálogo de planes PRO.
+ * - durationDays: null = acceso permanente (lifetime)
+ * - prices: precio por moneda (cada moneda de config/pricing.js debe existir aquí)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_PLAN_ID = 'lifetime';
+
+export const PLANS = [
+    {
+        id: 'monthly',
+        name: 'PRO Mensual',
+        description: 'Acceso PRO durante 30 días a páginas ilimitadas con IA',
+        durationDays: 30,
+        prices: { PEN: 2.9, USD: 0.79, MXN: 15, ARS: 790, COP: 3200 },
+    },
+    {
+        id: 'yearly',
+        name: 'PRO Anual',
+        description: 'Acceso PRO durante 365 días a páginas ilimitadas con IA',
+        durationDays: 365,
+        prices: { PEN: 4.9, USD: 1.29, MXN: 25, ARS: 1290, COP: 5400 },
+    },
+    {
+        id: 'lifetime',
+        name: 'Plan PRO - Páginas Ilimitadas',
+        description: 'Acceso permanente a creación ilimitada de páginas personalizadas con IA',
+        durationDays: null,
+        prices: { PEN: 7, USD: 1.75, MXN: 35, ARS: 1790, COP: 7500 },
+    },
+];
+
+export const PLAN_IDS = PLANS.map((plan) => plan.id);
+
+// Estados de un pago (ver models/Payment.js) que otorgan PRO; una disputa abierta no lo retira hasta resolverse
+export const ENTITLING_PAYMENT_STATUSES = ['approved', 'in_dispute'];
+
+/**
+ * Obtener un plan por id (null si no existe)
+ */
+export function getPlan(planId) {
+    return PLANS.find((plan) => plan.id === planId) || null;
+}
+
+/**
+ * Precio de un plan en una moneda (lanza error si el plan no se vende en esa moneda)
+ */
+export function getPlanPrice(plan, currency) {
+    const price = plan.prices[currency];
+    if (price === undefined) {
+        throw new Error(`El plan ${plan.id} no tiene precio en ${currency}`);
+    }
+    return price;
+}
+
+export function isLifetimePlan(plan) {
+    return plan.durationDays === null;
+}
+
+/**
+ * Calcular el nuevo vencimiento de PRO al comprar un plan.
+ * - Plan permanente, o usuario que ya tiene PRO permanente: null (sin vencimiento)
+ * - Renovación con PRO vigente: se extiende desde el vencimiento actual
+ * - PRO vencido o usuario free: se cuenta desde ahora
+ */
+export function computeProExpiry(user, plan, now = new Date()) {
+    if (isLifetimePlan(plan)) return null;
+    if (user.isPro && !user.proExpiresAt) return null;
+
+    const base = user.isPro && user.proExpiresAt > now ? user.proExpiresAt : now;
+    return new Date(base.getTime() + plan.durationDays * DAY_MS);
+}
+
+/**
+ * Recalcular el acceso PRO a partir de los pagos que siguen vigentes.
+ * Reproduce las compras en orden cronológico con computeProExpiry, de modo que
+ * al reembolsar un pago solo se pierde el tiempo (o el acceso permanente) que aportó.
+ * @returns {{ isPro: boolean, proExpiresAt: Date|null, proPlan: string|null }}
+ */
+export function computeEntitlement(payments = [], now = new Date()) {
+    const active = payments
+        .filter((payment) => ENTITLING_PAYMENT_STATUSES.includes(payment.status))
+        .sort((a, b) => new Date(a.approvedAt) - new Date(b.approvedAt));
+
+    let state = { isPro: false, proExpiresAt: null, proPlan: null };
+
+    for (const payment of active) {
+        const plan = getPlan(payment.planId) || getPlan(DEFAULT_PLAN_ID);
+        const hadPermanent = state.isPro && !state.proExpiresAt;
+
+        state = {
+            isPro: true,
+            proExpiresAt: computeProExpiry(state, plan, new Date(payment.approvedAt)),
+            proPlan: hadPermanent ? state.proPlan : plan.id,
+        };
+    }
+
+    if (state.proExpiresAt && state.proExpiresAt <= now) {
+        state.isPro = false;
+    }
+
+    return state;
+}
+
+export default {
+    PLANS,
+    PLAN_IDS,
+    DEFAULT_PLAN_ID,
+    getPlan,
+    getPlanPrice,
+    isLifetimePlan,
+    computeProExpiry,
+    computeEntitlement,
+};
@@ -0,0 +1,70 @@
+/**
+ * Precios localizados: país → moneda, y monedas que puede cobrar cada proveedor.
+ * Los montos de cada plan por moneda están en config/plans.js (plan.prices).
+ */
+
+import { getMercadoPagoAccounts } from './mercadopago.js';
+
+export const PRICING_COUNTRIES = {
+    PE: { currency: 'PEN', name: 'Perú' },
+    MX: { currency: 'MXN', name: 'México' },
+    AR: { currency: 'ARS', name: 'Argentina' },
+    CO: { currency: 'COP', name: 'Colombia' },
+    US: { currency: 'USD', name: 'Estados Unidos' },
+};
+
+// Moneda para países fuera de la tabla
+export const INTERNATIONAL_CURRENCY = 'USD';
+
+// Monedas que cobra cada proveedor; la primera es la de respaldo si no cobra la moneda local.
+// MercadoPago solo cobra en las monedas con cuenta configurada (config/mercadopago.js).
+export const PROVIDER_CURRENCIES = {
+    get mercadopago() {
+        return getMercadoPagoAccounts().map((account) => account.currency);
+    },
+    paypal: ['USD', 'MXN'],
+};
+
+export const PRICING_PROVIDERS = Object.keys(PROVIDER_CURRENCIES);
+
+/**
+ * País usado cuando no se puede resolver (PRICING_DEFAULT_COUNTRY, PE por defecto)
+ */
+export function getDefaultCountry() {
+    return normalizeCountry(process.env.PRICING_DEFAULT_COUNTRY) || 'PE';
+}
+
+/**
+ * Código ISO 3166-1 alpha-2 en mayúsculas, o null si no es válido
+ * ("XX" y "T1" son los valores de Cloudflare para país desconocido / Tor)
+ */
+export function normalizeCountry(code) {
+    if (typeof code !== 'string') return null;
+    const country = code.trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country) || country === 'XX' || country === 'T1') return null;
+    return country;
+}
+
+export function getCountryCurrency(country) {
+    return PRICING_COUNTRIES[country]?.currency || INTERNATIONAL_CURRENCY;
+}
+
+/**
+ * Moneda en la que un proveedor cobra a un país: la local si la soporta, si no la de respaldo
+ */
+export function resolveProviderCurrency(provider, country) {
+    const currencies = PROVIDER_CURRENCIES[provider];
+    const local = getCountryCurrency(country);
+    return currencies.includes(local) ? local : currencies[0];
+}
+
+export default {
+    PRICING_COUNTRIES,
+    INTERNATIONAL_CURRENCY,
+    PROVIDER_CURRENCIES,
+    PRICING_PROVIDERS,
+    getDefaultCountry,
+    normalizeCountry,
+    getCountryCurrency,
+    resolveProviderCurrency,
+};
@@ -0,0 +1,36 @@
+/**
+ * Datos del emisor e impuesto de los comprobantes de pago (models/Receipt.js).
+ * Los precios de los planes incluyen el impuesto: el comprobante lo desglosa.
+ */
+
+// Serie del comprobante: REC-00000001
+export function getReceiptSeries() {
+    return (process.env.RECEIPT_SERIES || 'REC').trim().toUpperCase();
+}
+
+// Etiqueta del identificador fiscal del emisor según el país (RUC, RFC, CUIT, NIT…)
+export function getReceiptTaxIdLabel() {
+    return (process.env.RECEIPT_TAX_ID_LABEL || 'RUC').trim();
+}
+
+export function getReceiptIssuer() {
+    return {
+        name: process.env.RECEIPT_ISSUER_NAME || 'Love Pages',
+        taxId: process.env.RECEIPT_ISSUER_TAX_ID || null,
+        taxIdLabel: getReceiptTaxIdLabel(),
+        address: process.env.RECEIPT_ISSUER_ADDRESS || null,
+        email: process.env.RECEIPT_ISSUER_EMAIL || null,
+    };
+}
+
+/**
+ * Impuesto incluido en el precio (RECEIPT_TAX_NAME / RECEIPT_TAX_RATE, ej: IGV 0.18).
+ * Tasa 0 = sin impuesto desglosado.
+ */
+export function getReceiptTax() {
+    const rate = parseFloat(process.env.RECEIPT_TAX_RATE);
+    return {
+        name: process.env.RECEIPT_TAX_NAME || 'IGV',
+        rate: Number.isFinite(rate) && rate > 0 ? rate : 0,
+    };
+}
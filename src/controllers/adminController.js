@@ -1,7 +1,31 @@
 import User from '../models/User.js';
 import Page from '../models/Page.js';
+import PageEvent from '../models/PageEvent.js';
 import Contact from '../models/Contact.js';
 import Notification from '../models/Notification.js';
+import Payment, { REVENUE_INTERVALS } from '../models/Payment.js';
+import { isValidTimeZone, toCsv } from '../utils/helpers.js';
+
+// Duración aproximada de cada intervalo (solo para limitar el tamaño del reporte)
+const REVENUE_INTERVAL_MS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+};
+const MAX_REVENUE_BUCKETS = 400;
+
+const REVENUE_CSV_COLUMNS = [
+    { key: 'bucket', label: 'periodo' },
+    { key: 'provider', label: 'proveedor' },
+    { key: 'currency', label: 'moneda' },
+    { key: 'payments', label: 'pagos' },
+    { key: 'gross', label: 'bruto' },
+    { key: 'refundCount', label: 'reembolsos' },
+    { key: 'refunds', label: 'monto_reembolsado' },
+    { key: 'chargebackCount', label: 'contracargos' },
+    { key: 'chargebacks', label: 'monto_contracargos' },
+    { key: 'net', label: 'neto' },
+];
 
 class AdminController {
     // ==================== DASHBOARD ====================
@@ -49,6 +73,90 @@ class AdminController {
         }
     }
 
+    // ==================== REVENUE ====================
+
+    /**
+     * GET /api/admin/revenue?from&to&interval=day|week|month&timezone&format=csv
+     * Ingresos por período/proveedor/moneda, reembolsos, conversión free → PRO,
+     * tiempo hasta el upgrade y ARPU. Por defecto: últimos 30 días por día (UTC).
+     */
+    async getRevenueStats(req, res) {
+        try {
+            const interval = req.query.interval || 'day';
+            const timezone = req.query.timezone || 'UTC';
+
+            if (!REVENUE_INTERVALS.includes(interval)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Intervalo inválido. Debe ser: ${REVENUE_INTERVALS.join(', ')}`,
+                });
+            }
+
+            if (!isValidTimeZone(timezone)) {
+                return res.status(400).json({ success: false, message: 'Zona horaria inválida' });
+            }
+
+            const to = req.query.to ? new Date(req.query.to) : new Date();
+            const from = req.query.from
+                ? new Date(req.query.from)
+                : new Date(to.getTime() - 30 * REVENUE_INTERVAL_MS.day);
+
+            if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+                return res.status(400).json({ success: false, message: 'Rango de fechas inválido' });
+            }
+
+            if ((to - from) / REVENUE_INTERVAL_MS[interval] > MAX_REVENUE_BUCKETS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El rango es demasiado amplio (máximo ${MAX_REVENUE_BUCKETS} intervalos)`,
+                });
+            }
+
+            const [{ series, totals }, upgrades, signups, totalUsers] = await Promise.all([
+                Payment.getRevenueReport({ from, to, interval, timezone }),
+                Payment.getUpgradeStats({ from, to }),
+                User.countDocuments({ createdAt: { $gte: from, $lte: to } }),
+                User.countDocuments({ createdAt: { $lte: to } }),
+            ]);
+
+            if (req.query.format === 'csv') {
+                const filename = `revenue_${from.toISOString().slice(0, 10)}_${to.toISOString().slice(0, 10)}.csv`;
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="${filename}"`);
+                return res.send(toCsv(series, REVENUE_CSV_COLUMNS));
+            }
+
+            const round = (value) => Math.round(value * 100) / 100;
+
+            return res.json({
+                success: true,
+                data: {
+                    from,
+                    to,
+                    interval,
+                    timezone,
+                    totals: totals.map((total) => ({
+                        ...total,
+                        // ARPU: neto / usuarios registrados al final del rango; ARPPU: neto / usuarios que pagaron
+                        arpu: totalUsers > 0 ? round(total.net / totalUsers) : 0,
+                        arppu: total.payingUsers > 0 ? round(total.net / total.payingUsers) : 0,
+                    })),
+                    conversion: {
+                        signups,
+                        converted: upgrades.converted,
+                        rate: signups > 0 ? round((upgrades.converted / signups) * 100) : 0,
+                        averageDaysToUpgrade: upgrades.averageDaysToUpgrade,
+                        timeToUpgrade: upgrades.distribution,
+                    },
+                    series,
+                },
+            });
+        } catch (error) {
+            console.error('Error getting revenue stats:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener ingresos' });
+        }
+    }
+
     // ==================== USERS (READ-ONLY) ====================
 
     /**
@@ -329,6 +437,7 @@ class AdminController {
             }
 
             await Page.findByIdAndDelete(pageId);
+            await PageEvent.deleteMany({ pageId: page._id });
 
             return res.json({
                 success: true,
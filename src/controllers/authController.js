@@ -1,5 +1,6 @@
 import User from '../models/User.js';
 import Page from '../models/Page.js';
+import { normalizeCountry } from '../config/pricing.js';
 
 async function buildUserPayload(user) {
     const isPro = user.isProActive();
@@ -15,6 +16,7 @@ async function buildUserPayload(user) {
         email: user.email,
         displayName: user.displayName,
         photoURL: user.photoURL,
+        country: user.country,
         isPro,
         pagesCreated: user.pagesCreated,
         canCreatePage: isPro || totalPages < 1,
@@ -101,7 +103,7 @@ class AuthController {
     async updateProfile(req, res) {
         try {
             const user = req.user;
-            const { displayName, photoURL } = req.body;
+            const { displayName, photoURL, country } = req.body;
 
             if (displayName) {
                 user.displayName = displayName;
@@ -111,6 +113,18 @@ class AuthController {
                 user.photoURL = photoURL;
             }
 
+            // null borra el país y los precios vuelven a resolverse por geolocalización
+            if (country !== undefined) {
+                const normalized = normalizeCountry(country);
+                if (country !== null && !normalized) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'País no válido (código ISO de 2 letras, ej: PE)',
+                    });
+                }
+                user.country = normalized;
+            }
+
             await user.save();
 
             return res.json({
@@ -121,6 +135,7 @@ class AuthController {
                     email: user.email,
                     displayName: user.displayName,
                     photoURL: user.photoURL,
+                    country: user.country,
                 },
             });
         } catch (error) {
@@ -0,0 +1,277 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption, { REDEEMED_MATCH } from '../models/CouponRedemption.js';
+
+// Campos que el admin puede definir al crear/editar un cupón
+const EDITABLE_FIELDS = [
+    'code',
+    'description',
+    'discountType',
+    'percentOff',
+    'amountsOff',
+    'startsAt',
+    'expiresAt',
+    'maxRedemptions',
+    'perUserLimit',
+    'planIds',
+    'isActive',
+];
+
+function pickCouponFields(body = {}) {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+}
+
+/**
+ * Respuesta 400 para errores de validación de Mongoose y código duplicado
+ */
+function handleCouponWriteError(error, res) {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Error de validación',
+            errors: Object.values(error.errors).map((e) => e.message),
+        });
+    }
+    if (error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'Ya existe un cupón con ese código',
+            code: 'COUPON_DUPLICATE',
+        });
+    }
+    return null;
+}
+
+class CouponController {
+    /**
+     * GET /api/admin/coupons
+     * Listar cupones (filtros: search, isActive)
+     */
+    async adminGetCoupons(req, res) {
+        try {
+            const { page = 1, limit = 20, search = '', isActive } = req.query;
+
+            const query = {};
+            if (search) {
+                query.code = { $regex: search.toUpperCase().replace(/[^A-Z0-9_-]/g, ''), $options: 'i' };
+            }
+            if (isActive !== undefined) {
+                query.isActive = isActive === 'true';
+            }
+
+            const skip = (parseInt(page) - 1) * parseInt(limit);
+
+            const [coupons, total] = await Promise.all([
+                Coupon.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)).lean(),
+                Coupon.countDocuments(query),
+            ]);
+
+            return res.json({
+                success: true,
+                data: coupons,
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    pages: Math.ceil(total / parseInt(limit)),
+                },
+            });
+        } catch (error) {
+            console.error('Error getting coupons:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener cupones' });
+        }
+    }
+
+    /**
+     * POST /api/admin/coupons
+     */
+    async adminCreateCoupon(req, res) {
+        try {
+            const coupon = await Coupon.create({
+                ...pickCouponFields(req.body),
+                createdBy: req.user._id,
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Cupón creado exitosamente',
+                data: coupon,
+            });
+        } catch (error) {
+            const handled = handleCouponWriteError(error, res);
+            if (handled) return handled;
+
+            console.error('Error creating coupon:', error);
+            return res.status(500).json({ success: false, message: 'Error al crear cupón' });
+        }
+    }
+
+    /**
+     * PATCH /api/admin/coupons/:couponId
+     */
+    async adminUpdateCoupon(req, res) {
+        try {
+            const coupon = await Coupon.findById(req.params.couponId);
+            if (!coupon) {
+                return res.status(404).json({ success: false, message: 'Cupón no encontrado' });
+            }
+
+            coupon.set(pickCouponFields(req.body));
+            await coupon.save();
+
+            return res.json({
+                success: true,
+                message: 'Cupón actualizado',
+                data: coupon,
+            });
+        } catch (error) {
+            const handled = handleCouponWriteError(error, res);
+            if (handled) return handled;
+
+            console.error('Error updating coupon:', error);
+            return res.status(500).json({ success: false, message: 'Error al actualizar cupón' });
+        }
+    }
+
+    /**
+     * DELETE /api/admin/coupons/:couponId
+     * Un cupón con canjes no se elimina (se pierde el reporte): se debe desactivar
+     */
+    async adminDeleteCoupon(req, res) {
+        try {
+            const coupon = await Coupon.findById(req.params.couponId);
+            if (!coupon) {
+                return res.status(404).json({ success: false, message: 'Cupón no encontrado' });
+            }
+
+            const redemptions = await CouponRedemption.countDocuments({ couponId: coupon._id });
+            if (redemptions > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El cupón ya fue canjeado; desactívalo en lugar de eliminarlo',
+                    code: 'COUPON_HAS_REDEMPTIONS',
+                });
+            }
+
+            await coupon.deleteOne();
+
+            return res.json({ success: true, message: 'Cupón eliminado' });
+        } catch (error) {
+            console.error('Error deleting coupon:', error);
+            return res.status(500).json({ success: false, message: 'Error al eliminar cupón' });
+        }
+    }
+
+    /**
+     * GET /api/admin/coupons/:couponId/redemptions
+     * Canjes confirmados de un cupón con resumen por moneda (sin las reservas de checkouts en curso)
+     */
+    async adminGetCouponRedemptions(req, res) {
+        try {
+            const { couponId } = req.params;
+            const { page = 1, limit = 20 } = req.query;
+
+            if (!mongoose.Types.ObjectId.isValid(couponId)) {
+                return res.status(404).json({ success: false, message: 'Cupón no encontrado' });
+            }
+
+            const coupon = await Coupon.findById(couponId).lean();
+            if (!coupon) {
+                return res.status(404).json({ success: false, message: 'Cupón no encontrado' });
+            }
+
+            const skip = (parseInt(page) - 1) * parseInt(limit);
+
+            const [redemptions, total, summary] = await Promise.all([
+                CouponRedemption.find({ couponId, ...REDEEMED_MATCH })
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(parseInt(limit))
+                    .populate('userId', 'email displayName')
+                    .lean(),
+                CouponRedemption.countDocuments({ couponId, ...REDEEMED_MATCH }),
+                CouponRedemption.summarize(couponId),
+            ]);
+
+            return res.json({
+                success: true,
+                data: {
+                    coupon,
+                    summary,
+                    redemptions,
+                },
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    pages: Math.ceil(total / parseInt(limit)),
+                },
+            });
+        } catch (error) {
+            console.error('Error getting coupon redemptions:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener canjes' });
+        }
+    }
+
+    /**
+     * GET /api/admin/coupons/report?from&to
+     * Canjes y descuento total por cupón y moneda en un rango de fechas
+     */
+    async adminGetCouponReport(req, res) {
+        try {
+            const match = { ...REDEEMED_MATCH };
+            const from = req.query.from ? new Date(req.query.from) : null;
+            const to = req.query.to ? new Date(req.query.to) : null;
+
+            if ((from && isNaN(from)) || (to && isNaN(to))) {
+                return res.status(400).json({ success: false, message: 'Rango de fechas inválido' });
+            }
+            if (from || to) {
+                match.createdAt = {};
+                if (from) match.createdAt.$gte = from;
+                if (to) match.createdAt.$lte = to;
+            }
+
+            const report = await CouponRedemption.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: { code: '$code', currency: '$currency' },
+                        redemptions: { $sum: 1 },
+                        uniqueUsers: { $addToSet: '$userId' },
+                        totalDiscount: { $sum: '$discountAmount' },
+                        totalCharged: { $sum: '$finalAmount' },
+                        lastRedeemedAt: { $max: '$createdAt' },
+                    },
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        code: '$_id.code',
+                        currency: '$_id.currency',
+                        redemptions: 1,
+                        uniqueUsers: { $size: '$uniqueUsers' },
+                        totalDiscount: { $round: ['$totalDiscount', 2] },
+                        totalCharged: { $round: ['$totalCharged', 2] },
+                        lastRedeemedAt: 1,
+                    },
+                },
+                { $sort: { redemptions: -1, code: 1 } },
+            ]);
+
+            return res.json({
+                success: true,
+                data: report,
+            });
+        } catch (error) {
+            console.error('Error getting coupon report:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener reporte de cupones' });
+        }
+    }
+}
+
+export default new CouponController();
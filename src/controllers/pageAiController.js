@@ -0,0 +1,218 @@
+import Page from '../models/Page.js';
+import GenerationJob from '../models/GenerationJob.js';
+import PageRevision, { getRevisionLimit } from '../models/PageRevision.js';
+import User from '../models/User.js';
+import aiService from '../services/aiService.js';
+import generationQueueService from '../services/generationQueueService.js';
+
+// Refinamientos de IA permitidos por usuario cada 24 horas
+const AI_REFINE_DAILY_LIMIT = parseInt(process.env.AI_REFINE_DAILY_LIMIT) || 20;
+
+/**
+ * Resumen público de un trabajo de generación
+ */
+function formatGenerationJob(page, job) {
+    return {
+        pageId: page._id,
+        status: page.generationStatus,
+        job: job
+            ? {
+                  _id: job._id,
+                  mode: job.mode,
+                  status: job.status,
+                  attempts: job.attempts,
+                  maxAttempts: job.maxAttempts,
+                  error: job.error,
+                  nextAttemptAt: job.status === 'queued' ? job.runAfter : null,
+                  startedAt: job.startedAt,
+                  finishedAt: job.finishedAt,
+                  createdAt: job.createdAt,
+              }
+            : null,
+        canRetry: page.generationStatus === 'failed' && Boolean(job?.canRetry()),
+    };
+}
+
+class PageAiController {
+    /**
+     * Refinar el HTML/CSS de una página con una instrucción en lenguaje natural (requiere PRO)
+     * POST /api/pages/:pageId/ai/refine
+     * Body: { instruction: "haz el fondo más oscuro" }
+     */
+    async refinePage(req, res) {
+        const user = req.user;
+        let quotaConsumed = false;
+
+        try {
+            const { pageId } = req.params;
+            const instruction = typeof req.body.instruction === 'string' ? req.body.instruction.trim() : '';
+
+            if (instruction.length < 3 || instruction.length > 500) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La instrucción debe tener entre 3 y 500 caracteres',
+                });
+            }
+
+            const page = await Page.findOne({ _id: pageId, userId: user._id, isDeleted: { $ne: true } });
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            if (!page.customHTML || !page.customCSS) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Solo se pueden refinar páginas con diseño generado por IA o plantilla',
+                    code: 'NOT_REFINABLE',
+                });
+            }
+
+            const quota = await User.consumeAiRefineQuota(user._id, AI_REFINE_DAILY_LIMIT);
+            if (!quota.allowed) {
+                return res.status(429).json({
+                    success: false,
+                    message: `Alcanzaste el límite de ${AI_REFINE_DAILY_LIMIT} refinamientos por día`,
+                    code: 'AI_REFINE_QUOTA_EXCEEDED',
+                    data: { resetsAt: quota.resetsAt },
+                });
+            }
+            quotaConsumed = true;
+
+            const generated = await aiService.refinePage(page.customHTML, page.customCSS, instruction, page);
+            const { html, css } = aiService.sanitizeGeneratedCode(generated.html, generated.css);
+
+            const previousSnapshot = PageRevision.pickSnapshot(page);
+            page.customHTML = html;
+            page.customCSS = css;
+            await page.save();
+
+            // Desde aquí el refinamiento ya está guardado: no se devuelve la cuota
+            quotaConsumed = false;
+
+            const revision = await PageRevision.recordSavedChange(previousSnapshot, page, {
+                userId: user._id,
+                source: 'ai_refine',
+                maxRevisions: getRevisionLimit(user),
+            });
+
+            return res.json({
+                success: true,
+                message: 'Página refinada exitosamente',
+                data: {
+                    _id: page._id,
+                    customHTML: page.customHTML,
+                    customCSS: page.customCSS,
+                    previousStateRevision: revision?.revisionNumber || null,
+                    quota: {
+                        limit: AI_REFINE_DAILY_LIMIT,
+                        remaining: quota.remaining,
+                        resetsAt: quota.resetsAt,
+                    },
+                },
+            });
+        } catch (error) {
+            console.error('Error refining page:', error);
+
+            // No cobrar el intento si la IA falló o generó código inválido
+            if (quotaConsumed) {
+                await User.releaseAiRefineQuota(user._id).catch(() => {});
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al refinar la página',
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Estado de la generación con IA de una página
+     * GET /api/pages/:pageId/generation
+     */
+    async getGenerationStatus(req, res) {
+        try {
+            const page = await Page.findOne({
+                _id: req.params.pageId,
+                userId: req.user._id,
+                isDeleted: { $ne: true },
+            }).select('generationStatus');
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            const job = await GenerationJob.findLatestForPage(page._id);
+
+            return res.json({
+                success: true,
+                data: formatGenerationJob(page, job),
+            });
+        } catch (error) {
+            console.error('Error getting generation status:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener el estado de la generación',
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Reintentar una generación fallida (requiere PRO)
+     * POST /api/pages/:pageId/generation/retry
+     */
+    async retryGeneration(req, res) {
+        try {
+            const page = await Page.findOne({
+                _id: req.params.pageId,
+                userId: req.user._id,
+                isDeleted: { $ne: true },
+            }).select('generationStatus userId');
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            const job = await GenerationJob.findLatestForPage(page._id);
+
+            if (page.generationStatus !== 'failed' || !job?.canRetry()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Solo se pueden reintentar generaciones fallidas',
+                    code: 'GENERATION_NOT_RETRYABLE',
+                });
+            }
+
+            await Page.updateOne({ _id: page._id }, { $set: { generationStatus: 'generating' } });
+            page.generationStatus = 'generating';
+            await job.requeue();
+            setImmediate(() => generationQueueService.drain());
+
+            return res.status(202).json({
+                success: true,
+                message: 'Generación reintentada',
+                data: formatGenerationJob(page, job),
+            });
+        } catch (error) {
+            console.error('Error retrying generation:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al reintentar la generación',
+                error: error.message,
+            });
+        }
+    }
+}
+
+export default new PageAiController();
@@ -1,9 +1,13 @@
 import crypto from 'crypto';
-import Page from '../models/Page.js';
+import Page, { QUESTION_TYPES, MIN_QUESTION_OPTIONS, MAX_QUESTION_OPTIONS } from '../models/Page.js';
+import PageEvent from '../models/PageEvent.js';
 import User from '../models/User.js';
-import geminiService from '../services/geminiService.js';
 import storageService from '../services/googleStorageService.js';
+import generationQueueService from '../services/generationQueueService.js';
 import { sendPushToUser } from '../services/pushService.js';
+import pageAccessService from '../services/pageAccessService.js';
+import { getDeviceClass, getReferrerHost } from '../utils/helpers.js';
+import { verifySecret } from '../utils/pageSecrets.js';
 
 function getVisitorFingerprint(req) {
     const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
@@ -11,6 +15,22 @@ function getVisitorFingerprint(req) {
     return crypto.createHash('sha256').update(`${ip}:${userAgent}`).digest('hex');
 }
 
+/**
+ * Datos comunes de un evento de analítica.
+ * El referrer real lo envía el frontend (document.referrer) en ?ref= o body.referrer,
+ * ya que el header Referer de la API siempre es nuestro propio frontend.
+ */
+function getEventContext(req) {
+    return {
+        fingerprint: getVisitorFingerprint(req),
+        deviceClass: getDeviceClass(req.headers['user-agent']),
+        referrer: getReferrerHost(req.query?.ref || req.body?.referrer),
+    };
+}
+
+// Eventos que el frontend puede reportar directamente
+const CLIENT_EVENT_TYPES = ['button_hover', 'no_button_escaped'];
+
 /**
  * Enviar push notification al dueño de la página cuando tiene un nuevo visitante único.
  * Se ejecuta en background — no bloquea la respuesta HTTP.
@@ -85,6 +105,67 @@ function safeJsonParse(value, fallback = []) {
     }
 }
 
+/**
+ * Revertir el escape de sanitizeInputs para textos que no se renderizan como HTML
+ * (ej: la descripción que se envía a la IA)
+ */
+function decodeSanitizedText(value) {
+    if (!value || typeof value !== 'string') return '';
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#x27;/g, "'")
+        .replace(/&#x2F;/g, '/')
+        .replace(/&#x5C;/g, '\\')
+        .replace(/&#96;/g, '`')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Construir la pregunta de la página a partir del body
+ * (questionType, questionPrompt, questionOptions como JSON de labels, questionMaxLength).
+ * Devuelve { question } o { error }.
+ */
+function parseQuestion(body) {
+    const type = body.questionType || 'yes_no';
+    if (!QUESTION_TYPES.includes(type)) {
+        return { error: 'Tipo de pregunta inválido' };
+    }
+
+    const question = {
+        type,
+        prompt: body.questionPrompt?.trim() || null,
+    };
+
+    if (type === 'single_choice' || type === 'multi_choice') {
+        const labels = safeJsonParse(body.questionOptions)
+            .map((label) => (typeof label === 'string' ? label.trim() : ''))
+            .filter(Boolean);
+
+        if (labels.length < MIN_QUESTION_OPTIONS || labels.length > MAX_QUESTION_OPTIONS) {
+            return {
+                error: `Las preguntas de selección requieren entre ${MIN_QUESTION_OPTIONS} y ${MAX_QUESTION_OPTIONS} opciones`,
+            };
+        }
+        if (labels.some((label) => label.length > 100)) {
+            return { error: 'Cada opción puede tener máximo 100 caracteres' };
+        }
+
+        question.options = labels.map((label) => ({ label }));
+    }
+
+    if (type === 'free_text' && body.questionMaxLength) {
+        const maxLength = parseInt(body.questionMaxLength);
+        if (!maxLength || maxLength < 1 || maxLength > 1000) {
+            return { error: 'La longitud máxima de la respuesta debe estar entre 1 y 1000' };
+        }
+        question.maxLength = maxLength;
+    }
+
+    return { question };
+}
+
 class PageController {
     async enforceFreePageLimit(user) {
         if (user.isProActive()) return null;
@@ -210,6 +291,12 @@ class PageController {
                 showWatermark,
                 customSlug,
                 videoUrl,
+                publishAt,
+                publishTimezone,
+                protectionType,
+                protectionSecret,
+                protectionQuestion,
+                aiPrompt,
             } = req.body;
 
             const pageLimitError = await this.enforceFreePageLimit(user);
@@ -265,6 +352,44 @@ class PageController {
             // Parsear stickers
             const parsedStickers = safeJsonParse(selectedStickers);
 
+            // Pregunta (sí/no por defecto, selección o texto libre)
+            const { question, error: questionError } = parseQuestion(req.body);
+            if (questionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: questionError,
+                    code: 'INVALID_QUESTION',
+                });
+            }
+
+            // Publicación programada (sanitizeInputs escapa "/" de zonas como "America/Lima")
+            const schedule = Page.resolveSchedule(publishAt, publishTimezone?.replace(/&#x2F;/g, '/'));
+            if (!schedule.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: schedule.reason,
+                    code: 'INVALID_SCHEDULE',
+                });
+            }
+            const visibleFrom = schedule.publishAt ? schedule.publishAt.getTime() : Date.now();
+
+            // Protección con frase o pregunta secreta (opcional)
+            let protection;
+            if (protectionType && protectionType !== 'none') {
+                const result = await Page.buildProtection(protectionType, {
+                    secret: protectionSecret,
+                    question: protectionQuestion,
+                });
+                if (!result.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        message: result.reason,
+                        code: 'INVALID_PROTECTION',
+                    });
+                }
+                protection = result.protection;
+            }
+
             // Crear datos de la página
             const pageData = {
                 userId: user._id,
@@ -274,6 +399,7 @@ class PageController {
                 yesButtonText: yesButtonText || 'Sí',
                 noButtonText: noButtonText || 'No',
                 noButtonEscapes: noButtonEscapes === 'true' || noButtonEscapes === true,
+                question,
                 pageType: pageType || 'free',
                 theme: theme || 'romantic',
                 backgroundColor: backgroundColor || '#ff69b4',
@@ -286,9 +412,14 @@ class PageController {
                 videoUrl: isPro && videoUrl ? videoUrl.trim() : null,
                 selectedStickers: parsedStickers,
                 showWatermark: isPro ? (showWatermark === 'false' ? false : true) : true,
-                // Páginas gratuitas expiran en 30 días; PRO sin vencimiento
-                expiresAt: isPro ? null : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+                // Páginas gratuitas expiran 7 días después de publicarse; PRO sin vencimiento
+                expiresAt: isPro ? null : new Date(visibleFrom + 7 * 24 * 60 * 60 * 1000),
+                publishAt: schedule.publishAt,
+                publishTimezone: schedule.publishTimezone,
             };
+            if (protection) {
+                pageData.protection = protection;
+            }
             if (validatedSlug) {
                 pageData.customSlug = validatedSlug;
             }
@@ -327,30 +458,49 @@ class PageController {
             }
             pageData.decorativeImageUrls = decorativeUrls;
 
-            // Imagen de referencia para IA (solo PRO)
+            // Generación con IA (solo PRO): imagen de referencia o, si no hay, descripción en texto.
+            // La página se crea en estado "generating" y la IA se ejecuta en la cola de trabajos.
+            let generationMode = null;
             if (pageType === 'pro') {
                 const refFile = files.referenceImage?.[0];
+                const description = decodeSanitizedText(aiPrompt).trim();
                 if (refFile) {
-                    const imageUrl = await this.processProPage(refFile, user._id.toString(), pageData);
-                    pageData.referenceImageUrl = imageUrl;
+                    pageData.referenceImageUrl = await this.processProPage(refFile, user._id.toString());
+                    generationMode = 'image';
+                } else if (description) {
+                    pageData.aiPrompt = description;
+                    generationMode = 'prompt';
                 }
             }
+            if (generationMode) {
+                pageData.generationStatus = 'generating';
+            }
 
             const page = await Page.create(pageData);
 
+            if (generationMode) {
+                await generationQueueService.enqueue(page, generationMode);
+            }
+
             // Incrementar contador (estadística solamente)
             user.pagesCreated += 1;
             await user.save();
 
             return res.status(201).json({
                 success: true,
-                message: 'Página creada exitosamente',
+                message: generationMode
+                    ? 'Página creada. El diseño con IA se está generando'
+                    : 'Página creada exitosamente',
                 data: {
                     _id: page._id,
                     shortId: page.shortId,
                     customSlug: page.customSlug,
                     url: page.getFullUrl(),
                     pageType: page.pageType,
+                    publishAt: page.publishAt,
+                    publishTimezone: page.publishTimezone,
+                    protectionType: page.protection?.type || 'none',
+                    generationStatus: page.generationStatus,
                     createdAt: page.createdAt,
                 },
             });
@@ -375,9 +525,10 @@ class PageController {
     }
 
     /**
-     * Procesar página PRO con imagen de referencia
+     * Validar y subir la imagen de referencia de una página PRO.
+     * La generación con IA se hace después en la cola (generationQueueService).
      */
-    async processProPage(file, userId, pageData) {
+    async processProPage(file, userId) {
         try {
             if (!storageService.isValidImageType(file.mimetype)) {
                 throw new Error('Tipo de archivo no válido');
@@ -386,14 +537,7 @@ class PageController {
                 throw new Error('El archivo es demasiado grande. Máximo 5MB');
             }
 
-            const imageUrl = await storageService.uploadReferenceImage(file.buffer, file.originalname, userId);
-            const { html, css } = await geminiService.generatePageFromImage(imageUrl, pageData);
-            geminiService.validateGeneratedCode(html, css);
-
-            pageData.customHTML = html;
-            pageData.customCSS = css;
-
-            return imageUrl;
+            return await storageService.uploadReferenceImage(file.buffer, file.originalname, userId);
         } catch (error) {
             console.error('Error processing pro page:', error);
             throw error;
@@ -411,17 +555,14 @@ class PageController {
             const page = await Page.findByIdentifier(shortId);
 
             if (!page) {
-                // Verificar si la página existe pero expiró
-                const expiredPage = await Page.findOne({
-                    $or: [{ shortId }, { customSlug: shortId }],
-                    isDeleted: { $ne: true },
-                    expiresAt: { $lte: new Date() },
-                });
-                if (expiredPage) {
-                    return res.status(410).json({
+                // Verificar si la página existe pero expiró o aún no se publica
+                const unavailable = await Page.getUnavailableReason(shortId);
+                if (unavailable) {
+                    return res.status(unavailable.status).json({
                         success: false,
-                        message: 'Esta página ha expirado',
-                        code: 'PAGE_EXPIRED',
+                        message: unavailable.message,
+                        code: unavailable.code,
+                        ...(unavailable.data && { data: unavailable.data }),
                     });
                 }
                 return res.status(404).json({
@@ -430,8 +571,21 @@ class PageController {
                 });
             }
 
-            const fingerprint = getVisitorFingerprint(req);
-            const wasNew = await page.incrementViews(fingerprint);
+            // Página protegida: no entregar contenido sin token de acceso válido
+            if (!pageAccessService.canAccess(page, req)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Esta página está protegida',
+                    code: 'PAGE_PROTECTED',
+                    data: {
+                        protectionType: page.protection.type,
+                        question: page.protection.question,
+                    },
+                });
+            }
+
+            const eventContext = getEventContext(req);
+            const wasNew = await page.incrementViews(eventContext);
             if (wasNew) notifyPageOwner(page); // fire-and-forget
 
             return res.json({
@@ -444,6 +598,7 @@ class PageController {
                     yesButtonText: page.yesButtonText,
                     noButtonText: page.noButtonText,
                     noButtonEscapes: page.noButtonEscapes,
+                    question: page.question,
                     pageType: page.pageType,
                     theme: page.theme,
                     backgroundColor: page.backgroundColor,
@@ -475,6 +630,58 @@ class PageController {
         }
     }
 
+    /**
+     * Desbloquear una página protegida con la frase o respuesta secreta
+     * POST /api/pages/public/:shortId/unlock
+     * Body: { secret }
+     */
+    async unlockPage(req, res) {
+        try {
+            const { shortId } = req.params;
+            const { secret } = req.body;
+
+            const found = await Page.findByIdentifier(shortId);
+
+            if (!found) {
+                return res.status(404).json({ success: false, message: 'Página no encontrada' });
+            }
+
+            if (!found.isProtected()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Esta página no está protegida',
+                    code: 'PAGE_NOT_PROTECTED',
+                });
+            }
+
+            const page = await Page.findById(found._id).select('+protection.secretHash');
+            const isValid = await verifySecret(
+                secret,
+                page.protection.secretHash,
+                page.protection.type
+            );
+
+            if (!isValid) {
+                return res.status(401).json({
+                    success: false,
+                    message: page.protection.type === 'question' ? 'Respuesta incorrecta' : 'Frase secreta incorrecta',
+                    code: 'INVALID_SECRET',
+                });
+            }
+
+            const { accessToken, expiresAt } = pageAccessService.issueToken(page);
+
+            return res.json({
+                success: true,
+                message: 'Página desbloqueada',
+                data: { accessToken, expiresAt },
+            });
+        } catch (error) {
+            console.error('Error unlocking page:', error);
+            return res.status(500).json({ success: false, message: 'Error al desbloquear la página' });
+        }
+    }
+
     /**
      * Responder a una página
      */
@@ -486,15 +693,41 @@ class PageController {
             const page = await Page.findByIdentifier(shortId);
 
             if (!page) {
+                const unavailable = await Page.getUnavailableReason(shortId);
+                if (unavailable) {
+                    return res.status(unavailable.status).json({
+                        success: false,
+                        message: unavailable.message,
+                        code: unavailable.code,
+                    });
+                }
                 return res.status(404).json({ success: false, message: 'Página no encontrada' });
             }
 
+            if (!pageAccessService.canAccess(page, req)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Esta página está protegida',
+                    code: 'PAGE_PROTECTED',
+                });
+            }
+
+            const normalized = page.normalizeAnswer(answer);
+            if (!normalized.valid) {
+                return res.status(400).json({ success: false, message: normalized.reason });
+            }
+
             const metadata = {
                 ipAddress: req.ip || req.connection.remoteAddress,
                 userAgent: req.headers['user-agent'],
             };
 
-            const response = await page.addResponse(answer, metadata);
+            const response = await page.addResponse(normalized.response, metadata);
+
+            PageEvent.record(page._id, 'response', {
+                ...getEventContext(req),
+                metadata: { questionType: page.question?.type || 'yes_no' },
+            }); // fire-and-forget
 
             return res.json({
                 success: true,
@@ -502,6 +735,8 @@ class PageController {
                 data: {
                     responseId: response._id,
                     answer: response.answer,
+                    selectedOptions: response.selectedOptions,
+                    textAnswer: response.textAnswer,
                     respondedAt: response.respondedAt,
                 },
             });
@@ -511,6 +746,38 @@ class PageController {
         }
     }
 
+    /**
+     * Registrar un evento de interacción reportado por el frontend
+     * POST /api/pages/public/:shortId/events
+     * Body: { type: 'button_hover' | 'no_button_escaped', referrer? }
+     */
+    async trackPageEvent(req, res) {
+        try {
+            const { shortId } = req.params;
+            const { type } = req.body;
+
+            if (!CLIENT_EVENT_TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Tipo de evento inválido. Debe ser: ${CLIENT_EVENT_TYPES.join(', ')}`,
+                });
+            }
+
+            const page = await Page.findByIdentifier(shortId);
+
+            if (!page) {
+                return res.status(404).json({ success: false, message: 'Página no encontrada' });
+            }
+
+            await PageEvent.record(page._id, type, getEventContext(req));
+
+            return res.status(202).json({ success: true });
+        } catch (error) {
+            console.error('Error tracking page event:', error);
+            return res.status(500).json({ success: false, message: 'Error al registrar el evento' });
+        }
+    }
+
     /**
      * Obtener páginas del usuario
      */
@@ -531,8 +798,7 @@ class PageController {
             const total = await Page.countDocuments({ userId: user._id });
 
             const pagesWithStats = pages.map((p) => {
-                const yesCount = p.responses.filter((r) => r.answer === 'yes').length;
-                const noCount = p.responses.filter((r) => r.answer === 'no').length;
+                const summary = Page.summarizeResponses(p.question, p.responses);
                 const identifier = p.customSlug || p.shortId;
                 return {
                     _id: p._id,
@@ -542,13 +808,19 @@ class PageController {
                     title: p.title,
                     recipientName: p.recipientName,
                     pageType: p.pageType,
+                    generationStatus: p.generationStatus || 'ready',
                     views: p.uniqueViews,
-                    totalResponses: p.responses.length,
-                    yesCount,
-                    noCount,
+                    questionType: summary.questionType,
+                    totalResponses: summary.totalResponses,
+                    yesCount: summary.yesCount,
+                    noCount: summary.noCount,
+                    ...(summary.options && { options: summary.options }),
+                    ...(summary.textCount !== undefined && { textCount: summary.textCount }),
                     createdAt: p.createdAt,
                     isActive: p.isActive,
                     expiresAt: p.expiresAt || null,
+                    publishAt: p.publishAt || null,
+                    publishTimezone: p.publishTimezone || null,
                 };
             });
 
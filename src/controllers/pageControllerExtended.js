@@ -1,5 +1,11 @@
 import Page from '../models/Page.js';
+import PageEvent, { ANALYTICS_INTERVAL_MS, MAX_ANALYTICS_BUCKETS } from '../models/PageEvent.js';
+import PageRevision, { getRevisionLimit } from '../models/PageRevision.js';
+import Template from '../models/Template.js';
+import TemplateVersion from '../models/TemplateVersion.js';
 import storageService from '../services/googleStorageService.js';
+import templateVersionService from '../services/templateVersionService.js';
+import { pickTemplateValues } from '../utils/templateEngine.js';
 
 class PageControllerExtended {
     /**
@@ -36,12 +42,22 @@ class PageControllerExtended {
                         customSlug: page.customSlug, // 🆕
                         noButtonText: page.noButtonText,
                         noButtonEscapes: page.noButtonEscapes,
+                        question: page.question,
                         pageType: page.pageType,
+                        generationStatus: page.generationStatus,
                         theme: page.theme,
                         backgroundColor: page.backgroundColor,
                         textColor: page.textColor,
                         referenceImageUrl: page.referenceImageUrl,
                         isActive: page.isActive,
+                        publishAt: page.publishAt,
+                        publishTimezone: page.publishTimezone,
+                        isPublished: page.isPublished(),
+                        protectionType: page.protection?.type || 'none',
+                        protectionQuestion: page.protection?.question || null,
+                        templateId: page.templateId,
+                        templateVersion: page.templateVersion,
+                        templateValues: page.templateValues,
                         createdAt: page.createdAt,
                         updatedAt: page.updatedAt,
                     },
@@ -49,6 +65,8 @@ class PageControllerExtended {
                     responses: page.responses.map((r) => ({
                         _id: r._id,
                         answer: r.answer,
+                        selectedOptions: r.selectedOptions,
+                        textAnswer: r.textAnswer,
                         respondedAt: r.respondedAt,
                         location: r.location,
                     })),
@@ -63,6 +81,75 @@ class PageControllerExtended {
         }
     }
 
+    /**
+     * Series de tiempo de analítica de una página (solo para el dueño)
+     * GET /api/pages/:pageId/analytics?from&to&interval=hour|day
+     */
+    async getPageAnalytics(req, res) {
+        try {
+            const user = req.user;
+            const { pageId } = req.params;
+            const interval = req.query.interval || 'day';
+
+            if (!ANALYTICS_INTERVAL_MS[interval]) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Intervalo inválido. Debe ser "hour" o "day"',
+                });
+            }
+
+            const to = req.query.to ? new Date(req.query.to) : new Date();
+            const defaultRange = interval === 'hour' ? 48 * 60 * 60 * 1000 : 30 * 24 * 60 * 60 * 1000;
+            const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - defaultRange);
+
+            if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Rango de fechas inválido',
+                });
+            }
+
+            if ((to - from) / ANALYTICS_INTERVAL_MS[interval] > MAX_ANALYTICS_BUCKETS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El rango es demasiado amplio (máximo ${MAX_ANALYTICS_BUCKETS} intervalos)`,
+                });
+            }
+
+            const page = await Page.findOne({ _id: pageId, userId: user._id, isDeleted: { $ne: true } });
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            const [{ series, totals }, milestones] = await Promise.all([
+                PageEvent.getTimeSeries(page._id, { from, to, interval }),
+                PageEvent.getMilestones(page._id),
+            ]);
+
+            return res.json({
+                success: true,
+                data: {
+                    interval,
+                    from,
+                    to,
+                    totals,
+                    ...milestones,
+                    series,
+                },
+            });
+        } catch (error) {
+            console.error('Error getting page analytics:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener analítica de la página',
+            });
+        }
+    }
+
     /**
      * Actualizar página
      * PATCH /api/pages/:pageId
@@ -82,6 +169,9 @@ class PageControllerExtended {
                 });
             }
 
+            // Estado previo para el historial de revisiones
+            const previousSnapshot = PageRevision.pickSnapshot(page);
+
             // Campos permitidos para actualizar
             const allowedUpdates = [
                 'title',
@@ -103,14 +193,65 @@ class PageControllerExtended {
                 }
             });
 
+            // Reprogramar publicación (publishAt: null publica inmediatamente)
+            if (updates.publishAt !== undefined) {
+                const wasPublished = page.isPublished();
+                const schedule = Page.resolveSchedule(
+                    updates.publishAt,
+                    (updates.publishTimezone || page.publishTimezone)?.replace(/&#x2F;/g, '/')
+                );
+                if (!schedule.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        message: schedule.reason,
+                        code: 'INVALID_SCHEDULE',
+                    });
+                }
+
+                page.publishAt = schedule.publishAt;
+                page.publishTimezone = schedule.publishTimezone;
+
+                // Páginas gratuitas aún no publicadas: los 7 días corren desde la nueva fecha
+                if (!wasPublished && page.expiresAt) {
+                    const visibleFrom = schedule.publishAt ? schedule.publishAt.getTime() : Date.now();
+                    page.expiresAt = new Date(visibleFrom + 7 * 24 * 60 * 60 * 1000);
+                }
+            }
+
+            // Cambiar protección (type 'none' la quita; cambiar el secreto invalida los tokens emitidos)
+            if (updates.protectionType !== undefined) {
+                const result = await Page.buildProtection(
+                    updates.protectionType,
+                    { secret: updates.protectionSecret, question: updates.protectionQuestion },
+                    page.protection?.version || 0
+                );
+                if (!result.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        message: result.reason,
+                        code: 'INVALID_PROTECTION',
+                    });
+                }
+                page.protection = result.protection;
+            }
+
             await page.save();
 
+            await PageRevision.recordSavedChange(previousSnapshot, page, {
+                userId: user._id,
+                source: 'update',
+                maxRevisions: getRevisionLimit(user),
+            });
+
             return res.json({
                 success: true,
                 message: 'Página actualizada exitosamente',
                 data: {
                     _id: page._id,
                     shortId: page.shortId,
+                    publishAt: page.publishAt,
+                    publishTimezone: page.publishTimezone,
+                    protectionType: page.protection?.type || 'none',
                     updatedAt: page.updatedAt,
                 },
             });
@@ -123,6 +264,118 @@ class PageControllerExtended {
         }
     }
 
+    /**
+     * Editar los valores de una página creada desde plantilla y volver a renderizarla
+     * con la misma versión de la plantilla (el diseño no cambia)
+     * PATCH /api/pages/:pageId/template-values
+     * Body: { values: { TITULO: "...", FOTO_1: "https://..." }, force? } — se combinan con los guardados (null borra uno)
+     * Si el HTML/CSS ya no es el que generan sus valores (refinado con IA o editado a mano)
+     * responde 409 en lugar de pisarlo; force: true lo reemplaza igual.
+     */
+    async updateTemplateValues(req, res) {
+        try {
+            const user = req.user;
+            const { pageId } = req.params;
+            const { values, force } = req.body || {};
+
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Los valores de la plantilla son requeridos',
+                });
+            }
+
+            const page = await Page.findOne({ _id: pageId, userId: user._id, isDeleted: { $ne: true } });
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            if (!page.templateId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Esta página no fue creada desde una plantilla',
+                    code: 'NOT_TEMPLATE_PAGE',
+                });
+            }
+
+            const template = await Template.findById(page.templateId);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'La plantilla de esta página ya no existe',
+                });
+            }
+
+            // Versión con la que se renderizó la página (las anteriores al versionado usan la publicada)
+            let source = template;
+            if (page.templateVersion && page.templateVersion !== template.currentVersion) {
+                const versionDoc = await TemplateVersion.findOne({
+                    templateId: template._id,
+                    version: page.templateVersion,
+                });
+                source = versionDoc || template;
+            }
+
+            if (force !== true && !templateVersionService.isUntouched(page, source)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'La página tiene cambios que no vienen de la plantilla (IA o edición manual) y se perderían. Envía force: true para reemplazarlos.',
+                    code: 'PAGE_CUSTOMIZED',
+                });
+            }
+
+            const templateValues = pickTemplateValues(source, { ...(page.templateValues || {}), ...values });
+            const validation = source.validateValues(templateValues);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: validation.reason,
+                    field: validation.field,
+                    code: 'INVALID_TEMPLATE_VALUES',
+                });
+            }
+
+            const previousSnapshot = PageRevision.pickSnapshot(page);
+            const rendered = source.renderHtml(templateValues);
+
+            page.customHTML = rendered.html;
+            page.customCSS = rendered.css;
+            page.templateValues = templateValues;
+            page.templateVersion = source === template ? template.currentVersion : page.templateVersion;
+            // Mismo criterio que createPageFromTemplate para título y mensaje
+            page.title = templateValues.TITULO || templateValues.TITLE || page.title;
+            page.message = templateValues.MENSAJE || templateValues.MESSAGE || page.message;
+            await page.save();
+
+            await PageRevision.recordSavedChange(previousSnapshot, page, {
+                userId: user._id,
+                source: 'update',
+                maxRevisions: getRevisionLimit(user),
+            });
+
+            return res.json({
+                success: true,
+                message: 'Página actualizada exitosamente',
+                data: {
+                    _id: page._id,
+                    shortId: page.shortId,
+                    templateVersion: page.templateVersion,
+                    templateValues: page.templateValues,
+                    updatedAt: page.updatedAt,
+                },
+            });
+        } catch (error) {
+            console.error('Error updating template values:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar los valores de la plantilla',
+            });
+        }
+    }
+
     /**
      * Eliminar página
      * DELETE /api/pages/:pageId
@@ -145,6 +398,9 @@ class PageControllerExtended {
             page.isActive = false;
             await page.save();
 
+            // La analítica de una página eliminada ya no se consulta
+            await PageEvent.deleteMany({ pageId: page._id });
+
             if (user.pagesCreated > 0) {
                 user.pagesCreated -= 1;
                 await user.save();
@@ -173,18 +429,22 @@ class PageControllerExtended {
 
             const pages = await Page.find({ userId: user._id, isDeleted: { $ne: true } });
 
+            const summaries = pages.map((page) => Page.summarizeResponses(page.question, page.responses));
+
+            const responsesByQuestionType = {};
+            summaries.forEach((summary) => {
+                responsesByQuestionType[summary.questionType] =
+                    (responsesByQuestionType[summary.questionType] || 0) + summary.totalResponses;
+            });
+
             const stats = {
                 totalPages: pages.length,
                 totalViews: pages.reduce((sum, page) => sum + page.uniqueViews, 0),
-                totalResponses: pages.reduce((sum, page) => sum + page.responses.length, 0),
-                totalYes: pages.reduce(
-                    (sum, page) => sum + page.responses.filter((r) => r.answer === 'yes').length,
-                    0
-                ),
-                totalNo: pages.reduce(
-                    (sum, page) => sum + page.responses.filter((r) => r.answer === 'no').length,
-                    0
-                ),
+                totalResponses: summaries.reduce((sum, summary) => sum + summary.totalResponses, 0),
+                totalYes: summaries.reduce((sum, summary) => sum + summary.yesCount, 0),
+                totalNo: summaries.reduce((sum, summary) => sum + summary.noCount, 0),
+                totalTextAnswers: summaries.reduce((sum, summary) => sum + (summary.textCount || 0), 0),
+                responsesByQuestionType,
                 pagesByType: {
                     free: pages.filter((p) => p.pageType === 'free').length,
                     pro: pages.filter((p) => p.pageType === 'pro').length,
@@ -0,0 +1,228 @@
+import Page from '../models/Page.js';
+import PageRevision, { REVISIONED_FIELDS, getRevisionLimit } from '../models/PageRevision.js';
+import pageController from './pageController.js';
+
+class PageRevisionController {
+    /**
+     * Listar revisiones de una página (solo para el dueño)
+     * GET /api/pages/:pageId/revisions
+     */
+    async getRevisions(req, res) {
+        try {
+            const user = req.user;
+            const { pageId } = req.params;
+
+            const page = await Page.findOne({ _id: pageId, userId: user._id, isDeleted: { $ne: true } });
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            const revisions = await PageRevision.find({ pageId: page._id })
+                .sort({ revisionNumber: -1 })
+                .select('revisionNumber source changedFields createdAt')
+                .lean();
+
+            return res.json({
+                success: true,
+                data: {
+                    revisions,
+                    limit: getRevisionLimit(user),
+                },
+            });
+        } catch (error) {
+            console.error('Error getting revisions:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener el historial de revisiones',
+            });
+        }
+    }
+
+    /**
+     * Obtener una revisión con su snapshot completo
+     * GET /api/pages/:pageId/revisions/:revisionNumber
+     */
+    async getRevision(req, res) {
+        try {
+            const user = req.user;
+            const { pageId, revisionNumber } = req.params;
+
+            const page = await Page.findOne({ _id: pageId, userId: user._id, isDeleted: { $ne: true } });
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            const revision = await PageRevision.findOne({
+                pageId: page._id,
+                revisionNumber: parseInt(revisionNumber),
+            }).lean();
+
+            if (!revision) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revisión no encontrada',
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: revision,
+            });
+        } catch (error) {
+            console.error('Error getting revision:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener la revisión',
+            });
+        }
+    }
+
+    /**
+     * Comparar dos revisiones (o una revisión con la versión actual)
+     * GET /api/pages/:pageId/revisions/diff?from=3&to=5
+     * `to` puede ser "current" (por defecto) para comparar contra la página actual
+     */
+    async diffRevisions(req, res) {
+        try {
+            const user = req.user;
+            const { pageId } = req.params;
+            const { from, to = 'current' } = req.query;
+
+            if (!from) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El parámetro "from" es requerido',
+                });
+            }
+
+            const page = await Page.findOne({ _id: pageId, userId: user._id, isDeleted: { $ne: true } });
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            const resolveSnapshot = async (ref) => {
+                if (ref === 'current') return PageRevision.pickSnapshot(page);
+                const revision = await PageRevision.findOne({
+                    pageId: page._id,
+                    revisionNumber: parseInt(ref),
+                }).lean();
+                return revision?.snapshot || null;
+            };
+
+            const [fromSnapshot, toSnapshot] = await Promise.all([resolveSnapshot(from), resolveSnapshot(to)]);
+
+            if (!fromSnapshot || !toSnapshot) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revisión no encontrada',
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    from,
+                    to,
+                    changes: PageRevision.diffSnapshots(fromSnapshot, toSnapshot),
+                },
+            });
+        } catch (error) {
+            console.error('Error diffing revisions:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al comparar revisiones',
+            });
+        }
+    }
+
+    /**
+     * Restaurar una revisión. El estado actual se guarda como nueva revisión,
+     * así que restaurar también se puede deshacer.
+     * POST /api/pages/:pageId/revisions/:revisionNumber/restore
+     */
+    async restoreRevision(req, res) {
+        try {
+            const user = req.user;
+            const { pageId, revisionNumber } = req.params;
+
+            const page = await Page.findOne({ _id: pageId, userId: user._id, isDeleted: { $ne: true } });
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Página no encontrada',
+                });
+            }
+
+            const revision = await PageRevision.findOne({
+                pageId: page._id,
+                revisionNumber: parseInt(revisionNumber),
+            }).lean();
+
+            if (!revision) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revisión no encontrada',
+                });
+            }
+
+            // Una revisión guardada con PRO puede usar features que el plan actual ya no permite
+            const proErrors = pageController.validateProFeatures(user, revision.snapshot);
+            if (proErrors.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: proErrors[0],
+                    errors: proErrors,
+                    code: 'PRO_REQUIRED',
+                });
+            }
+
+            const previousSnapshot = PageRevision.pickSnapshot(page);
+
+            REVISIONED_FIELDS.forEach((field) => {
+                if (revision.snapshot[field] !== undefined) {
+                    page[field] = revision.snapshot[field];
+                }
+            });
+
+            await page.save();
+
+            const newRevision = await PageRevision.recordSavedChange(previousSnapshot, page, {
+                userId: user._id,
+                source: 'restore',
+                maxRevisions: getRevisionLimit(user),
+            });
+
+            return res.json({
+                success: true,
+                message: `Revisión ${revision.revisionNumber} restaurada`,
+                data: {
+                    _id: page._id,
+                    restoredRevision: revision.revisionNumber,
+                    previousStateRevision: newRevision?.revisionNumber || null,
+                    updatedAt: page.updatedAt,
+                },
+            });
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al restaurar la revisión',
+            });
+        }
+    }
+}
+
+export default new PageRevisionController();
@@ -1,8 +1,292 @@
 import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import Notification from '../models/Notification.js';
+import PaymentAudit from '../models/PaymentAudit.js';
+import GiftCode, { GIFT_CODE_STATUSES } from '../models/GiftCode.js';
+import Receipt from '../models/Receipt.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
 import mercadoPagoService from '../services/mercadoPagoService.js';
 import paypalService from '../services/paypalService.js';
+import checkoutService from '../services/checkoutService.js';
+import giftService from '../services/giftService.js';
+import pricingService from '../services/pricingService.js';
+import receiptService from '../services/receiptService.js';
+import {
+    PLANS,
+    DEFAULT_PLAN_ID,
+    ENTITLING_PAYMENT_STATUSES,
+    getPlan,
+    isLifetimePlan,
+    computeProExpiry,
+    computeEntitlement,
+} from '../config/plans.js';
+import { PRICING_PROVIDERS, normalizeCountry, resolveProviderCurrency } from '../config/pricing.js';
+import { isValidObjectId } from '../utils/helpers.js';
 import 'dotenv/config';
 
+const GIFT_MESSAGE_MAX_LENGTH = 300;
+
+/**
+ * Validar el plan solicitado y que el usuario pueda comprarlo.
+ * Con PRO permanente no se puede comprar nada; con un plan con vencimiento
+ * se permite renovar (se extiende proExpiresAt) o pasar a lifetime.
+ * Un regalo no cambia el plan del comprador, así que no tiene esas restricciones.
+ * Devuelve { plan } o { status, error }.
+ */
+function resolvePurchasePlan(user, planId, { purpose = 'self' } = {}) {
+    const plan = getPlan(planId || DEFAULT_PLAN_ID);
+
+    if (!plan) {
+        return {
+            status: 400,
+            error: { success: false, message: 'Plan no válido', code: 'INVALID_PLAN' },
+        };
+    }
+
+    if (purpose !== 'gift' && user.isProActive() && user.hasPermanentPro()) {
+        return {
+            status: 400,
+            error: { success: false, message: 'Ya tienes un plan PRO activo', code: 'ALREADY_PRO' },
+        };
+    }
+
+    return { plan };
+}
+
+/**
+ * Opciones de regalo del body: { gift: true, giftRecipientEmail?, giftMessage? }.
+ * Devuelve { purpose, gift } o { status, error }.
+ */
+function resolveGiftOptions(body = {}) {
+    if (body.gift !== true && body.gift !== 'true') {
+        return { purpose: 'self', gift: null };
+    }
+
+    const recipientEmail = body.giftRecipientEmail ? String(body.giftRecipientEmail).trim().toLowerCase() : null;
+    if (recipientEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+        return {
+            status: 400,
+            error: { success: false, message: 'El email del destinatario no es válido', code: 'INVALID_GIFT' },
+        };
+    }
+
+    const message = body.giftMessage ? String(body.giftMessage).trim() : null;
+    if (message && message.length > GIFT_MESSAGE_MAX_LENGTH) {
+        return {
+            status: 400,
+            error: {
+                success: false,
+                message: `La dedicatoria no puede superar ${GIFT_MESSAGE_MAX_LENGTH} caracteres`,
+                code: 'INVALID_GIFT',
+            },
+        };
+    }
+
+    return { purpose: 'gift', gift: { recipientEmail, message } };
+}
+
+/**
+ * Cotizar el plan en la moneda con la que el proveedor cobra al país del comprador,
+ * aplicando el cupón del body.
+ * Devuelve { pricing, country } o { status, error }.
+ */
+async function quoteCheckout(req, provider, plan) {
+    const { country } = pricingService.resolveCountry(req);
+    const currency = resolveProviderCurrency(provider, country);
+    const quote = await checkoutService.quote(req.user, plan, currency, req.body?.couponCode);
+
+    if (!quote.valid) {
+        return {
+            status: 400,
+            error: { success: false, message: quote.reason, code: 'INVALID_COUPON' },
+        };
+    }
+
+    return { pricing: quote.pricing, country };
+}
+
+/**
+ * Reservar el cupón del checkout (límite total y por usuario) antes de ir al proveedor.
+ * Devuelve { expiresAt } o { status, error }.
+ */
+async function reserveCheckoutCoupon(ledgerPayment) {
+    const reservation = await checkoutService.reserveCoupon(ledgerPayment);
+
+    if (!reservation.valid) {
+        return {
+            status: 400,
+            error: { success: false, message: reservation.reason, code: 'INVALID_COUPON' },
+        };
+    }
+
+    return { expiresAt: reservation.expiresAt };
+}
+
+/**
+ * Documento "created" del libro de pagos para un checkout recién iniciado
+ * (se guarda una vez que el proveedor devuelve la preferencia/orden)
+ */
+function buildCheckoutPayment(user, provider, plan, pricing, { purpose = 'self', gift = null, country = null } = {}) {
+    return new Payment({
+        userId: user._id,
+        provider,
+        planId: plan.id,
+        purpose,
+        gift: gift || undefined,
+        amount: pricing.finalAmount,
+        currency: pricing.currency,
+        country,
+        coupon: pricing.couponCode
+            ? {
+                  code: pricing.couponCode,
+                  originalAmount: pricing.originalAmount,
+                  discountAmount: pricing.discountAmount,
+              }
+            : undefined,
+        statusHistory: [{ status: 'created', source: 'checkout' }],
+    });
+}
+
+/**
+ * Registrar en el libro un estado no aprobado informado por el proveedor (pending / rejected)
+ */
+async function recordProviderStatus(user, service, paymentInfo, status, source) {
+    const data = { ...service.formatPaymentData(paymentInfo), userId: user._id };
+    return await Payment.recordStatus(status, data, service.getCheckoutMatch(paymentInfo), source);
+}
+
+function formatPlan(plan) {
+    return {
+        id: plan.id,
+        name: plan.name,
+        durationDays: plan.durationDays,
+    };
+}
+
+/**
+ * Respuesta de la captura de PayPal: plan activado o, si era un regalo, el código emitido
+ */
+function formatCaptureResponse(orderDetails, result) {
+    if (result.gift) {
+        return {
+            success: true,
+            message: '¡Pago completado! Tu código de regalo está listo',
+            data: {
+                orderId: orderDetails.id,
+                status: orderDetails.status,
+                gift: result.gift,
+            },
+        };
+    }
+
+    return {
+        success: true,
+        message: '¡Pago completado! Plan PRO activado',
+        data: {
+            orderId: orderDetails.id,
+            status: orderDetails.status,
+            isPro: true,
+        },
+    };
+}
+
+// Headers de PayPal que se guardan con cada entrega
+const PAYPAL_WEBHOOK_HEADERS = [
+    'paypal-transmission-id',
+    'paypal-transmission-time',
+    'paypal-transmission-sig',
+    'paypal-auth-algo',
+    'paypal-cert-url',
+];
+
+/**
+ * Notificación de MercadoPago desde el body (formato webhook) o la query (IPN).
+ * Devuelve null si no tiene un formato reconocido.
+ */
+function parseMercadoPagoWebhook(body, query = {}) {
+    // Cuenta (moneda) que recibió el pago, agregada por nosotros a notification_url
+    const account = typeof query.account === 'string' ? query.account : null;
+
+    if (body?.action || body?.type === 'payment') {
+        return { ...body, account };
+    }
+
+    if (query.topic || query.type) {
+        return {
+            type: query.topic || query.type,
+            data: { id: query.id || query['data.id'] },
+            account,
+        };
+    }
+
+    return null;
+}
+
+function pickWebhookHeaders(headers, names) {
+    return Object.fromEntries(names.filter((name) => headers[name] !== undefined).map((name) => [name, headers[name]]));
+}
+
+/**
+ * Procesar una entrega verificada y guardar el resultado (processed / ignored / failed)
+ */
+async function runWebhookDelivery(delivery, handler) {
+    try {
+        const result = await handler();
+        await delivery.markOutcome(result.processed ? 'processed' : 'ignored', result.reason || null);
+    } catch (error) {
+        await delivery.markOutcome('failed', error.message);
+        throw error;
+    }
+}
+
+// Textos de la notificación al usuario por cada cambio sobre un pago
+const REVERSAL_NOTIFICATIONS = {
+    refund: { title: 'Reembolso procesado', icon: '💸', type: 'info' },
+    partial_refund: { title: 'Reembolso parcial procesado', icon: '💸', type: 'info' },
+    chargeback: { title: 'Contracargo registrado', icon: '⚠️', type: 'warning' },
+    cancellation: { title: 'Pago cancelado', icon: '⚠️', type: 'warning' },
+    dispute_opened: { title: 'Disputa abierta sobre tu pago', icon: '⚖️', type: 'warning' },
+    dispute_resolved: { title: 'Disputa resuelta', icon: '✅', type: 'success' },
+};
+
+/**
+ * Notificar al usuario un reembolso, contracargo o disputa y cómo queda su plan
+ */
+async function notifyPaymentReversal(audit) {
+    try {
+        const { title, icon, type } = REVERSAL_NOTIFICATIONS[audit.action];
+        const amount = audit.amount ? ` (${audit.amount} ${audit.currency})` : '';
+
+        let planStatus;
+        if (audit.proAfter.isPro) {
+            planStatus = audit.proAfter.proExpiresAt
+                ? `Tu plan PRO sigue activo hasta el ${audit.proAfter.proExpiresAt.toLocaleDateString('es-PE')}.`
+                : 'Tu plan PRO sigue activo.';
+        } else {
+            planStatus = audit.proBefore.isPro ? 'Tu plan PRO fue desactivado.' : 'No tienes un plan PRO activo.';
+        }
+
+        await Notification.create({
+            userId: audit.userId,
+            audience: 'individual',
+            title,
+            message: `Tu pago ${audit.paymentId}${amount} cambió a "${audit.newStatus}". ${planStatus}`,
+            type,
+            icon,
+            actionUrl: '/payments',
+            actionText: 'Ver pagos',
+            metadata: {
+                paymentId: audit.paymentId,
+                provider: audit.provider,
+                action: audit.action,
+                auditId: audit._id,
+            },
+        });
+    } catch (error) {
+        console.error('Error notifying payment reversal:', error.message);
+    }
+}
+
 class PaymentController {
     // ============================================================
     // MERCADO PAGO
@@ -15,14 +299,47 @@ class PaymentController {
     async createMercadoPagoPreference(req, res) {
         try {
             const user = req.user;
-            if (user.isProActive()) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ya tienes un plan PRO activo',
-                    code: 'ALREADY_PRO',
-                });
+            const giftOptions = resolveGiftOptions(req.body);
+            if (giftOptions.error) {
+                return res.status(giftOptions.status).json(giftOptions.error);
+            }
+
+            const { plan, status, error } = resolvePurchasePlan(user, req.body?.planId, giftOptions);
+            if (error) {
+                return res.status(status).json(error);
+            }
+
+            const checkout = await quoteCheckout(req, 'mercadopago', plan);
+            if (checkout.error) {
+                return res.status(checkout.status).json(checkout.error);
+            }
+
+            const ledgerPayment = buildCheckoutPayment(user, 'mercadopago', plan, checkout.pricing, {
+                ...giftOptions,
+                country: checkout.country,
+            });
+            const reservation = await reserveCheckoutCoupon(ledgerPayment);
+            if (reservation.error) {
+                return res.status(reservation.status).json(reservation.error);
+            }
+
+            let preference;
+            try {
+                // La preferencia vence con la reserva del cupón: después ya no se puede pagar
+                preference = await mercadoPagoService.createProPlanPreference(
+                    user,
+                    plan,
+                    checkout.pricing,
+                    ledgerPayment._id,
+                    giftOptions.purpose,
+                    reservation.expiresAt
+                );
+                ledgerPayment.providerOrderId = preference.preferenceId;
+                await ledgerPayment.save();
+            } catch (error) {
+                await checkoutService.releaseCoupon(ledgerPayment);
+                throw error;
             }
-            const preference = await mercadoPagoService.createProPlanPreference(user);
 
             return res.json({
                 success: true,
@@ -32,6 +349,9 @@ class PaymentController {
                     preferenceId: preference.preferenceId,
                     initPoint: preference.initPoint,
                     sandboxInitPoint: preference.sandboxInitPoint,
+                    plan: formatPlan(plan),
+                    pricing: checkout.pricing,
+                    purpose: giftOptions.purpose,
                 },
             });
         } catch (error) {
@@ -47,49 +367,105 @@ class PaymentController {
     /**
      * Webhook de Mercado Pago
      * POST /api/webhooks/mercadopago
+     * Se verifica x-signature antes de procesar; cada entrega queda en WebhookDelivery.
      */
     async handleMercadoPagoWebhook(req, res) {
         try {
+            const webhookData = parseMercadoPagoWebhook(req.body, req.query);
+            const dataId = req.query['data.id'] || req.query.id || webhookData?.data?.id || null;
+
+            const verification = mercadoPagoService.verifyWebhookSignature(req.headers, dataId, webhookData?.account);
+            let outcome = verification.reason;
+            if (verification.valid && (await WebhookDelivery.isReplay('mercadopago', verification.signature))) {
+                outcome = 'replayed';
+            }
+
+            const delivery = await WebhookDelivery.create({
+                provider: 'mercadopago',
+                event: webhookData?.action || webhookData?.type || null,
+                resourceId: dataId ? String(dataId) : null,
+                requestId: verification.requestId,
+                signature: verification.signature,
+                signedAt: verification.signedAt,
+                verification: outcome,
+                status: outcome === 'valid' ? 'received' : 'rejected',
+                reason: outcome === 'valid' ? null : `Firma no válida: ${outcome}`,
+                headers: pickWebhookHeaders(req.headers, ['x-signature', 'x-request-id']),
+                query: req.originalUrl.split('?')[1] || null,
+                body: req.body ?? null,
+            });
+
+            if (outcome !== 'valid') {
+                console.error(`❌ MercadoPago webhook rejected (${outcome}):`, dataId);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Firma de webhook no válida',
+                    code: 'INVALID_WEBHOOK_SIGNATURE',
+                });
+            }
+
             // Responder rápido a MercadoPago para evitar reintentos
             res.status(200).send('OK');
 
-            let webhookData;
+            console.log('📩 MercadoPago Webhook received:', webhookData);
 
-            if (req.body?.action || req.body?.type === 'payment') {
-                webhookData = req.body;
-            } else if (req.query.topic || req.query.type) {
-                webhookData = {
-                    type: req.query.topic || req.query.type,
-                    data: { id: req.query.id || req.query['data.id'] },
-                };
-            } else {
-                console.log('⚠️ Webhook format not recognized');
-                return;
+            await runWebhookDelivery(delivery, () => this.processMercadoPagoWebhook(webhookData));
+        } catch (error) {
+            console.error('Error handling MercadoPago webhook:', error);
+            if (!res.headersSent) {
+                res.status(500).send('Error');
             }
+        }
+    }
 
-            console.log('📩 MercadoPago Webhook received:', webhookData);
+    /**
+     * Aplicar una notificación de MercadoPago ya verificada (también la usa el replay de admin).
+     * Siempre se consulta el pago a MercadoPago: el payload solo aporta el id.
+     * @returns {Promise<{ processed: boolean, reason?: string }>}
+     */
+    async processMercadoPagoWebhook(webhookData) {
+        if (!webhookData) {
+            console.log('⚠️ Webhook format not recognized');
+            return { processed: false, reason: 'Webhook format not recognized' };
+        }
 
-            const result = await mercadoPagoService.processWebhookNotification(webhookData);
+        const result = await mercadoPagoService.processWebhookNotification(webhookData);
 
-            if (!result.processed) {
-                console.log('⚠️ Webhook not processed:', result.reason);
-                return;
-            }
+        if (!result.processed) {
+            console.log('⚠️ Webhook not processed:', result.reason);
+            return result;
+        }
 
-            const { paymentInfo, externalReference } = result;
-            const user = await User.findById(externalReference);
+        const { paymentInfo, externalReference } = result;
+        const user = await User.findById(externalReference);
 
-            if (!user) {
-                console.error('❌ User not found for payment:', externalReference);
-                return;
-            }
+        if (!user) {
+            console.error('❌ User not found for payment:', externalReference);
+            return { processed: false, reason: `User not found: ${externalReference}` };
+        }
 
-            if (mercadoPagoService.isPaymentApproved(paymentInfo)) {
-                await this.activateProPlan(user, paymentInfo, 'mercadopago');
-            }
-        } catch (error) {
-            console.error('Error handling MercadoPago webhook:', error);
+        if (mercadoPagoService.isPaymentApproved(paymentInfo)) {
+            await this.activateProPlan(user, paymentInfo, 'mercadopago', 'webhook');
+        } else if (mercadoPagoService.isPaymentPending(paymentInfo)) {
+            await recordProviderStatus(user, mercadoPagoService, paymentInfo, 'pending', 'webhook');
+        } else if (mercadoPagoService.isPaymentRejected(paymentInfo)) {
+            await recordProviderStatus(user, mercadoPagoService, paymentInfo, 'rejected', 'webhook');
+        }
+
+        // Reembolsos, contracargos y mediaciones sobre un pago ya registrado
+        const reversal = mercadoPagoService.getReversal(paymentInfo);
+        if (reversal) {
+            await this.revokeProPlan('mercadopago', reversal, { source: 'webhook' });
         }
+
+        await Payment.appendWebhook(
+            'mercadopago',
+            { providerPaymentId: paymentInfo.id.toString() },
+            webhookData.action || webhookData.type,
+            webhookData
+        );
+
+        return { processed: true };
     }
 
     // ============================================================
@@ -103,16 +479,39 @@ class PaymentController {
     async createPayPalOrder(req, res) {
         try {
             const user = req.user;
+            const giftOptions = resolveGiftOptions(req.body);
+            if (giftOptions.error) {
+                return res.status(giftOptions.status).json(giftOptions.error);
+            }
 
-            if (user.isProActive()) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ya tienes un plan PRO activo',
-                    code: 'ALREADY_PRO',
-                });
+            const { plan, status, error } = resolvePurchasePlan(user, req.body?.planId, giftOptions);
+            if (error) {
+                return res.status(status).json(error);
+            }
+
+            const checkout = await quoteCheckout(req, 'paypal', plan);
+            if (checkout.error) {
+                return res.status(checkout.status).json(checkout.error);
             }
 
-            const order = await paypalService.createProPlanOrder(user);
+            const ledgerPayment = buildCheckoutPayment(user, 'paypal', plan, checkout.pricing, {
+                ...giftOptions,
+                country: checkout.country,
+            });
+            const reservation = await reserveCheckoutCoupon(ledgerPayment);
+            if (reservation.error) {
+                return res.status(reservation.status).json(reservation.error);
+            }
+
+            let order;
+            try {
+                order = await paypalService.createProPlanOrder(user, plan, checkout.pricing, giftOptions.purpose);
+                ledgerPayment.providerOrderId = order.orderId;
+                await ledgerPayment.save();
+            } catch (error) {
+                await checkoutService.releaseCoupon(ledgerPayment);
+                throw error;
+            }
 
             return res.json({
                 success: true,
@@ -121,6 +520,9 @@ class PaymentController {
                 data: {
                     orderId: order.orderId,
                     approvalUrl: order.approvalUrl,
+                    plan: formatPlan(plan),
+                    pricing: checkout.pricing,
+                    purpose: giftOptions.purpose,
                 },
             });
         } catch (error) {
@@ -158,35 +560,28 @@ class PaymentController {
             // Si ya fue completada (por webhook u otra llamada), simplemente activar PRO
             if (orderCheck.status === 'COMPLETED') {
                 if (paypalService.isPaymentCompleted(orderCheck)) {
-                    await this.activateProPlan(user, orderCheck, 'paypal');
-                    return res.json({
-                        success: true,
-                        message: '¡Pago completado! Plan PRO activado',
-                        data: {
-                            orderId: orderCheck.id,
-                            status: orderCheck.status,
-                            isPro: true,
-                        },
-                    });
+                    const result = await this.activateProPlan(user, orderCheck, 'paypal', 'capture');
+                    return res.json(formatCaptureResponse(orderCheck, result));
                 }
             }
 
+            // El cupón de la orden debe seguir reservado: si no, no se cobra
+            const coupon = await checkoutService.ensureCouponForOrder('paypal', orderId);
+            if (!coupon.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: coupon.reason,
+                    code: 'INVALID_COUPON',
+                });
+            }
+
             // Capturar el pago
             const orderDetails = await paypalService.capturePayment(orderId);
 
             // Verificar que el pago fue completado
             if (paypalService.isPaymentCompleted(orderDetails)) {
-                await this.activateProPlan(user, orderDetails, 'paypal');
-
-                return res.json({
-                    success: true,
-                    message: '¡Pago completado! Plan PRO activado',
-                    data: {
-                        orderId: orderDetails.id,
-                        status: orderDetails.status,
-                        isPro: true,
-                    },
-                });
+                const result = await this.activateProPlan(user, orderDetails, 'paypal', 'capture');
+                return res.json(formatCaptureResponse(orderDetails, result));
             }
 
             return res.status(400).json({
@@ -216,236 +611,1104 @@ class PaymentController {
 
             // ✅ FIX: Verificar signature del webhook usando API REST
             const isValid = await paypalService.verifyWebhookSignature(req.headers, req.rawBody || req.body);
+            const signature = req.headers['paypal-transmission-sig'] || null;
 
-            if (!isValid) {
-                console.error('❌ Invalid PayPal webhook signature');
+            let verification = 'valid';
+            if (!process.env.PAYPAL_WEBHOOK_ID) verification = 'not_configured';
+            else if (!signature) verification = 'missing_signature';
+            else if (!isValid) verification = 'invalid_signature';
+            else if (await WebhookDelivery.isReplay('paypal', signature)) verification = 'replayed';
+
+            const delivery = await WebhookDelivery.create({
+                provider: 'paypal',
+                event: req.body?.event_type || null,
+                resourceId: req.body?.resource?.id || null,
+                requestId: req.headers['paypal-transmission-id'] || null,
+                signature,
+                signedAt: req.headers['paypal-transmission-time'] ? new Date(req.headers['paypal-transmission-time']) : null,
+                verification,
+                status: verification === 'valid' ? 'received' : 'rejected',
+                reason: verification === 'valid' ? null : `Firma no válida: ${verification}`,
+                headers: pickWebhookHeaders(req.headers, PAYPAL_WEBHOOK_HEADERS),
+                body: req.body ?? null,
+            });
+
+            if (verification !== 'valid') {
+                console.error(`❌ Invalid PayPal webhook signature (${verification})`);
                 return;
             }
 
             console.log('📩 PayPal Webhook received:', req.body.event_type);
 
-            const result = await paypalService.processWebhookNotification(req.body);
+            await runWebhookDelivery(delivery, () => this.processPayPalWebhook(req.body));
+        } catch (error) {
+            console.error('Error handling PayPal webhook:', error);
+        }
+    }
 
-            if (!result.processed) {
-                console.log('⚠️ Webhook not processed:', result.reason);
-                return;
-            }
+    /**
+     * Aplicar un evento de PayPal ya verificado (también la usa el replay de admin)
+     * @returns {Promise<{ processed: boolean, reason?: string }>}
+     */
+    async processPayPalWebhook(event) {
+        const result = await paypalService.processWebhookNotification(event);
 
-            const { orderDetails, customId } = result;
-            const user = await User.findById(customId);
+        if (!result.processed) {
+            console.log('⚠️ Webhook not processed:', result.reason);
+            return result;
+        }
 
-            if (!user) {
-                console.error('❌ User not found for order:', customId);
-                return;
-            }
+        if (result.reversal) {
+            await this.revokeProPlan('paypal', result.reversal, { source: 'webhook' });
+            await Payment.appendWebhook('paypal', { providerPaymentId: result.reversal.paymentId }, event.event_type, event);
+            return { processed: true };
+        }
 
-            if (paypalService.isPaymentCompleted(orderDetails)) {
-                await this.activateProPlan(user, orderDetails, 'paypal');
-            }
-        } catch (error) {
-            console.error('Error handling PayPal webhook:', error);
+        const { orderDetails, customId } = result;
+        const user = await User.findById(customId);
+
+        if (!user) {
+            console.error('❌ User not found for order:', customId);
+            return { processed: false, reason: `User not found: ${customId}` };
+        }
+
+        if (paypalService.isPaymentCompleted(orderDetails)) {
+            await this.activateProPlan(user, orderDetails, 'paypal', 'webhook');
         }
+
+        await Payment.appendWebhook('paypal', { providerOrderId: orderDetails.id }, event.event_type, event);
+
+        return { processed: true };
     }
 
     // ============================================================
-    // MÉTODOS COMUNES
+    // WEBHOOKS (ADMIN)
     // ============================================================
 
     /**
-     * ✅ FIX: Activar plan PRO con protección contra race conditions usando findOneAndUpdate
+     * Entregas de webhooks recibidas
+     * GET /api/admin/webhooks?provider=&status=&verification=&resourceId=&page=&limit=
      */
-    async activateProPlan(user, paymentInfo, provider = 'mercadopago') {
+    async adminGetWebhookDeliveries(req, res) {
         try {
-            const paymentId =
-                provider === 'paypal'
-                    ? paymentInfo.id
-                    : paymentInfo.id.toString();
-
-            // ✅ FIX: Usar operación atómica para evitar race conditions
-            // entre el webhook y el capture del frontend
-            const existingUser = await User.findOne({
-                _id: user._id,
-                $or: [
-                    { 'payments.paymentId': paymentId },
-                    { 'payments.mercadoPagoId': paymentId },
-                    { 'payments.paypalOrderId': paymentId },
-                ],
-            });
-
-            if (existingUser) {
-                console.log('⚠️ Payment already processed:', paymentId);
-                return;
-            }
+            const { page = 1, limit = 20, provider, status, verification, resourceId } = req.query;
 
-            // Formatear pago
-            let formattedPayment;
-            if (provider === 'paypal') {
-                formattedPayment = paypalService.formatPaymentData(paymentInfo);
-            } else {
-                formattedPayment = mercadoPagoService.formatPaymentData(paymentInfo);
-            }
-            formattedPayment.provider = provider;
+            const query = {};
+            if (provider) query.provider = provider;
+            if (status) query.status = status;
+            if (verification) query.verification = verification;
+            if (resourceId) query.resourceId = String(resourceId);
 
-            // ✅ FIX: Operación atómica - solo actualiza si el pago NO existe aún
-            const result = await User.findOneAndUpdate(
-                {
-                    _id: user._id,
-                    'payments.paymentId': { $ne: paymentId },
-                    'payments.paypalOrderId': { $ne: paymentId },
-                    'payments.mercadoPagoId': { $ne: paymentId },
-                },
-                {
-                    $set: {
-                        isPro: true,
-                        proExpiresAt: null, // PRO permanente
-                    },
-                    $push: {
-                        payments: formattedPayment,
-                    },
-                },
-                { new: true }
-            );
+            const skip = (parseInt(page) - 1) * parseInt(limit);
 
-            if (result) {
-                console.log(`✅ PRO plan activated for user: ${user.email} (${provider})`);
-            } else {
-                console.log(`ℹ️ PRO plan already active or payment already exists for: ${user.email}`);
-            }
+            const [deliveries, total] = await Promise.all([
+                WebhookDelivery.find(query)
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(parseInt(limit))
+                    .select('-headers -body -__v')
+                    .lean(),
+                WebhookDelivery.countDocuments(query),
+            ]);
+
+            return res.json({
+                success: true,
+                data: deliveries,
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    pages: Math.ceil(total / parseInt(limit)),
+                },
+            });
         } catch (error) {
-            console.error('Error activating PRO plan:', error);
-            throw error;
+            console.error('Error getting webhook deliveries:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener webhooks' });
         }
     }
 
     /**
-     * Verificar estado de un pago
-     * GET /api/payments/:provider/:paymentId/status
+     * Detalle de una entrega (headers y payload incluidos)
+     * GET /api/admin/webhooks/:deliveryId
      */
-    async checkPaymentStatus(req, res) {
+    async adminGetWebhookDelivery(req, res) {
         try {
-            const { provider, paymentId } = req.params;
-            const user = req.user;
-
-            let paymentInfo;
-
-            if (provider === 'paypal') {
-                paymentInfo = await paypalService.getOrderDetails(paymentId);
+            const { deliveryId } = req.params;
 
-                if (paymentInfo.purchase_units?.[0]?.custom_id !== user._id.toString()) {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'No tienes permiso para acceder a este pago',
-                    });
-                }
-
-                return res.json({
-                    success: true,
-                    provider: 'paypal',
-                    data: {
-                        orderId: paymentInfo.id,
-                        status: paymentInfo.status,
-                        isCompleted: paypalService.isPaymentCompleted(paymentInfo),
-                    },
-                });
-            } else if (provider === 'mercadopago') {
-                paymentInfo = await mercadoPagoService.getPaymentInfo(paymentId);
+            if (!isValidObjectId(deliveryId)) {
+                return res.status(400).json({ success: false, message: 'ID de webhook no válido' });
+            }
 
-                if (paymentInfo.external_reference !== user._id.toString()) {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'No tienes permiso para acceder a este pago',
-                    });
-                }
+            const delivery = await WebhookDelivery.findById(deliveryId).populate('replays.by', 'displayName email');
 
-                return res.json({
-                    success: true,
-                    provider: 'mercadopago',
-                    data: {
-                        paymentId: paymentInfo.id,
-                        status: paymentInfo.status,
-                        statusDetail: paymentInfo.status_detail,
-                        isApproved: mercadoPagoService.isPaymentApproved(paymentInfo),
-                    },
-                });
+            if (!delivery) {
+                return res.status(404).json({ success: false, message: 'Webhook no encontrado' });
             }
 
-            return res.status(400).json({
-                success: false,
-                message: 'Proveedor de pago no válido',
-            });
+            return res.json({ success: true, data: delivery });
         } catch (error) {
-            console.error('Error checking payment status:', error);
-            return res.status(500).json({
-                success: false,
-                message: 'Error al verificar estado del pago',
-            });
+            console.error('Error getting webhook delivery:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener el webhook' });
         }
     }
 
     /**
-     * Obtener historial de pagos del usuario
-     * GET /api/payments/history
+     * Volver a procesar una entrega rechazada o fallida.
+     * No se vuelve a verificar la firma: el payload solo aporta ids y el estado se
+     * consulta siempre al proveedor (pago en MercadoPago; orden, captura o disputa en PayPal).
+     * POST /api/admin/webhooks/:deliveryId/replay
      */
-    async getPaymentHistory(req, res) {
+    async adminReplayWebhook(req, res) {
         try {
-            const user = req.user;
+            const { deliveryId } = req.params;
+
+            if (!isValidObjectId(deliveryId)) {
+                return res.status(400).json({ success: false, message: 'ID de webhook no válido' });
+            }
+
+            const delivery = await WebhookDelivery.findById(deliveryId);
+
+            if (!delivery) {
+                return res.status(404).json({ success: false, message: 'Webhook no encontrado' });
+            }
+
+            if (!delivery.canReplay()) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El webhook está en estado "${delivery.status}" y no se puede reprocesar`,
+                    code: 'WEBHOOK_NOT_REPLAYABLE',
+                });
+            }
+
+            let status;
+            let reason = null;
+            try {
+                const result =
+                    delivery.provider === 'mercadopago'
+                        ? await this.processMercadoPagoWebhook(
+                              parseMercadoPagoWebhook(delivery.body, Object.fromEntries(new URLSearchParams(delivery.query || '')))
+                          )
+                        : await this.processPayPalWebhook(delivery.body);
+                status = result.processed ? 'processed' : 'ignored';
+                reason = result.reason || null;
+            } catch (processError) {
+                status = 'failed';
+                reason = processError.message;
+            }
+
+            delivery.replays.push({ by: req.user._id, status, reason });
+            await delivery.markOutcome(status, reason);
+
+            console.log(`🔁 Webhook ${delivery._id} (${delivery.provider}) replayed by ${req.user.email}: ${status}`);
 
             return res.json({
-                success: true,
-                data: {
-                    payments: user.payments || [],
-                    isPro: user.isProActive(),
-                    totalPayments: user.payments?.length || 0,
-                },
+                success: status !== 'failed',
+                message: status === 'failed' ? 'El reprocesamiento falló' : 'Webhook reprocesado',
+                data: delivery,
             });
         } catch (error) {
-            console.error('Error getting payment history:', error);
-            return res.status(500).json({
-                success: false,
-                message: 'Error al obtener historial de pagos',
-            });
+            console.error('Error replaying webhook:', error);
+            return res.status(500).json({ success: false, message: 'Error al reprocesar el webhook' });
         }
     }
 
+    // ============================================================
+    // REGALOS
+    // ============================================================
+
     /**
-     * Simular pago exitoso (solo para desarrollo)
-     * POST /api/payments/simulate-success
+     * Canjear un código de regalo: activa el plan del regalo al usuario autenticado
+     * POST /api/payments/gifts/redeem
+     * Body: { code }
      */
-    async simulatePaymentSuccess(req, res) {
-        if (process.env.NODE_ENV === 'production') {
-            return res.status(403).json({
-                success: false,
-                message: 'Endpoint no disponible en producción',
+    async redeemGift(req, res) {
+        try {
+            const user = req.user;
+            const code = GiftCode.normalizeCode(req.body?.code);
+
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El código de regalo es requerido',
+                });
+            }
+
+            if (user.isProActive() && user.hasPermanentPro()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya tienes un plan PRO permanente',
+                    code: 'ALREADY_PRO',
+                });
+            }
+
+            const gift = await GiftCode.claim(code, user._id);
+
+            if (!gift) {
+                const existing = await GiftCode.findOne({ code });
+                if (!existing) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Código de regalo no encontrado',
+                        code: 'GIFT_NOT_FOUND',
+                    });
+                }
+
+                const unavailable = existing.getUnavailableReason() || {
+                    code: 'GIFT_UNAVAILABLE',
+                    message: 'Este regalo no se puede canjear',
+                };
+                return res.status(400).json({ success: false, ...unavailable });
+            }
+
+            let result;
+            try {
+                // El canje queda en el libro como un pago de monto 0 (provider "gift", id = código)
+                result = await this.grantProPlan(
+                    user._id,
+                    {
+                        userId: user._id,
+                        provider: 'gift',
+                        providerPaymentId: gift.code,
+                        providerOrderId: gift.paymentId.toString(),
+                        planId: gift.planId,
+                        amount: 0,
+                        currency: gift.currency,
+                        providerStatus: 'redeemed',
+                        statusDetail: 'gift',
+                        paymentMethod: 'gift',
+                        paymentType: 'gift',
+                        purpose: 'self',
+                    },
+                    null,
+                    'gift'
+                );
+            } catch (grantError) {
+                await GiftCode.release(gift._id);
+                throw grantError;
+            }
+
+            console.log(`🎁 Gift ${gift.code} redeemed by user: ${user.email}, expires: ${result.proExpiresAt || 'never'}`);
+            await giftService.notifyRedeemed(gift, user, result.proExpiresAt);
+
+            return res.json({
+                success: true,
+                message: '¡Regalo canjeado! Plan PRO activado',
+                data: {
+                    plan: formatPlan(getPlan(gift.planId) || getPlan(DEFAULT_PLAN_ID)),
+                    isPro: true,
+                    proPlan: result.proPlan,
+                    proExpiresAt: result.proExpiresAt,
+                    message: gift.message,
+                },
+            });
+        } catch (error) {
+            console.error('Error redeeming gift:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al canjear el regalo',
+            });
+        }
+    }
+
+    /**
+     * Regalos comprados por el usuario con su estado
+     * GET /api/payments/gifts
+     */
+    async getMyGifts(req, res) {
+        try {
+            const gifts = await GiftCode.find({ purchaserId: req.user._id })
+                .sort({ createdAt: -1 })
+                .populate('redeemedBy', 'displayName email');
+
+            return res.json({
+                success: true,
+                data: gifts.map((gift) => ({
+                    ...gift.toJSON(),
+                    status: gift.getEffectiveStatus(),
+                })),
+            });
+        } catch (error) {
+            console.error('Error getting gifts:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener regalos',
+            });
+        }
+    }
+
+    /**
+     * Listado de códigos de regalo
+     * GET /api/admin/gifts?status=&page=&limit=
+     */
+    async adminGetGifts(req, res) {
+        try {
+            const { page = 1, limit = 20, status } = req.query;
+
+            const query = {};
+            if (status) {
+                if (!GIFT_CODE_STATUSES.includes(status)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Estado no válido. Usa: ${GIFT_CODE_STATUSES.join(', ')}`,
+                    });
+                }
+                query.status = status;
+            }
+
+            const skip = (parseInt(page) - 1) * parseInt(limit);
+
+            const [gifts, total] = await Promise.all([
+                GiftCode.find(query)
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(parseInt(limit))
+                    .populate('purchaserId', 'displayName email')
+                    .populate('redeemedBy', 'displayName email'),
+                GiftCode.countDocuments(query),
+            ]);
+
+            return res.json({
+                success: true,
+                data: gifts.map((gift) => ({
+                    ...gift.toJSON(),
+                    effectiveStatus: gift.getEffectiveStatus(),
+                })),
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    pages: Math.ceil(total / parseInt(limit)),
+                },
+            });
+        } catch (error) {
+            console.error('Error getting gifts:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener regalos' });
+        }
+    }
+
+    /**
+     * Expirar manualmente un código sin canjear
+     * POST /api/admin/gifts/:giftId/expire
+     */
+    async adminExpireGift(req, res) {
+        try {
+            const { giftId } = req.params;
+
+            if (!isValidObjectId(giftId)) {
+                return res.status(400).json({ success: false, message: 'ID de regalo no válido' });
+            }
+
+            const gift = await GiftCode.findOneAndUpdate(
+                { _id: giftId, status: 'active' },
+                { $set: { status: 'expired', expiresAt: new Date() } },
+                { new: true }
+            );
+
+            if (!gift) {
+                const existing = await GiftCode.findById(giftId);
+                if (!existing) {
+                    return res.status(404).json({ success: false, message: 'Regalo no encontrado' });
+                }
+                return res.status(400).json({
+                    success: false,
+                    message: `El regalo está en estado "${existing.status}" y no se puede expirar`,
+                    code: 'GIFT_NOT_ACTIVE',
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Regalo expirado',
+                data: gift,
+            });
+        } catch (error) {
+            console.error('Error expiring gift:', error);
+            return res.status(500).json({ success: false, message: 'Error al expirar el regalo' });
+        }
+    }
+
+    // ============================================================
+    // MÉTODOS COMUNES
+    // ============================================================
+
+    /**
+     * Catálogo de planes PRO
+     * GET /api/payments/plans
+     */
+    async getPlans(req, res) {
+        return res.json({
+            success: true,
+            data: PLANS.map((plan) => ({
+                ...formatPlan(plan),
+                description: plan.description,
+                prices: plan.prices,
+                isLifetime: isLifetimePlan(plan),
+            })),
+        });
+    }
+
+    /**
+     * Precios de los planes en la moneda del país del comprador
+     * GET /api/payments/pricing?country=MX
+     * El país se toma de ?country, del perfil, de los headers de geolocalización o de Accept-Language
+     */
+    async getPricing(req, res) {
+        try {
+            let resolved;
+            if (req.query.country !== undefined) {
+                const country = normalizeCountry(req.query.country);
+                if (!country) {
+                    return res.status(400).json({ success: false, message: 'País no válido', code: 'INVALID_COUNTRY' });
+                }
+                resolved = { country, source: 'query' };
+            } else {
+                resolved = pricingService.resolveCountry(req);
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    ...pricingService.getPricing(resolved.country),
+                    source: resolved.source,
+                },
+            });
+        } catch (error) {
+            console.error('Error getting pricing:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener los precios',
             });
         }
+    }
 
+    /**
+     * Validar un cupón para un plan y devolver el precio con descuento
+     * POST /api/payments/coupons/validate
+     * Body: { code, planId, provider? } — sin provider se cotiza con cada proveedor,
+     * en la moneda con la que cobra al país del usuario
+     */
+    async validateCoupon(req, res) {
         try {
             const user = req.user;
+            const { code, planId, provider } = req.body || {};
 
-            user.isPro = true;
-            user.proExpiresAt = null;
-
-            const mockPayment = {
-                paymentId: 'mock-' + Date.now(),
-                mercadoPagoId: 'mock-' + Date.now(),
-                amount: 1.75,
-                currency: 'USD',
-                status: 'approved',
-                statusDetail: 'accredited',
-                paymentMethod: 'mock',
-                paymentType: 'credit_card',
-                provider: 'simulation',
-                date: new Date(),
+            if (!code || typeof code !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El código del cupón es requerido',
+                });
+            }
+
+            const plan = getPlan(planId || DEFAULT_PLAN_ID);
+            if (!plan) {
+                return res.status(400).json({ success: false, message: 'Plan no válido', code: 'INVALID_PLAN' });
+            }
+
+            if (provider && !PRICING_PROVIDERS.includes(provider)) {
+                return res.status(400).json({ success: false, message: 'Proveedor de pago no válido' });
+            }
+
+            const { country } = pricingService.resolveCountry(req);
+            const selected = provider ? [provider] : PRICING_PROVIDERS;
+            const quotes = {};
+            for (const name of selected) {
+                const currency = resolveProviderCurrency(name, country);
+                const quote = await checkoutService.quote(user, plan, currency, code);
+                if (!quote.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        message: quote.reason,
+                        code: 'INVALID_COUPON',
+                    });
+                }
+                quotes[name] = quote.pricing;
+            }
+
+            return res.json({
+                success: true,
+                message: 'Cupón válido',
+                data: {
+                    code: Object.values(quotes)[0].couponCode,
+                    plan: formatPlan(plan),
+                    country,
+                    pricing: quotes,
+                },
+            });
+        } catch (error) {
+            console.error('Error validating coupon:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al validar el cupón',
+            });
+        }
+    }
+
+    /**
+     * Activar plan PRO por un pago aprobado.
+     * La idempotencia la da el libro de pagos: solo quien pasa el pago a "approved"
+     * (webhook o captura del frontend) activa el plan.
+     * Planes con duración fijan/extienden proExpiresAt; lifetime lo deja en null.
+     * Si el pago es un regalo, en lugar de activar PRO al comprador se emite su código.
+     * @param {string} source - webhook | capture
+     * @returns {Promise<{ payment: Object, changed: boolean, gift?: Object }>}
+     */
+    async activateProPlan(user, paymentInfo, provider = 'mercadopago', source = 'webhook') {
+        try {
+            const service = provider === 'paypal' ? paypalService : mercadoPagoService;
+            const paymentData = { ...service.formatPaymentData(paymentInfo), userId: user._id };
+            const plan = getPlan(paymentData.planId) || getPlan(DEFAULT_PLAN_ID);
+
+            // Cupón aplicado: el descuento es la diferencia con el precio de lista
+            const couponCode = service.getCouponCode(paymentInfo);
+            if (couponCode) {
+                const originalAmount = plan.prices[paymentData.currency] ?? paymentData.amount;
+                paymentData.coupon = {
+                    code: couponCode,
+                    originalAmount,
+                    discountAmount: Math.round((originalAmount - paymentData.amount) * 100) / 100,
+                };
+            }
+
+            const checkoutMatch = service.getCheckoutMatch(paymentInfo);
+
+            if (paymentData.purpose === 'gift') {
+                const { payment, changed } = await Payment.recordStatus('approved', paymentData, checkoutMatch, source);
+
+                // El código se emite de forma idempotente, también si el pago ya estaba aprobado
+                const gift = await giftService.issueForPayment(payment);
+                if (changed) {
+                    console.log(`🎁 Gift ${plan.id} purchased by user: ${user.email} (${provider})`);
+                    await checkoutService.recordRedemption(user._id, payment);
+                    await receiptService.issueForPayment(payment);
+                }
+                return { payment, changed, gift };
+            }
+
+            const result = await this.grantProPlan(user._id, paymentData, checkoutMatch, source);
+
+            if (!result.changed) {
+                console.log('⚠️ Payment already processed:', paymentData.providerPaymentId);
+                return result;
+            }
+
+            console.log(
+                `✅ PRO plan ${plan.id} activated for user: ${user.email} (${provider}), expires: ${result.proExpiresAt || 'never'}`
+            );
+            await checkoutService.recordRedemption(user._id, result.payment);
+            await receiptService.issueForPayment(result.payment);
+
+            return result;
+        } catch (error) {
+            console.error('Error activating PRO plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aprobar un pago en el libro y, solo si este llamado hizo la transición,
+     * fijar/extender el plan PRO del usuario (compartido por pagos y canje de regalos)
+     * @returns {Promise<{ payment, changed, proExpiresAt?, proPlan? }>}
+     */
+    async grantProPlan(userId, paymentData, checkoutMatch, source) {
+        const plan = getPlan(paymentData.planId) || getPlan(DEFAULT_PLAN_ID);
+
+        const { payment, changed } = await Payment.recordStatus('approved', paymentData, checkoutMatch, source);
+        if (!changed) {
+            return { payment, changed };
+        }
+
+        // Vencimiento según el plan (renovaciones extienden el vencimiento vigente)
+        const currentUser = await User.findById(userId).select('isPro proExpiresAt proPlan');
+        const proExpiresAt = computeProExpiry(currentUser, plan);
+        const proPlan = currentUser.hasPermanentPro() ? currentUser.proPlan || DEFAULT_PLAN_ID : plan.id;
+
+        await User.updateOne(
+            { _id: userId },
+            {
+                $set: {
+                    isPro: true,
+                    proExpiresAt, // null = PRO permanente
+                    proPlan,
+                },
+            }
+        );
+
+        return { payment, changed, proExpiresAt, proPlan };
+    }
+
+    /**
+     * Contraparte de activateProPlan: aplica un reembolso, contracargo, cancelación o
+     * disputa sobre un pago del libro. Transiciona el pago, recalcula el acceso PRO con
+     * los pagos que siguen vigentes, deja un registro de auditoría y notifica al usuario.
+     * Es idempotente: si la transición ya ocurrió (o el reembolso ya se registró) no hace nada.
+     * @param {string} provider - mercadopago | paypal | simulation | gift
+     * @param {Object} reversal - { paymentId, status, statusDetail, action, amount, currency, refund?, reason?, fromStatuses? }
+     * @param {Object} options - { source: 'webhook' | 'admin', actorId?, reason? }
+     * @returns {Promise<Object|null>} - Registro de auditoría o null si no hubo cambios
+     */
+    async revokeProPlan(provider, reversal, { source, actorId = null, reason = null } = {}) {
+        try {
+            const { paymentId, status, statusDetail = null, action, fromStatuses, refund } = reversal;
+            const filter = { provider, providerPaymentId: paymentId };
+
+            let previous;
+            if (action === 'partial_refund') {
+                previous = await Payment.applyPartialRefund(filter, refund, { statusDetail, source });
+            } else {
+                const set = { statusDetail };
+                const push = {};
+                if (status === 'refunded') {
+                    set.refundedAt = new Date();
+                    if (refund) push.refunds = { ...refund, source, createdAt: new Date() };
+                }
+                previous = await Payment.transition(filter, status, { from: fromStatuses, set, push, source });
+
+                if (previous && status === 'refunded') {
+                    await Payment.updateOne({ _id: previous._id }, { $set: { refundedAmount: previous.amount } });
+                }
+            }
+
+            if (!previous) {
+                console.log(`ℹ️ Payment ${paymentId} (${provider}) not found or already ${action}`);
+                return null;
+            }
+
+            const user = await User.findById(previous.userId).select('email isPro proExpiresAt proPlan');
+            const proBefore = {
+                isPro: user.isPro,
+                proExpiresAt: user.proExpiresAt,
+                proPlan: user.proPlan,
             };
+            let proAfter = proBefore;
+
+            // Solo se recalcula si el pago dejó de otorgar PRO (o lo vuelve a otorgar)
+            const wasEntitling = ENTITLING_PAYMENT_STATUSES.includes(previous.status);
+            const isEntitling = ENTITLING_PAYMENT_STATUSES.includes(action === 'partial_refund' ? previous.status : status);
+
+            // Un regalo no otorga PRO al comprador: se anula su código (y el PRO de quien lo canjeó)
+            if (previous.purpose === 'gift') {
+                if (wasEntitling && !isEntitling) {
+                    await this.revokeGiftForPayment(previous, reversal, { source, actorId });
+                }
+            } else if (wasEntitling !== isEntitling) {
+                proAfter = computeEntitlement(await Payment.findEntitling(previous.userId));
+                await User.updateOne({ _id: previous.userId }, { $set: proAfter });
+            }
 
-            user.payments.push(mockPayment);
+            const newStatus = action === 'partial_refund' ? previous.status : status;
+            const audit = await PaymentAudit.create({
+                userId: previous.userId,
+                provider,
+                paymentId,
+                action,
+                previousStatus: previous.status,
+                newStatus,
+                amount: reversal.amount ?? previous.amount,
+                currency: reversal.currency || previous.currency,
+                reason: reason || reversal.reason || null,
+                source,
+                actorId,
+                proBefore,
+                proAfter,
+            });
+
+            console.log(
+                `↩️ Payment ${paymentId} (${provider}) ${previous.status} → ${newStatus} for ${user.email}; PRO: ${proBefore.isPro} → ${proAfter.isPro}`
+            );
+
+            await notifyPaymentReversal(audit);
+
+            return audit;
+        } catch (error) {
+            console.error('Error revoking PRO plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Anular el código de un regalo cuya compra dejó de estar aprobada.
+     * Si ya fue canjeado se revierte también el canje del destinatario.
+     */
+    async revokeGiftForPayment(payment, reversal, { source, actorId }) {
+        const reason = `Compra ${reversal.status === 'charged_back' ? 'contracargada' : 'reembolsada'} (${payment.provider} ${payment.providerPaymentId})`;
+        const gift = await giftService.revokeForPayment(payment, reason);
+
+        if (gift?.status === 'redeemed') {
+            await this.revokeProPlan(
+                'gift',
+                {
+                    paymentId: gift.code,
+                    status: reversal.status,
+                    statusDetail: 'gift_revoked',
+                    action: reversal.action,
+                    amount: 0,
+                    currency: gift.currency,
+                },
+                { source, actorId, reason }
+            );
+        }
+    }
+
+    /**
+     * Reembolso iniciado por un admin (total o parcial)
+     * POST /api/admin/payments/:paymentId/refund
+     * :paymentId es el id del libro o el id del pago en el proveedor
+     * Body: { amount?, reason? } — sin amount se reembolsa el saldo restante
+     */
+    async adminRefundPayment(req, res) {
+        try {
+            const { paymentId } = req.params;
+            const { amount, reason } = req.body || {};
+
+            const match = [{ providerPaymentId: paymentId }];
+            if (/^[a-f0-9]{24}$/i.test(paymentId)) match.push({ _id: paymentId });
+
+            const payment = await Payment.findOne({ $or: match });
+
+            if (!payment) {
+                return res.status(404).json({ success: false, message: 'Pago no encontrado' });
+            }
+
+            if (payment.provider === 'gift') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Un canje de regalo no se reembolsa: reembolsa el pago de la compra del regalo',
+                    code: 'PAYMENT_NOT_REFUNDABLE',
+                });
+            }
+
+            if (!ENTITLING_PAYMENT_STATUSES.includes(payment.status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El pago está en estado "${payment.status}" y no se puede reembolsar`,
+                    code: 'PAYMENT_NOT_REFUNDABLE',
+                });
+            }
+
+            const remaining = Math.round((payment.amount - payment.refundedAmount) * 100) / 100;
+
+            let refundAmount = null;
+            if (amount !== undefined && amount !== null && amount !== '') {
+                refundAmount = Math.round(parseFloat(amount) * 100) / 100;
+                if (!(refundAmount > 0) || refundAmount > remaining) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `El monto debe ser mayor a 0 y como máximo ${remaining} ${payment.currency}`,
+                    });
+                }
+            }
+
+            const isPartial = refundAmount !== null && refundAmount < remaining;
+
+            let providerRefund = null;
+            try {
+                if (payment.provider === 'mercadopago') {
+                    providerRefund = await mercadoPagoService.refundPayment(
+                        payment.providerPaymentId,
+                        isPartial ? refundAmount : null,
+                        payment.currency
+                    );
+                } else if (payment.provider === 'paypal') {
+                    providerRefund = await paypalService.refundCapture(
+                        payment.providerPaymentId,
+                        isPartial ? refundAmount : null,
+                        payment.currency
+                    );
+                }
+                // simulation: no hay proveedor al que llamar
+            } catch (providerError) {
+                return res.status(502).json({
+                    success: false,
+                    message: providerError.message,
+                    code: 'PROVIDER_REFUND_FAILED',
+                });
+            }
+
+            // El id del reembolso es el mismo que informará luego el webhook (que así queda sin efecto)
+            const refund = {
+                refundId: providerRefund?.id?.toString() || `${payment.provider}-refund-${Date.now()}`,
+                amount: isPartial ? refundAmount : remaining,
+            };
+            const reversal = isPartial
+                ? { status: payment.status, statusDetail: 'partially_refunded', action: 'partial_refund' }
+                : { status: 'refunded', statusDetail: 'refunded', action: 'refund' };
+
+            const audit = await this.revokeProPlan(
+                payment.provider,
+                {
+                    ...reversal,
+                    paymentId: payment.providerPaymentId,
+                    amount: refund.amount,
+                    currency: payment.currency,
+                    refund,
+                },
+                { source: 'admin', actorId: req.user._id, reason: reason || null }
+            );
+
+            return res.json({
+                success: true,
+                message: isPartial ? 'Reembolso parcial procesado' : 'Reembolso procesado',
+                data: {
+                    audit,
+                    isPro: audit?.proAfter.isPro,
+                },
+            });
+        } catch (error) {
+            console.error('Error refunding payment:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al procesar el reembolso',
+            });
+        }
+    }
+
+    /**
+     * Verificar estado de un pago
+     * GET /api/payments/:provider/:paymentId/status
+     * :paymentId puede ser el id del pago (MercadoPago payment / PayPal capture) o de la orden.
+     * Si el libro ya tiene un estado final responde desde ahí; si no, consulta al proveedor.
+     */
+    async checkPaymentStatus(req, res) {
+        try {
+            const { provider, paymentId } = req.params;
+            const user = req.user;
+
+            if (provider !== 'paypal' && provider !== 'mercadopago') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Proveedor de pago no válido',
+                });
+            }
+
+            const payment = await Payment.findOne({
+                provider,
+                $or: [{ providerPaymentId: paymentId }, { providerOrderId: paymentId }],
+            }).sort({ updatedAt: -1 });
+
+            if (payment && !payment.userId.equals(user._id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No tienes permiso para acceder a este pago',
+                });
+            }
+
+            if (payment?.isFinal()) {
+                const isApproved = ENTITLING_PAYMENT_STATUSES.includes(payment.status);
+                return res.json({
+                    success: true,
+                    provider,
+                    data: {
+                        paymentId: payment.providerPaymentId,
+                        orderId: payment.providerOrderId,
+                        status: payment.status,
+                        statusDetail: payment.statusDetail,
+                        isApproved,
+                        isCompleted: isApproved,
+                        payment,
+                    },
+                });
+            }
+
+            if (provider === 'paypal') {
+                const paymentInfo = await paypalService.getOrderDetails(payment?.providerOrderId || paymentId);
+
+                if (paymentInfo.purchase_units?.[0]?.custom_id !== user._id.toString()) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'No tienes permiso para acceder a este pago',
+                    });
+                }
+
+                return res.json({
+                    success: true,
+                    provider: 'paypal',
+                    data: {
+                        orderId: paymentInfo.id,
+                        status: paymentInfo.status,
+                        isCompleted: paypalService.isPaymentCompleted(paymentInfo),
+                        payment,
+                    },
+                });
+            }
+
+            const paymentInfo = await mercadoPagoService.getPaymentInfo(
+                payment?.providerPaymentId || paymentId,
+                payment?.currency
+            );
+
+            if (paymentInfo.external_reference !== user._id.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No tienes permiso para acceder a este pago',
+                });
+            }
+
+            return res.json({
+                success: true,
+                provider: 'mercadopago',
+                data: {
+                    paymentId: paymentInfo.id,
+                    status: paymentInfo.status,
+                    statusDetail: paymentInfo.status_detail,
+                    isApproved: mercadoPagoService.isPaymentApproved(paymentInfo),
+                    payment,
+                },
+            });
+        } catch (error) {
+            console.error('Error checking payment status:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al verificar estado del pago',
+            });
+        }
+    }
+
+    /**
+     * Obtener historial de pagos del usuario (libro de pagos, sin checkouts abandonados)
+     * GET /api/payments/history
+     */
+    async getPaymentHistory(req, res) {
+        try {
+            const user = req.user;
+
+            const payments = await Payment.find({ userId: user._id, status: { $ne: 'created' } })
+                .sort({ createdAt: -1 })
+                .select('-__v -statusHistory')
+                .lean();
+
+            const receipts = await Receipt.find({ paymentId: { $in: payments.map((payment) => payment._id) } })
+                .select('paymentId number')
+                .lean();
+            const receiptNumbers = new Map(receipts.map((receipt) => [receipt.paymentId.toString(), receipt.number]));
+            for (const payment of payments) {
+                payment.receiptNumber = receiptNumbers.get(payment._id.toString()) || null;
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    payments,
+                    isPro: user.isProActive(),
+                    proPlan: user.proPlan,
+                    proExpiresAt: user.proExpiresAt,
+                    totalPayments: payments.length,
+                },
+            });
+        } catch (error) {
+            console.error('Error getting payment history:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener historial de pagos',
+            });
+        }
+    }
+
+    /**
+     * Comprobante de un pago aprobado, en HTML (por defecto) o PDF
+     * GET /api/payments/:paymentId/receipt?format=html|pdf
+     * También respeta Accept: application/pdf
+     */
+    async getReceipt(req, res) {
+        try {
+            const user = req.user;
+            const { paymentId } = req.params;
+
+            if (!isValidObjectId(paymentId)) {
+                return res.status(400).json({ success: false, message: 'ID de pago inválido' });
+            }
+
+            const format = req.query.format || (req.accepts(['html', 'pdf']) === 'pdf' ? 'pdf' : 'html');
+            if (!['html', 'pdf'].includes(format)) {
+                return res.status(400).json({ success: false, message: 'Formato no válido (html o pdf)' });
+            }
+
+            const filter = user.isAdmin ? { _id: paymentId } : { _id: paymentId, userId: user._id };
+            const payment = await Payment.findOne(filter);
+            if (!payment) {
+                return res.status(404).json({ success: false, message: 'Pago no encontrado' });
+            }
+
+            const receipt = await receiptService.getForPayment(payment);
+            if (!receipt) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Este pago no tiene comprobante (solo se emiten para pagos aprobados)',
+                    code: 'RECEIPT_NOT_AVAILABLE',
+                });
+            }
+
+            res.set('Cache-Control', 'private, no-store');
+
+            if (format === 'pdf') {
+                const pdf = receiptService.renderPdf(receipt);
+                res.set('Content-Type', 'application/pdf');
+                res.set('Content-Disposition', `inline; filename="${receipt.number}.pdf"`);
+                return res.send(pdf);
+            }
+
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            return res.send(receiptService.renderHtml(receipt));
+        } catch (error) {
+            console.error('Error getting receipt:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener el comprobante',
+            });
+        }
+    }
+
+    /**
+     * Simular pago exitoso (solo para desarrollo)
+     * POST /api/payments/simulate-success
+     */
+    async simulatePaymentSuccess(req, res) {
+        if (process.env.NODE_ENV === 'production') {
+            return res.status(403).json({
+                success: false,
+                message: 'Endpoint no disponible en producción',
+            });
+        }
+
+        try {
+            const user = req.user;
+            const { plan, status, error } = resolvePurchasePlan(user, req.body?.planId);
+            if (error) {
+                return res.status(status).json(error);
+            }
+
+            const mockId = 'mock-' + Date.now();
+            const { payment } = await Payment.recordStatus(
+                'approved',
+                {
+                    userId: user._id,
+                    provider: 'simulation',
+                    providerPaymentId: mockId,
+                    providerOrderId: mockId,
+                    planId: plan.id,
+                    amount: plan.prices.USD,
+                    currency: 'USD',
+                    providerStatus: 'approved',
+                    statusDetail: 'accredited',
+                    paymentMethod: 'mock',
+                    paymentType: 'credit_card',
+                },
+                null,
+                'simulation'
+            );
+
+            user.proExpiresAt = computeProExpiry(user, plan);
+            user.proPlan = plan.id;
+            user.isPro = true;
             await user.save();
+            await receiptService.issueForPayment(payment);
 
             return res.json({
                 success: true,
                 message: 'Plan PRO activado (simulación)',
                 data: {
                     isPro: user.isPro,
+                    proPlan: user.proPlan,
+                    proExpiresAt: user.proExpiresAt,
                 },
             });
         } catch (error) {
@@ -1,6 +1,122 @@
-import Template from '../models/Template.js';
+import mongoose from 'mongoose';
+import Template, { TEMPLATE_CATEGORIES, MODERATION_STATUSES } from '../models/Template.js';
+import TemplateVersion from '../models/TemplateVersion.js';
 import Page from '../models/Page.js';
 import storageService from '../services/googleStorageService.js';
+import templateVersionService from '../services/templateVersionService.js';
+import templateSubmissionService, {
+    MAX_PENDING_SUBMISSIONS,
+    MODERATION_ACTIONS,
+    EDITABLE_SUBMISSION_STATUSES,
+} from '../services/templateSubmissionService.js';
+import { sanitizeTemplateSource } from '../utils/htmlSanitizer.js';
+import {
+    isValidObjectId,
+    escapeRegex,
+    parsePaginationParams,
+    formatPaginationResponse,
+} from '../utils/helpers.js';
+import { checkTemplateSource, pickTemplateValues } from '../utils/templateEngine.js';
+
+// Campos del catálogo (listado y búsqueda)
+const CATALOG_FIELDS = 'name description previewImageUrl category isPro tags sortOrder usageCount editableFields createdAt source author.name';
+
+// Órdenes de la búsqueda; "trending" se calcula con los usos recientes
+const SEARCH_SORTS = {
+    popular: { usageCount: -1, sortOrder: 1, createdAt: -1 },
+    trending: null,
+    newest: { createdAt: -1 },
+};
+const TRENDING_WINDOW_DAYS = 7;
+const MAX_SEARCH_LENGTH = 100;
+
+// El catálogo cambia poco: los navegadores/CDN pueden reutilizarlo unos minutos
+const CATALOG_CACHE_CONTROL = 'public, max-age=300, stale-while-revalidate=600';
+const SEARCH_CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=300';
+
+/**
+ * Filtro de plantillas activas a partir de los query params de búsqueda
+ * (?q, ?category, ?tag, ?isPro). Devuelve { filter } o { error }.
+ */
+function buildTemplateSearchFilter({ q, category, tag, isPro }) {
+    const filter = { isActive: true };
+
+    if (q !== undefined && String(q).trim()) {
+        const term = String(q).trim();
+        if (term.length > MAX_SEARCH_LENGTH) {
+            return { error: { message: `La búsqueda admite hasta ${MAX_SEARCH_LENGTH} caracteres`, code: 'INVALID_SEARCH' } };
+        }
+        const pattern = { $regex: escapeRegex(term), $options: 'i' };
+        filter.$or = [{ name: pattern }, { description: pattern }, { tags: pattern }];
+    }
+
+    if (category && category !== 'all') {
+        if (!TEMPLATE_CATEGORIES.includes(category)) {
+            return { error: { message: 'Categoría no válida', code: 'INVALID_CATEGORY' } };
+        }
+        filter.category = category;
+    }
+
+    if (tag !== undefined && String(tag).trim()) {
+        filter.tags = { $regex: `^${escapeRegex(String(tag).trim())}$`, $options: 'i' };
+    }
+
+    if (isPro !== undefined) {
+        if (isPro !== 'true' && isPro !== 'false') {
+            return { error: { message: 'isPro debe ser true o false', code: 'INVALID_FILTER' } };
+        }
+        filter.isPro = isPro === 'true';
+    }
+
+    return { filter };
+}
+
+// Campos de contenido: se versionan (borrador → publicar) en vez de editarse en vivo
+const TEMPLATE_CONTENT_FIELDS = ['html', 'css', 'editableFields'];
+
+// Datos que un usuario PRO puede enviar en una plantilla de la comunidad
+const SUBMISSION_FIELDS = ['name', 'description', 'previewImageUrl', 'category', 'tags', ...TEMPLATE_CONTENT_FIELDS];
+const SUBMISSION_LIST_FIELDS = 'name description previewImageUrl category tags isActive usageCount source author moderation.status moderation.reason moderation.submittedAt moderation.reviewedAt createdAt updatedAt';
+const MAX_SUBMISSION_TAGS = 10;
+const MAX_MODERATION_REASON_LENGTH = 1000;
+
+/**
+ * Tags de un envío: texto corto, en minúsculas y sin repetir
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const normalized = tags
+        .filter((tag) => typeof tag === 'string')
+        .map((tag) => tag.trim().toLowerCase().slice(0, 30))
+        .filter(Boolean);
+    return [...new Set(normalized)].slice(0, MAX_SUBMISSION_TAGS);
+}
+
+/**
+ * Validar el contenido de una plantilla: campos bien definidos, bloques {{#if}} / {{#each}}
+ * balanceados y cada placeholder con su campo editable. El HTML/CSS se sanitiza
+ * conservando los placeholders.
+ * Devuelve { content: { html, css, editableFields } } o { status, error }.
+ */
+function validateTemplateContent(html, css, editableFields = []) {
+    const check = checkTemplateSource({ html, css, editableFields });
+    if (!check.valid) {
+        return {
+            status: 400,
+            error: { success: false, message: check.reason, code: 'INVALID_TEMPLATE_FIELDS' },
+        };
+    }
+
+    try {
+        const source = sanitizeTemplateSource(html, css);
+        return { content: { html: source.html, css: source.css, editableFields } };
+    } catch (sanitizeError) {
+        return {
+            status: 400,
+            error: { success: false, message: sanitizeError.message, code: 'INVALID_TEMPLATE_CODE' },
+        };
+    }
+}
 
 class TemplateController {
     async enforceFreePageLimit(user) {
@@ -39,10 +155,11 @@ class TemplateController {
             }
 
             const templates = await Template.find(filter)
-                .select('name description previewImageUrl category isPro tags sortOrder usageCount editableFields')
+                .select(CATALOG_FIELDS)
                 .sort({ sortOrder: 1, createdAt: -1 })
                 .lean();
 
+            res.set('Cache-Control', CATALOG_CACHE_CONTROL);
             return res.json({
                 success: true,
                 data: templates,
@@ -56,6 +173,76 @@ class TemplateController {
         }
     }
 
+    /**
+     * Usos de cada plantilla (páginas creadas) en los últimos TRENDING_WINDOW_DAYS días
+     * @returns {Promise<Map<string, number>>}
+     */
+    async getRecentUses(templateIds) {
+        const since = new Date(Date.now() - TRENDING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const counts = await Page.aggregate([
+            { $match: { templateId: { $in: templateIds }, createdAt: { $gte: since } } },
+            { $group: { _id: '$templateId', count: { $sum: 1 } } },
+        ]);
+        return new Map(counts.map((item) => [item._id.toString(), item.count]));
+    }
+
+    /**
+     * Buscar plantillas activas
+     * GET /api/templates/search
+     * Query: ?q=texto&category=aniversario&tag=flores&isPro=false&sort=popular|trending|newest&page=1&limit=12
+     */
+    async searchTemplates(req, res) {
+        try {
+            const { sort = 'popular' } = req.query;
+            if (!Object.hasOwn(SEARCH_SORTS, sort)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Orden no válido. Opciones: ${Object.keys(SEARCH_SORTS).join(', ')}`,
+                    code: 'INVALID_SORT',
+                });
+            }
+
+            const { filter, error } = buildTemplateSearchFilter(req.query);
+            if (error) {
+                return res.status(400).json({ success: false, ...error });
+            }
+
+            const { page, limit, skip } = parsePaginationParams(req.query);
+            let templates;
+            let total;
+
+            if (sort === 'trending') {
+                // El catálogo es pequeño: se ordena en memoria por usos recientes
+                const matches = await Template.find(filter).select(CATALOG_FIELDS).lean();
+                const recentUses = await this.getRecentUses(matches.map((template) => template._id));
+
+                total = matches.length;
+                templates = matches
+                    .map((template) => ({ ...template, recentUses: recentUses.get(template._id.toString()) || 0 }))
+                    .sort((a, b) => b.recentUses - a.recentUses || b.usageCount - a.usageCount)
+                    .slice(skip, skip + limit);
+            } else {
+                [templates, total] = await Promise.all([
+                    Template.find(filter).select(CATALOG_FIELDS).sort(SEARCH_SORTS[sort]).skip(skip).limit(limit).lean(),
+                    Template.countDocuments(filter),
+                ]);
+            }
+
+            res.set('Cache-Control', SEARCH_CACHE_CONTROL);
+            return res.json({
+                success: true,
+                ...formatPaginationResponse(templates, total, page, limit),
+                sort,
+            });
+        } catch (error) {
+            console.error('Error searching templates:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al buscar plantillas',
+            });
+        }
+    }
+
     /**
      * Obtener una plantilla por ID (con HTML/CSS para preview)
      * GET /api/templates/:templateId
@@ -66,7 +253,9 @@ class TemplateController {
             const template = await Template.findOne({
                 _id: templateId,
                 isActive: true,
-            }).lean();
+            })
+                .select('-moderation -author.userId')
+                .lean();
 
             if (!template) {
                 return res.status(404).json({
@@ -219,7 +408,7 @@ class TemplateController {
             const user = req.user;
             const { templateId } = req.params;
             const {
-                values,
+                values = {},
                 recipientName,
                 yesButtonText,
                 noButtonText,
@@ -254,45 +443,19 @@ class TemplateController {
                     code: 'PRO_REQUIRED',
                 });
             }
-            // Validar campos requeridos
-            for (const field of template.editableFields) {
-                if (field.required) {
-                    const value = values[field.key];
-
-                    if (field.type === 'image_url') {
-                        if (!value || !value.trim()) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `La imagen "${field.label}" es requerida`,
-                            });
-                        }
-                        try {
-                            const parsed = new URL(value.trim());
-                            if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
-                                return res.status(400).json({
-                                    success: false,
-                                    message: `La URL de "${field.label}" no es válida`,
-                                });
-                            }
-                        } catch {
-                            return res.status(400).json({
-                                success: false,
-                                message: `La URL de "${field.label}" no es válida`,
-                            });
-                        }
-                    } else {
-                        if (!value || !value.trim()) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `El campo "${field.label}" es requerido`,
-                            });
-                        }
-                    }
-                }
+            // Validar valores contra los campos editables (requeridos, URLs de imagen, longitud)
+            const validation = template.validateValues(values);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: validation.reason,
+                    field: validation.field,
+                    code: 'INVALID_TEMPLATE_VALUES',
+                });
             }
 
             // Renderizar HTML/CSS con los valores del usuario
-            const rendered = template.renderHtml(values || {});
+            const rendered = template.renderHtml(values);
 
             const title = values.TITULO || values.TITLE || template.name;
 
@@ -325,6 +488,8 @@ class TemplateController {
                 customCSS: rendered.css,
                 showWatermark: false,
                 templateId: template._id,
+                templateVersion: template.currentVersion,
+                templateValues: pickTemplateValues(template, values),
             };
 
             if (validatedSlug) {
@@ -371,6 +536,169 @@ class TemplateController {
         }
     }
 
+    // ============================================
+    // PLANTILLAS DE LA COMUNIDAD (usuarios PRO)
+    // ============================================
+
+    /**
+     * Enviar una plantilla propia a moderación
+     * POST /api/templates/submissions
+     * Body: { name, description, previewImageUrl, category?, tags?, html, css, editableFields }
+     */
+    async submitTemplate(req, res) {
+        try {
+            const user = req.user;
+            const { name, description, previewImageUrl, category, tags, html, css, editableFields } = req.body;
+
+            if (!name || !description || !html || !css) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Nombre, descripción, HTML y CSS son requeridos',
+                });
+            }
+
+            if (!previewImageUrl) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La imagen de preview es requerida',
+                });
+            }
+
+            if ((await templateSubmissionService.countPending(user._id)) >= MAX_PENDING_SUBMISSIONS) {
+                return res.status(429).json({
+                    success: false,
+                    message: `Puedes tener hasta ${MAX_PENDING_SUBMISSIONS} plantillas en revisión a la vez`,
+                    code: 'TOO_MANY_PENDING_SUBMISSIONS',
+                });
+            }
+
+            const { content, status, error } = validateTemplateContent(html, css, editableFields || []);
+            if (error) {
+                return res.status(status).json(error);
+            }
+
+            const template = await templateSubmissionService.submit(
+                {
+                    name,
+                    description,
+                    previewImageUrl,
+                    category: category || 'otro',
+                    tags: normalizeTags(tags),
+                    ...content,
+                },
+                user
+            );
+
+            return res.status(201).json({
+                success: true,
+                message: 'Plantilla enviada a revisión',
+                data: template,
+            });
+        } catch (error) {
+            console.error('Error submitting template:', error);
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            return res.status(500).json({
+                success: false,
+                message: 'Error al enviar la plantilla',
+            });
+        }
+    }
+
+    /**
+     * Plantillas enviadas por el usuario con su estado de moderación
+     * GET /api/templates/submissions
+     */
+    async getMySubmissions(req, res) {
+        try {
+            const templates = await Template.find({ 'author.userId': req.user._id, source: 'community' })
+                .select(SUBMISSION_LIST_FIELDS)
+                .sort({ createdAt: -1 })
+                .lean();
+
+            return res.json({
+                success: true,
+                data: templates,
+            });
+        } catch (error) {
+            console.error('Error fetching template submissions:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener tus plantillas enviadas',
+            });
+        }
+    }
+
+    /**
+     * Editar un envío en revisión o con cambios pedidos; vuelve a la cola como pendiente
+     * PUT /api/templates/submissions/:templateId
+     * Body: cualquiera de los campos de submitTemplate
+     */
+    async updateSubmission(req, res) {
+        try {
+            const { templateId } = req.params;
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+
+            const template = await Template.findOne({
+                _id: templateId,
+                source: 'community',
+                'author.userId': req.user._id,
+            });
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Plantilla no encontrada',
+                });
+            }
+
+            if (!EDITABLE_SUBMISSION_STATUSES.includes(template.moderation.status)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Solo puedes editar plantillas en revisión o con cambios pedidos',
+                    code: 'SUBMISSION_NOT_EDITABLE',
+                });
+            }
+
+            const updates = {};
+            for (const field of SUBMISSION_FIELDS) {
+                if (req.body[field] !== undefined) updates[field] = req.body[field];
+            }
+            if (updates.tags !== undefined) updates.tags = normalizeTags(updates.tags);
+
+            if (TEMPLATE_CONTENT_FIELDS.some((field) => updates[field] !== undefined)) {
+                const { content, status, error } = validateTemplateContent(
+                    updates.html ?? template.html,
+                    updates.css ?? template.css,
+                    updates.editableFields ?? template.editableFields.map((field) => field.toObject())
+                );
+                if (error) {
+                    return res.status(status).json(error);
+                }
+                Object.assign(updates, content);
+            }
+
+            await templateSubmissionService.resubmit(template, updates, req.user);
+
+            return res.json({
+                success: true,
+                message: 'Plantilla reenviada a revisión',
+                data: template,
+            });
+        } catch (error) {
+            console.error('Error updating template submission:', error);
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar la plantilla enviada',
+            });
+        }
+    }
+
     // ============================================
     // ENDPOINTS ADMIN
     // ============================================
@@ -415,24 +743,15 @@ class TemplateController {
                 });
             }
 
-            const fieldKeys = (editableFields || []).map((f) => f.key);
-            const htmlPlaceholders = [...html.matchAll(/\{\{([A-Z_]+)\}\}/g)].map((m) => m[1]);
-            const cssPlaceholders = [...css.matchAll(/\{\{([A-Z_]+)\}\}/g)].map((m) => m[1]);
-            const allPlaceholders = [...new Set([...htmlPlaceholders, ...cssPlaceholders])];
-
-            const missingFields = allPlaceholders.filter((p) => !fieldKeys.includes(p));
-            if (missingFields.length > 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Placeholders sin campo editable definido: ${missingFields.join(', ')}`,
-                });
+            const { content, status, error } = validateTemplateContent(html, css, editableFields || []);
+            if (error) {
+                return res.status(status).json(error);
             }
 
             const template = await Template.create({
                 name, description, previewImageUrl,
                 category: category || 'otro',
-                html, css,
-                editableFields: editableFields || [],
+                ...content,
                 isPro: isPro !== undefined ? isPro : false,
                 isActive: isActive !== undefined ? isActive : true,
                 sortOrder: sortOrder || 0,
@@ -440,6 +759,9 @@ class TemplateController {
                 createdBy: req.user._id,
             });
 
+            // El contenido inicial es la versión 1 publicada
+            await TemplateVersion.ensureBaseline(template);
+
             return res.status(201).json({
                 success: true,
                 message: 'Plantilla creada exitosamente',
@@ -455,21 +777,45 @@ class TemplateController {
         }
     }
 
+    /**
+     * Guardar cambios de contenido en el borrador de la plantilla. Los campos que no
+     * vienen en el body se toman del borrador existente o de la versión publicada.
+     * Devuelve { draft } o { status, error }.
+     */
+    async saveTemplateDraft(template, body, userId) {
+        const current = (await TemplateVersion.findOne({ templateId: template._id, status: 'draft' })) || template;
+        const { content, status, error } = validateTemplateContent(
+            body.html ?? current.html,
+            body.css ?? current.css,
+            body.editableFields ?? current.editableFields.map((field) => field.toObject?.() ?? field)
+        );
+        if (error) return { status, error };
+
+        const { draft } = await TemplateVersion.saveDraft(template, { ...content, notes: body.notes }, userId);
+        return { draft };
+    }
+
+    /**
+     * Actualizar una plantilla. Los datos del catálogo (nombre, categoría, isPro…) se
+     * aplican en vivo; html/css/editableFields van al borrador y se publican aparte
+     * PATCH /api/admin/templates/:templateId
+     */
     async adminUpdateTemplate(req, res) {
         try {
             const { templateId } = req.params;
-            const updates = req.body;
+            const updates = { ...req.body };
 
             delete updates._id;
             delete updates.createdBy;
             delete updates.usageCount;
+            delete updates.currentVersion;
+            delete updates.notes;
+            // Origen, autor y moderación solo cambian con las acciones de moderación
+            delete updates.source;
+            delete updates.author;
+            delete updates.moderation;
 
-            const template = await Template.findByIdAndUpdate(
-                templateId,
-                { $set: updates },
-                { new: true, runValidators: true }
-            );
-
+            const template = await Template.findById(templateId);
             if (!template) {
                 return res.status(404).json({
                     success: false,
@@ -477,13 +823,42 @@ class TemplateController {
                 });
             }
 
+            // Misma regla que adminToggleTemplate: no se publica una plantilla sin aprobar
+            const activating = mongoose.Schema.Types.Boolean.convertToTrue.has(updates.isActive);
+            if (activating && !template.isActive && !template.canBeActivated()) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Aprueba la plantilla antes de activarla',
+                    code: 'TEMPLATE_NOT_APPROVED',
+                });
+            }
+
+            let draft = null;
+            if (TEMPLATE_CONTENT_FIELDS.some((field) => updates[field] !== undefined)) {
+                const result = await this.saveTemplateDraft(template, req.body, req.user._id);
+                if (result.error) {
+                    return res.status(result.status).json(result.error);
+                }
+                draft = result.draft;
+                for (const field of TEMPLATE_CONTENT_FIELDS) delete updates[field];
+            }
+
+            template.set(updates);
+            await template.save();
+
             return res.json({
                 success: true,
-                message: 'Plantilla actualizada',
+                message: draft
+                    ? `Plantilla actualizada; los cambios de contenido quedaron en el borrador v${draft.version}`
+                    : 'Plantilla actualizada',
                 data: template,
+                draft,
             });
         } catch (error) {
             console.error('Error updating template:', error);
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             return res.status(500).json({
                 success: false,
                 message: 'Error al actualizar plantilla',
@@ -503,6 +878,8 @@ class TemplateController {
                 });
             }
 
+            await TemplateVersion.deleteMany({ templateId: template._id });
+
             return res.json({
                 success: true,
                 message: 'Plantilla eliminada',
@@ -528,6 +905,14 @@ class TemplateController {
                 });
             }
 
+            if (!template.isActive && !template.canBeActivated()) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Aprueba la plantilla antes de activarla',
+                    code: 'TEMPLATE_NOT_APPROVED',
+                });
+            }
+
             template.isActive = !template.isActive;
             await template.save();
 
@@ -544,6 +929,396 @@ class TemplateController {
             });
         }
     }
+
+    // ============================================
+    // VERSIONES (ADMIN)
+    // ============================================
+
+    /**
+     * Historial de versiones de una plantilla (sin html/css)
+     * GET /api/admin/templates/:templateId/versions
+     */
+    async adminGetTemplateVersions(req, res) {
+        try {
+            const { templateId } = req.params;
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+
+            const template = await Template.findById(templateId);
+            if (!template) {
+                return res.status(404).json({ success: false, message: 'Plantilla no encontrada' });
+            }
+
+            await TemplateVersion.ensureBaseline(template);
+            const versions = await TemplateVersion.find({ templateId })
+                .select('-html -css')
+                .sort({ version: -1 })
+                .lean();
+
+            const pageCounts = await Page.aggregate([
+                { $match: { templateId: template._id, isDeleted: false } },
+                { $group: { _id: '$templateVersion', pages: { $sum: 1 } } },
+            ]);
+            const pagesByVersion = new Map(pageCounts.map((row) => [row._id, row.pages]));
+
+            return res.json({
+                success: true,
+                data: {
+                    currentVersion: template.currentVersion,
+                    versions: versions.map((version) => ({
+                        ...version,
+                        pages: pagesByVersion.get(version.version) || 0,
+                    })),
+                    // Páginas creadas antes del versionado (sin valores guardados)
+                    unversionedPages: pagesByVersion.get(null) || 0,
+                },
+            });
+        } catch (error) {
+            console.error('Error fetching template versions:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener versiones' });
+        }
+    }
+
+    /**
+     * Obtener una versión completa (con html/css)
+     * GET /api/admin/templates/:templateId/versions/:version
+     */
+    async adminGetTemplateVersion(req, res) {
+        try {
+            const { templateId } = req.params;
+            const version = parseInt(req.params.version);
+            if (!isValidObjectId(templateId) || !Number.isInteger(version)) {
+                return res.status(400).json({ success: false, message: 'Versión inválida' });
+            }
+
+            const templateVersion = await TemplateVersion.findOne({ templateId, version });
+            if (!templateVersion) {
+                return res.status(404).json({ success: false, message: 'Versión no encontrada' });
+            }
+
+            return res.json({ success: true, data: templateVersion });
+        } catch (error) {
+            console.error('Error fetching template version:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la versión' });
+        }
+    }
+
+    /**
+     * Crear o actualizar el borrador
+     * PUT /api/admin/templates/:templateId/draft
+     * Body: { html?, css?, editableFields?, notes? }
+     */
+    async adminSaveTemplateDraft(req, res) {
+        try {
+            const { templateId } = req.params;
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+
+            const template = await Template.findById(templateId);
+            if (!template) {
+                return res.status(404).json({ success: false, message: 'Plantilla no encontrada' });
+            }
+
+            const { draft, status, error } = await this.saveTemplateDraft(template, req.body || {}, req.user._id);
+            if (error) {
+                return res.status(status).json(error);
+            }
+
+            return res.json({
+                success: true,
+                message: `Borrador v${draft.version} guardado`,
+                data: draft,
+            });
+        } catch (error) {
+            console.error('Error saving template draft:', error);
+            return res.status(500).json({ success: false, message: 'Error al guardar el borrador' });
+        }
+    }
+
+    /**
+     * Previsualizar el borrador (o una versión) con valores de ejemplo, sin publicarlo
+     * POST /api/admin/templates/:templateId/draft/preview
+     * Body: { values?, version? } — sin values se usan los valores por defecto
+     */
+    async adminPreviewTemplateDraft(req, res) {
+        try {
+            const { templateId } = req.params;
+            const { values, version } = req.body || {};
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+            if (version !== undefined && !Number.isInteger(parseInt(version))) {
+                return res.status(400).json({ success: false, message: 'Versión inválida' });
+            }
+
+            const filter = version !== undefined
+                ? { templateId, version: parseInt(version) }
+                : { templateId, status: 'draft' };
+            const templateVersion = await TemplateVersion.findOne(filter);
+            if (!templateVersion) {
+                return res.status(404).json({
+                    success: false,
+                    message: version !== undefined ? 'Versión no encontrada' : 'La plantilla no tiene borrador',
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    version: templateVersion.version,
+                    status: templateVersion.status,
+                    ...templateVersion.renderHtml(values || {}),
+                },
+            });
+        } catch (error) {
+            console.error('Error previewing template draft:', error);
+            return res.status(500).json({ success: false, message: 'Error al previsualizar el borrador' });
+        }
+    }
+
+    /**
+     * Publicar el borrador: pasa a ser lo que ven los usuarios y lo que usan las páginas nuevas.
+     * Las páginas existentes no cambian (ver adminRerenderTemplatePages)
+     * POST /api/admin/templates/:templateId/draft/publish
+     */
+    async adminPublishTemplateDraft(req, res) {
+        try {
+            const { templateId } = req.params;
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+
+            const template = await Template.findById(templateId);
+            if (!template) {
+                return res.status(404).json({ success: false, message: 'Plantilla no encontrada' });
+            }
+
+            const published = await TemplateVersion.publishDraft(template, req.user._id);
+            if (!published) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La plantilla no tiene borrador para publicar',
+                    code: 'NO_DRAFT',
+                });
+            }
+
+            const outdatedPages = await Page.countDocuments({
+                templateId: template._id,
+                isDeleted: false,
+                templateVersion: { $ne: template.currentVersion },
+            });
+
+            return res.json({
+                success: true,
+                message: `Versión ${published.version} publicada`,
+                data: {
+                    template,
+                    version: published,
+                    outdatedPages,
+                },
+            });
+        } catch (error) {
+            console.error('Error publishing template draft:', error);
+            return res.status(500).json({ success: false, message: 'Error al publicar el borrador' });
+        }
+    }
+
+    /**
+     * Descartar el borrador
+     * DELETE /api/admin/templates/:templateId/draft
+     */
+    async adminDiscardTemplateDraft(req, res) {
+        try {
+            const { templateId } = req.params;
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+
+            const draft = await TemplateVersion.findOneAndDelete({ templateId, status: 'draft' });
+            if (!draft) {
+                return res.status(404).json({ success: false, message: 'La plantilla no tiene borrador' });
+            }
+
+            return res.json({ success: true, message: `Borrador v${draft.version} descartado` });
+        } catch (error) {
+            console.error('Error discarding template draft:', error);
+            return res.status(500).json({ success: false, message: 'Error al descartar el borrador' });
+        }
+    }
+
+    /**
+     * Volver a renderizar las páginas existentes con la versión publicada, usando los
+     * valores que cada usuario envió. Se omiten las páginas sin valores guardados y las
+     * que el usuario modificó después de crearlas.
+     * POST /api/admin/templates/:templateId/rerender-pages
+     * Body: { dryRun? } — con dryRun solo cuenta las páginas que se actualizarían
+     */
+    async adminRerenderTemplatePages(req, res) {
+        try {
+            const { templateId } = req.params;
+            const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true';
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+
+            const template = await Template.findById(templateId);
+            if (!template) {
+                return res.status(404).json({ success: false, message: 'Plantilla no encontrada' });
+            }
+
+            const summary = await templateVersionService.rerenderPages(template, {
+                actorId: req.user._id,
+                dryRun,
+            });
+
+            return res.json({
+                success: true,
+                message: dryRun
+                    ? `${summary.updated} páginas se actualizarían a la versión ${summary.version}`
+                    : `${summary.updated} páginas actualizadas a la versión ${summary.version}`,
+                data: { ...summary, dryRun },
+            });
+        } catch (error) {
+            console.error('Error re-rendering template pages:', error);
+            return res.status(500).json({ success: false, message: 'Error al actualizar las páginas' });
+        }
+    }
+
+    // ============================================
+    // MODERACIÓN DE PLANTILLAS DE LA COMUNIDAD (admin)
+    // ============================================
+
+    /**
+     * Cola de moderación (las más antiguas primero)
+     * GET /api/admin/templates/submissions?status=pending&page=1&limit=20
+     */
+    async adminGetSubmissions(req, res) {
+        try {
+            const { status = 'pending' } = req.query;
+            const filter = { source: 'community' };
+            if (status !== 'all') {
+                if (!MODERATION_STATUSES.includes(status)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Estado no válido. Opciones: all, ${MODERATION_STATUSES.join(', ')}`,
+                    });
+                }
+                filter['moderation.status'] = status;
+            }
+
+            const { page, limit, skip } = parsePaginationParams(req.query);
+            const [templates, total] = await Promise.all([
+                Template.find(filter)
+                    .select(SUBMISSION_LIST_FIELDS)
+                    .sort({ 'moderation.submittedAt': 1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .lean(),
+                Template.countDocuments(filter),
+            ]);
+
+            return res.json({
+                success: true,
+                ...formatPaginationResponse(templates, total, page, limit),
+            });
+        } catch (error) {
+            console.error('Error fetching template submissions (admin):', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la cola de moderación' });
+        }
+    }
+
+    /**
+     * Envío completo con su historial de moderación y un preview con los valores por defecto
+     * GET /api/admin/templates/submissions/:templateId
+     */
+    async adminGetSubmission(req, res) {
+        try {
+            const { templateId } = req.params;
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+
+            const template = await Template.findOne({ _id: templateId, source: 'community' })
+                .populate('author.userId', 'displayName email isPro');
+            if (!template) {
+                return res.status(404).json({ success: false, message: 'Plantilla no encontrada' });
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    ...template.toJSON(),
+                    preview: template.renderHtml({}),
+                },
+            });
+        } catch (error) {
+            console.error('Error fetching template submission (admin):', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la plantilla enviada' });
+        }
+    }
+
+    /**
+     * Aprobar, rechazar o pedir cambios a una plantilla de la comunidad; se avisa al autor
+     * POST /api/admin/templates/:templateId/approve | reject | request-changes
+     * Body: { reason } (obligatorio al rechazar o pedir cambios)
+     */
+    async adminModerateTemplate(req, res, action) {
+        try {
+            const { templateId } = req.params;
+            const { from, reasonRequired } = MODERATION_ACTIONS[action];
+            const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+            if (!isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'ID de plantilla inválido' });
+            }
+            if (reasonRequired && !reason) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Indica el motivo para el autor',
+                    code: 'MODERATION_REASON_REQUIRED',
+                });
+            }
+            if (reason.length > MAX_MODERATION_REASON_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El motivo admite hasta ${MAX_MODERATION_REASON_LENGTH} caracteres`,
+                });
+            }
+
+            const template = await Template.findOne({ _id: templateId, source: 'community' });
+            if (!template) {
+                return res.status(404).json({ success: false, message: 'Plantilla no encontrada' });
+            }
+
+            if (!from.includes(template.moderation.status)) {
+                return res.status(409).json({
+                    success: false,
+                    message: `No se puede aplicar esta acción a una plantilla en estado "${template.moderation.status}"`,
+                    code: 'INVALID_MODERATION_TRANSITION',
+                });
+            }
+
+            await templateSubmissionService.moderate(template, action, {
+                reviewerId: req.user._id,
+                reason: reason || null,
+            });
+
+            return res.json({
+                success: true,
+                message: {
+                    approved: 'Plantilla aprobada y publicada',
+                    rejected: 'Plantilla rechazada',
+                    changes_requested: 'Se pidieron cambios al autor',
+                }[template.moderation.status],
+                data: template,
+            });
+        } catch (error) {
+            console.error(`Error moderating template (${action}):`, error);
+            return res.status(500).json({ success: false, message: 'Error al moderar la plantilla' });
+        }
+    }
 }
 
 export default new TemplateController();
@@ -44,6 +44,48 @@ export const responsePageLimiter = rateLimit({
     },
 });
 
+/**
+ * Rate limiter para eventos de analítica reportados por el frontend
+ */
+export const pageEventLimiter = rateLimit({
+    windowMs: 5 * 60 * 1000, // 5 minutos
+    max: 60,
+    message: {
+        success: false,
+        message: 'Demasiados eventos. Intenta más tarde.',
+    },
+    keyGenerator: (req) => `${req.ip}-${req.params.shortId}`,
+});
+
+/**
+ * Rate limiters para intentos de desbloqueo de páginas protegidas.
+ * Solo cuentan los intentos fallidos. Se aplican dos límites:
+ * por visitante + página, y por página (frena ataques distribuidos).
+ */
+export const unlockPageLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutos
+    max: 5,
+    message: {
+        success: false,
+        message: 'Demasiados intentos fallidos. Intenta nuevamente en unos minutos.',
+        code: 'TOO_MANY_UNLOCK_ATTEMPTS',
+    },
+    skipSuccessfulRequests: true,
+    keyGenerator: (req) => `${req.ip}-${req.params.shortId}`,
+});
+
+export const unlockPageGlobalLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hora
+    max: 50,
+    message: {
+        success: false,
+        message: 'Esta página recibió demasiados intentos fallidos. Intenta más tarde.',
+        code: 'TOO_MANY_UNLOCK_ATTEMPTS',
+    },
+    skipSuccessfulRequests: true,
+    keyGenerator: (req) => `page-${req.params.shortId}`,
+});
+
 /**
  * Middleware para validar datos de creación de página
  */
@@ -87,6 +129,23 @@ export const validatePageCreation = (req, res, next) => {
         errors.push('Tipo de página inválido');
     }
 
+    // Validar descripción para generación con IA. sanitizeInputs ya la escapó (& → &amp;…):
+    // se mide el texto original, que es el que se guarda
+    const aiPrompt = typeof req.body.aiPrompt === 'string' ? validator.unescape(req.body.aiPrompt) : null;
+    if (aiPrompt && (aiPrompt.trim().length < 3 || aiPrompt.length > 500)) {
+        errors.push('La descripción para la IA debe tener entre 3 y 500 caracteres');
+    }
+
+    // Validar tipo de pregunta
+    const { questionType, questionPrompt } = req.body;
+    if (questionType && !['yes_no', 'single_choice', 'multi_choice', 'free_text'].includes(questionType)) {
+        errors.push('Tipo de pregunta inválido');
+    }
+
+    if (questionPrompt && questionPrompt.length > 200) {
+        errors.push('La pregunta no puede exceder 200 caracteres');
+    }
+
     if (errors.length > 0) {
         return res.status(400).json({
             success: false,
@@ -99,15 +158,24 @@ export const validatePageCreation = (req, res, next) => {
 };
 
 /**
- * Middleware para validar respuesta a página
+ * Middleware para validar respuesta a página.
+ * Solo valida la forma: el contenido se valida contra la pregunta
+ * de la página en el controlador (page.normalizeAnswer).
  */
 export const validatePageResponse = (req, res, next) => {
     const { answer } = req.body;
 
-    if (!answer || !['yes', 'no'].includes(answer)) {
+    const isText = typeof answer === 'string' && answer.trim().length > 0 && answer.length <= 1000;
+    const isList =
+        Array.isArray(answer) &&
+        answer.length > 0 &&
+        answer.length <= 6 &&
+        answer.every((a) => typeof a === 'string' && a.length <= 50);
+
+    if (!isText && !isList) {
         return res.status(400).json({
             success: false,
-            message: 'Respuesta inválida. Debe ser "yes" o "no"',
+            message: 'Respuesta inválida',
         });
     }
 
@@ -165,6 +233,9 @@ export default {
     generalLimiter,
     createPageLimiter,
     responsePageLimiter,
+    pageEventLimiter,
+    unlockPageLimiter,
+    unlockPageGlobalLimiter,
     validatePageCreation,
     validatePageResponse,
     sanitizeInputs,
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * Secuencias numéricas atómicas (ej: numeración correlativa de comprobantes)
+ */
+
+const counterSchema = new mongoose.Schema({
+    // Nombre de la secuencia
+    _id: {
+        type: String,
+        required: true,
+    },
+    seq: {
+        type: Number,
+        default: 0,
+    },
+});
+
+/**
+ * Siguiente valor de una secuencia (empieza en 1)
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
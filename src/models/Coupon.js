@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import { PLAN_IDS } from '../config/plans.js';
+
+/**
+ * Cupones de descuento para la compra de planes PRO.
+ * - percent: porcentaje sobre el precio del plan (1-99)
+ * - fixed: monto fijo por moneda (amountsOff: { PEN: 2, USD: 0.5 })
+ */
+
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// Monto mínimo a cobrar tras el descuento (los proveedores no aceptan pagos en cero)
+const MIN_CHARGE_AMOUNT = 0.5;
+
+const couponSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: true,
+            unique: true,
+            uppercase: true,
+            trim: true,
+            match: [/^[A-Z0-9_-]{3,30}$/, 'Código inválido (3-30 caracteres: letras, números, - y _)'],
+        },
+        description: {
+            type: String,
+            default: '',
+            trim: true,
+            maxlength: 200,
+        },
+        discountType: {
+            type: String,
+            enum: DISCOUNT_TYPES,
+            required: true,
+        },
+        // Porcentaje para discountType "percent"
+        percentOff: {
+            type: Number,
+            min: 1,
+            max: 99,
+            default: null,
+        },
+        // Monto por moneda para discountType "fixed"
+        amountsOff: {
+            type: Map,
+            of: Number,
+            default: undefined,
+        },
+        // Vigencia (null = sin límite)
+        startsAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        // Canjes totales permitidos (null = ilimitado)
+        maxRedemptions: {
+            type: Number,
+            min: 1,
+            default: null,
+        },
+        // Canjes permitidos por usuario
+        perUserLimit: {
+            type: Number,
+            min: 1,
+            default: 1,
+        },
+        // Planes en los que aplica (vacío = todos)
+        planIds: {
+            type: [{ type: String, enum: PLAN_IDS }],
+            default: [],
+        },
+        redemptionCount: {
+            type: Number,
+            default: 0,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+couponSchema.pre('validate', function (next) {
+    if (this.discountType === 'percent' && !this.percentOff) {
+        this.invalidate('percentOff', 'El porcentaje de descuento es requerido');
+    }
+    if (this.discountType === 'fixed' && (!this.amountsOff || this.amountsOff.size === 0)) {
+        this.invalidate('amountsOff', 'Indica el monto de descuento para al menos una moneda');
+    }
+    next();
+});
+
+/**
+ * Normalizar un código ingresado por el usuario
+ */
+couponSchema.statics.normalizeCode = function (code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+};
+
+couponSchema.statics.findByCode = async function (code) {
+    const normalized = this.normalizeCode(code);
+    if (!normalized) return null;
+    return await this.findOne({ code: normalized });
+};
+
+/**
+ * Verificar si el cupón se puede usar para un plan.
+ * El conteo de canjes por usuario viene de CouponRedemption.
+ * Devuelve { valid: true } o { valid: false, reason }.
+ */
+couponSchema.methods.checkEligibility = function (plan, userRedemptions = 0, now = new Date()) {
+    if (!this.isActive) {
+        return { valid: false, reason: 'Este cupón no está activo' };
+    }
+    if (this.startsAt && this.startsAt > now) {
+        return { valid: false, reason: 'Este cupón aún no está vigente' };
+    }
+    if (this.expiresAt && this.expiresAt <= now) {
+        return { valid: false, reason: 'Este cupón ha expirado' };
+    }
+    if (this.maxRedemptions !== null && this.redemptionCount >= this.maxRedemptions) {
+        return { valid: false, reason: 'Este cupón ya alcanzó su límite de usos' };
+    }
+    if (userRedemptions >= this.perUserLimit) {
+        return { valid: false, reason: 'Ya usaste este cupón' };
+    }
+    if (this.planIds.length > 0 && !this.planIds.includes(plan.id)) {
+        return { valid: false, reason: 'Este cupón no aplica a este plan' };
+    }
+    return { valid: true };
+};
+
+/**
+ * Aplicar el descuento a un monto.
+ * Devuelve { valid, originalAmount, discountAmount, finalAmount } o { valid: false, reason }.
+ */
+couponSchema.methods.applyTo = function (amount, currency) {
+    let discount;
+
+    if (this.discountType === 'percent') {
+        discount = (amount * this.percentOff) / 100;
+    } else {
+        const amountOff = this.amountsOff?.get(currency);
+        if (amountOff === undefined) {
+            return { valid: false, reason: `Este cupón no aplica a pagos en ${currency}` };
+        }
+        discount = amountOff;
+    }
+
+    const finalAmount = Math.round((amount - discount) * 100) / 100;
+    if (finalAmount < MIN_CHARGE_AMOUNT) {
+        return { valid: false, reason: 'El descuento supera el monto mínimo a cobrar' };
+    }
+
+    return {
+        valid: true,
+        originalAmount: amount,
+        discountAmount: Math.round((amount - finalAmount) * 100) / 100,
+        finalAmount,
+    };
+};
+
+couponSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    },
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
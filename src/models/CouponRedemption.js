@@ -0,0 +1,274 @@
+import mongoose from 'mongoose';
+import Payment from './Payment.js';
+
+/**
+ * Canje de un cupón en un pago aprobado.
+ * Se reserva al crear el checkout ("reserved") y se confirma al aprobarse el pago
+ * ("redeemed"): así dos checkouts abiertos a la vez no superan maxRedemptions ni
+ * perUserLimit. Sirve para esos límites y para los reportes de admin.
+ */
+
+export const REDEMPTION_STATUSES = ['reserved', 'redeemed'];
+
+// Vigencia de una reserva sin pagar (también la de la preferencia de MercadoPago)
+export const RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+// Los canjes anteriores a las reservas no tienen status: cuentan como confirmados
+export const REDEEMED_MATCH = { status: { $ne: 'reserved' } };
+
+// Estados del pago del checkout con los que una reserva vencida se libera. Un rechazo
+// no la libera antes: el comprador puede reintentar con otro medio mientras la
+// preferencia/orden siga vigente. pending sigue en curso (un pago en efectivo tarda días).
+const RELEASABLE_LEDGER_STATUSES = ['created', 'rejected', 'cancelled'];
+
+const couponRedemptionSchema = new mongoose.Schema(
+    {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+            required: true,
+        },
+        code: {
+            type: String,
+            required: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: REDEMPTION_STATUSES,
+            default: 'redeemed',
+        },
+        // Pago del libro (checkout) que tomó la reserva
+        ledgerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            default: null,
+        },
+        // Uso del cupón por este usuario (1..perUserLimit); el índice único impide
+        // que dos reservas simultáneas tomen el mismo
+        slot: {
+            type: Number,
+            default: undefined,
+        },
+        // Vencimiento de la reserva (null una vez confirmada)
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        provider: {
+            type: String,
+            required: true,
+        },
+        // Id del pago en el proveedor (null mientras está reservado)
+        paymentId: {
+            type: String,
+            default: null,
+        },
+        planId: {
+            type: String,
+            default: null,
+        },
+        currency: {
+            type: String,
+            required: true,
+        },
+        originalAmount: {
+            type: Number,
+            required: true,
+        },
+        discountAmount: {
+            type: Number,
+            required: true,
+        },
+        finalAmount: {
+            type: Number,
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Un pago solo puede canjear un cupón una vez (webhook + captura del frontend)
+couponRedemptionSchema.index(
+    { couponId: 1, paymentId: 1 },
+    { unique: true, partialFilterExpression: { paymentId: { $type: 'string' } } }
+);
+couponRedemptionSchema.index(
+    { couponId: 1, userId: 1, slot: 1 },
+    { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+couponRedemptionSchema.index({ ledgerId: 1 }, { unique: true, partialFilterExpression: { ledgerId: { $type: 'objectId' } } });
+couponRedemptionSchema.index({ couponId: 1, status: 1, expiresAt: 1 });
+couponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+
+/**
+ * Tomar un uso del límite total del cupón: $inc condicionado a redemptionCount < maxRedemptions
+ * @returns {Promise<boolean>}
+ */
+async function takeCouponUse(couponId) {
+    const coupon = await mongoose.model('Coupon').findOneAndUpdate(
+        {
+            _id: couponId,
+            $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }],
+        },
+        { $inc: { redemptionCount: 1 } }
+    );
+    return Boolean(coupon);
+}
+
+async function returnCouponUse(couponId) {
+    await mongoose.model('Coupon').updateOne({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+}
+
+/**
+ * Reservar un uso del cupón para el checkout de un pago.
+ * Devuelve { valid: true, redemption } o { valid: false, reason }.
+ * @param {Object} coupon
+ * @param {Object} data - { userId, ledgerId, provider, planId, currency, originalAmount, discountAmount, finalAmount }
+ */
+couponRedemptionSchema.statics.reserve = async function (coupon, data, now = new Date()) {
+    await this.releaseExpired(coupon._id, now);
+
+    // Los canjes anteriores a las reservas no tienen slot pero ocupan el límite
+    const legacy = await this.countDocuments({ couponId: coupon._id, userId: data.userId, slot: { $exists: false } });
+    if (legacy >= coupon.perUserLimit) {
+        return { valid: false, reason: 'Ya usaste este cupón' };
+    }
+
+    if (!(await takeCouponUse(coupon._id))) {
+        return { valid: false, reason: 'Este cupón ya alcanzó su límite de usos' };
+    }
+
+    for (let slot = 1; slot <= coupon.perUserLimit - legacy; slot++) {
+        try {
+            const redemption = await this.create({
+                ...data,
+                couponId: coupon._id,
+                code: coupon.code,
+                status: 'reserved',
+                slot,
+                expiresAt: new Date(now.getTime() + RESERVATION_TTL_MS),
+            });
+            return { valid: true, redemption };
+        } catch (error) {
+            if (error.code !== 11000) {
+                await returnCouponUse(coupon._id);
+                throw error;
+            }
+            // El checkout ya tenía su reserva
+            if (error.keyPattern?.ledgerId) {
+                await returnCouponUse(coupon._id);
+                return { valid: true, redemption: await this.findOne({ ledgerId: data.ledgerId }) };
+            }
+        }
+    }
+
+    await returnCouponUse(coupon._id);
+    return { valid: false, reason: 'Ya usaste este cupón o tienes un pago pendiente con él' };
+};
+
+/**
+ * Confirmar la reserva de un checkout al aprobarse su pago
+ * @param {Object} data - { paymentId, finalAmount, ... } campos del pago aprobado
+ * @returns {Promise<Object|null>} - El canje confirmado o null si el checkout no tenía reserva
+ */
+couponRedemptionSchema.statics.confirm = async function (ledgerId, data) {
+    return await this.findOneAndUpdate(
+        { ledgerId, status: 'reserved' },
+        { $set: { ...data, status: 'redeemed', expiresAt: null } },
+        { new: true }
+    );
+};
+
+/**
+ * Liberar la reserva de un checkout que no se pagó (el uso vuelve al cupón)
+ * @returns {Promise<boolean>}
+ */
+couponRedemptionSchema.statics.release = async function (ledgerId) {
+    const reservation = await this.findOneAndDelete({ ledgerId, status: 'reserved' });
+    if (!reservation) return false;
+    await returnCouponUse(reservation.couponId);
+    return true;
+};
+
+/**
+ * Liberar las reservas vencidas de un cupón cuyo pago no está en curso
+ */
+couponRedemptionSchema.statics.releaseExpired = async function (couponId, now = new Date()) {
+    const expired = await this.find({ couponId, status: 'reserved', expiresAt: { $lte: now } }).select('ledgerId');
+
+    for (const reservation of expired) {
+        const ledger = await Payment.findById(reservation.ledgerId).select('status');
+        if (ledger && !RELEASABLE_LEDGER_STATUSES.includes(ledger.status)) continue;
+        await this.release(reservation.ledgerId);
+    }
+};
+
+/**
+ * Registrar un canje sin reserva e incrementar el contador del cupón (idempotente por pago).
+ * Para pagos aprobados cuyo checkout no reservó el cupón: el cobro ya ocurrió, así
+ * que se registra aunque supere los límites (queda en el log para revisarlo).
+ * @returns {Promise<Object|null>} - El canje creado o null si ya existía
+ */
+couponRedemptionSchema.statics.record = async function (coupon, data) {
+    try {
+        const redemption = await this.create({ ...data, couponId: coupon._id, code: coupon.code });
+        const withinLimit = await takeCouponUse(coupon._id);
+        if (!withinLimit) {
+            await mongoose.model('Coupon').updateOne({ _id: coupon._id }, { $inc: { redemptionCount: 1 } });
+        }
+        const used = await this.countForUser(coupon._id, data.userId);
+        if (!withinLimit || used > coupon.perUserLimit) {
+            console.warn(`⚠️ Coupon ${coupon.code} redeemed over its limits by payment ${data.paymentId}`);
+        }
+        return redemption;
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Usos del cupón por un usuario, incluidas las reservas de checkouts en curso
+ */
+couponRedemptionSchema.statics.countForUser = async function (couponId, userId) {
+    return await this.countDocuments({ couponId, userId });
+};
+
+/**
+ * Resumen de canjes de un cupón por moneda (para reportes)
+ */
+couponRedemptionSchema.statics.summarize = async function (couponId) {
+    return await this.aggregate([
+        { $match: { couponId: new mongoose.Types.ObjectId(couponId), ...REDEEMED_MATCH } },
+        {
+            $group: {
+                _id: '$currency',
+                redemptions: { $sum: 1 },
+                uniqueUsers: { $addToSet: '$userId' },
+                totalDiscount: { $sum: '$discountAmount' },
+                totalCharged: { $sum: '$finalAmount' },
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                currency: '$_id',
+                redemptions: 1,
+                uniqueUsers: { $size: '$uniqueUsers' },
+                totalDiscount: { $round: ['$totalDiscount', 2] },
+                totalCharged: { $round: ['$totalCharged', 2] },
+            },
+        },
+    ]);
+};
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
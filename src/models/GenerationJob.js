@@ -0,0 +1,196 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cola de generación de páginas PRO con IA.
+ * createPage crea la página en estado "generating" y encola un trabajo;
+ * generationQueueService los procesa fuera de la petición HTTP.
+ */
+
+export const GENERATION_MODES = ['image', 'prompt'];
+export const GENERATION_JOB_STATUSES = ['queued', 'processing', 'completed', 'failed', 'cancelled'];
+
+// Intentos automáticos antes de marcar el trabajo como fallido
+export const MAX_GENERATION_ATTEMPTS = parseInt(process.env.GENERATION_MAX_ATTEMPTS) || 3;
+
+// Un trabajo "processing" sin terminar tras este tiempo se considera abandonado (ej: reinicio del servidor)
+const STALE_JOB_MS = (parseInt(process.env.GENERATION_JOB_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+
+// Espera entre reintentos automáticos (se multiplica por el número de intento)
+const RETRY_BACKOFF_MS = 30 * 1000;
+
+const generationJobSchema = new mongoose.Schema(
+    {
+        pageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Page',
+            required: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // "image": a partir de referenceImageUrl de la página; "prompt": a partir de aiPrompt
+        mode: {
+            type: String,
+            enum: GENERATION_MODES,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: GENERATION_JOB_STATUSES,
+            default: 'queued',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: MAX_GENERATION_ATTEMPTS,
+        },
+        // Último error (se conserva durante los reintentos)
+        error: {
+            type: String,
+            default: null,
+        },
+        // No procesar antes de esta fecha (backoff entre reintentos)
+        runAfter: {
+            type: Date,
+            default: Date.now,
+        },
+        lockedAt: {
+            type: Date,
+            default: null,
+        },
+        startedAt: {
+            type: Date,
+            default: null,
+        },
+        finishedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Índices
+generationJobSchema.index({ status: 1, runAfter: 1 });
+generationJobSchema.index({ pageId: 1, createdAt: -1 });
+
+/**
+ * Tomar el siguiente trabajo pendiente de forma atómica.
+ * También recupera trabajos "processing" abandonados que aún tienen intentos
+ * (los que no, los cierra failAbandoned).
+ * Devuelve el trabajo ya marcado como "processing" o null.
+ */
+generationJobSchema.statics.claimNext = async function () {
+    const now = new Date();
+
+    return await this.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', runAfter: { $lte: now } },
+                {
+                    status: 'processing',
+                    lockedAt: { $lt: new Date(now.getTime() - STALE_JOB_MS) },
+                    $expr: { $lt: ['$attempts', '$maxAttempts'] },
+                },
+            ],
+        },
+        {
+            $set: { status: 'processing', lockedAt: now, startedAt: now },
+            $inc: { attempts: 1 },
+        },
+        { new: true, sort: { runAfter: 1, createdAt: 1 } }
+    );
+};
+
+/**
+ * Marcar como "failed" un trabajo abandonado que ya agotó sus intentos (el proceso
+ * se cayó o colgó en cada uno). Devuelve el trabajo fallido o null si no hay.
+ */
+generationJobSchema.statics.failAbandoned = async function () {
+    const now = new Date();
+
+    return await this.findOneAndUpdate(
+        {
+            status: 'processing',
+            lockedAt: { $lt: new Date(now.getTime() - STALE_JOB_MS) },
+            $expr: { $gte: ['$attempts', '$maxAttempts'] },
+        },
+        {
+            $set: {
+                status: 'failed',
+                error: 'La generación se interrumpió sin terminar en todos los intentos',
+                lockedAt: null,
+                finishedAt: now,
+            },
+        },
+        { new: true, sort: { lockedAt: 1 } }
+    );
+};
+
+/**
+ * Trabajo más reciente de una página
+ */
+generationJobSchema.statics.findLatestForPage = async function (pageId) {
+    return await this.findOne({ pageId }).sort({ createdAt: -1 });
+};
+
+/**
+ * Marcar como completado
+ */
+generationJobSchema.methods.markCompleted = async function () {
+    this.status = 'completed';
+    this.error = null;
+    this.lockedAt = null;
+    this.finishedAt = new Date();
+    return await this.save();
+};
+
+/**
+ * Registrar un fallo: vuelve a la cola con backoff si quedan intentos,
+ * si no queda como "failed". Devuelve true si el fallo es definitivo.
+ */
+generationJobSchema.methods.markFailed = async function (message) {
+    this.error = message;
+    this.lockedAt = null;
+
+    if (this.attempts < this.maxAttempts) {
+        this.status = 'queued';
+        this.runAfter = new Date(Date.now() + RETRY_BACKOFF_MS * this.attempts);
+        await this.save();
+        return false;
+    }
+
+    this.status = 'failed';
+    this.finishedAt = new Date();
+    await this.save();
+    return true;
+};
+
+/**
+ * Volver a encolar un trabajo fallido (reintento manual del dueño)
+ */
+generationJobSchema.methods.requeue = async function () {
+    this.status = 'queued';
+    this.attempts = 0;
+    this.error = null;
+    this.runAfter = new Date();
+    this.lockedAt = null;
+    this.startedAt = null;
+    this.finishedAt = null;
+    return await this.save();
+};
+
+generationJobSchema.methods.canRetry = function () {
+    return this.status === 'failed';
+};
+
+const GenerationJob = mongoose.model('GenerationJob', generationJobSchema);
+
+export default GenerationJob;
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * Código de regalo PRO.
+ * Se emite cuando se aprueba un pago con purpose "gift" (uno por pago) y lo canjea
+ * otro usuario con POST /api/payments/gifts/redeem.
+ */
+
+export const GIFT_CODE_STATUSES = ['active', 'redeemed', 'expired', 'revoked'];
+
+// Sin caracteres ambiguos (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Vigencia de un código sin canjear (GIFT_CODE_EXPIRY_DAYS, 365 por defecto)
+export function getGiftExpiryDays() {
+    return parseInt(process.env.GIFT_CODE_EXPIRY_DAYS) || 365;
+}
+
+const giftCodeSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        planId: {
+            type: String,
+            required: true,
+        },
+        purchaserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // Pago del libro que compró el regalo
+        paymentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            required: true,
+            unique: true,
+        },
+        provider: {
+            type: String,
+            required: true,
+        },
+        currency: {
+            type: String,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: GIFT_CODE_STATUSES,
+            default: 'active',
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // Opcionales: a quién va dirigido y dedicatoria
+        recipientEmail: {
+            type: String,
+            default: null,
+            lowercase: true,
+            trim: true,
+        },
+        message: {
+            type: String,
+            default: null,
+            maxlength: 300,
+        },
+        redeemedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        redeemedAt: {
+            type: Date,
+            default: null,
+        },
+        // Motivo al revocar (reembolso/contracargo de la compra o admin)
+        revokedReason: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+giftCodeSchema.index({ purchaserId: 1, createdAt: -1 });
+giftCodeSchema.index({ status: 1, expiresAt: 1 });
+
+// ============================================
+// STATICS
+// ============================================
+
+/**
+ * Generar un código legible: GIFT-XXXX-XXXX-XXXX
+ */
+giftCodeSchema.statics.generateCode = function () {
+    const groups = [];
+    for (let g = 0; g < 3; g++) {
+        let group = '';
+        for (let i = 0; i < 4; i++) {
+            group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        groups.push(group);
+    }
+    return `GIFT-${groups.join('-')}`;
+};
+
+giftCodeSchema.statics.normalizeCode = function (code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+};
+
+/**
+ * Emitir el código de un pago de regalo aprobado (idempotente por pago)
+ * @returns {Promise<{ gift: Object, created: boolean }>}
+ */
+giftCodeSchema.statics.issueForPayment = async function (payment, now = new Date()) {
+    const existing = await this.findOne({ paymentId: payment._id });
+    if (existing) return { gift: existing, created: false };
+
+    const expiresAt = new Date(now.getTime() + getGiftExpiryDays() * 24 * 60 * 60 * 1000);
+
+    // Reintentar si el código aleatorio choca con uno existente
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            const gift = await this.create({
+                code: this.generateCode(),
+                planId: payment.planId,
+                purchaserId: payment.userId,
+                paymentId: payment._id,
+                provider: payment.provider,
+                currency: payment.currency,
+                expiresAt,
+                recipientEmail: payment.gift?.recipientEmail || null,
+                message: payment.gift?.message || null,
+            });
+            return { gift, created: true };
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            if (error.keyPattern?.paymentId) {
+                return { gift: await this.findOne({ paymentId: payment._id }), created: false };
+            }
+        }
+    }
+
+    throw new Error('No se pudo generar un código de regalo único');
+};
+
+/**
+ * Reservar un código para canjearlo (atómico: solo un usuario lo obtiene)
+ * @returns {Promise<Object|null>} - El regalo ya marcado como canjeado, o null
+ */
+giftCodeSchema.statics.claim = async function (code, userId, now = new Date()) {
+    return await this.findOneAndUpdate(
+        { code: this.normalizeCode(code), status: 'active', expiresAt: { $gt: now } },
+        { $set: { status: 'redeemed', redeemedBy: userId, redeemedAt: now } },
+        { new: true }
+    );
+};
+
+/**
+ * Deshacer un claim si la activación del plan falló
+ */
+giftCodeSchema.statics.release = async function (giftId) {
+    await this.updateOne(
+        { _id: giftId, status: 'redeemed' },
+        { $set: { status: 'active', redeemedBy: null, redeemedAt: null } }
+    );
+};
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Estado real (un código activo con expiresAt vencido ya está expirado aunque el barrido no haya pasado)
+ */
+giftCodeSchema.methods.getEffectiveStatus = function (now = new Date()) {
+    if (this.status === 'active' && this.expiresAt <= now) return 'expired';
+    return this.status;
+};
+
+/**
+ * Motivo por el que un código no se puede canjear (null si se puede)
+ */
+giftCodeSchema.methods.getUnavailableReason = function (now = new Date()) {
+    switch (this.getEffectiveStatus(now)) {
+        case 'redeemed':
+            return { code: 'GIFT_ALREADY_REDEEMED', message: 'Este regalo ya fue canjeado' };
+        case 'expired':
+            return { code: 'GIFT_EXPIRED', message: 'Este regalo ha expirado' };
+        case 'revoked':
+            return { code: 'GIFT_REVOKED', message: 'Este regalo fue anulado' };
+        default:
+            return null;
+    }
+};
+
+giftCodeSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    },
+});
+
+const GiftCode = mongoose.model('GiftCode', giftCodeSchema);
+
+export default GiftCode;
@@ -1,12 +1,87 @@
 import mongoose from 'mongoose';
 import { nanoid } from 'nanoid';
+import PageEvent from './PageEvent.js';
+import { isValidTimeZone, zonedTimeToUtc } from '../utils/helpers.js';
+import { normalizeSecret, hashSecret } from '../utils/pageSecrets.js';
+
+// Tipos de pregunta soportados por una página
+export const QUESTION_TYPES = ['yes_no', 'single_choice', 'multi_choice', 'free_text'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+
+// Límites de opciones para preguntas de selección
+export const MIN_QUESTION_OPTIONS = 2;
+export const MAX_QUESTION_OPTIONS = 6;
+
+const questionOptionSchema = new mongoose.Schema(
+    {
+        // Identificador estable de la opción (las respuestas lo referencian)
+        id: {
+            type: String,
+            default: () => nanoid(6),
+        },
+        label: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+    },
+    { _id: false }
+);
+
+const questionSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: QUESTION_TYPES,
+            default: 'yes_no',
+        },
+        // Texto de la pregunta (si es null, el título de la página hace de pregunta)
+        prompt: {
+            type: String,
+            default: null,
+            maxlength: 200,
+        },
+        // Solo para single_choice / multi_choice
+        options: {
+            type: [questionOptionSchema],
+            default: [],
+            validate: {
+                validator: function (v) {
+                    if (!CHOICE_TYPES.includes(this.type)) return true;
+                    return v.length >= MIN_QUESTION_OPTIONS && v.length <= MAX_QUESTION_OPTIONS;
+                },
+                message: `Las preguntas de selección requieren entre ${MIN_QUESTION_OPTIONS} y ${MAX_QUESTION_OPTIONS} opciones`,
+            },
+        },
+        // Solo para free_text: longitud máxima de la respuesta
+        maxLength: {
+            type: Number,
+            default: 500,
+            min: 1,
+            max: 1000,
+        },
+    },
+    { _id: false }
+);
 
 const responseSchema = new mongoose.Schema(
     {
+        // yes_no: 'yes' | 'no' — single_choice: id de la opción elegida
         answer: {
             type: String,
-            enum: ['yes', 'no'],
-            required: true,
+            default: null,
+        },
+        // multi_choice: ids de las opciones elegidas
+        selectedOptions: {
+            type: [String],
+            default: undefined,
+        },
+        // free_text: respuesta escrita por el destinatario
+        textAnswer: {
+            type: String,
+            default: null,
+            maxlength: 1000,
         },
         ipAddress: {
             type: String,
@@ -32,6 +107,41 @@ const responseSchema = new mongoose.Schema(
     { _id: true }
 );
 
+// Estados de la generación con IA de páginas PRO
+export const GENERATION_STATUSES = ['ready', 'generating', 'failed'];
+
+export const PROTECTION_TYPES = ['none', 'passphrase', 'question'];
+
+// Protección de acceso: frase secreta o pregunta que solo el destinatario sabe responder
+const protectionSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: PROTECTION_TYPES,
+            default: 'none',
+        },
+        // Pregunta visible públicamente (solo para type = 'question')
+        question: {
+            type: String,
+            default: null,
+            trim: true,
+            maxlength: 200,
+        },
+        // Hash scrypt "salt:hash" de la frase o respuesta (nunca se expone)
+        secretHash: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        // Se incrementa al cambiar el secreto para invalidar tokens emitidos
+        version: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { _id: false }
+);
+
 // Slugs reservados que no se pueden usar
 const RESERVED_SLUGS = [
     'admin', 'api', 'dashboard', 'login', 'signup', 'create', 'edit',
@@ -112,6 +222,16 @@ const pageSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Pregunta que responde el destinatario (por defecto sí/no con los botones)
+        question: {
+            type: questionSchema,
+            default: () => ({}),
+        },
+        // Protección con frase/pregunta secreta
+        protection: {
+            type: protectionSchema,
+            default: () => ({}),
+        },
 
         // ============================================
         // TIPO DE PÁGINA
@@ -135,6 +255,18 @@ const pageSchema = new mongoose.Schema(
             type: String,
             default: null,
         },
+        // Descripción usada para generar la página con IA sin imagen de referencia
+        aiPrompt: {
+            type: String,
+            default: null,
+            maxlength: 500,
+        },
+        // Estado de la generación con IA (se procesa en segundo plano, ver GenerationJob)
+        generationStatus: {
+            type: String,
+            enum: GENERATION_STATUSES,
+            default: 'ready',
+        },
 
         // ============================================
         // DISEÑO - TEMA Y COLORES
@@ -276,12 +408,36 @@ const pageSchema = new mongoose.Schema(
         expiresAt: {
             type: Date,
             default: null,
+        },
+        // Publicación programada: la página no es visible antes de esta fecha
+        publishAt: {
+            type: Date,
+            default: null,
+        },
+        // Zona horaria IANA en la que se programó (para mostrar la cuenta regresiva)
+        publishTimezone: {
+            type: String,
+            default: null,
+            validate: {
+                validator: (v) => !v || isValidTimeZone(v),
+                message: 'Zona horaria inválida',
+            },
         },
           templateId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Template',
             default: null,
         },
+        // Versión publicada de la plantilla con la que se renderizó la página
+        templateVersion: {
+            type: Number,
+            default: null,
+        },
+        // Valores de los campos editables enviados por el usuario (para volver a renderizar)
+        templateValues: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -293,6 +449,12 @@ pageSchema.index({ shortId: 1 });
 pageSchema.index({ customSlug: 1 }, { unique: true, sparse: true });
 pageSchema.index({ userId: 1, createdAt: -1 });
 pageSchema.index({ isActive: 1, expiresAt: 1 });
+pageSchema.index({ templateId: 1, templateVersion: 1 });
+// Usos recientes de cada plantilla (orden "trending" del catálogo)
+pageSchema.index({ templateId: 1, createdAt: -1 });
+
+// Máximo de anticipación para programar una página
+const MAX_SCHEDULE_DAYS = 366;
 
 // 🆕 Método para generar URL completa (actualizado para soportar custom slug)
 pageSchema.methods.getFullUrl = function () {
@@ -325,7 +487,9 @@ pageSchema.statics.isSlugAvailable = async function (slug) {
 };
 
 // 🆕 Método estático para buscar por shortId O customSlug
+// Solo devuelve páginas visibles: activas, no expiradas y ya publicadas
 pageSchema.statics.findByIdentifier = async function (identifier) {
+    const now = new Date();
     return await this.findOne({
         $or: [
             { shortId: identifier },
@@ -337,39 +501,222 @@ pageSchema.statics.findByIdentifier = async function (identifier) {
             {
                 $or: [
                     { expiresAt: null },
-                    { expiresAt: { $gt: new Date() } }
+                    { expiresAt: { $gt: now } }
+                ]
+            },
+            {
+                $or: [
+                    { publishAt: null },
+                    { publishAt: { $lte: now } }
                 ]
             }
-        ]
+        ],
+        generationStatus: { $ne: 'generating' },
     }).populate('userId', 'displayName');
 };
 
-// Método para incrementar vistas únicas de forma atómica.
-// Solo cuenta si el fingerprint (IP + user-agent hasheado) es nuevo.
-// Devuelve true si fue un visitante nuevo, false si ya había visitado.
-pageSchema.methods.incrementViews = async function (fingerprint = null) {
-    if (!fingerprint) return false;
-
-    const existing = await this.constructor.findOne(
-        { _id: this._id, viewerFingerprints: fingerprint },
-        { _id: 1 }
-    );
-
-    if (!existing) {
-        await this.constructor.findByIdAndUpdate(this._id, {
-            $inc: { views: 1, uniqueViews: 1 },
-            $push: { viewerFingerprints: fingerprint },
-        });
-        return true;
+/**
+ * Explicar por qué una página no es visible (cuando findByIdentifier devuelve null).
+ * Devuelve { status, code, message, data? } o null si la página no existe.
+ */
+pageSchema.statics.getUnavailableReason = async function (identifier) {
+    const now = new Date();
+    const page = await this.findOne({
+        $or: [{ shortId: identifier }, { customSlug: identifier }],
+        isActive: true,
+        isDeleted: { $ne: true },
+    }).select('expiresAt publishAt publishTimezone generationStatus');
+
+    if (!page) return null;
+
+    if (page.generationStatus === 'generating') {
+        return { status: 403, code: 'PAGE_GENERATING', message: 'Esta página aún se está generando' };
+    }
+
+    if (page.expiresAt && page.expiresAt <= now) {
+        return { status: 410, code: 'PAGE_EXPIRED', message: 'Esta página ha expirado' };
+    }
+
+    if (page.publishAt && page.publishAt > now) {
+        return {
+            status: 403,
+            code: 'PAGE_NOT_YET_PUBLISHED',
+            message: 'Esta página aún no está disponible',
+            data: {
+                publishAt: page.publishAt,
+                publishTimezone: page.publishTimezone,
+                serverTime: now,
+                secondsRemaining: Math.ceil((page.publishAt - now) / 1000),
+            },
+        };
     }
 
-    return false;
+    return null;
 };
 
-// Método para agregar respuesta
-pageSchema.methods.addResponse = async function (answer, metadata = {}) {
+/**
+ * Resolver la fecha de publicación programada.
+ * Acepta un ISO con offset ("2027-02-14T05:00:00Z") o una fecha/hora local
+ * ("2027-02-14T00:00") que se interpreta en `timezone` (UTC si no se indica).
+ * Un valor vacío/null significa "publicar ahora".
+ * Devuelve { valid: true, publishAt, publishTimezone } o { valid: false, reason }.
+ */
+pageSchema.statics.resolveSchedule = function (publishAt, timezone) {
+    if (publishAt === undefined || publishAt === null || publishAt === '' || publishAt === 'null') {
+        return { valid: true, publishAt: null, publishTimezone: null };
+    }
+
+    const publishTimezone = timezone || 'UTC';
+    if (!isValidTimeZone(publishTimezone)) {
+        return { valid: false, reason: 'Zona horaria inválida' };
+    }
+
+    const value = String(publishAt).trim();
+    const date = /(Z|[+-]\d{2}:?\d{2})$/.test(value) ? new Date(value) : zonedTimeToUtc(value, publishTimezone);
+
+    if (!date || isNaN(date.getTime())) {
+        return { valid: false, reason: 'Fecha de publicación inválida' };
+    }
+
+    const now = Date.now();
+    if (date.getTime() <= now) {
+        return { valid: false, reason: 'La fecha de publicación debe ser futura' };
+    }
+    if (date.getTime() > now + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        return { valid: false, reason: `Solo se puede programar hasta ${MAX_SCHEDULE_DAYS} días de anticipación` };
+    }
+
+    return { valid: true, publishAt: date, publishTimezone };
+};
+
+/**
+ * Construir la protección de acceso (sin guardarla).
+ * type: 'none' | 'passphrase' | 'question'; secret: frase o respuesta; question: pregunta visible.
+ * Devuelve { valid: true, protection } o { valid: false, reason }.
+ */
+pageSchema.statics.buildProtection = async function (type, { secret, question } = {}, currentVersion = 0) {
+    if (!PROTECTION_TYPES.includes(type)) {
+        return { valid: false, reason: 'Tipo de protección inválido' };
+    }
+
+    if (type === 'none') {
+        return {
+            valid: true,
+            protection: { type: 'none', question: null, secretHash: null, version: currentVersion + 1 },
+        };
+    }
+
+    const trimmedQuestion = question?.trim() || null;
+    if (type === 'question' && !trimmedQuestion) {
+        return { valid: false, reason: 'La pregunta secreta es requerida' };
+    }
+    if (trimmedQuestion && trimmedQuestion.length > 200) {
+        return { valid: false, reason: 'La pregunta secreta no puede exceder 200 caracteres' };
+    }
+
+    const normalizedSecret = normalizeSecret(secret, type);
+    if (type === 'passphrase' && normalizedSecret.length < 4) {
+        return { valid: false, reason: 'La frase secreta debe tener al menos 4 caracteres' };
+    }
+    if (!normalizedSecret || normalizedSecret.length > 200) {
+        return { valid: false, reason: 'La respuesta secreta debe tener entre 1 y 200 caracteres' };
+    }
+
+    return {
+        valid: true,
+        protection: {
+            type,
+            question: type === 'question' ? trimmedQuestion : null,
+            secretHash: await hashSecret(secret, type),
+            version: currentVersion + 1,
+        },
+    };
+};
+
+// Indica si la página requiere desbloqueo
+pageSchema.methods.isProtected = function () {
+    return !!this.protection && this.protection.type !== 'none';
+};
+
+// Indica si la página ya es visible según su programación
+pageSchema.methods.isPublished = function () {
+    return !this.publishAt || this.publishAt <= new Date();
+};
+
+// Registrar una vista (evento "view") e incrementar las vistas únicas si el
+// fingerprint (IP + user-agent hasheado) es nuevo. La inserción de la primera vista
+// en PageEvent es la que decide (índice único): visitas simultáneas cuentan una vez.
+// viewerFingerprints se conserva solo para las visitas históricas.
+// Devuelve true si fue un visitante nuevo, false si ya había visitado.
+pageSchema.methods.incrementViews = async function (eventContext = {}) {
+    const fingerprint = eventContext.fingerprint || null;
+    const legacyViewer = fingerprint
+        ? await this.constructor.exists({ _id: this._id, viewerFingerprints: fingerprint })
+        : null;
+
+    const isNew = await PageEvent.recordView(this._id, eventContext, { knownViewer: !!legacyViewer });
+    if (!isNew) return false;
+
+    await this.constructor.findByIdAndUpdate(this._id, {
+        $inc: { views: 1, uniqueViews: 1 },
+    });
+    return true;
+};
+
+/**
+ * Validar y normalizar una respuesta según el tipo de pregunta de la página.
+ * - yes_no: 'yes' | 'no'
+ * - single_choice: id de una opción
+ * - multi_choice: array de ids de opciones (o un solo id)
+ * - free_text: texto libre hasta question.maxLength
+ * Devuelve { valid: true, response } o { valid: false, reason }.
+ */
+pageSchema.methods.normalizeAnswer = function (answer) {
+    const question = this.question || {};
+    const type = question.type || 'yes_no';
+    const optionIds = (question.options || []).map((o) => o.id);
+
+    switch (type) {
+        case 'single_choice':
+            if (typeof answer !== 'string' || !optionIds.includes(answer)) {
+                return { valid: false, reason: 'Opción inválida' };
+            }
+            return { valid: true, response: { answer } };
+
+        case 'multi_choice': {
+            const selected = [...new Set(Array.isArray(answer) ? answer : [answer])];
+            if (selected.length === 0 || !selected.every((id) => optionIds.includes(id))) {
+                return { valid: false, reason: 'Una o más opciones son inválidas' };
+            }
+            return { valid: true, response: { selectedOptions: selected } };
+        }
+
+        case 'free_text': {
+            const text = typeof answer === 'string' ? answer.trim() : '';
+            const maxLength = question.maxLength || 500;
+            if (!text) {
+                return { valid: false, reason: 'La respuesta no puede estar vacía' };
+            }
+            if (text.length > maxLength) {
+                return { valid: false, reason: `La respuesta no puede exceder ${maxLength} caracteres` };
+            }
+            return { valid: true, response: { textAnswer: text } };
+        }
+
+        default:
+            if (!['yes', 'no'].includes(answer)) {
+                return { valid: false, reason: 'Respuesta inválida. Debe ser "yes" o "no"' };
+            }
+            return { valid: true, response: { answer } };
+    }
+};
+
+// Método para agregar respuesta (recibe la respuesta ya normalizada por normalizeAnswer)
+pageSchema.methods.addResponse = async function (response, metadata = {}) {
     this.responses.push({
-        answer,
+        answer: response.answer ?? null,
+        selectedOptions: response.selectedOptions,
+        textAnswer: response.textAnswer ?? null,
         ipAddress: metadata.ipAddress,
         location: metadata.location,
         userAgent: metadata.userAgent,
@@ -378,20 +725,52 @@ pageSchema.methods.addResponse = async function (answer, metadata = {}) {
     return this.responses[this.responses.length - 1];
 };
 
+/**
+ * Resumir respuestas según el tipo de pregunta.
+ * Funciona tanto con documentos como con objetos lean (páginas antiguas sin
+ * `question` se tratan como sí/no). yesCount/noCount se incluyen siempre
+ * para mantener compatibilidad con los clientes existentes.
+ */
+pageSchema.statics.summarizeResponses = function (question, responses = []) {
+    const type = question?.type || 'yes_no';
+    const totalResponses = responses.length;
+    const percentage = (count) => (totalResponses > 0 ? ((count / totalResponses) * 100).toFixed(1) : 0);
+
+    const summary = {
+        questionType: type,
+        totalResponses,
+        yesCount: 0,
+        noCount: 0,
+        yesPercentage: 0,
+        noPercentage: 0,
+    };
+
+    if (type === 'yes_no') {
+        summary.yesCount = responses.filter((r) => r.answer === 'yes').length;
+        summary.noCount = responses.filter((r) => r.answer === 'no').length;
+        summary.yesPercentage = percentage(summary.yesCount);
+        summary.noPercentage = percentage(summary.noCount);
+    } else if (CHOICE_TYPES.includes(type)) {
+        // En multi_choice los porcentajes son sobre el total de respondientes (pueden sumar más de 100)
+        summary.options = (question.options || []).map((option) => {
+            const count = responses.filter(
+                (r) => r.answer === option.id || (r.selectedOptions || []).includes(option.id)
+            ).length;
+            return { id: option.id, label: option.label, count, percentage: percentage(count) };
+        });
+    } else if (type === 'free_text') {
+        summary.textCount = responses.filter((r) => r.textAnswer).length;
+    }
+
+    return summary;
+};
+
 // Método para obtener estadísticas
 pageSchema.methods.getStats = function () {
-    const yesCount = this.responses.filter((r) => r.answer === 'yes').length;
-    const noCount = this.responses.filter((r) => r.answer === 'no').length;
-    const totalResponses = this.responses.length;
-
     return {
         views: this.views,
         uniqueViews: this.uniqueViews,
-        totalResponses,
-        yesCount,
-        noCount,
-        yesPercentage: totalResponses > 0 ? ((yesCount / totalResponses) * 100).toFixed(1) : 0,
-        noPercentage: totalResponses > 0 ? ((noCount / totalResponses) * 100).toFixed(1) : 0,
+        ...this.constructor.summarizeResponses(this.question, this.responses),
     };
 };
 
@@ -410,6 +789,7 @@ pageSchema.set('toJSON', {
     virtuals: true,
     transform: function (doc, ret) {
         delete ret.__v;
+        if (ret.protection) delete ret.protection.secretHash;
         return ret;
     },
 });
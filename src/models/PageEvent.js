@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+
+/**
+ * Eventos de analítica por visita de una página.
+ * Reemplaza el crecimiento ilimitado de `viewerFingerprints` dentro de Page:
+ * cada visita/interacción es un documento independiente que luego se agrega
+ * en series de tiempo (ver getTimeSeries).
+ */
+
+export const PAGE_EVENT_TYPES = ['view', 'response', 'button_hover', 'no_button_escaped'];
+export const DEVICE_CLASSES = ['mobile', 'tablet', 'desktop', 'bot', 'unknown'];
+
+// Máximo de buckets por consulta (evita series gigantes)
+export const MAX_ANALYTICS_BUCKETS = 24 * 31;
+
+export const ANALYTICS_INTERVAL_MS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+};
+
+const pageEventSchema = new mongoose.Schema(
+    {
+        pageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Page',
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: PAGE_EVENT_TYPES,
+            required: true,
+        },
+        // Hash de IP + user-agent (mismo que usa el conteo de vistas únicas)
+        fingerprint: {
+            type: String,
+            default: null,
+        },
+        deviceClass: {
+            type: String,
+            enum: DEVICE_CLASSES,
+            default: 'unknown',
+        },
+        // Solo el host del referrer (ej: "instagram.com"), nunca la URL completa
+        referrer: {
+            type: String,
+            default: null,
+            maxlength: 255,
+        },
+        // Primera vista de este fingerprint en la página (la que cuenta como vista única)
+        firstView: {
+            type: Boolean,
+            default: undefined,
+        },
+        // Datos extra del evento (ej: tipo de pregunta en una respuesta)
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+            default: undefined,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Índices
+pageEventSchema.index({ pageId: 1, createdAt: 1 });
+pageEventSchema.index({ pageId: 1, type: 1, fingerprint: 1 });
+// Una sola primera vista por visitante: es lo que decide si la vista es única
+pageEventSchema.index(
+    { pageId: 1, fingerprint: 1 },
+    { unique: true, partialFilterExpression: { firstView: true } }
+);
+
+/**
+ * Registrar un evento. Nunca lanza: la analítica no debe romper la página pública.
+ */
+pageEventSchema.statics.record = async function (pageId, type, data = {}) {
+    try {
+        return await this.create({
+            pageId,
+            type,
+            fingerprint: data.fingerprint || null,
+            deviceClass: data.deviceClass || 'unknown',
+            referrer: data.referrer || null,
+            metadata: data.metadata,
+        });
+    } catch (error) {
+        console.error('Error recording page event:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Registrar una vista y decidir si es la primera de su fingerprint.
+ * El índice único de firstView resuelve las visitas simultáneas: solo una inserción gana.
+ * Nunca lanza (como record).
+ * @param {Object} data - { fingerprint, deviceClass, referrer }
+ * @param {Object} options - { knownViewer: el fingerprint ya vio la página (visitas históricas) }
+ * @returns {Promise<boolean>} - true si fue un visitante nuevo
+ */
+pageEventSchema.statics.recordView = async function (pageId, data = {}, { knownViewer = false } = {}) {
+    const event = {
+        pageId,
+        type: 'view',
+        fingerprint: data.fingerprint || null,
+        deviceClass: data.deviceClass || 'unknown',
+        referrer: data.referrer || null,
+    };
+
+    try {
+        // Las vistas anteriores a firstView no lo tienen: se consultan antes de intentar
+        if (event.fingerprint && !knownViewer && !(await this.hasViewed(pageId, event.fingerprint))) {
+            await this.create({ ...event, firstView: true });
+            return true;
+        }
+    } catch (error) {
+        if (error.code !== 11000) {
+            console.error('Error recording page view:', error.message);
+            return false;
+        }
+    }
+
+    await this.record(pageId, 'view', event);
+    return false;
+};
+
+/**
+ * Verificar si un fingerprint ya registró una vista de la página
+ */
+pageEventSchema.statics.hasViewed = async function (pageId, fingerprint) {
+    if (!fingerprint) return false;
+    const existing = await this.exists({ pageId, type: 'view', fingerprint });
+    return !!existing;
+};
+
+/**
+ * Series de tiempo agrupadas por hora o día (UTC).
+ * Devuelve un bucket por intervalo (incluye buckets vacíos) con el conteo por tipo de evento
+ * y los visitantes únicos de cada bucket.
+ */
+pageEventSchema.statics.getTimeSeries = async function (pageId, { from, to, interval = 'day' }) {
+    const step = ANALYTICS_INTERVAL_MS[interval];
+    const start = new Date(Math.floor(from.getTime() / step) * step);
+
+    const rows = await this.aggregate([
+        { $match: { pageId: new mongoose.Types.ObjectId(pageId), createdAt: { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: {
+                    bucket: { $dateTrunc: { date: '$createdAt', unit: interval } },
+                    type: '$type',
+                },
+                count: { $sum: 1 },
+                fingerprints: { $addToSet: '$fingerprint' },
+            },
+        },
+    ]);
+
+    // Rellenar buckets vacíos para que el frontend pueda graficar directamente
+    const buckets = new Map();
+    for (let t = start.getTime(); t <= to.getTime(); t += step) {
+        buckets.set(t, {
+            bucket: new Date(t).toISOString(),
+            ...Object.fromEntries(PAGE_EVENT_TYPES.map((type) => [type, 0])),
+            uniqueVisitors: 0,
+        });
+    }
+
+    const totals = Object.fromEntries(PAGE_EVENT_TYPES.map((type) => [type, 0]));
+    for (const row of rows) {
+        const entry = buckets.get(new Date(row._id.bucket).getTime());
+        totals[row._id.type] += row.count;
+        if (!entry) continue;
+        entry[row._id.type] = row.count;
+        if (row._id.type === 'view') {
+            entry.uniqueVisitors = row.fingerprints.filter(Boolean).length;
+        }
+    }
+
+    return { series: [...buckets.values()], totals };
+};
+
+/**
+ * Primer/último momento de cada tipo de evento (ej: cuándo abrió y cuándo respondió)
+ */
+pageEventSchema.statics.getMilestones = async function (pageId) {
+    const rows = await this.aggregate([
+        { $match: { pageId: new mongoose.Types.ObjectId(pageId), type: { $in: ['view', 'response'] } } },
+        { $group: { _id: '$type', first: { $min: '$createdAt' }, last: { $max: '$createdAt' } } },
+    ]);
+
+    const byType = Object.fromEntries(rows.map((r) => [r._id, r]));
+    return {
+        firstViewAt: byType.view?.first || null,
+        lastViewAt: byType.view?.last || null,
+        firstResponseAt: byType.response?.first || null,
+        lastResponseAt: byType.response?.last || null,
+    };
+};
+
+const PageEvent = mongoose.model('PageEvent', pageEventSchema);
+
+export default PageEvent;
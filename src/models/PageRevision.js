@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+
+/**
+ * Historial de revisiones de una página.
+ * Cada revisión guarda los campos editables tal como estaban ANTES de un cambio
+ * (edición, restauración, refinamiento con IA, nueva versión de la plantilla),
+ * para poder compararlos y restaurarlos.
+ */
+
+// Campos de Page que se versionan. Los valores y la versión de la plantilla van con
+// el HTML/CSS renderizado: restaurar uno sin los otros haría que el próximo
+// renderizado partiera de valores que el usuario ya deshizo, o que isUntouched
+// (services/templateVersionService.js) comparara contra otra versión.
+export const REVISIONED_FIELDS = [
+    'title',
+    'recipientName',
+    'message',
+    'yesButtonText',
+    'noButtonText',
+    'noButtonEscapes',
+    'theme',
+    'backgroundColor',
+    'textColor',
+    'videoUrl',
+    'customHTML',
+    'customCSS',
+    'templateValues',
+    'templateVersion',
+];
+
+// Revisiones retenidas por página según plan
+export const REVISION_LIMITS = {
+    free: 5,
+    pro: 50,
+};
+
+// Intentos de recordChange ante ediciones simultáneas de la misma página
+const MAX_RECORD_ATTEMPTS = 5;
+
+const pageRevisionSchema = new mongoose.Schema(
+    {
+        pageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Page',
+            required: true,
+        },
+        // Quién hizo el cambio que originó la revisión
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        revisionNumber: {
+            type: Number,
+            required: true,
+        },
+        // Qué originó la revisión
+        source: {
+            type: String,
+            enum: ['update', 'restore', 'ai_refine', 'template_rerender'],
+            default: 'update',
+        },
+        // Campos que cambiaron respecto a esta revisión
+        changedFields: {
+            type: [String],
+            default: [],
+        },
+        // Valores de REVISIONED_FIELDS antes del cambio
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Índices
+pageRevisionSchema.index({ pageId: 1, revisionNumber: -1 }, { unique: true });
+
+/**
+ * Límite de revisiones según el plan del usuario (mismo criterio que validateProFeatures)
+ */
+export function getRevisionLimit(user) {
+    return user.isProActive() ? REVISION_LIMITS.pro : REVISION_LIMITS.free;
+}
+
+/**
+ * Extraer los campos versionados de una página
+ */
+pageRevisionSchema.statics.pickSnapshot = function (page) {
+    return Object.fromEntries(REVISIONED_FIELDS.map((field) => [field, page[field] ?? null]));
+};
+
+/**
+ * Comparar dos snapshots. Devuelve [{ field, from, to }] para los campos distintos.
+ * Los campos que un snapshot no tiene (revisiones anteriores a versionarlos) no se comparan.
+ */
+pageRevisionSchema.statics.diffSnapshots = function (from = {}, to = {}) {
+    return REVISIONED_FIELDS.filter(
+        (field) =>
+            from[field] !== undefined &&
+            to[field] !== undefined &&
+            JSON.stringify(from[field]) !== JSON.stringify(to[field])
+    ).map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+};
+
+/**
+ * Guardar una revisión con el estado previo de la página y podar las más antiguas
+ * que excedan `maxRevisions`. No hace nada si no hubo cambios.
+ * @param {Object} previousSnapshot - resultado de pickSnapshot antes del cambio
+ * @param {Object} page - página ya modificada
+ */
+pageRevisionSchema.statics.recordChange = async function (
+    previousSnapshot,
+    page,
+    { userId, source = 'update', maxRevisions }
+) {
+    const changedFields = this.diffSnapshots(previousSnapshot, this.pickSnapshot(page)).map((d) => d.field);
+    if (changedFields.length === 0) return null;
+
+    // Dos ediciones simultáneas pueden leer el mismo último número: el índice único
+    // rechaza la segunda y se reintenta con el siguiente
+    let revision = null;
+    for (let attempt = 1; !revision; attempt++) {
+        const last = await this.findOne({ pageId: page._id }).sort({ revisionNumber: -1 }).select('revisionNumber');
+        try {
+            revision = await this.create({
+                pageId: page._id,
+                userId,
+                revisionNumber: (last?.revisionNumber || 0) + 1,
+                source,
+                changedFields,
+                snapshot: previousSnapshot,
+            });
+        } catch (error) {
+            if (error.code !== 11000 || !error.keyPattern?.revisionNumber || attempt >= MAX_RECORD_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+
+    if (maxRevisions) {
+        const stale = await this.find({ pageId: page._id })
+            .sort({ revisionNumber: -1 })
+            .skip(maxRevisions)
+            .select('_id');
+        if (stale.length > 0) {
+            await this.deleteMany({ _id: { $in: stale.map((r) => r._id) } });
+        }
+    }
+
+    return revision;
+};
+
+/**
+ * recordChange para un cambio ya guardado en la página: si el historial falla, el
+ * cambio sigue siendo válido, así que se registra el error en lugar de propagarlo
+ * (quien llama no debe responder 500 ni deshacer nada).
+ * @returns {Promise<Object|null>} - La revisión, o null si no hubo cambios o falló
+ */
+pageRevisionSchema.statics.recordSavedChange = async function (previousSnapshot, page, options) {
+    try {
+        return await this.recordChange(previousSnapshot, page, options);
+    } catch (error) {
+        console.error(`Error recording revision for page ${page._id}:`, error.message);
+        return null;
+    }
+};
+
+pageRevisionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    },
+});
+
+const PageRevision = mongoose.model('PageRevision', pageRevisionSchema);
+
+export default PageRevision;
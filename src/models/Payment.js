@@ -0,0 +1,555 @@
+import mongoose from 'mongoose';
+import { ENTITLING_PAYMENT_STATUSES } from '../config/plans.js';
+
+/**
+ * Libro de pagos (un documento por pago del proveedor).
+ * Reemplaza el array embebido User.payments:
+ * - (provider, providerPaymentId) es único → idempotencia entre webhook y captura del frontend
+ * - status sigue una máquina de estados (ver PAYMENT_TRANSITIONS)
+ * - se guardan los payloads crudos de los webhooks recibidos
+ *
+ * Un checkout crea el documento en "created" sin providerPaymentId; el proveedor
+ * lo completa al informar el pago (MercadoPago vía metadata.ledger_id, PayPal vía orden).
+ */
+
+// "gift": canje de un código de regalo (monto 0, el ingreso está en el pago de la compra)
+export const PAYMENT_PROVIDERS = ['mercadopago', 'paypal', 'simulation', 'gift'];
+
+// self: activa PRO a quien paga; gift: emite un código de regalo (ver models/GiftCode.js)
+export const PAYMENT_PURPOSES = ['self', 'gift'];
+
+export const PAYMENT_STATUSES = [
+    'created',
+    'pending',
+    'approved',
+    'rejected',
+    'cancelled',
+    'in_dispute',
+    'refunded',
+    'charged_back',
+];
+
+// Estados siguientes permitidos desde cada estado
+export const PAYMENT_TRANSITIONS = {
+    created: ['pending', 'approved', 'rejected', 'cancelled'],
+    pending: ['approved', 'rejected', 'cancelled'],
+    approved: ['in_dispute', 'refunded', 'charged_back'],
+    in_dispute: ['approved', 'refunded', 'charged_back'],
+    rejected: [],
+    cancelled: [],
+    refunded: [],
+    charged_back: [],
+};
+
+// Estados desde los que se puede llegar a cada estado
+const PAYMENT_PREDECESSORS = Object.fromEntries(
+    PAYMENT_STATUSES.map((status) => [
+        status,
+        PAYMENT_STATUSES.filter((from) => PAYMENT_TRANSITIONS[from].includes(status)),
+    ])
+);
+
+// Estados previos a la aprobación: recordStatus solo avanza pagos desde aquí
+// (un pago que vuelve de in_dispute a approved es una reversión, ver transition)
+const CHECKOUT_STATUSES = ['created', 'pending'];
+
+// Payloads de webhook guardados por pago (los más recientes)
+const MAX_WEBHOOK_PAYLOADS = 20;
+
+// Intervalos de los reportes de ingresos ($dateTrunc unit)
+export const REVENUE_INTERVALS = ['day', 'week', 'month'];
+
+// Tramos (en días) de la distribución de tiempo hasta pasar a PRO
+const UPGRADE_DAY_BOUNDARIES = [0, 1, 7, 30, 90, 365];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Los pagos simulados (desarrollo) y los canjes de regalos (monto 0) no cuentan como ingresos
+const REPORTABLE_MATCH = { provider: { $nin: ['simulation', 'gift'] } };
+
+// Para la conversión cuenta quien obtuvo PRO (pagando o canjeando), no quien compró un regalo
+const UPGRADE_MATCH = { provider: { $ne: 'simulation' }, purpose: { $ne: 'gift' } };
+
+const paymentSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        provider: {
+            type: String,
+            enum: PAYMENT_PROVIDERS,
+            required: true,
+        },
+        // ID del pago en el proveedor (MercadoPago: payment id, PayPal: capture id)
+        providerPaymentId: {
+            type: String,
+            default: null,
+        },
+        // Preferencia (MercadoPago) u orden (PayPal) que originó el pago
+        providerOrderId: {
+            type: String,
+            default: null,
+        },
+        planId: {
+            type: String,
+            default: null,
+        },
+        purpose: {
+            type: String,
+            enum: PAYMENT_PURPOSES,
+            default: 'self',
+        },
+        // Datos del regalo indicados en el checkout (purpose "gift")
+        gift: {
+            recipientEmail: { type: String, default: null },
+            message: { type: String, default: null, maxlength: 300 },
+        },
+        amount: {
+            type: Number,
+            required: true,
+        },
+        currency: {
+            type: String,
+            required: true,
+        },
+        // País con el que se resolvió la moneda del checkout (config/pricing.js)
+        country: {
+            type: String,
+            default: null,
+        },
+        status: {
+            type: String,
+            enum: PAYMENT_STATUSES,
+            default: 'created',
+        },
+        // Estado tal como lo informa el proveedor (ej: "accredited", "COMPLETED")
+        providerStatus: {
+            type: String,
+            default: null,
+        },
+        statusDetail: {
+            type: String,
+            default: null,
+        },
+        statusHistory: [
+            {
+                _id: false,
+                status: { type: String, enum: PAYMENT_STATUSES },
+                at: { type: Date, default: Date.now },
+                source: { type: String, default: null },
+            },
+        ],
+        paymentMethod: {
+            type: String,
+            default: null,
+        },
+        paymentType: {
+            type: String,
+            default: null,
+        },
+        payer: {
+            email: { type: String, default: null },
+            name: { type: String, default: null },
+            payerId: { type: String, default: null },
+        },
+        // Cupón aplicado (null si se pagó el precio de lista)
+        coupon: {
+            code: { type: String, default: null },
+            originalAmount: { type: Number, default: null },
+            discountAmount: { type: Number, default: null },
+        },
+        approvedAt: {
+            type: Date,
+            default: null,
+        },
+        refundedAmount: {
+            type: Number,
+            default: 0,
+        },
+        refundedAt: {
+            type: Date,
+            default: null,
+        },
+        refunds: [
+            {
+                _id: false,
+                refundId: { type: String, required: true },
+                amount: { type: Number, required: true },
+                source: { type: String, default: null },
+                createdAt: { type: Date, default: Date.now },
+            },
+        ],
+        webhookPayloads: {
+            type: [
+                {
+                    _id: false,
+                    event: { type: String, default: null },
+                    receivedAt: { type: Date, default: Date.now },
+                    payload: { type: mongoose.Schema.Types.Mixed },
+                },
+            ],
+            select: false,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Un pago del proveedor solo existe una vez (los checkouts "created" aún no tienen id)
+paymentSchema.index(
+    { provider: 1, providerPaymentId: 1 },
+    { unique: true, partialFilterExpression: { providerPaymentId: { $type: 'string' } } }
+);
+paymentSchema.index({ provider: 1, providerOrderId: 1 });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, approvedAt: -1 });
+
+// ============================================
+// STATICS
+// ============================================
+
+paymentSchema.statics.canTransition = function (from, to) {
+    return PAYMENT_TRANSITIONS[from]?.includes(to) || false;
+};
+
+/**
+ * Estado del libro correspondiente al estado crudo de un proveedor
+ * (usado por la migración de User.payments)
+ */
+paymentSchema.statics.normalizeProviderStatus = function (status) {
+    switch ((status || '').toLowerCase()) {
+        case 'approved':
+        case 'completed':
+            return 'approved';
+        case 'in_mediation':
+        case 'disputed':
+        case 'in_dispute':
+            return 'in_dispute';
+        case 'refunded':
+            return 'refunded';
+        case 'charged_back':
+        case 'reversed':
+            return 'charged_back';
+        case 'rejected':
+            return 'rejected';
+        case 'cancelled':
+            return 'cancelled';
+        default:
+            return 'pending';
+    }
+};
+
+/**
+ * Registrar un estado informado por el proveedor (pending / approved / rejected).
+ * 1. Pago ya conocido en created / pending → se transiciona (desde in_dispute no: ver CHECKOUT_STATUSES)
+ * 2. Checkout "created" sin pago asociado (checkoutMatch) → se completa
+ * 3. Si no, se inserta; si otro proceso lo insertó antes, no hay cambio
+ * @param {string} status - Estado destino
+ * @param {Object} data - Campos del pago (provider y providerPaymentId requeridos)
+ * @param {Object|null} checkoutMatch - Filtro del checkout original (ej: { _id } o { providerOrderId })
+ * @param {string} source - Origen del cambio (webhook, capture, simulation…)
+ * @returns {Promise<{ payment: Object, changed: boolean }>}
+ */
+paymentSchema.statics.recordStatus = async function (status, data, checkoutMatch = null, source = null) {
+    const { provider, providerPaymentId } = data;
+    const now = new Date();
+    const { approvedAt, ...fields } = { ...data, status };
+    if (status === 'approved') fields.approvedAt = approvedAt || now;
+
+    const update = {
+        $set: fields,
+        $push: { statusHistory: { status, at: now, source } },
+    };
+    const predecessors = PAYMENT_PREDECESSORS[status].filter((from) => CHECKOUT_STATUSES.includes(from));
+
+    let payment = await this.findOneAndUpdate(
+        { provider, providerPaymentId, status: { $in: predecessors } },
+        update,
+        { new: true }
+    );
+    if (payment) return { payment, changed: true };
+
+    if (checkoutMatch) {
+        payment = await this.findOneAndUpdate(
+            { ...checkoutMatch, provider, providerPaymentId: null, status: { $in: predecessors } },
+            update,
+            { new: true }
+        );
+        if (payment) return { payment, changed: true };
+    }
+
+    try {
+        payment = await this.create({ ...fields, statusHistory: [{ status, at: now, source }] });
+        return { payment, changed: true };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        payment = await this.findOne({ provider, providerPaymentId });
+        return { payment, changed: false };
+    }
+};
+
+/**
+ * Transición atómica de un pago existente.
+ * @param {Object} filter - Identifica el pago (ej: { provider, providerPaymentId })
+ * @param {string} to - Estado destino
+ * @param {Object} options - { from?: estados de origen aceptados, set?: campos extra, push?, source }
+ * @returns {Promise<Object|null>} - El pago ANTES del cambio, o null si la transición no aplica
+ */
+paymentSchema.statics.transition = async function (filter, to, { from = null, set = {}, push = {}, source = null } = {}) {
+    let allowed = PAYMENT_PREDECESSORS[to];
+    if (from) allowed = allowed.filter((status) => from.includes(status));
+
+    return await this.findOneAndUpdate(
+        { ...filter, status: { $in: allowed } },
+        {
+            $set: { ...set, status: to },
+            $push: { ...push, statusHistory: { status: to, at: new Date(), source } },
+        }
+    );
+};
+
+/**
+ * Registrar un reembolso parcial (idempotente por refundId). El estado no cambia.
+ * @returns {Promise<Object|null>} - El pago ANTES del cambio, o null si ya estaba registrado
+ */
+paymentSchema.statics.applyPartialRefund = async function (filter, refund, { statusDetail = null, source = null } = {}) {
+    return await this.findOneAndUpdate(
+        {
+            ...filter,
+            status: { $in: ENTITLING_PAYMENT_STATUSES },
+            'refunds.refundId': { $ne: refund.refundId },
+        },
+        {
+            $set: { statusDetail },
+            $push: { refunds: { ...refund, source, createdAt: new Date() } },
+            $inc: { refundedAmount: refund.amount },
+        }
+    );
+};
+
+/**
+ * Guardar el payload crudo de un webhook en el pago al que corresponde
+ * @param {string} provider
+ * @param {Object} match - { providerPaymentId } o { providerOrderId }
+ */
+paymentSchema.statics.appendWebhook = async function (provider, match, event, payload) {
+    try {
+        await this.updateOne(
+            { ...match, provider },
+            {
+                $push: {
+                    webhookPayloads: {
+                        $each: [{ event, receivedAt: new Date(), payload }],
+                        $slice: -MAX_WEBHOOK_PAYLOADS,
+                    },
+                },
+            }
+        );
+    } catch (error) {
+        console.error('Error storing webhook payload:', error.message);
+    }
+};
+
+/**
+ * Pagos que hoy otorgan PRO a un usuario (para computeEntitlement).
+ * Las compras de regalos no cuentan: el PRO lo recibe quien canjea el código.
+ */
+paymentSchema.statics.findEntitling = async function (userId) {
+    return await this.find({ userId, purpose: { $ne: 'gift' }, status: { $in: ENTITLING_PAYMENT_STATUSES } })
+        .select('planId status approvedAt')
+        .lean();
+};
+
+// ============================================
+// REPORTES (admin)
+// ============================================
+
+/**
+ * Ingresos por intervalo, proveedor y moneda en un rango.
+ * - gross: pagos aprobados en el intervalo (por approvedAt)
+ * - refunds: reembolsos registrados en el intervalo (por fecha del reembolso)
+ * - chargebacks: contracargos en el intervalo (por fecha de la transición)
+ * Las monedas no se suman entre sí.
+ * @returns {Promise<{ series: Object[], totals: Object[] }>}
+ */
+paymentSchema.statics.getRevenueReport = async function ({ from, to, interval = 'day', timezone = 'UTC' }) {
+    const range = { $gte: from, $lte: to };
+    const bucket = (field) => ({ $dateTrunc: { date: field, unit: interval, timezone, startOfWeek: 'monday' } });
+    const groupKey = (field) => ({ bucket: bucket(field), provider: '$provider', currency: '$currency' });
+
+    const [approved, refunds, chargebacks, payers] = await Promise.all([
+        this.aggregate([
+            { $match: { ...REPORTABLE_MATCH, approvedAt: range } },
+            { $group: { _id: groupKey('$approvedAt'), payments: { $sum: 1 }, gross: { $sum: '$amount' } } },
+        ]),
+        this.aggregate([
+            { $match: { ...REPORTABLE_MATCH, 'refunds.createdAt': range } },
+            { $unwind: '$refunds' },
+            { $match: { 'refunds.createdAt': range } },
+            {
+                $group: {
+                    _id: groupKey('$refunds.createdAt'),
+                    refundCount: { $sum: 1 },
+                    refunds: { $sum: '$refunds.amount' },
+                },
+            },
+        ]),
+        this.aggregate([
+            { $match: { ...REPORTABLE_MATCH, status: 'charged_back', 'statusHistory.at': range } },
+            { $unwind: '$statusHistory' },
+            { $match: { 'statusHistory.status': 'charged_back', 'statusHistory.at': range } },
+            {
+                $group: {
+                    _id: groupKey('$statusHistory.at'),
+                    chargebackCount: { $sum: 1 },
+                    chargebacks: { $sum: '$amount' },
+                },
+            },
+        ]),
+        // Usuarios con al menos un pago aprobado en el rango, por moneda (para ARPPU)
+        this.aggregate([
+            { $match: { ...REPORTABLE_MATCH, approvedAt: range } },
+            { $group: { _id: '$currency', users: { $addToSet: '$userId' } } },
+            { $project: { _id: 0, currency: '$_id', payingUsers: { $size: '$users' } } },
+        ]),
+    ]);
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const emptyRow = (id) => ({
+        bucket: new Date(id.bucket).toISOString(),
+        provider: id.provider,
+        currency: id.currency,
+        payments: 0,
+        gross: 0,
+        refundCount: 0,
+        refunds: 0,
+        chargebackCount: 0,
+        chargebacks: 0,
+    });
+
+    const rows = new Map();
+    for (const result of [...approved, ...refunds, ...chargebacks]) {
+        const key = `${new Date(result._id.bucket).getTime()}|${result._id.provider}|${result._id.currency}`;
+        const { _id, ...values } = result;
+        rows.set(key, { ...(rows.get(key) || emptyRow(_id)), ...values });
+    }
+
+    const series = [...rows.values()]
+        .map((row) => ({
+            ...row,
+            gross: round(row.gross),
+            refunds: round(row.refunds),
+            chargebacks: round(row.chargebacks),
+            net: round(row.gross - row.refunds - row.chargebacks),
+        }))
+        .sort((a, b) => a.bucket.localeCompare(b.bucket) || a.provider.localeCompare(b.provider));
+
+    // Totales por moneda
+    const totalsByCurrency = new Map();
+    for (const row of series) {
+        const total = totalsByCurrency.get(row.currency) || {
+            currency: row.currency,
+            payments: 0,
+            gross: 0,
+            refundCount: 0,
+            refunds: 0,
+            chargebackCount: 0,
+            chargebacks: 0,
+            net: 0,
+            payingUsers: 0,
+        };
+        for (const field of ['payments', 'gross', 'refundCount', 'refunds', 'chargebackCount', 'chargebacks', 'net']) {
+            total[field] = round(total[field] + row[field]);
+        }
+        totalsByCurrency.set(row.currency, total);
+    }
+    for (const { currency, payingUsers } of payers) {
+        if (totalsByCurrency.has(currency)) totalsByCurrency.get(currency).payingUsers = payingUsers;
+    }
+
+    return { series, totals: [...totalsByCurrency.values()] };
+};
+
+/**
+ * Conversión free → PRO de los usuarios registrados en un rango:
+ * cuántos tienen al menos un pago aprobado y cuánto tardaron desde el registro
+ * hasta su primer pago (distribución por tramos de días).
+ */
+paymentSchema.statics.getUpgradeStats = async function ({ from, to }) {
+    const [result] = await this.aggregate([
+        { $match: { ...UPGRADE_MATCH, approvedAt: { $ne: null } } },
+        { $group: { _id: '$userId', firstApprovedAt: { $min: '$approvedAt' } } },
+        {
+            $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                pipeline: [{ $project: { createdAt: 1 } }],
+                as: 'user',
+            },
+        },
+        { $unwind: '$user' },
+        { $match: { 'user.createdAt': { $gte: from, $lte: to } } },
+        {
+            $project: {
+                days: { $max: [0, { $divide: [{ $subtract: ['$firstApprovedAt', '$user.createdAt'] }, DAY_MS] }] },
+            },
+        },
+        {
+            $facet: {
+                summary: [{ $group: { _id: null, converted: { $sum: 1 }, averageDays: { $avg: '$days' } } }],
+                distribution: [
+                    {
+                        $bucket: {
+                            groupBy: '$days',
+                            boundaries: UPGRADE_DAY_BOUNDARIES,
+                            default: 'over',
+                            output: { users: { $sum: 1 } },
+                        },
+                    },
+                ],
+            },
+        },
+    ]);
+
+    const counts = new Map(result.distribution.map((row) => [row._id, row.users]));
+    const distribution = UPGRADE_DAY_BOUNDARIES.map((min, index) => {
+        const max = UPGRADE_DAY_BOUNDARIES[index + 1];
+        return {
+            range: max === undefined ? `${min}+` : `${min}-${max}`,
+            minDays: min,
+            maxDays: max ?? null,
+            users: (max === undefined ? counts.get('over') : counts.get(min)) || 0,
+        };
+    });
+
+    const summary = result.summary[0];
+    return {
+        converted: summary?.converted || 0,
+        averageDaysToUpgrade: summary ? Math.round(summary.averageDays * 10) / 10 : null,
+        distribution,
+    };
+};
+
+// ============================================
+// METHODS
+// ============================================
+
+paymentSchema.methods.isFinal = function () {
+    return !['created', 'pending'].includes(this.status);
+};
+
+paymentSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.webhookPayloads;
+        return ret;
+    },
+});
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
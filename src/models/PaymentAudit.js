@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+/**
+ * Registro de auditoría de cambios sobre pagos ya aprobados
+ * (reembolsos, contracargos, cancelaciones y disputas).
+ * Guarda el estado PRO antes y después para poder reconstruir qué se revocó.
+ */
+
+export const PAYMENT_AUDIT_ACTIONS = [
+    'refund',
+    'partial_refund',
+    'chargeback',
+    'cancellation',
+    'dispute_opened',
+    'dispute_resolved',
+];
+
+export const PAYMENT_AUDIT_SOURCES = ['webhook', 'admin'];
+
+const proStateSchema = new mongoose.Schema(
+    {
+        isPro: { type: Boolean, default: false },
+        proExpiresAt: { type: Date, default: null },
+        proPlan: { type: String, default: null },
+    },
+    { _id: false }
+);
+
+const paymentAuditSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        provider: {
+            type: String,
+            required: true,
+        },
+        paymentId: {
+            type: String,
+            required: true,
+        },
+        action: {
+            type: String,
+            enum: PAYMENT_AUDIT_ACTIONS,
+            required: true,
+        },
+        previousStatus: {
+            type: String,
+            default: null,
+        },
+        newStatus: {
+            type: String,
+            required: true,
+        },
+        // Monto reembolsado o en disputa (null si el proveedor no lo informa)
+        amount: {
+            type: Number,
+            default: null,
+        },
+        currency: {
+            type: String,
+            default: null,
+        },
+        reason: {
+            type: String,
+            default: null,
+            maxlength: 500,
+        },
+        source: {
+            type: String,
+            enum: PAYMENT_AUDIT_SOURCES,
+            required: true,
+        },
+        // Admin que inició el reembolso (null si vino del proveedor)
+        actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        proBefore: {
+            type: proStateSchema,
+            required: true,
+        },
+        proAfter: {
+            type: proStateSchema,
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+paymentAuditSchema.index({ userId: 1, createdAt: -1 });
+paymentAuditSchema.index({ provider: 1, paymentId: 1, createdAt: -1 });
+
+const PaymentAudit = mongoose.model('PaymentAudit', paymentAuditSchema);
+
+export default PaymentAudit;
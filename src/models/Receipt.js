@@ -0,0 +1,245 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import { getPlan } from '../config/plans.js';
+import { getReceiptSeries, getReceiptIssuer, getReceiptTax } from '../config/receipts.js';
+
+/**
+ * Comprobante de un pago aprobado, con numeración correlativa.
+ * Guarda una copia de los datos del comprador, el plan y los montos al momento
+ * de emitirlo: no cambia si después se edita el perfil o el catálogo de planes.
+ * Se descarga en HTML o PDF con GET /api/payments/:paymentId/receipt.
+ */
+
+const RECEIPT_COUNTER = 'receipt';
+
+// Un comprobante sin número más antiguo que esto quedó a medias (el proceso que lo
+// creó se interrumpió antes de numerarlo) y lo numera quien lo encuentre
+const NUMBERING_TIMEOUT_MS = 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const receiptSchema = new mongoose.Schema(
+    {
+        // Correlativo (1, 2, 3…) y número visible (REC-00000001). Se asignan justo después
+        // de crear el comprobante (ver issueForPayment): hasta entonces no existen.
+        sequence: {
+            type: Number,
+            unique: true,
+            sparse: true,
+        },
+        number: {
+            type: String,
+            unique: true,
+            sparse: true,
+        },
+        paymentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            required: true,
+            unique: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        issuer: {
+            name: { type: String, required: true },
+            taxId: { type: String, default: null },
+            taxIdLabel: { type: String, default: null },
+            address: { type: String, default: null },
+            email: { type: String, default: null },
+        },
+        buyer: {
+            name: { type: String, default: null },
+            email: { type: String, default: null },
+            country: { type: String, default: null },
+        },
+        planId: {
+            type: String,
+            required: true,
+        },
+        description: {
+            type: String,
+            required: true,
+        },
+        purpose: {
+            type: String,
+            default: 'self',
+        },
+        provider: {
+            type: String,
+            required: true,
+        },
+        providerPaymentId: {
+            type: String,
+            default: null,
+        },
+        currency: {
+            type: String,
+            required: true,
+        },
+        // Precio de lista, descuento por cupón y total cobrado (impuesto incluido)
+        listAmount: {
+            type: Number,
+            required: true,
+        },
+        discountAmount: {
+            type: Number,
+            default: 0,
+        },
+        couponCode: {
+            type: String,
+            default: null,
+        },
+        subtotal: {
+            type: Number,
+            required: true,
+        },
+        tax: {
+            name: { type: String, default: null },
+            rate: { type: Number, default: 0 },
+            amount: { type: Number, default: 0 },
+        },
+        total: {
+            type: Number,
+            required: true,
+        },
+        paidAt: {
+            type: Date,
+            required: true,
+        },
+        issuedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+receiptSchema.index({ userId: 1, issuedAt: -1 });
+
+// ============================================
+// STATICS
+// ============================================
+
+receiptSchema.statics.formatNumber = function (sequence) {
+    return `${getReceiptSeries()}-${String(sequence).padStart(8, '0')}`;
+};
+
+/**
+ * Montos del comprobante a partir del pago: el total cobrado incluye el impuesto
+ */
+receiptSchema.statics.computeAmounts = function (payment, tax = getReceiptTax()) {
+    const total = payment.amount;
+    const discountAmount = payment.coupon?.code ? payment.coupon.discountAmount || 0 : 0;
+    const listAmount = payment.coupon?.code ? payment.coupon.originalAmount ?? total : total;
+    const taxAmount = tax.rate > 0 ? roundAmount(total - total / (1 + tax.rate)) : 0;
+
+    return {
+        listAmount,
+        discountAmount,
+        couponCode: payment.coupon?.code || null,
+        subtotal: roundAmount(total - taxAmount),
+        tax: { name: tax.rate > 0 ? tax.name : null, rate: tax.rate, amount: taxAmount },
+        total,
+    };
+};
+
+/**
+ * Asignar el siguiente correlativo a un comprobante que aún no lo tiene.
+ * Solo debe llamarlo quien creó el comprobante (o quien recupera uno a medias):
+ * así cada valor del contador termina en un comprobante y no quedan huecos.
+ */
+receiptSchema.statics.assignNumber = async function (receiptId) {
+    const sequence = await Counter.next(RECEIPT_COUNTER);
+    const receipt = await this.findOneAndUpdate(
+        { _id: receiptId, sequence: { $exists: false } },
+        { $set: { sequence, number: this.formatNumber(sequence) } },
+        { new: true }
+    );
+    if (!receipt) {
+        console.error(`⚠️ Correlativo ${sequence} sin usar: el comprobante ${receiptId} ya estaba numerado`);
+        return this.findById(receiptId);
+    }
+    return receipt;
+};
+
+/**
+ * Emitir el comprobante de un pago aprobado (idempotente por pago).
+ * Primero se crea el comprobante sin número (upsert por paymentId: solo uno gana) y
+ * después quien lo creó toma el correlativo; un choque entre procesos no consume números.
+ * @param {Object} payment - Pago del libro (con approvedAt)
+ * @param {Object} buyer - Usuario que pagó
+ * @returns {Promise<{ receipt: Object, created: boolean }>}
+ */
+receiptSchema.statics.issueForPayment = async function (payment, buyer) {
+    const existing = await this.findOne({ paymentId: payment._id });
+    if (existing) return { receipt: await this.recoverNumber(existing), created: false };
+
+    const plan = getPlan(payment.planId);
+    const planName = plan?.name || payment.planId || 'Plan PRO';
+    const draft = new this({
+        paymentId: payment._id,
+        userId: payment.userId,
+        issuer: getReceiptIssuer(),
+        buyer: {
+            name: buyer?.displayName || payment.payer?.name || null,
+            email: buyer?.email || payment.payer?.email || null,
+            country: buyer?.country || payment.country || null,
+        },
+        planId: payment.planId || plan?.id,
+        description: payment.purpose === 'gift' ? `Regalo: ${planName}` : planName,
+        purpose: payment.purpose,
+        provider: payment.provider,
+        providerPaymentId: payment.providerPaymentId,
+        currency: payment.currency,
+        ...this.computeAmounts(payment),
+        paidAt: payment.approvedAt || new Date(),
+    });
+    await draft.validate();
+
+    let result;
+    try {
+        result = await this.findOneAndUpdate(
+            { paymentId: payment._id },
+            { $setOnInsert: draft.toObject() },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+    } catch (error) {
+        // Dos upserts simultáneos: el otro proceso creó el comprobante
+        if (error.code === 11000 && error.keyPattern?.paymentId) {
+            return { receipt: await this.findOne({ paymentId: payment._id }), created: false };
+        }
+        throw error;
+    }
+
+    if (result.lastErrorObject?.updatedExisting) {
+        return { receipt: result.value, created: false };
+    }
+    return { receipt: await this.assignNumber(result.value._id), created: true };
+};
+
+/**
+ * Numerar un comprobante que quedó sin número porque el proceso que lo creó se
+ * interrumpió. Mientras sea reciente se asume que su creador lo está numerando.
+ */
+receiptSchema.statics.recoverNumber = async function (receipt) {
+    if (receipt.sequence || Date.now() - (receipt.createdAt?.getTime() || 0) < NUMBERING_TIMEOUT_MS) {
+        return receipt;
+    }
+    return this.assignNumber(receipt._id);
+};
+
+receiptSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    },
+});
+
+const Receipt = mongoose.model('Receipt', receiptSchema);
+
+export default Receipt;
@@ -1,9 +1,17 @@
 import mongoose from 'mongoose';
+import {
+    FIELD_TYPES,
+    DATE_STYLES,
+    MAX_REPEATER_ITEMS,
+    renderTemplateSource,
+    validateTemplateValues,
+} from '../utils/templateEngine.js';
 
 /**
  * Schema para campos editables dentro de una plantilla.
  * Cada campo tiene un placeholder (ej: {{TITULO}}) que se reemplaza
  * en el HTML/CSS con el valor que el usuario ingresa.
+ * Sintaxis de {{#if}} / {{#each}} y tratamiento de cada tipo: utils/templateEngine.js
  */
 
 // Sub-schema para configuración específica de campos de imagen
@@ -37,7 +45,24 @@ const imageConfigSchema = new mongoose.Schema(
     { _id: false }
 );
 
-const editableFieldSchema = new mongoose.Schema(
+// Opción de un campo select
+const selectOptionSchema = new mongoose.Schema(
+    {
+        value: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        label: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+    },
+    { _id: false }
+);
+
+export const editableFieldSchema = new mongoose.Schema(
     {
         // Clave interna usada como placeholder: {{KEY}}
         key: {
@@ -55,7 +80,7 @@ const editableFieldSchema = new mongoose.Schema(
         // Tipo de campo
         type: {
             type: String,
-            enum: ['text', 'textarea', 'color', 'image_url'],
+            enum: FIELD_TYPES,
             default: 'text',
         },
         // Valor por defecto (lo que se ve en la preview)
@@ -88,6 +113,87 @@ const editableFieldSchema = new mongoose.Schema(
             type: imageConfigSchema,
             default: null,
         },
+        // select: opciones permitidas
+        options: {
+            type: [selectOptionSchema],
+            default: [],
+        },
+        // number: límites opcionales
+        min: {
+            type: Number,
+            default: null,
+        },
+        max: {
+            type: Number,
+            default: null,
+        },
+        // date: cómo se muestra (long: "14 de febrero de 2025", short: "14/02/2025", iso: "2025-02-14")
+        dateStyle: {
+            type: String,
+            enum: DATE_STYLES,
+            default: 'long',
+        },
+    },
+    { _id: false }
+);
+
+// Subcampos de cada elemento de un repeater (mismos tipos, sin repeaters anidados)
+const editableItemFieldSchema = editableFieldSchema.clone();
+
+editableFieldSchema.add({
+    // repeater: subcampos de cada elemento ({{#each KEY}} … {{SUBCAMPO}} … {{/each}})
+    itemFields: {
+        type: [editableItemFieldSchema],
+        default: [],
+    },
+    minItems: {
+        type: Number,
+        default: 0,
+    },
+    maxItems: {
+        type: Number,
+        default: 10,
+        max: MAX_REPEATER_ITEMS,
+    },
+});
+
+export const TEMPLATE_CATEGORIES = [
+    'san-valentin',
+    'cumpleanos',
+    'aniversario',
+    'declaracion',
+    'amistad',
+    'navidad',
+    'otro',
+];
+
+// Origen de la plantilla: catálogo propio o enviada por un usuario PRO
+export const TEMPLATE_SOURCES = ['admin', 'community'];
+
+// Estados de moderación de las plantillas de la comunidad
+export const MODERATION_STATUSES = ['pending', 'approved', 'rejected', 'changes_requested'];
+
+const moderationEventSchema = new mongoose.Schema(
+    {
+        status: {
+            type: String,
+            enum: MODERATION_STATUSES,
+            required: true,
+        },
+        reason: {
+            type: String,
+            default: null,
+        },
+        // Admin que revisó, o el autor al enviar / reenviar
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        at: {
+            type: Date,
+            default: Date.now,
+        },
     },
     { _id: false }
 );
@@ -116,15 +222,7 @@ const templateSchema = new mongoose.Schema(
         // Categoría para filtrar
         category: {
             type: String,
-            enum: [
-                'san-valentin',
-                'cumpleanos',
-                'aniversario',
-                'declaracion',
-                'amistad',
-                'navidad',
-                'otro',
-            ],
+            enum: TEMPLATE_CATEGORIES,
             default: 'otro',
         },
         // HTML de la plantilla (con placeholders tipo {{TITULO}}, {{MENSAJE}}, {{FOTO_1}}, etc.)
@@ -172,6 +270,60 @@ const templateSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        // Versión publicada cuyo html/css/editableFields están en este documento (ver TemplateVersion)
+        currentVersion: {
+            type: Number,
+            default: 1,
+        },
+        source: {
+            type: String,
+            enum: TEMPLATE_SOURCES,
+            default: 'admin',
+        },
+        // Crédito visible para el autor de una plantilla de la comunidad
+        author: {
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null,
+            },
+            name: {
+                type: String,
+                default: null,
+                maxlength: 100,
+            },
+        },
+        // Moderación (solo plantillas de la comunidad); solo se activan aprobadas
+        moderation: {
+            status: {
+                type: String,
+                enum: [...MODERATION_STATUSES, null],
+                default: null,
+            },
+            // Motivo de la última decisión, visible para el autor
+            reason: {
+                type: String,
+                default: null,
+                maxlength: 1000,
+            },
+            submittedAt: {
+                type: Date,
+                default: null,
+            },
+            reviewedAt: {
+                type: Date,
+                default: null,
+            },
+            reviewedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null,
+            },
+            history: {
+                type: [moderationEventSchema],
+                default: [],
+            },
+        },
     },
     {
         timestamps: true,
@@ -182,50 +334,57 @@ const templateSchema = new mongoose.Schema(
 templateSchema.index({ isActive: 1, sortOrder: 1 });
 templateSchema.index({ category: 1, isActive: 1 });
 templateSchema.index({ isPro: 1, isActive: 1 });
+templateSchema.index({ tags: 1, isActive: 1 });
+templateSchema.index({ isActive: 1, usageCount: -1 });
+templateSchema.index({ 'moderation.status': 1, 'moderation.submittedAt': 1 });
+templateSchema.index({ 'author.userId': 1, createdAt: -1 });
+
+// Una plantilla de la comunidad no puede publicarse sin aprobación
+templateSchema.pre('validate', function (next) {
+    if (this.source === 'community' && this.isActive && this.moderation?.status !== 'approved') {
+        this.invalidate('isActive', 'Una plantilla de la comunidad solo puede activarse después de aprobarla');
+    }
+    next();
+});
 
 /**
- * Método para renderizar el HTML con los valores del usuario.
- * Reemplaza todos los {{KEY}} con los valores proporcionados.
- * Diferencia el tratamiento según el tipo de campo:
- * - text/textarea: se escapa HTML para evitar XSS
- * - color: se valida formato de color hex
- * - image_url: se sanitiza como URL (sin escapar HTML, ya que va en src="")
+ * Renderizar la versión publicada con los valores del usuario
  */
 templateSchema.methods.renderHtml = function (values = {}) {
-    let renderedHtml = this.html;
-    let renderedCss = this.css;
-
-    for (const field of this.editableFields) {
-        const value = values[field.key] || field.defaultValue || '';
-        const placeholder = `{{${field.key}}}`;
-
-        let processedValue;
-        switch (field.type) {
-            case 'image_url':
-                // Para imágenes: sanitizar URL, no escapar como HTML
-                // Si no hay URL válida, usar fallback o string vacío
-                processedValue = sanitizeUrl(value);
-                if (!processedValue && field.imageConfig?.fallbackImageUrl) {
-                    processedValue = sanitizeUrl(field.imageConfig.fallbackImageUrl);
-                }
-                break;
+    return renderTemplateSource(this, values);
+};
 
-            case 'color':
-                // Para colores: validar formato hex
-                processedValue = /^#[0-9a-fA-F]{3,8}$/.test(value) ? value : (field.defaultValue || '#000000');
-                break;
+templateSchema.methods.validateValues = function (values = {}) {
+    return validateTemplateValues(this, values);
+};
 
-            default:
-                // Para texto: escapar HTML
-                processedValue = escapeHtml(value);
-                break;
-        }
+/**
+ * Registrar un cambio de estado de moderación. Al aprobar la plantilla se publica;
+ * en cualquier otro estado queda fuera del catálogo.
+ * @param {string} status - MODERATION_STATUSES
+ * @param {Object} options - { by, reason? }
+ */
+templateSchema.methods.setModerationStatus = function (status, { by, reason = null }) {
+    const now = new Date();
+    const isReview = status !== 'pending';
 
-        renderedHtml = renderedHtml.replaceAll(placeholder, processedValue);
-        renderedCss = renderedCss.replaceAll(placeholder, processedValue);
+    this.moderation.status = status;
+    this.moderation.reason = reason;
+    if (isReview) {
+        this.moderation.reviewedAt = now;
+        this.moderation.reviewedBy = by;
+    } else {
+        this.moderation.submittedAt = now;
     }
+    this.moderation.history.push({ status, reason, by, at: now });
+    this.isActive = status === 'approved';
+};
 
-    return { html: renderedHtml, css: renderedCss };
+/**
+ * ¿Se puede publicar en el catálogo? Las plantillas de la comunidad solo si están aprobadas
+ */
+templateSchema.methods.canBeActivated = function () {
+    return this.source !== 'community' || this.moderation.status === 'approved';
 };
 
 /**
@@ -241,41 +400,6 @@ templateSchema.statics.getActiveTemplates = async function (category = null) {
         .lean();
 };
 
-/**
- * Sanitizar URL para campos de imagen.
- * Solo permite URLs HTTPS válidas para evitar XSS vía src="javascript:..."
- */
-function sanitizeUrl(url) {
-    if (!url || typeof url !== 'string') return '';
-    const trimmed = url.trim();
-    if (!trimmed) return '';
-
-    try {
-        const parsed = new URL(trimmed);
-        // Solo permitir https (y http en desarrollo)
-        if (parsed.protocol === 'https:' || parsed.protocol === 'http:') {
-            // Escapar comillas dobles para que sea seguro dentro de src="..."
-            return parsed.href.replace(/"/g, '%22');
-        }
-        return '';
-    } catch {
-        return '';
-    }
-}
-
-/**
- * Sanitizar HTML para evitar XSS en campos de texto
- */
-function escapeHtml(text) {
-    if (!text) return '';
-    return text
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
-}
-
 templateSchema.set('toJSON', {
     virtuals: true,
     transform: function (doc, ret) {
@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import { editableFieldSchema } from './Template.js';
+import { renderTemplateSource, validateTemplateValues } from '../utils/templateEngine.js';
+
+/**
+ * Versiones del contenido de una plantilla (html, css, editableFields).
+ * Los cambios de contenido se guardan en un borrador (a lo sumo uno por plantilla)
+ * que el admin puede previsualizar y luego publicar. Al publicar, el contenido se
+ * copia al Template (lo que ven los usuarios) y la versión publicada anterior queda
+ * archivada. Las páginas guardan la versión con la que se renderizaron.
+ */
+
+export const TEMPLATE_VERSION_STATUSES = ['draft', 'published', 'archived'];
+
+const templateVersionSchema = new mongoose.Schema(
+    {
+        templateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Template',
+            required: true,
+        },
+        version: {
+            type: Number,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: TEMPLATE_VERSION_STATUSES,
+            default: 'draft',
+        },
+        html: {
+            type: String,
+            required: true,
+        },
+        css: {
+            type: String,
+            required: true,
+        },
+        editableFields: {
+            type: [editableFieldSchema],
+            default: [],
+        },
+        // Nota del admin sobre qué cambió
+        notes: {
+            type: String,
+            default: null,
+            maxlength: 500,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        publishedAt: {
+            type: Date,
+            default: null,
+        },
+        publishedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+templateVersionSchema.index({ templateId: 1, version: -1 }, { unique: true });
+// Un solo borrador por plantilla
+templateVersionSchema.index(
+    { templateId: 1 },
+    { unique: true, partialFilterExpression: { status: 'draft' } }
+);
+
+// ============================================
+// STATICS
+// ============================================
+
+/**
+ * Registrar como versión publicada el contenido actual de una plantilla que aún
+ * no tiene versiones (plantillas creadas antes del versionado). Idempotente.
+ */
+templateVersionSchema.statics.ensureBaseline = async function (template) {
+    const existing = await this.exists({ templateId: template._id });
+    if (existing) return;
+
+    try {
+        await this.create({
+            templateId: template._id,
+            version: template.currentVersion || 1,
+            status: 'published',
+            html: template.html,
+            css: template.css,
+            editableFields: template.editableFields,
+            createdBy: template.createdBy || null,
+            publishedAt: template.createdAt || new Date(),
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Crear o actualizar el borrador de una plantilla con el contenido indicado
+ * @param {Object} content - { html, css, editableFields, notes? }
+ * @returns {Promise<{ draft: Object, created: boolean }>}
+ */
+templateVersionSchema.statics.saveDraft = async function (template, content, userId) {
+    await this.ensureBaseline(template);
+
+    const draft = await this.findOne({ templateId: template._id, status: 'draft' });
+    if (draft) {
+        draft.html = content.html;
+        draft.css = content.css;
+        draft.editableFields = content.editableFields;
+        if (content.notes !== undefined) draft.notes = content.notes;
+        return { draft: await draft.save(), created: false };
+    }
+
+    const last = await this.findOne({ templateId: template._id }).sort({ version: -1 }).select('version');
+    const created = await this.create({
+        templateId: template._id,
+        version: Math.max(last?.version || 0, template.currentVersion || 0) + 1,
+        status: 'draft',
+        html: content.html,
+        css: content.css,
+        editableFields: content.editableFields,
+        notes: content.notes ?? null,
+        createdBy: userId,
+    });
+    return { draft: created, created: true };
+};
+
+/**
+ * Publicar el borrador: archiva la versión publicada y copia el contenido al Template
+ * @returns {Promise<Object|null>} - La versión publicada, o null si no hay borrador
+ */
+templateVersionSchema.statics.publishDraft = async function (template, userId) {
+    const draft = await this.findOne({ templateId: template._id, status: 'draft' });
+    if (!draft) return null;
+
+    await this.updateMany(
+        { templateId: template._id, status: 'published' },
+        { $set: { status: 'archived' } }
+    );
+
+    draft.status = 'published';
+    draft.publishedAt = new Date();
+    draft.publishedBy = userId;
+    await draft.save();
+
+    template.html = draft.html;
+    template.css = draft.css;
+    template.editableFields = draft.editableFields;
+    template.currentVersion = draft.version;
+    await template.save();
+
+    return draft;
+};
+
+// ============================================
+// METHODS
+// ============================================
+
+templateVersionSchema.methods.renderHtml = function (values = {}) {
+    return renderTemplateSource(this, values);
+};
+
+templateVersionSchema.methods.validateValues = function (values = {}) {
+    return validateTemplateValues(this, values);
+};
+
+templateVersionSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    },
+});
+
+const TemplateVersion = mongoose.model('TemplateVersion', templateVersionSchema);
+
+export default TemplateVersion;
@@ -23,6 +23,13 @@ const userSchema = new mongoose.Schema(
             type: String,
             default: null,
         },
+        // País (ISO 3166-1 alpha-2) elegido por el usuario; define la moneda de los precios
+        country: {
+            type: String,
+            uppercase: true,
+            match: /^[A-Z]{2}$/,
+            default: null,
+        },
         isPro: {
             type: Boolean,
             default: false,
@@ -31,6 +38,11 @@ const userSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // Último plan comprado (ver config/plans.js)
+        proPlan: {
+            type: String,
+            default: null,
+        },
         isAdmin: {
             type: Boolean,
             default: false,
@@ -44,38 +56,18 @@ const userSchema = new mongoose.Schema(
             type: Date,
             default: Date.now,
         },
+        // Uso de IA (cuota de refinamientos por ventana de 24 horas)
+        aiUsage: {
+            refineCount: { type: Number, default: 0 },
+            refineWindowStartedAt: { type: Date, default: null },
+        },
         // Suscripciones Web Push (pueden haber varias — distinto navegador/dispositivo)
         pushSubscriptions: {
             type: [mongoose.Schema.Types.Mixed],
             default: [],
             select: false,
         },
-        // Historial de pagos
-        payments: [
-            {
-                paymentId: { type: String, required: true },
-                amount: { type: Number, required: true },
-                currency: { type: String, required: true, default: 'USD' },
-                status: { type: String, required: true },
-                date: { type: Date, required: true, default: Date.now },
-                provider: {
-                    type: String,
-                    enum: ['mercadopago', 'paypal', 'simulation'],
-                    required: true,
-                    default: 'mercadopago',
-                },
-                mercadoPagoId: { type: String, default: null },
-                paypalOrderId: { type: String, default: null },
-                statusDetail: { type: String, default: null },
-                paymentMethod: { type: String, default: null },
-                paymentType: { type: String, default: null },
-                payer: {
-                    email: { type: String, default: null },
-                    name: { type: String, default: null },
-                    payerId: { type: String, default: null },
-                },
-            },
-        ],
+        // Los pagos viven en la colección Payment (ver models/Payment.js y scripts/migratePayments.js)
     },
     {
         timestamps: true,
@@ -84,6 +76,7 @@ const userSchema = new mongoose.Schema(
 
 // Índices compuestos
 userSchema.index({ email: 1, firebaseUid: 1 });
+userSchema.index({ isPro: 1, proExpiresAt: 1 });
 
 // ============================================
 // METHODS
@@ -95,28 +88,74 @@ userSchema.methods.isProActive = function () {
     return this.proExpiresAt > new Date();
 };
 
+// PRO sin vencimiento (plan lifetime): no tiene sentido renovar
+userSchema.methods.hasPermanentPro = function () {
+    return this.isPro && !this.proExpiresAt;
+};
+
 userSchema.methods.updateLastLogin = async function () {
     this.lastLogin = new Date();
     await this.save();
 };
 
-userSchema.methods.getLastPayment = function () {
-    if (!this.payments || this.payments.length === 0) return null;
-    return this.payments[this.payments.length - 1];
-};
+// ============================================
+// STATICS
+// ============================================
+
+const AI_QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Consumir un refinamiento de IA de forma atómica.
+ * Si la ventana de 24h expiró se reinicia; si no, solo incrementa mientras count < limit.
+ * Devuelve { allowed, remaining, resetsAt }.
+ */
+userSchema.statics.consumeAiRefineQuota = async function (userId, limit) {
+    const now = new Date();
+    const windowThreshold = new Date(now.getTime() - AI_QUOTA_WINDOW_MS);
+
+    let user = await this.findOneAndUpdate(
+        {
+            _id: userId,
+            $or: [
+                { 'aiUsage.refineWindowStartedAt': null },
+                { 'aiUsage.refineWindowStartedAt': { $lte: windowThreshold } },
+            ],
+        },
+        { $set: { 'aiUsage.refineCount': 1, 'aiUsage.refineWindowStartedAt': now } },
+        { new: true }
+    );
+
+    if (!user) {
+        user = await this.findOneAndUpdate(
+            { _id: userId, 'aiUsage.refineCount': { $lt: limit } },
+            { $inc: { 'aiUsage.refineCount': 1 } },
+            { new: true }
+        );
+    }
+
+    if (!user) {
+        const current = await this.findById(userId).select('aiUsage');
+        return {
+            allowed: false,
+            remaining: 0,
+            resetsAt: new Date(current.aiUsage.refineWindowStartedAt.getTime() + AI_QUOTA_WINDOW_MS),
+        };
+    }
 
-userSchema.methods.getPaymentsByProvider = function (provider) {
-    if (!this.payments) return [];
-    return this.payments.filter((p) => p.provider === provider);
+    return {
+        allowed: true,
+        remaining: Math.max(0, limit - user.aiUsage.refineCount),
+        resetsAt: new Date(user.aiUsage.refineWindowStartedAt.getTime() + AI_QUOTA_WINDOW_MS),
+    };
 };
 
-userSchema.methods.hasPayment = function (paymentId) {
-    if (!this.payments) return false;
-    return this.payments.some(
-        (p) =>
-            p.paymentId === paymentId ||
-            p.mercadoPagoId === paymentId ||
-            p.paypalOrderId === paymentId
+/**
+ * Devolver un refinamiento consumido (cuando la generación falla)
+ */
+userSchema.statics.releaseAiRefineQuota = async function (userId) {
+    await this.updateOne(
+        { _id: userId, 'aiUsage.refineCount': { $gt: 0 } },
+        { $inc: { 'aiUsage.refineCount': -1 } }
     );
 };
 
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+/**
+ * Registro de cada webhook recibido de un proveedor de pago, con el resultado de
+ * verificar su firma y de procesarlo. Permite a un admin inspeccionar entregas
+ * rechazadas o fallidas y volver a procesarlas (replay).
+ */
+
+export const WEBHOOK_PROVIDERS = ['mercadopago', 'paypal'];
+
+// Resultado de la verificación de firma
+export const WEBHOOK_VERIFICATIONS = [
+    'valid',
+    'missing_signature',
+    'invalid_signature',
+    'stale', // timestamp fuera de la ventana de tolerancia
+    'replayed', // misma firma ya recibida
+    'not_configured', // falta el secreto / webhook id en el servidor
+];
+
+// received: verificado, procesándose; rejected: firma no válida (no se procesó)
+export const WEBHOOK_DELIVERY_STATUSES = ['received', 'processed', 'ignored', 'rejected', 'failed'];
+
+// Entregas que un admin puede volver a procesar
+export const REPLAYABLE_WEBHOOK_STATUSES = ['rejected', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        provider: {
+            type: String,
+            enum: WEBHOOK_PROVIDERS,
+            required: true,
+        },
+        // action/type de MercadoPago o event_type de PayPal
+        event: {
+            type: String,
+            default: null,
+        },
+        // Id del recurso notificado (pago de MercadoPago, recurso de PayPal)
+        resourceId: {
+            type: String,
+            default: null,
+        },
+        // x-request-id (MercadoPago) o paypal-transmission-id
+        requestId: {
+            type: String,
+            default: null,
+        },
+        // Firma recibida (v1 de x-signature o paypal-transmission-sig), para detectar repeticiones
+        signature: {
+            type: String,
+            default: null,
+        },
+        signedAt: {
+            type: Date,
+            default: null,
+        },
+        verification: {
+            type: String,
+            enum: WEBHOOK_VERIFICATIONS,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: WEBHOOK_DELIVERY_STATUSES,
+            required: true,
+        },
+        // Motivo de ignored / rejected o mensaje de error de failed
+        reason: {
+            type: String,
+            default: null,
+        },
+        headers: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        // Query string original (MercadoPago envía "data.id", que no puede ser clave en Mongo)
+        query: {
+            type: String,
+            default: null,
+        },
+        body: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        processedAt: {
+            type: Date,
+            default: null,
+        },
+        replays: [
+            {
+                _id: false,
+                at: { type: Date, default: Date.now },
+                by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+                status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES },
+                reason: { type: String, default: null },
+            },
+        ],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookDeliverySchema.index({ provider: 1, status: 1, createdAt: -1 });
+webhookDeliverySchema.index({ provider: 1, signature: 1 });
+webhookDeliverySchema.index({ resourceId: 1 });
+
+// ============================================
+// STATICS
+// ============================================
+
+/**
+ * ¿Ya se aceptó una entrega con esta misma firma? (un atacante que reenvía una
+ * notificación capturada dentro de la ventana de tolerancia)
+ */
+webhookDeliverySchema.statics.isReplay = async function (provider, signature) {
+    if (!signature) return false;
+    return Boolean(await this.exists({ provider, signature, verification: 'valid' }));
+};
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Guardar el resultado del procesamiento
+ * @param {string} status - processed | ignored | failed
+ */
+webhookDeliverySchema.methods.markOutcome = async function (status, reason = null) {
+    this.status = status;
+    this.reason = reason;
+    if (status === 'processed') this.processedAt = new Date();
+    return await this.save();
+};
+
+webhookDeliverySchema.methods.canReplay = function () {
+    return REPLAYABLE_WEBHOOK_STATUSES.includes(this.status);
+};
+
+webhookDeliverySchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    },
+});
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
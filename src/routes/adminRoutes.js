@@ -3,6 +3,8 @@ import adminController from '../controllers/adminController.js';
 import { authenticate } from '../middleware/auth.js';
 import { requireAdmin } from '../middleware/adminMiddleware.js';
 import templateController from '../controllers/templateController.js';
+import couponController from '../controllers/couponController.js';
+import paymentController from '../controllers/paymentController.js';
 
 const router = express.Router();
 
@@ -11,6 +13,7 @@ router.use(authenticate, requireAdmin);
 
 // Dashboard
 router.get('/dashboard', (req, res) => adminController.getDashboardStats(req, res));
+router.get('/revenue', (req, res) => adminController.getRevenueStats(req, res));
 
 // Users (read-only)
 router.get('/users', (req, res) => adminController.getUsers(req, res));
@@ -33,9 +36,47 @@ router.post('/contacts/:contactId/reply', (req, res) => adminController.replyToC
 
 // Templates
 router.get('/templates', (req, res) => templateController.adminGetTemplates(req, res));
+router.get('/templates/submissions', (req, res) => templateController.adminGetSubmissions(req, res));
+router.get('/templates/submissions/:templateId', (req, res) => templateController.adminGetSubmission(req, res));
 router.post('/templates', (req, res) => templateController.adminCreateTemplate(req, res));
 router.patch('/templates/:templateId', (req, res) => templateController.adminUpdateTemplate(req, res));
 router.delete('/templates/:templateId', (req, res) => templateController.adminDeleteTemplate(req, res));
 router.patch('/templates/:templateId/toggle', (req, res) => templateController.adminToggleTemplate(req, res));
 
+// Template versions (draft → publish) y actualización de páginas existentes
+router.get('/templates/:templateId/versions', (req, res) => templateController.adminGetTemplateVersions(req, res));
+router.get('/templates/:templateId/versions/:version', (req, res) => templateController.adminGetTemplateVersion(req, res));
+router.put('/templates/:templateId/draft', (req, res) => templateController.adminSaveTemplateDraft(req, res));
+router.delete('/templates/:templateId/draft', (req, res) => templateController.adminDiscardTemplateDraft(req, res));
+router.post('/templates/:templateId/draft/preview', (req, res) => templateController.adminPreviewTemplateDraft(req, res));
+router.post('/templates/:templateId/draft/publish', (req, res) => templateController.adminPublishTemplateDraft(req, res));
+router.post('/templates/:templateId/rerender-pages', (req, res) => templateController.adminRerenderTemplatePages(req, res));
+
+// Moderación de plantillas de la comunidad (body: { reason })
+router.post('/templates/:templateId/approve', (req, res) => templateController.adminModerateTemplate(req, res, 'approve'));
+router.post('/templates/:templateId/reject', (req, res) => templateController.adminModerateTemplate(req, res, 'reject'));
+router.post('/templates/:templateId/request-changes', (req, res) =>
+    templateController.adminModerateTemplate(req, res, 'request-changes')
+);
+
+// Coupons ("report" debe ir antes de ":couponId")
+router.get('/coupons', (req, res) => couponController.adminGetCoupons(req, res));
+router.get('/coupons/report', (req, res) => couponController.adminGetCouponReport(req, res));
+router.post('/coupons', (req, res) => couponController.adminCreateCoupon(req, res));
+router.patch('/coupons/:couponId', (req, res) => couponController.adminUpdateCoupon(req, res));
+router.delete('/coupons/:couponId', (req, res) => couponController.adminDeleteCoupon(req, res));
+router.get('/coupons/:couponId/redemptions', (req, res) => couponController.adminGetCouponRedemptions(req, res));
+
+// Payments
+router.post('/payments/:paymentId/refund', (req, res) => paymentController.adminRefundPayment(req, res));
+
+// Webhook deliveries
+router.get('/webhooks', (req, res) => paymentController.adminGetWebhookDeliveries(req, res));
+router.get('/webhooks/:deliveryId', (req, res) => paymentController.adminGetWebhookDelivery(req, res));
+router.post('/webhooks/:deliveryId/replay', (req, res) => paymentController.adminReplayWebhook(req, res));
+
+// Gift codes
+router.get('/gifts', (req, res) => paymentController.adminGetGifts(req, res));
+router.post('/gifts/:giftId/expire', (req, res) => paymentController.adminExpireGift(req, res));
+
 export default router;
\ No newline at end of file
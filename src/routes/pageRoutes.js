@@ -2,10 +2,15 @@ import express from 'express';
 import multer from 'multer';
 import pageController from '../controllers/pageController.js';
 import pageControllerExtended from '../controllers/pageControllerExtended.js';
-import { authenticate, optionalAuth } from '../middleware/auth.js';
+import pageRevisionController from '../controllers/pageRevisionController.js';
+import pageAiController from '../controllers/pageAiController.js';
+import { authenticate, optionalAuth, requirePro } from '../middleware/auth.js';
 import {
     createPageLimiter,
     responsePageLimiter,
+    pageEventLimiter,
+    unlockPageLimiter,
+    unlockPageGlobalLimiter,
     validatePageCreation,
     validatePageResponse,
     sanitizeInputs,
@@ -76,11 +81,47 @@ router.post(
     (req, res) => pageController.respondToPage(req, res)
 );
 
+// POST /api/pages/public/:shortId/unlock (páginas protegidas con frase o pregunta secreta)
+router.post(
+    '/public/:shortId/unlock',
+    unlockPageGlobalLimiter,
+    unlockPageLimiter,
+    sanitizeInputs,
+    (req, res) => pageController.unlockPage(req, res)
+);
+
+// POST /api/pages/public/:shortId/events (hover / escape del botón "No")
+router.post('/public/:shortId/events', pageEventLimiter, (req, res) => pageController.trackPageEvent(req, res));
+
 // === RUTAS CON :pageId ===
 
 router.get('/:pageId/details', authenticate, (req, res) => pageControllerExtended.getPageDetails(req, res));
+router.get('/:pageId/analytics', authenticate, (req, res) => pageControllerExtended.getPageAnalytics(req, res));
 router.patch('/:pageId', authenticate, sanitizeInputs, (req, res) => pageControllerExtended.updatePage(req, res));
 router.delete('/:pageId', authenticate, (req, res) => pageControllerExtended.deletePage(req, res));
 router.patch('/:pageId/toggle', authenticate, (req, res) => pageControllerExtended.togglePageStatus(req, res));
+// Valores de una página creada desde plantilla (sin sanitizeInputs: renderHtml escapa cada valor)
+router.patch('/:pageId/template-values', authenticate, (req, res) =>
+    pageControllerExtended.updateTemplateValues(req, res)
+);
+
+// Historial de revisiones ("diff" debe ir antes de ":revisionNumber")
+router.get('/:pageId/revisions', authenticate, (req, res) => pageRevisionController.getRevisions(req, res));
+router.get('/:pageId/revisions/diff', authenticate, (req, res) => pageRevisionController.diffRevisions(req, res));
+router.get('/:pageId/revisions/:revisionNumber', authenticate, (req, res) =>
+    pageRevisionController.getRevision(req, res)
+);
+router.post('/:pageId/revisions/:revisionNumber/restore', authenticate, (req, res) =>
+    pageRevisionController.restoreRevision(req, res)
+);
+
+// Refinamiento iterativo con IA (PRO)
+router.post('/:pageId/ai/refine', authenticate, requirePro, (req, res) => pageAiController.refinePage(req, res));
+
+// Generación con IA en segundo plano: estado y reintento
+router.get('/:pageId/generation', authenticate, (req, res) => pageAiController.getGenerationStatus(req, res));
+router.post('/:pageId/generation/retry', authenticate, requirePro, (req, res) =>
+    pageAiController.retryGeneration(req, res)
+);
 
 export default router;
\ No newline at end of file
@@ -1,16 +1,41 @@
 import express from 'express';
 import paymentController from '../controllers/paymentController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// ============================================================
+// PLANES
+// ============================================================
+
+/**
+ * @route   GET /api/payments/plans
+ * @desc    Catálogo de planes PRO (mensual, anual, permanente)
+ * @access  Public
+ */
+router.get('/plans', paymentController.getPlans);
+
+/**
+ * @route   GET /api/payments/pricing
+ * @desc    Precios de los planes en la moneda del país del comprador (query: country?)
+ * @access  Public (con sesión usa el país del perfil)
+ */
+router.get('/pricing', optionalAuth, paymentController.getPricing);
+
+/**
+ * @route   POST /api/payments/coupons/validate
+ * @desc    Validar un cupón y obtener el precio con descuento (body: { code, planId, provider? })
+ * @access  Private
+ */
+router.post('/coupons/validate', authenticate, paymentController.validateCoupon);
+
 // ============================================================
 // MERCADO PAGO
 // ============================================================
 
 /**
  * @route   POST /api/payments/mercadopago/create-preference
- * @desc    Crear preferencia de pago MercadoPago para plan PRO
+ * @desc    Crear preferencia de pago MercadoPago para plan PRO (body: { planId, couponCode?, gift?, giftRecipientEmail?, giftMessage? })
  * @access  Private
  */
 router.post('/mercadopago/create-preference', authenticate, paymentController.createMercadoPagoPreference);
@@ -21,7 +46,7 @@ router.post('/mercadopago/create-preference', authenticate, paymentController.cr
 
 /**
  * @route   POST /api/payments/paypal/create-order
- * @desc    Crear orden de PayPal para plan PRO
+ * @desc    Crear orden de PayPal para plan PRO (body: { planId, couponCode?, gift?, giftRecipientEmail?, giftMessage? })
  * @access  Private
  */
 router.post('/paypal/create-order', authenticate, paymentController.createPayPalOrder);
@@ -31,7 +56,25 @@ router.post('/paypal/create-order', authenticate, paymentController.createPayPal
  * @desc    Capturar pago de PayPal después de la aprobación
  * @access  Private
  */
-router.post('/paypal/capture/:orderId', authenticate, paymentController.capturePayPalPayment);
+router.post('/paypal/capture/:orderId', authenticate, (req, res) => paymentController.capturePayPalPayment(req, res));
+
+// ============================================================
+// REGALOS
+// ============================================================
+
+/**
+ * @route   GET /api/payments/gifts
+ * @desc    Regalos PRO comprados por el usuario y su estado
+ * @access  Private
+ */
+router.get('/gifts', authenticate, paymentController.getMyGifts);
+
+/**
+ * @route   POST /api/payments/gifts/redeem
+ * @desc    Canjear un código de regalo PRO (body: { code })
+ * @access  Private
+ */
+router.post('/gifts/redeem', authenticate, (req, res) => paymentController.redeemGift(req, res));
 
 // ============================================================
 // RUTAS COMUNES
@@ -51,6 +94,13 @@ router.get('/:provider/:paymentId/status', authenticate, paymentController.check
  */
 router.get('/history', authenticate, paymentController.getPaymentHistory);
 
+/**
+ * @route   GET /api/payments/:paymentId/receipt
+ * @desc    Comprobante de un pago aprobado (query: format=html|pdf)
+ * @access  Private
+ */
+router.get('/:paymentId/receipt', authenticate, paymentController.getReceipt);
+
 /**
  * @route   POST /api/payments/simulate-success
  * @desc    Simular pago exitoso (SOLO DESARROLLO)
@@ -1,7 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import templateController from '../controllers/templateController.js';
-import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { authenticate, optionalAuth, requirePro } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -32,6 +32,34 @@ const templateImageUpload = multer({
  */
 router.get('/', (req, res) => templateController.getTemplates(req, res));
 
+/**
+ * GET /api/templates/search
+ * Buscar plantillas por texto (nombre, descripción, tags) con filtros, orden y paginación
+ * Query: ?q=&category=&tag=&isPro=true|false&sort=popular|trending|newest&page=&limit=
+ */
+router.get('/search', (req, res) => templateController.searchTemplates(req, res));
+
+/**
+ * GET /api/templates/submissions
+ * Plantillas enviadas por el usuario con su estado de moderación
+ */
+router.get('/submissions', authenticate, (req, res) => templateController.getMySubmissions(req, res));
+
+/**
+ * POST /api/templates/submissions
+ * Enviar una plantilla propia a moderación (requiere PRO)
+ * Body: { name, description, previewImageUrl, category?, tags?, html, css, editableFields }
+ */
+router.post('/submissions', authenticate, requirePro, (req, res) => templateController.submitTemplate(req, res));
+
+/**
+ * PUT /api/templates/submissions/:templateId
+ * Editar un envío pendiente o con cambios pedidos y reenviarlo a moderación (requiere PRO)
+ */
+router.put('/submissions/:templateId', authenticate, requirePro, (req, res) =>
+    templateController.updateSubmission(req, res)
+);
+
 /**
  * GET /api/templates/:templateId
  * Obtener plantilla completa por ID (con HTML/CSS para preview)
@@ -6,9 +6,10 @@ const router = express.Router();
 /**
  * @route   POST /api/webhooks/mercadopago
  * @desc    Webhook para notificaciones de Mercado Pago
- * @access  Public (validado por Mercado Pago)
+ * @access  Public (firma x-signature verificada con MERCADOPAGO_WEBHOOK_SECRET)
+ * Estas rutas se registran antes del body parser global: se parsea el JSON aquí
  */
-router.post('/mercadopago', (req, res) => paymentController.handleMercadoPagoWebhook(req, res));
+router.post('/mercadopago', express.json(), (req, res) => paymentController.handleMercadoPagoWebhook(req, res));
 
 /**
  * ✅ FIX: PayPal webhook necesita el raw body para verificar la firma
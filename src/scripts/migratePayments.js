@@ -0,0 +1,99 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import { DEFAULT_PLAN_ID } from '../config/plans.js';
+
+/**
+ * Migración: array embebido users.payments → colección Payment.
+ * Es idempotente (upsert por provider + providerPaymentId), se puede correr varias veces.
+ *
+ * Uso:
+ *   npm run migrate:payments            → copia los pagos
+ *   npm run migrate:payments -- --unset → además elimina users.payments ya migrados
+ */
+
+const NOT_APPROVED_STATUSES = ['pending', 'rejected', 'cancelled'];
+
+function toLedgerPayment(userId, legacy) {
+    const status = Payment.normalizeProviderStatus(legacy.status);
+    const date = legacy.date ? new Date(legacy.date) : new Date();
+
+    return {
+        userId,
+        provider: legacy.provider || 'mercadopago',
+        providerPaymentId: String(legacy.paymentId),
+        providerOrderId: legacy.paypalOrderId || null,
+        // Los pagos anteriores al catálogo de planes eran del plan permanente
+        planId: legacy.planId || DEFAULT_PLAN_ID,
+        amount: legacy.amount,
+        currency: legacy.currency || 'USD',
+        status,
+        providerStatus: legacy.status || null,
+        statusDetail: legacy.statusDetail || null,
+        statusHistory: [{ status, at: date, source: 'migration' }],
+        paymentMethod: legacy.paymentMethod || null,
+        paymentType: legacy.paymentType || null,
+        payer: legacy.payer || {},
+        coupon: legacy.coupon?.code ? legacy.coupon : undefined,
+        approvedAt: NOT_APPROVED_STATUSES.includes(status) ? null : date,
+        refundedAmount: status === 'refunded' ? legacy.amount : 0,
+        createdAt: date,
+        updatedAt: new Date(),
+    };
+}
+
+async function migratePayments({ unset = false } = {}) {
+    // Asegurar el índice único antes de insertar
+    await Payment.init();
+
+    const stats = { users: 0, inserted: 0, existing: 0, failed: 0 };
+
+    // Se lee con el driver porque el schema de User ya no define "payments"
+    const cursor = User.collection.find(
+        { 'payments.0': { $exists: true } },
+        { projection: { email: 1, payments: 1 } }
+    );
+
+    for await (const user of cursor) {
+        stats.users += 1;
+        let userFailed = false;
+
+        for (const legacy of user.payments) {
+            try {
+                const doc = toLedgerPayment(user._id, legacy);
+                const result = await Payment.updateOne(
+                    { provider: doc.provider, providerPaymentId: doc.providerPaymentId },
+                    { $setOnInsert: doc },
+                    { upsert: true, timestamps: false }
+                );
+
+                if (result.upsertedCount > 0) stats.inserted += 1;
+                else stats.existing += 1;
+            } catch (error) {
+                userFailed = true;
+                stats.failed += 1;
+                console.error(`❌ ${user.email}: pago ${legacy.paymentId} no migrado:`, error.message);
+            }
+        }
+
+        // Solo se borra el array si todos sus pagos quedaron en el libro
+        if (unset && !userFailed) {
+            await User.collection.updateOne({ _id: user._id }, { $unset: { payments: '' } });
+        }
+    }
+
+    return stats;
+}
+
+await connectDB();
+
+const stats = await migratePayments({ unset: process.argv.includes('--unset') });
+console.log(
+    `✅ Migración de pagos: ${stats.users} usuarios, ${stats.inserted} insertados, ` +
+        `${stats.existing} ya existían, ${stats.failed} con error`
+);
+
+await mongoose.disconnect();
+process.exit(stats.failed > 0 ? 1 : 0);
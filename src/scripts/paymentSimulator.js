@@ -0,0 +1,864 @@
+import 'dotenv/config';
+import express from 'express';
+import crypto from 'crypto';
+import { DEFAULT_SIMULATOR_PORT } from '../config/paymentSimulator.js';
+import { getMercadoPagoAccount } from '../config/mercadopago.js';
+
+/**
+ * Simulador local de MercadoPago y PayPal para probar el flujo de compra completo sin red.
+ * Implementa los endpoints que usan mercadoPagoService y paypalService (preferencias, pagos,
+ * órdenes, capturas, reembolsos, OAuth y verificación de firma), las páginas de checkout
+ * con redirección a back_urls/return_url y el envío de webhooks firmados, con retraso opcional.
+ *
+ * Uso:
+ *   npm run simulate:payments
+ *   PAYMENT_SIMULATOR_URL=http://localhost:4010 npm run dev
+ *
+ * Variables:
+ *   PAYMENT_SIMULATOR_PORT               → puerto (4010 por defecto)
+ *   PAYMENT_SIMULATOR_WEBHOOK_DELAY_MS   → retraso por defecto de los webhooks (0)
+ *   PAYMENT_SIMULATOR_PAYPAL_WEBHOOK_URL → destino de los webhooks de PayPal
+ *                                          (por defecto BACKEND_URL/api/webhooks/paypal)
+ *   MERCADOPAGO_WEBHOOK_SECRET           → clave con la que se firma x-signature
+ *                                          (_<MONEDA> para las cuentas adicionales, ver config/mercadopago.js)
+ *   PAYPAL_WEBHOOK_ID                    → webhook_id que se firma y se verifica
+ *
+ * Control para pruebas (body JSON, delayMs opcional en todos):
+ *   POST /mercadopago/checkout/:preferenceId        { outcome: approved|pending|rejected }
+ *   POST /_simulator/mercadopago/payments/:id       { status: approved|rejected|cancelled|refunded|charged_back|in_mediation }
+ *   POST /paypal/checkout/:orderId                  { outcome: approved|pending|rejected|cancel }
+ *   POST /_simulator/paypal/captures/:id            { status: COMPLETED|DENIED|REFUNDED|REVERSED }
+ *   GET  /_simulator/webhooks                       → entregas de webhooks y su resultado
+ */
+
+const PORT = parseInt(process.env.PAYMENT_SIMULATOR_PORT) || DEFAULT_SIMULATOR_PORT;
+const PUBLIC_URL = (process.env.PAYMENT_SIMULATOR_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const BACKEND_URL = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+const PAYPAL_WEBHOOK_URL = process.env.PAYMENT_SIMULATOR_PAYPAL_WEBHOOK_URL || `${BACKEND_URL}/api/webhooks/paypal`;
+const PAYPAL_WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID || 'SIMULATOR-WEBHOOK';
+const DEFAULT_DELAY_MS = parseInt(process.env.PAYMENT_SIMULATOR_WEBHOOK_DELAY_MS) || 0;
+
+const MAX_DELAY_MS = 10 * 60 * 1000;
+const MAX_DELIVERY_ATTEMPTS = 3;
+const MAX_DELIVERIES_KEPT = 500;
+const SIMULATOR_COLLECTOR_ID = 123456789;
+
+// Clave con la que el simulador firma los webhooks de PayPal y luego los verifica
+const PAYPAL_SIGNING_KEY = crypto.randomBytes(32).toString('hex');
+
+const MP_OUTCOMES = {
+    approved: { status: 'approved', status_detail: 'accredited', payment_method_id: 'visa', payment_type_id: 'credit_card' },
+    pending: { status: 'pending', status_detail: 'pending_waiting_payment', payment_method_id: 'pagoefectivo_atm', payment_type_id: 'ticket' },
+    rejected: { status: 'rejected', status_detail: 'cc_rejected_insufficient_amount', payment_method_id: 'visa', payment_type_id: 'credit_card' },
+};
+
+const MP_STATUS_DETAILS = {
+    approved: 'accredited',
+    rejected: 'cc_rejected_other_reason',
+    cancelled: 'by_collector',
+    charged_back: 'settled',
+    in_mediation: 'in_mediation',
+};
+
+const PAYPAL_OUTCOMES = ['approved', 'pending', 'rejected', 'cancel'];
+
+const store = {
+    preferences: new Map(), // id → preferencia (body recibido)
+    mpPayments: new Map(), // id → { payment, preference }
+    orders: new Map(), // id → { order, context, outcome }
+    captures: new Map(), // id → { capture, orderId }
+    deliveries: [],
+};
+
+let sequence = 1000000000;
+
+function nextNumericId() {
+    sequence += 1;
+    return sequence;
+}
+
+function paypalId(length = 17) {
+    return crypto.randomBytes(length).toString('hex').toUpperCase().slice(0, length);
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function roundAmount(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Retraso del webhook pedido en body/query (ms), acotado
+ */
+function parseDelay(req) {
+    const raw = req.body?.delayMs ?? req.query.delayMs;
+    const value = parseInt(raw);
+    if (Number.isNaN(value)) return DEFAULT_DELAY_MS;
+    return Math.min(Math.max(value, 0), MAX_DELAY_MS);
+}
+
+// MercadoPago devuelve las claves de metadata en snake_case
+function snakeCaseKeys(object = {}) {
+    return Object.fromEntries(
+        Object.entries(object).map(([key, value]) => [key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase(), value])
+    );
+}
+
+function withQuery(url, params) {
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null) target.searchParams.set(key, value);
+    }
+    return target.toString();
+}
+
+// ============================================================
+// ENTREGA DE WEBHOOKS
+// ============================================================
+
+/**
+ * Programar un webhook. signHeaders se llama en cada intento (firma con timestamp nuevo).
+ * Si el backend no responde 2xx se reintenta con backoff exponencial.
+ */
+function scheduleWebhook({ provider, event, url, body, signHeaders, delayMs }) {
+    const delivery = {
+        id: crypto.randomUUID(),
+        provider,
+        event,
+        url,
+        status: 'scheduled',
+        attempts: 0,
+        responseStatus: null,
+        error: null,
+        scheduledFor: new Date(Date.now() + delayMs),
+        deliveredAt: null,
+    };
+
+    store.deliveries.unshift(delivery);
+    store.deliveries.length = Math.min(store.deliveries.length, MAX_DELIVERIES_KEPT);
+
+    const payload = JSON.stringify(body);
+    setTimeout(() => deliverWebhook(delivery, payload, signHeaders), delayMs);
+    console.log(`📤 [${provider}] ${event} programado en ${delayMs}ms → ${url}`);
+
+    return delivery;
+}
+
+async function deliverWebhook(delivery, payload, signHeaders) {
+    delivery.attempts += 1;
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...signHeaders(payload) },
+            body: payload,
+            signal: AbortSignal.timeout(10000),
+        });
+        delivery.responseStatus = response.status;
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date();
+        delivery.error = null;
+        console.log(`✅ [${delivery.provider}] ${delivery.event} entregado (${response.status})`);
+    } catch (error) {
+        delivery.error = error.message;
+
+        if (delivery.attempts < MAX_DELIVERY_ATTEMPTS) {
+            delivery.status = 'retrying';
+            setTimeout(() => deliverWebhook(delivery, payload, signHeaders), 1000 * 2 ** delivery.attempts);
+        } else {
+            delivery.status = 'failed';
+            console.error(`❌ [${delivery.provider}] ${delivery.event} no entregado: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Firma de MercadoPago: x-signature "ts=...,v1=HMAC_SHA256(secret, id:...;request-id:...;ts:...;)"
+ */
+function signMercadoPago(dataId, secret) {
+    return () => {
+        const requestId = crypto.randomUUID();
+        const ts = Date.now().toString();
+        const manifest = `id:${dataId};request-id:${requestId};ts:${ts};`;
+        const v1 = crypto
+            .createHmac('sha256', secret || '')
+            .update(manifest)
+            .digest('hex');
+
+        return { 'x-signature': `ts=${ts},v1=${v1}`, 'x-request-id': requestId };
+    };
+}
+
+function paypalSignature(transmissionId, transmissionTime, webhookId, payload) {
+    const digest = crypto.createHash('sha256').update(payload).digest('hex');
+    return crypto
+        .createHmac('sha256', PAYPAL_SIGNING_KEY)
+        .update(`${transmissionId}|${transmissionTime}|${webhookId}|${digest}`)
+        .digest('base64');
+}
+
+/**
+ * Firma de PayPal: mismos headers que la API real, verificables con
+ * POST /v1/notifications/verify-webhook-signature de este simulador
+ */
+function signPayPal(payload) {
+    const transmissionId = crypto.randomUUID();
+    const transmissionTime = new Date().toISOString();
+
+    return {
+        'paypal-transmission-id': transmissionId,
+        'paypal-transmission-time': transmissionTime,
+        'paypal-transmission-sig': paypalSignature(transmissionId, transmissionTime, PAYPAL_WEBHOOK_ID, payload),
+        'paypal-auth-algo': 'SHA256withRSA',
+        'paypal-cert-url': `${PUBLIC_URL}/v1/notifications/certs/simulator`,
+    };
+}
+
+function notifyMercadoPago(entry, action, delayMs) {
+    const { payment, preference } = entry;
+    const dataId = String(payment.id);
+    const url = withQuery(preference?.notification_url || `${BACKEND_URL}/api/webhooks/mercadopago`, {
+        'data.id': dataId,
+        type: 'payment',
+    });
+
+    return scheduleWebhook({
+        provider: 'mercadopago',
+        event: action,
+        url,
+        body: {
+            id: nextNumericId(),
+            live_mode: false,
+            type: 'payment',
+            date_created: new Date().toISOString(),
+            user_id: SIMULATOR_COLLECTOR_ID,
+            api_version: 'v1',
+            action,
+            data: { id: dataId },
+        },
+        signHeaders: signMercadoPago(dataId, getMercadoPagoAccount(new URL(url).searchParams.get('account')).webhookSecret),
+        delayMs,
+    });
+}
+
+function notifyPayPal(eventType, resourceType, resource, delayMs) {
+    return scheduleWebhook({
+        provider: 'paypal',
+        event: eventType,
+        url: PAYPAL_WEBHOOK_URL,
+        body: {
+            id: `WH-${paypalId()}`,
+            event_version: '1.0',
+            create_time: new Date().toISOString(),
+            resource_type: resourceType,
+            event_type: eventType,
+            summary: `Simulated ${eventType}`,
+            resource,
+        },
+        signHeaders: signPayPal,
+        delayMs,
+    });
+}
+
+// ============================================================
+// MERCADO PAGO
+// ============================================================
+
+function mpError(res, status, message) {
+    return res.status(status).json({ message, error: status === 404 ? 'not_found' : 'bad_request', status, cause: [] });
+}
+
+/**
+ * Crear el pago de una preferencia con el resultado elegido en el checkout
+ */
+function createMercadoPagoPayment(preference, outcome) {
+    const item = preference.items?.[0] || {};
+    const now = new Date().toISOString();
+    const payment = {
+        id: nextNumericId(),
+        date_created: now,
+        date_approved: outcome === 'approved' ? now : null,
+        date_last_updated: now,
+        ...MP_OUTCOMES[outcome],
+        currency_id: item.currency_id,
+        transaction_amount: item.unit_price,
+        transaction_amount_refunded: 0,
+        external_reference: preference.external_reference,
+        metadata: snakeCaseKeys(preference.metadata),
+        description: item.title,
+        payer: {
+            id: String(nextNumericId()),
+            email: preference.payer?.email || 'test_user@testuser.com',
+            first_name: preference.payer?.name || null,
+        },
+        additional_info: {
+            items: (preference.items || []).map((i) => ({ id: i.id, title: i.title, quantity: String(i.quantity), unit_price: String(i.unit_price) })),
+        },
+        refunds: [],
+        live_mode: false,
+    };
+
+    const entry = { payment, preference };
+    store.mpPayments.set(String(payment.id), entry);
+    return entry;
+}
+
+/**
+ * Reembolso total (amount null) o parcial sobre un pago aprobado
+ */
+function refundMercadoPagoPayment(entry, amount) {
+    const { payment } = entry;
+    const remaining = roundAmount(payment.transaction_amount - payment.transaction_amount_refunded);
+    const refundAmount = amount ? roundAmount(amount) : remaining;
+
+    const refund = {
+        id: nextNumericId(),
+        payment_id: payment.id,
+        amount: refundAmount,
+        status: 'approved',
+        source: { type: 'collector', id: String(SIMULATOR_COLLECTOR_ID) },
+        date_created: new Date().toISOString(),
+    };
+
+    payment.refunds.push(refund);
+    payment.transaction_amount_refunded = roundAmount(payment.transaction_amount_refunded + refundAmount);
+    payment.date_last_updated = refund.date_created;
+
+    if (payment.transaction_amount_refunded >= payment.transaction_amount) {
+        payment.status = 'refunded';
+        payment.status_detail = 'refunded';
+    } else {
+        payment.status_detail = 'partially_refunded';
+    }
+
+    return refund;
+}
+
+const mercadopago = express.Router();
+
+mercadopago.post('/checkout/preferences', (req, res) => {
+    const id = `${SIMULATOR_COLLECTOR_ID}-${crypto.randomUUID()}`;
+    const checkoutUrl = `${PUBLIC_URL}/mercadopago/checkout/${id}`;
+    const preference = {
+        ...req.body,
+        id,
+        collector_id: SIMULATOR_COLLECTOR_ID,
+        date_created: new Date().toISOString(),
+        init_point: checkoutUrl,
+        sandbox_init_point: checkoutUrl,
+    };
+
+    store.preferences.set(id, preference);
+    console.log(`📝 [mercadopago] preferencia ${id} (${preference.items?.[0]?.title})`);
+    return res.status(201).json(preference);
+});
+
+mercadopago.get('/v1/payments/:id', (req, res) => {
+    const entry = store.mpPayments.get(req.params.id);
+    if (!entry) return mpError(res, 404, 'Payment not found');
+    return res.json(entry.payment);
+});
+
+mercadopago.post('/v1/payments/:id/refunds', (req, res) => {
+    const entry = store.mpPayments.get(req.params.id);
+    if (!entry) return mpError(res, 404, 'Payment not found');
+
+    const { payment } = entry;
+    if (payment.status !== 'approved') {
+        return mpError(res, 400, `Payment in status ${payment.status} cannot be refunded`);
+    }
+
+    const remaining = roundAmount(payment.transaction_amount - payment.transaction_amount_refunded);
+    const amount = req.body?.amount ? parseFloat(req.body.amount) : null;
+    if (amount !== null && !(amount > 0 && amount <= remaining)) {
+        return mpError(res, 400, `Invalid refund amount, max ${remaining}`);
+    }
+
+    const refund = refundMercadoPagoPayment(entry, amount);
+    notifyMercadoPago(entry, 'payment.updated', parseDelay(req));
+
+    return res.status(201).json(refund);
+});
+
+mercadopago.get('/mercadopago/checkout/:preferenceId', (req, res) => {
+    const preference = store.preferences.get(req.params.preferenceId);
+    if (!preference) return res.status(404).send('Preferencia no encontrada');
+
+    const item = preference.items?.[0] || {};
+    return res.send(
+        checkoutPage({
+            title: 'MercadoPago (simulador)',
+            description: `${item.title} — ${item.unit_price} ${item.currency_id}`,
+            action: `/mercadopago/checkout/${escapeHtml(preference.id)}`,
+            outcomes: Object.keys(MP_OUTCOMES),
+        })
+    );
+});
+
+/**
+ * Pagar una preferencia. Desde el navegador redirige a back_urls; con JSON devuelve el pago.
+ */
+mercadopago.post('/mercadopago/checkout/:preferenceId', (req, res) => {
+    const preference = store.preferences.get(req.params.preferenceId);
+    if (!preference) return mpError(res, 404, 'Preference not found');
+
+    const outcome = req.body?.outcome || 'approved';
+    if (!MP_OUTCOMES[outcome]) {
+        return mpError(res, 400, `outcome must be one of: ${Object.keys(MP_OUTCOMES).join(', ')}`);
+    }
+
+    const entry = createMercadoPagoPayment(preference, outcome);
+    const delayMs = parseDelay(req);
+    notifyMercadoPago(entry, 'payment.created', delayMs);
+    notifyMercadoPago(entry, 'payment.updated', delayMs);
+
+    const backUrl = { approved: 'success', pending: 'pending', rejected: 'failure' }[outcome];
+    const { payment } = entry;
+    const redirectUrl = preference.back_urls?.[backUrl]
+        ? withQuery(preference.back_urls[backUrl], {
+              collection_id: payment.id,
+              collection_status: payment.status,
+              payment_id: payment.id,
+              status: payment.status,
+              external_reference: payment.external_reference,
+              payment_type: payment.payment_type_id,
+              preference_id: preference.id,
+          })
+        : null;
+
+    if (req.is('application/json')) {
+        return res.status(201).json({ payment, redirectUrl });
+    }
+    return redirectUrl ? res.redirect(redirectUrl) : res.json({ payment });
+});
+
+// ============================================================
+// PAYPAL
+// ============================================================
+
+function paypalError(res, status, name, issue, description) {
+    return res.status(status).json({
+        name,
+        message: description,
+        debug_id: paypalId(13).toLowerCase(),
+        details: issue ? [{ issue, description }] : [],
+    });
+}
+
+function orderLinks(orderId, status) {
+    const links = [{ href: `${PUBLIC_URL}/v2/checkout/orders/${orderId}`, rel: 'self', method: 'GET' }];
+    if (status === 'CREATED') {
+        links.push({ href: `${PUBLIC_URL}/paypal/checkout/${orderId}`, rel: 'approve', method: 'GET' });
+    }
+    if (status === 'APPROVED') {
+        links.push({ href: `${PUBLIC_URL}/v2/checkout/orders/${orderId}/capture`, rel: 'capture', method: 'POST' });
+    }
+    return links;
+}
+
+function captureLinks(captureId, orderId) {
+    return [
+        { href: `${PUBLIC_URL}/v2/payments/captures/${captureId}`, rel: 'self', method: 'GET' },
+        { href: `${PUBLIC_URL}/v2/payments/captures/${captureId}/refund`, rel: 'refund', method: 'POST' },
+        { href: `${PUBLIC_URL}/v2/checkout/orders/${orderId}`, rel: 'up', method: 'GET' },
+    ];
+}
+
+function setOrderStatus(order, status) {
+    order.status = status;
+    order.update_time = new Date().toISOString();
+    order.links = orderLinks(order.id, status);
+}
+
+function setCaptureStatus(capture, status, reason = null) {
+    capture.status = status;
+    capture.update_time = new Date().toISOString();
+    if (reason) capture.status_details = { reason };
+    else delete capture.status_details;
+}
+
+/**
+ * Reembolso total (amount null) o parcial sobre una captura completada
+ */
+function refundPayPalCapture(capture, amount) {
+    const currency = capture.amount.currency_code;
+    const captured = parseFloat(capture.amount.value);
+    const refunded = roundAmount((capture.refunds || []).reduce((sum, r) => sum + parseFloat(r.amount.value), 0));
+    const refundAmount = amount ? roundAmount(amount) : roundAmount(captured - refunded);
+
+    const refundId = paypalId();
+    const now = new Date().toISOString();
+    const refund = {
+        id: refundId,
+        status: 'COMPLETED',
+        amount: { currency_code: currency, value: refundAmount.toFixed(2) },
+        create_time: now,
+        update_time: now,
+        links: [
+            { href: `${PUBLIC_URL}/v2/payments/refunds/${refundId}`, rel: 'self', method: 'GET' },
+            { href: `${PUBLIC_URL}/v2/payments/captures/${capture.id}`, rel: 'up', method: 'GET' },
+        ],
+    };
+
+    capture.refunds = [...(capture.refunds || []), refund];
+    setCaptureStatus(capture, refunded + refundAmount >= captured ? 'REFUNDED' : 'PARTIALLY_REFUNDED');
+
+    return refund;
+}
+
+const paypal = express.Router();
+
+paypal.post('/v1/oauth2/token', (req, res) => {
+    return res.json({
+        scope: 'https://uri.paypal.com/services/payments/payment',
+        access_token: `A21-SIMULATOR-${paypalId(24)}`,
+        token_type: 'Bearer',
+        app_id: 'APP-SIMULATOR',
+        expires_in: 32400,
+        nonce: crypto.randomUUID(),
+    });
+});
+
+paypal.post('/v2/checkout/orders', (req, res) => {
+    const { intent, purchase_units: purchaseUnits = [], application_context: context = {} } = req.body || {};
+    if (!purchaseUnits.length) {
+        return paypalError(res, 400, 'INVALID_REQUEST', 'MISSING_REQUIRED_PARAMETER', 'purchase_units is required');
+    }
+
+    const now = new Date().toISOString();
+    const order = {
+        id: paypalId(),
+        intent,
+        status: 'CREATED',
+        purchase_units: purchaseUnits.map((unit) => ({
+            ...unit,
+            payee: { email_address: 'sb-merchant@business.example.com', merchant_id: 'SIMULATORMERCH' },
+        })),
+        create_time: now,
+        update_time: now,
+    };
+    order.links = orderLinks(order.id, order.status);
+
+    store.orders.set(order.id, { order, context, outcome: null });
+    console.log(`📝 [paypal] orden ${order.id} (${purchaseUnits[0].description})`);
+    return res.status(201).json(order);
+});
+
+paypal.get('/v2/checkout/orders/:id', (req, res) => {
+    const entry = store.orders.get(req.params.id);
+    if (!entry) return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Order not found');
+    return res.json(entry.order);
+});
+
+/**
+ * Capturar una orden aprobada. El resultado depende de lo elegido en el checkout:
+ * approved → COMPLETED, pending → captura PENDING, rejected → 422 INSTRUMENT_DECLINED
+ */
+paypal.post('/v2/checkout/orders/:id/capture', (req, res) => {
+    const entry = store.orders.get(req.params.id);
+    if (!entry) return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Order not found');
+
+    const { order } = entry;
+    if (order.status === 'COMPLETED') {
+        return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_ALREADY_CAPTURED', 'Order already captured');
+    }
+    if (order.status !== 'APPROVED') {
+        return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_NOT_APPROVED', 'Payer has not approved the order');
+    }
+    if (entry.outcome === 'rejected') {
+        return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'INSTRUMENT_DECLINED', 'The instrument presented was declined');
+    }
+
+    const unit = order.purchase_units[0];
+    const now = new Date().toISOString();
+    const captureId = paypalId();
+    const capture = {
+        id: captureId,
+        amount: { currency_code: unit.amount.currency_code, value: unit.amount.value },
+        final_capture: true,
+        custom_id: unit.custom_id,
+        create_time: now,
+        update_time: now,
+        supplementary_data: { related_ids: { order_id: order.id } },
+        links: captureLinks(captureId, order.id),
+    };
+    setCaptureStatus(capture, entry.outcome === 'pending' ? 'PENDING' : 'COMPLETED', entry.outcome === 'pending' ? 'PENDING_REVIEW' : null);
+
+    unit.payments = { captures: [capture] };
+    setOrderStatus(order, 'COMPLETED');
+    store.captures.set(capture.id, { capture, orderId: order.id });
+
+    notifyPayPal(`PAYMENT.CAPTURE.${capture.status}`, 'capture', capture, parseDelay(req));
+
+    return res.status(201).json(order);
+});
+
+paypal.get('/v2/payments/captures/:id', (req, res) => {
+    const entry = store.captures.get(req.params.id);
+    if (!entry) return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Capture not found');
+    return res.json(entry.capture);
+});
+
+paypal.post('/v2/payments/captures/:id/refund', (req, res) => {
+    const entry = store.captures.get(req.params.id);
+    if (!entry) return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Capture not found');
+
+    const { capture } = entry;
+    if (!['COMPLETED', 'PARTIALLY_REFUNDED'].includes(capture.status)) {
+        return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'CAPTURE_FULLY_REFUNDED', `Capture is ${capture.status}`);
+    }
+
+    const captured = parseFloat(capture.amount.value);
+    const refunded = (capture.refunds || []).reduce((sum, r) => sum + parseFloat(r.amount.value), 0);
+    const amount = req.body?.amount?.value ? parseFloat(req.body.amount.value) : null;
+    if (amount !== null && !(amount > 0 && amount <= roundAmount(captured - refunded))) {
+        return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'REFUND_AMOUNT_EXCEEDED', 'Refund amount exceeds captured amount');
+    }
+
+    const refund = refundPayPalCapture(capture, amount);
+    notifyPayPal('PAYMENT.CAPTURE.REFUNDED', 'refund', refund, parseDelay(req));
+
+    return res.status(201).json(refund);
+});
+
+paypal.post('/v1/notifications/verify-webhook-signature', (req, res) => {
+    const {
+        transmission_id: transmissionId,
+        transmission_time: transmissionTime,
+        transmission_sig: signature,
+        webhook_id: webhookId,
+        webhook_event: event,
+    } = req.body || {};
+
+    const expected = paypalSignature(transmissionId, transmissionTime, webhookId, JSON.stringify(event));
+    const valid =
+        typeof signature === 'string' &&
+        signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) &&
+        webhookId === PAYPAL_WEBHOOK_ID;
+
+    return res.json({ verification_status: valid ? 'SUCCESS' : 'FAILURE' });
+});
+
+paypal.get('/paypal/checkout/:orderId', (req, res) => {
+    const entry = store.orders.get(req.params.orderId);
+    if (!entry) return res.status(404).send('Orden no encontrada');
+
+    const unit = entry.order.purchase_units[0];
+    return res.send(
+        checkoutPage({
+            title: 'PayPal (simulador)',
+            description: `${unit.description} — ${unit.amount.value} ${unit.amount.currency_code}`,
+            action: `/paypal/checkout/${escapeHtml(entry.order.id)}`,
+            outcomes: PAYPAL_OUTCOMES,
+        })
+    );
+});
+
+/**
+ * Aprobar (o cancelar) una orden. El resultado elegido se aplica al capturar.
+ * Desde el navegador redirige a return_url/cancel_url; con JSON devuelve la orden.
+ */
+paypal.post('/paypal/checkout/:orderId', (req, res) => {
+    const entry = store.orders.get(req.params.orderId);
+    if (!entry) return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Order not found');
+
+    const { order, context } = entry;
+    const outcome = req.body?.outcome || 'approved';
+    if (!PAYPAL_OUTCOMES.includes(outcome)) {
+        return paypalError(res, 400, 'INVALID_REQUEST', 'INVALID_PARAMETER_VALUE', `outcome must be one of: ${PAYPAL_OUTCOMES.join(', ')}`);
+    }
+    if (order.status !== 'CREATED') {
+        return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_ALREADY_APPROVED', `Order is ${order.status}`);
+    }
+
+    let redirectUrl;
+    if (outcome === 'cancel') {
+        redirectUrl = context.cancel_url ? withQuery(context.cancel_url, { token: order.id }) : null;
+    } else {
+        const payerId = paypalId(13);
+        entry.outcome = outcome;
+        order.payer = {
+            name: { given_name: 'Simulated', surname: 'Buyer' },
+            email_address: 'sb-buyer@personal.example.com',
+            payer_id: payerId,
+        };
+        setOrderStatus(order, 'APPROVED');
+        notifyPayPal('CHECKOUT.ORDER.APPROVED', 'checkout-order', order, parseDelay(req));
+        redirectUrl = context.return_url ? withQuery(context.return_url, { token: order.id, PayerID: payerId }) : null;
+    }
+
+    if (req.is('application/json')) {
+        return res.json({ order, redirectUrl });
+    }
+    return redirectUrl ? res.redirect(redirectUrl) : res.json({ order });
+});
+
+// ============================================================
+// CONTROL DEL SIMULADOR
+// ============================================================
+
+const control = express.Router();
+
+/**
+ * Cambiar el estado de un pago de MercadoPago (acreditar un pendiente, contracargo,
+ * mediación…) y notificar payment.updated
+ */
+control.post('/mercadopago/payments/:id', (req, res) => {
+    const entry = store.mpPayments.get(req.params.id);
+    if (!entry) return res.status(404).json({ message: 'Payment not found' });
+
+    const { status } = req.body || {};
+    const { payment } = entry;
+
+    if (status === 'refunded') {
+        if (payment.status !== 'approved') {
+            return res.status(400).json({ message: `Payment in status ${payment.status} cannot be refunded` });
+        }
+        refundMercadoPagoPayment(entry, req.body.amount ? parseFloat(req.body.amount) : null);
+    } else if (MP_STATUS_DETAILS[status]) {
+        payment.status = status;
+        payment.status_detail = MP_STATUS_DETAILS[status];
+        payment.date_last_updated = new Date().toISOString();
+        if (status === 'approved' && !payment.date_approved) {
+            payment.date_approved = payment.date_last_updated;
+        }
+    } else {
+        return res.status(400).json({
+            message: `status must be one of: refunded, ${Object.keys(MP_STATUS_DETAILS).join(', ')}`,
+        });
+    }
+
+    const delivery = notifyMercadoPago(entry, 'payment.updated', parseDelay(req));
+    return res.json({ payment, delivery });
+});
+
+/**
+ * Cambiar el estado de una captura de PayPal y enviar el webhook correspondiente
+ */
+control.post('/paypal/captures/:id', (req, res) => {
+    const entry = store.captures.get(req.params.id);
+    if (!entry) return res.status(404).json({ message: 'Capture not found' });
+
+    const { status } = req.body || {};
+    const { capture } = entry;
+    const delayMs = parseDelay(req);
+    let delivery;
+
+    switch (status) {
+        case 'COMPLETED':
+        case 'DENIED':
+            if (capture.status !== 'PENDING') {
+                return res.status(400).json({ message: `Capture is ${capture.status}, expected PENDING` });
+            }
+            setCaptureStatus(capture, status);
+            delivery = notifyPayPal(`PAYMENT.CAPTURE.${status}`, 'capture', capture, delayMs);
+            break;
+        case 'REFUNDED':
+            if (!['COMPLETED', 'PARTIALLY_REFUNDED'].includes(capture.status)) {
+                return res.status(400).json({ message: `Capture is ${capture.status}` });
+            }
+            delivery = notifyPayPal(
+                'PAYMENT.CAPTURE.REFUNDED',
+                'refund',
+                refundPayPalCapture(capture, req.body.amount ? parseFloat(req.body.amount) : null),
+                delayMs
+            );
+            break;
+        case 'REVERSED':
+            if (capture.status !== 'COMPLETED') {
+                return res.status(400).json({ message: `Capture is ${capture.status}, expected COMPLETED` });
+            }
+            setCaptureStatus(capture, 'REVERSED', 'BUYER_COMPLAINT');
+            delivery = notifyPayPal('PAYMENT.CAPTURE.REVERSED', 'capture', capture, delayMs);
+            break;
+        default:
+            return res.status(400).json({ message: 'status must be one of: COMPLETED, DENIED, REFUNDED, REVERSED' });
+    }
+
+    return res.json({ capture, delivery });
+});
+
+control.get('/webhooks', (req, res) => {
+    const { provider, status } = req.query;
+    const deliveries = store.deliveries.filter(
+        (delivery) => (!provider || delivery.provider === provider) && (!status || delivery.status === status)
+    );
+    return res.json({ deliveries });
+});
+
+// ============================================================
+// CHECKOUT (HTML)
+// ============================================================
+
+function checkoutPage({ title, description, action, outcomes }) {
+    const buttons = outcomes
+        .map((outcome) => `<button name="outcome" value="${outcome}">${outcome}</button>`)
+        .join('\n            ');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 480px; margin: 48px auto; padding: 0 16px; color: #222; }
+        button { margin: 4px; padding: 8px 16px; cursor: pointer; }
+        label { display: block; margin: 16px 0; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(description)}</p>
+    <form method="post" action="${action}">
+        <label>Retraso del webhook (ms) <input type="number" name="delayMs" min="0" value="${DEFAULT_DELAY_MS}"></label>
+        <div>
+            ${buttons}
+        </div>
+    </form>
+</body>
+</html>`;
+}
+
+// ============================================================
+// SERVIDOR
+// ============================================================
+
+const app = express();
+
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+app.use((req, res, next) => {
+    console.log(`➡️  ${req.method} ${req.path}`);
+    next();
+});
+
+app.use(mercadopago);
+app.use(paypal);
+app.use('/_simulator', control);
+
+app.use((req, res) => {
+    res.status(404).json({ message: `Simulator route not found: ${req.method} ${req.path}` });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Simulador de pagos en ${PUBLIC_URL}`);
+    console.log(`   Backend: arrancar con PAYMENT_SIMULATOR_URL=${PUBLIC_URL}`);
+    console.log(`   Webhooks PayPal → ${PAYPAL_WEBHOOK_URL} (webhook_id ${PAYPAL_WEBHOOK_ID})`);
+    if (!process.env.MERCADOPAGO_WEBHOOK_SECRET) {
+        console.warn('⚠️  MERCADOPAGO_WEBHOOK_SECRET no configurado: x-signature se firma con una clave vacía');
+    }
+});
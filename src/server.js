@@ -13,6 +13,8 @@ import contactRoutes from './routes/contactRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import templateRoutes from './routes/templateRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
+import generationQueueService from './services/generationQueueService.js';
+import subscriptionService from './services/subscriptionService.js';
 dotenv.config();
 
 const app = express();
@@ -126,6 +128,12 @@ app.listen(PORT, () => {
 ║   URL: http://localhost:${PORT.toString().padEnd(18)} ║
 ╚════════════════════════════════════════════╝
   `);
+
+    // Procesar en segundo plano la generación de páginas PRO con IA
+    generationQueueService.start();
+
+    // Vencimiento diario de planes PRO mensuales/anuales
+    subscriptionService.start();
 });
 
 process.on('unhandledRejection', (err) => {
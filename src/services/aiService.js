@@ -0,0 +1,33 @@
+import 'dotenv/config';
+import GeminiService from './geminiService.js';
+import StubAiService from './stubAiService.js';
+
+/**
+ * Proveedores de IA disponibles.
+ * Se elige con la variable de entorno AI_PROVIDER (por defecto "gemini").
+ */
+export const AI_PROVIDERS = {
+    gemini: GeminiService,
+    stub: StubAiService,
+};
+
+/**
+ * Crear una instancia del proveedor de IA indicado
+ * @param {String} name - Nombre del proveedor (gemini | stub)
+ * @returns {AiProvider}
+ */
+export function createAiProvider(name = process.env.AI_PROVIDER || 'gemini') {
+    const key = String(name).trim().toLowerCase();
+    const Provider = AI_PROVIDERS[key];
+
+    if (!Provider) {
+        throw new Error(
+            `Proveedor de IA desconocido: "${name}". Valores permitidos: ${Object.keys(AI_PROVIDERS).join(', ')}`,
+        );
+    }
+
+    console.log(`🤖 Proveedor de IA: ${key}`);
+    return new Provider();
+}
+
+export default createAiProvider();
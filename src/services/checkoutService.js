@@ -0,0 +1,158 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Payment from '../models/Payment.js';
+import { getPlanPrice } from '../config/plans.js';
+
+/**
+ * Cálculo del monto a cobrar por un plan (precio del catálogo + cupón opcional),
+ * reserva del cupón al crear el checkout y registro del canje cuando el pago se aprueba.
+ */
+class CheckoutService {
+    /**
+     * Cotizar un plan en una moneda aplicando un cupón.
+     * Devuelve { valid: true, pricing, coupon } o { valid: false, reason }.
+     * pricing: { planId, currency, originalAmount, discountAmount, finalAmount, couponCode }
+     */
+    async quote(user, plan, currency, couponCode = null) {
+        let originalAmount;
+        try {
+            originalAmount = getPlanPrice(plan, currency);
+        } catch (error) {
+            return { valid: false, reason: error.message };
+        }
+
+        const pricing = {
+            planId: plan.id,
+            currency,
+            originalAmount,
+            discountAmount: 0,
+            finalAmount: originalAmount,
+            couponCode: null,
+        };
+
+        if (!couponCode) {
+            return { valid: true, pricing, coupon: null };
+        }
+
+        const coupon = await Coupon.findByCode(couponCode);
+        if (!coupon) {
+            return { valid: false, reason: 'Cupón no encontrado' };
+        }
+
+        const userRedemptions = await CouponRedemption.countForUser(coupon._id, user._id);
+        const eligibility = coupon.checkEligibility(plan, userRedemptions);
+        if (!eligibility.valid) {
+            return { valid: false, reason: eligibility.reason };
+        }
+
+        const discount = coupon.applyTo(originalAmount, currency);
+        if (!discount.valid) {
+            return { valid: false, reason: discount.reason };
+        }
+
+        return {
+            valid: true,
+            coupon,
+            pricing: {
+                ...pricing,
+                discountAmount: discount.discountAmount,
+                finalAmount: discount.finalAmount,
+                couponCode: coupon.code,
+            },
+        };
+    }
+
+    /**
+     * Reservar el cupón del checkout de un pago del libro ("created") antes de enviarlo
+     * al proveedor. Los límites se vuelven a comprobar aquí de forma atómica: la
+     * cotización no basta si el usuario abre dos checkouts a la vez.
+     * Devuelve { valid: true, expiresAt } (expiresAt null sin cupón) o { valid: false, reason }.
+     */
+    async reserveCoupon(payment) {
+        if (!payment.coupon?.code) return { valid: true, expiresAt: null };
+
+        const coupon = await Coupon.findByCode(payment.coupon.code);
+        if (!coupon) {
+            return { valid: false, reason: 'Cupón no encontrado' };
+        }
+
+        const result = await CouponRedemption.reserve(coupon, {
+            userId: payment.userId,
+            ledgerId: payment._id,
+            provider: payment.provider,
+            planId: payment.planId,
+            currency: payment.currency,
+            originalAmount: payment.coupon.originalAmount,
+            discountAmount: payment.coupon.discountAmount,
+            finalAmount: payment.amount,
+        });
+        if (!result.valid) return result;
+
+        return { valid: true, expiresAt: result.redemption.expiresAt };
+    }
+
+    /**
+     * Devolver al cupón la reserva de un checkout que falló o se rechazó.
+     * No lanza errores: la reserva vencida se libera igual más adelante.
+     */
+    async releaseCoupon(payment) {
+        if (!payment?.coupon?.code) return false;
+
+        try {
+            return await CouponRedemption.release(payment._id);
+        } catch (error) {
+            console.error('Error releasing coupon reservation:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Antes de capturar una orden de PayPal: su checkout debe seguir teniendo el cupón
+     * reservado (la reserva pudo vencer y liberarse). Si no, se intenta reservar de nuevo.
+     * Devuelve { valid: true } o { valid: false, reason }.
+     */
+    async ensureCouponForOrder(provider, providerOrderId) {
+        const payment = await Payment.findOne({ provider, providerOrderId, status: 'created' });
+        if (!payment?.coupon?.code) return { valid: true };
+
+        const reservation = await CouponRedemption.exists({ ledgerId: payment._id });
+        if (reservation) return { valid: true };
+
+        return await this.reserveCoupon(payment);
+    }
+
+    /**
+     * Registrar el canje del cupón de un pago aprobado del libro (idempotente por pago):
+     * confirma la reserva de su checkout o, si no la tiene, registra el canje igual.
+     * No lanza errores: un fallo aquí no debe impedir la activación del plan.
+     */
+    async recordRedemption(userId, payment) {
+        if (!payment.coupon?.code) return null;
+
+        try {
+            const data = {
+                userId,
+                provider: payment.provider,
+                paymentId: payment.providerPaymentId,
+                planId: payment.planId,
+                currency: payment.currency,
+                originalAmount: payment.coupon.originalAmount,
+                discountAmount: payment.coupon.discountAmount,
+                finalAmount: payment.amount,
+            };
+
+            const confirmed = await CouponRedemption.confirm(payment._id, data);
+            if (confirmed) return confirmed;
+
+            const coupon = await Coupon.findByCode(payment.coupon.code);
+            if (!coupon) return null;
+
+            return await CouponRedemption.record(coupon, data);
+        } catch (error) {
+            console.error('Error recording coupon redemption:', error.message);
+            return null;
+        }
+    }
+}
+
+export default new CheckoutService();
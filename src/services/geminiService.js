@@ -1,9 +1,15 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import AiProvider from './aiProvider.js';
 
-class GeminiService {
+/**
+ * Proveedor de IA con Google Gemini.
+ * El modelo se configura con GEMINI_MODEL (por defecto gemini-2.0-flash).
+ */
+class GeminiService extends AiProvider {
     constructor() {
+        super('gemini');
         this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+        this.model = this.genAI.getGenerativeModel({ model: process.env.GEMINI_MODEL || 'gemini-2.0-flash' });
     }
 
     /**
@@ -241,401 +247,166 @@ RECUERDA:
     }
 
     /**
-     * Extraer HTML y CSS del texto generado - Versión robusta para fragmentos
+     * Generar HTML/CSS a partir de una descripción en texto (sin imagen de referencia)
+     * @param {String} description - Descripción del estilo (ej: "noche estrellada, dorado, minimalista")
+     * @param {Object} pageData - Datos de la página (título, nombre, etc.)
+     * @returns {Promise<Object>} - { html, css }
      */
-    extractHTMLAndCSS(text) {
-        let html = '';
-        let css = '';
-
-        // Método 1: Buscar bloques con ```html y ```css
-        const htmlMatch = text.match(/```html\s*\n([\s\S]*?)```/i);
-        const cssMatch = text.match(/```css\s*\n([\s\S]*?)```/i);
-
-        if (htmlMatch) {
-            html = htmlMatch[1].trim();
-            console.log('✅ HTML encontrado con método 1');
-        }
-        if (cssMatch) {
-            css = cssMatch[1].trim();
-            console.log('✅ CSS encontrado con método 1');
-        }
-
-        // Método 2: Si no funcionó, buscar bloques genéricos ```
-        if (!html || !css) {
-            console.log('⚠️ Método 1 falló parcialmente, intentando método 2...');
-            const codeBlocks = text.match(/```[\s\S]*?```/g);
-
-            if (codeBlocks && codeBlocks.length >= 2) {
-                if (!html) {
-                    html = codeBlocks[0]
-                        .replace(/```html\s*\n|```\s*\n|```/gi, '')
-                        .trim();
-                    console.log('✅ HTML extraído con método 2');
-                }
-
-                if (!css) {
-                    css = codeBlocks[1]
-                        .replace(/```css\s*\n|```\s*\n|```/gi, '')
-                        .trim();
-                    console.log('✅ CSS extraído con método 2');
-                }
-            }
-        }
-
-        // Método 3: Buscar por patrones conocidos en el contenido
-        if (!html) {
-            console.log('⚠️ Método 2 falló para HTML, intentando método 3...');
-
-            // Buscar fragmento que contenga page-wrapper
-            const fragmentMatch = text.match(/(<div class="page-wrapper">[\s\S]*?<\/div>\s*<\/div>)/i);
-            if (fragmentMatch) {
-                html = fragmentMatch[1].trim();
-                console.log('✅ HTML encontrado con método 3 (fragmento)');
-            }
-
-            // Si no hay fragmento, buscar documento completo y extraer el body
-            if (!html) {
-                const bodyMatch = text.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-                if (bodyMatch) {
-                    html = bodyMatch[1].trim();
-                    console.log('✅ HTML extraído del body con método 3');
-                }
-            }
-        }
+    async generatePageFromPrompt(description, pageData) {
+        try {
+            const prompt = this.buildTextPrompt(description, pageData);
 
-        if (!css) {
-            console.log('⚠️ Método 2 falló para CSS, intentando método 3...');
-
-            // Buscar bloque CSS por contenido
-            const cssContentMatch = text.match(/(\.page-wrapper\s*\{[\s\S]*)/i);
-            if (cssContentMatch) {
-                css = cssContentMatch[1].trim();
-                // Limpiar posibles backticks al final
-                css = css.replace(/```\s*$/g, '').trim();
-                console.log('✅ CSS encontrado con método 3');
-            }
-
-            // Intentar con selector universal
-            if (!css) {
-                const cssUniversalMatch = text.match(/(\*\s*\{[\s\S]*)/i);
-                if (cssUniversalMatch) {
-                    css = cssUniversalMatch[1].trim();
-                    css = css.replace(/```\s*$/g, '').trim();
-                    console.log('✅ CSS encontrado con método 3 (selector universal)');
-                }
-            }
-        }
+            console.log('🤖 Generando contenido con Gemini (solo texto)...');
+            const result = await this.model.generateContent(prompt);
+            const text = result.response.text();
 
-        // Método 4: Si Gemini generó un documento completo a pesar del prompt, extraer lo necesario
-        if (html && html.includes('<!DOCTYPE')) {
-            console.log('⚠️ Gemini generó documento completo, extrayendo body...');
-            const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-            if (bodyMatch) {
-                html = bodyMatch[1].trim();
-                console.log('✅ Body extraído del documento completo');
-            }
-
-            // También extraer CSS del <style> si existe dentro del HTML
-            const styleMatch = html.match(/<style[^>]*>([\s\S]*?)<\/style>/i);
-            if (styleMatch && !css) {
-                css = styleMatch[1].trim();
-                console.log('✅ CSS extraído del <style> del documento');
-            }
-
-            // Limpiar etiquetas <style> del HTML
-            html = html.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '').trim();
-        }
+            console.log('📝 Respuesta de Gemini (primeros 500 chars):', text.substring(0, 500));
+            console.log('📏 Longitud total de respuesta:', text.length);
 
-        // Validar resultados
-        if (!html) {
-            console.error('❌ No se pudo extraer HTML. Respuesta completa:', text);
-            throw new Error('No se pudo extraer el HTML del código generado. Intenta de nuevo o usa una imagen diferente.');
-        }
+            const { html, css } = this.extractHTMLAndCSS(text);
 
-        if (!css) {
-            console.error('❌ No se pudo extraer CSS. Usando fallback...');
-            console.log('📄 HTML extraído:', html.substring(0, 200));
-            css = this.generateFallbackCSS();
-            console.log('✅ CSS básico generado como fallback');
-        }
+            console.log('✅ HTML extraído, longitud:', html.length);
+            console.log('✅ CSS extraído, longitud:', css.length);
 
-        // Asegurar que el HTML tenga la estructura page-wrapper
-        if (!html.includes('page-wrapper')) {
-            console.warn('⚠️ HTML no tiene page-wrapper, envolviéndolo...');
-            html = `<div class="page-wrapper">${html}</div>`;
+            return { html, css };
+        } catch (error) {
+            console.error('❌ Error generating page from prompt with Gemini:', error);
+            throw new Error('Error al generar la página con IA');
         }
-
-        console.log('✅ Extracción completa exitosa');
-        console.log('📊 HTML final:', html.length, 'caracteres');
-        console.log('📊 CSS final:', css.length, 'caracteres');
-
-        return { html, css };
     }
 
     /**
-     * Generar CSS básico como fallback
+     * Construir el prompt para generación solo con texto
+     * Mismo formato de salida que buildPrompt (fragmento HTML + CSS), pero el estilo
+     * se deriva de la descripción del usuario en lugar de una imagen
      */
-    generateFallbackCSS() {
-        return `
-.page-wrapper {
-    min-height: 100vh;
-    width: 100%;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    position: relative;
-    overflow: hidden;
-    background: linear-gradient(135deg, #8b0000 0%, #dc143c 40%, #ff6b81 70%, #8b0000 100%);
-    font-family: 'Georgia', 'Times New Roman', serif;
-}
-
-.deco {
-    position: absolute;
-    pointer-events: none;
-}
-
-.deco-1 {
-    width: 80px;
-    height: 80px;
-    top: 10%;
-    left: 10%;
-    background: radial-gradient(circle, rgba(255,105,135,0.6) 0%, transparent 70%);
-    border-radius: 50%;
-    animation: float 4s ease-in-out infinite;
-}
-
-.deco-2 {
-    width: 60px;
-    height: 60px;
-    top: 20%;
-    right: 15%;
-    background: radial-gradient(circle, rgba(255,182,193,0.5) 0%, transparent 70%);
-    border-radius: 50%;
-    animation: float 5s ease-in-out infinite 1s;
-}
-
-.deco-3 {
-    width: 100px;
-    height: 100px;
-    bottom: 15%;
-    left: 20%;
-    background: radial-gradient(circle, rgba(255,105,135,0.4) 0%, transparent 70%);
-    border-radius: 50%;
-    animation: float 6s ease-in-out infinite 0.5s;
-}
+    buildTextPrompt(description, pageData) {
+        const { title, recipientName, message, yesButtonText, noButtonText } = pageData;
 
-.deco-4 {
-    width: 50px;
-    height: 50px;
-    bottom: 25%;
-    right: 10%;
-    background: radial-gradient(circle, rgba(255,192,203,0.5) 0%, transparent 70%);
-    border-radius: 50%;
-    animation: float 4.5s ease-in-out infinite 2s;
-}
+        return `Eres un diseñador web experto especializado en páginas románticas y emotivas. Diseña HTML + CSS para una página siguiendo la DESCRIPCIÓN DE ESTILO del usuario.
 
-.deco-5 {
-    width: 40px;
-    height: 40px;
-    top: 50%;
-    left: 5%;
-    background: radial-gradient(circle, rgba(255,105,135,0.3) 0%, transparent 70%);
-    border-radius: 50%;
-    animation: pulse 3s ease-in-out infinite;
-}
+DESCRIPCIÓN DE ESTILO:
+"""
+${description}
+"""
 
-.deco-6 {
-    width: 70px;
-    height: 70px;
-    top: 5%;
-    right: 30%;
-    background: radial-gradient(circle, rgba(255,182,193,0.4) 0%, transparent 70%);
-    border-radius: 50%;
-    animation: pulse 4s ease-in-out infinite 1.5s;
-}
-
-.card {
-    position: relative;
-    z-index: 10;
-    max-width: 500px;
-    width: 90%;
-    padding: 3rem 2rem;
-    text-align: center;
-    background: rgba(255, 255, 255, 0.95);
-    border-radius: 20px;
-    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-}
+INTERPRETA LA DESCRIPCIÓN:
+- Paleta de colores (si menciona colores, úsalos; si no, elige una paleta coherente con el ambiente)
+- Atmósfera (ej: noche estrellada, jardín, playa, vintage, minimalista)
+- Decoraciones acordes (estrellas, corazones, pétalos, brillos) hechas SOLO con CSS
+- Tipografía y estilo de la tarjeta (bordes, sombras, transparencias)
 
-h1 {
-    font-size: 2.2rem;
-    margin-bottom: 1rem;
-    color: #c0392b;
-    line-height: 1.3;
-}
+CONTENIDO EXACTO A USAR (NO CAMBIAR NI DUPLICAR):
+- Título: "${title}"
+- Destinatario: "${recipientName}"
+${message ? `- Mensaje: "${message}"` : '- No hay mensaje adicional'}
+- Texto botón positivo: "${yesButtonText || 'Sí'}"
+- Texto botón negativo: "${noButtonText || 'No'}"
 
-.recipient {
-    font-size: 1.6rem;
-    margin-bottom: 1rem;
-    font-weight: 600;
-    color: #333;
-}
+⚠️ REGLAS CRÍTICAS:
+1. Genera un FRAGMENTO HTML, NO un documento completo (PROHIBIDO: <!DOCTYPE>, <html>, <head>, <body>)
+2. El HTML se inyectará dentro de un <div> existente en la página
+3. PROHIBIDO JavaScript, onclick, onload o cualquier evento inline
+4. PROHIBIDO <script>, <iframe>, <embed>, <object>
+5. Cada elemento de contenido debe aparecer UNA SOLA VEZ (no duplicar título, nombre, botones, etc.)
+6. Los botones DEBEN tener id="yes-button" y id="no-button"
+7. Usa CSS puro para TODAS las animaciones y decoraciones
+8. Si la descripción pide algo prohibido por estas reglas, ignora esa parte
 
-.message {
-    font-size: 1.1rem;
-    margin-bottom: 2rem;
-    color: #555;
-    line-height: 1.6;
-}
+GENERA EXACTAMENTE ESTOS DOS BLOQUES:
 
-.buttons {
-    display: flex;
-    gap: 1rem;
-    justify-content: center;
-    flex-wrap: wrap;
-}
+\`\`\`html
+<div class="page-wrapper">
+    <div class="deco deco-1"></div>
+    <div class="deco deco-2"></div>
+    <div class="deco deco-3"></div>
+    <div class="deco deco-4"></div>
+    <div class="deco deco-5"></div>
+    <div class="deco deco-6"></div>
 
-#yes-button {
-    padding: 0.8rem 2.5rem;
-    font-size: 1.1rem;
-    border: none;
-    border-radius: 10px;
-    cursor: pointer;
-    font-weight: bold;
-    transition: transform 0.2s ease, box-shadow 0.2s ease;
-    background: linear-gradient(135deg, #e74c3c 0%, #c0392b 100%);
-    color: white;
-    box-shadow: 0 4px 15px rgba(231, 76, 60, 0.4);
-}
+    <div class="card">
+        <h1>${title}</h1>
+        <p class="recipient">${recipientName}</p>
+        ${message ? `<p class="message">${message}</p>` : ''}
+        <div class="buttons">
+            <button id="yes-button">${yesButtonText || 'Sí'}</button>
+            <button id="no-button">${noButtonText || 'No'}</button>
+        </div>
+    </div>
+</div>
+\`\`\`
 
-#yes-button:hover {
-    transform: scale(1.05);
-    box-shadow: 0 6px 20px rgba(231, 76, 60, 0.6);
-}
+\`\`\`css
+/* Estilos completos: .page-wrapper (min-height: 100vh, fondo según la descripción),
+   .deco y .deco-1 ... .deco-6 (decoraciones), .card, h1, .recipient, .message,
+   .buttons, #yes-button, #no-button, @keyframes y @media (max-width: 768px) */
+\`\`\`
 
-#no-button {
-    padding: 0.8rem 2.5rem;
-    font-size: 1.1rem;
-    border: none;
-    border-radius: 10px;
-    cursor: pointer;
-    font-weight: bold;
-    transition: transform 0.2s ease, box-shadow 0.2s ease;
-    background: #666;
-    color: white;
-    box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
-}
+RECUERDA:
+- El diseño debe reflejar FIELMENTE la descripción del usuario
+- Responde SOLO con los dos bloques de código, nada más antes ni después`;
+    }
 
-#no-button:hover {
-    transform: scale(1.05);
-}
+    /**
+     * Refinar HTML/CSS existente según una instrucción en lenguaje natural
+     * @param {String} html - HTML actual de la página
+     * @param {String} css - CSS actual de la página
+     * @param {String} instruction - Instrucción del usuario (ej: "fondo más oscuro")
+     * @param {Object} pageData - Datos de la página (título, nombre, etc.)
+     * @returns {Promise<Object>} - { html, css }
+     */
+    async refinePage(html, css, instruction, pageData) {
+        try {
+            const prompt = this.buildRefinePrompt(html, css, instruction, pageData);
 
-@keyframes float {
-    0%, 100% { transform: translateY(0); }
-    50% { transform: translateY(-15px); }
-}
+            console.log('🤖 Refinando página con Gemini...');
+            const result = await this.model.generateContent(prompt);
+            const text = result.response.text();
 
-@keyframes pulse {
-    0%, 100% { opacity: 0.7; }
-    50% { opacity: 1; }
-}
+            console.log('📝 Respuesta de Gemini (primeros 500 chars):', text.substring(0, 500));
 
-@media (max-width: 768px) {
-    .card {
-        padding: 2rem 1.5rem;
-    }
-    h1 {
-        font-size: 1.8rem;
-    }
-    .recipient {
-        font-size: 1.3rem;
-    }
-    .buttons {
-        flex-direction: column;
-    }
-    #yes-button, #no-button {
-        width: 100%;
-    }
-}
-        `.trim();
+            return this.extractHTMLAndCSS(text);
+        } catch (error) {
+            console.error('❌ Error refining page with Gemini:', error);
+            throw new Error('Error al refinar la página con IA');
+        }
     }
 
     /**
-     * Validar que el HTML y CSS generados sean seguros y correctos
+     * Construir el prompt de refinamiento
+     * Conserva el contenido y la estructura; solo aplica el cambio pedido
      */
-    validateGeneratedCode(html, css) {
-        console.log('🔍 Validando código generado...');
-
-        // 1. Verificar que no contenga scripts maliciosos o atributos de eventos
-        const dangerousPatterns = [
-            {
-                pattern: /<script[^>]*>[\s\S]*?<\/script>/gi,
-                message: 'No se permiten etiquetas <script>',
-            },
-            {
-                pattern: /\son\w+\s*=/gi,
-                message: 'No se permiten atributos de eventos (onclick, onload, etc.)',
-            },
-            {
-                pattern: /javascript:/gi,
-                message: 'No se permite javascript: en URLs',
-            },
-            {
-                pattern: /<iframe[^>]*>/gi,
-                message: 'No se permiten iframes',
-            },
-            {
-                pattern: /<embed[^>]*>/gi,
-                message: 'No se permiten etiquetas embed',
-            },
-            {
-                pattern: /<object[^>]*>/gi,
-                message: 'No se permiten etiquetas object',
-            },
-        ];
-
-        for (const { pattern, message } of dangerousPatterns) {
-            if (pattern.test(html)) {
-                throw new Error(`Código HTML no válido: ${message}`);
-            }
-            if (pattern.test(css)) {
-                throw new Error(`Código CSS no válido: ${message}`);
-            }
-        }
-
-        // 2. Verificar que el HTML tenga los botones requeridos
-        if (!html.includes('id="yes-button"')) {
-            console.warn('⚠️ Advertencia: No se encontró id="yes-button"');
-        }
-        if (!html.includes('id="no-button"')) {
-            console.warn('⚠️ Advertencia: No se encontró id="no-button"');
-        }
+    buildRefinePrompt(html, css, instruction, pageData) {
+        const { title, recipientName } = pageData;
 
-        // 3. Verificar que no haya contenido duplicado sospechoso
-        const buttonYesMatches = (html.match(/id="yes-button"/gi) || []).length;
-        const buttonNoMatches = (html.match(/id="no-button"/gi) || []).length;
+        return `Eres un diseñador web experto especializado en páginas románticas y emotivas. Tienes una página ya diseñada (HTML + CSS) y el usuario quiere ajustarla.
 
-        if (buttonYesMatches > 1 || buttonNoMatches > 1) {
-            throw new Error(
-                'Los botones están duplicados. Solo debe haber un botón "yes-button" y un botón "no-button".',
-            );
-        }
+INSTRUCCIÓN DEL USUARIO:
+"""
+${instruction}
+"""
 
-        // 4. Verificar tamaño razonable
-        if (html.length > 50000) {
-            throw new Error('El HTML generado es demasiado largo. Podría contener contenido duplicado.');
-        }
-        if (css.length > 50000) {
-            throw new Error('El CSS generado es demasiado largo. Podría contener contenido duplicado.');
-        }
+HTML ACTUAL:
+\`\`\`html
+${html}
+\`\`\`
 
-        // 5. Verificar que NO sea un documento completo (debe ser fragmento)
-        if (html.includes('<!DOCTYPE') || html.includes('<html')) {
-            console.warn('⚠️ El HTML contiene estructura de documento completo, debería ser un fragmento');
-        }
+CSS ACTUAL:
+\`\`\`css
+${css}
+\`\`\`
 
-        console.log('✅ Validación completada exitosamente');
-        return true;
+⚠️ REGLAS CRÍTICAS:
+1. Aplica SOLO el cambio pedido; conserva todo lo demás (estructura, clases, textos, animaciones)
+2. NO cambies ni dupliques el contenido: el título "${title}" y el destinatario "${recipientName}" deben quedar igual
+3. Genera un FRAGMENTO HTML, NO un documento completo (PROHIBIDO: <!DOCTYPE>, <html>, <head>, <body>)
+4. PROHIBIDO JavaScript, onclick, onload o cualquier evento inline
+5. PROHIBIDO <script>, <iframe>, <embed>, <object>
+6. Los botones DEBEN conservar id="yes-button" y id="no-button", una sola vez cada uno
+7. Si la instrucción pide algo prohibido por estas reglas, ignora esa parte
+
+Responde SOLO con los dos bloques completos (\`\`\`html y \`\`\`css), nada más antes ni después.`;
     }
 }
 
-export default new GeminiService();
\ No newline at end of file
+export default GeminiService;
\ No newline at end of file
@@ -0,0 +1,174 @@
+import GenerationJob from '../models/GenerationJob.js';
+import Page from '../models/Page.js';
+import User from '../models/User.js';
+import aiService from './aiService.js';
+import { sendPushToUser } from './pushService.js';
+
+/**
+ * Procesa en segundo plano la cola de generación con IA (colección GenerationJob).
+ * Consulta la cola cada GENERATION_POLL_INTERVAL_MS y procesa un trabajo a la vez.
+ */
+class GenerationQueueService {
+    constructor() {
+        this.pollIntervalMs = parseInt(process.env.GENERATION_POLL_INTERVAL_MS) || 3000;
+        this.timer = null;
+        this.busy = false;
+    }
+
+    /**
+     * Iniciar el procesamiento periódico de la cola
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.drain(), this.pollIntervalMs);
+        console.log(`🧵 Cola de generación IA iniciada (cada ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Procesar trabajos hasta vaciar la cola (sin solapar ejecuciones)
+     */
+    async drain() {
+        if (this.busy) return;
+        this.busy = true;
+
+        try {
+            let abandoned = await GenerationJob.failAbandoned();
+            while (abandoned) {
+                await this.failPage(abandoned.pageId);
+                abandoned = await GenerationJob.failAbandoned();
+            }
+
+            let job = await GenerationJob.claimNext();
+            while (job) {
+                await this.processJob(job);
+                job = await GenerationJob.claimNext();
+            }
+        } catch (error) {
+            console.error('Error processing generation queue:', error.message);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Encolar la generación de una página recién creada (o reintentada)
+     */
+    async enqueue(page, mode) {
+        const job = await GenerationJob.create({
+            pageId: page._id,
+            userId: page.userId,
+            mode,
+        });
+
+        // Procesar de inmediato si la cola está libre
+        setImmediate(() => this.drain());
+
+        return job;
+    }
+
+    /**
+     * Generar el HTML/CSS de la página de un trabajo y actualizar su estado
+     */
+    async processJob(job) {
+        const page = await Page.findOne({ _id: job.pageId, isDeleted: { $ne: true } });
+
+        if (!page) {
+            job.status = 'cancelled';
+            job.error = 'La página fue eliminada';
+            job.lockedAt = null;
+            job.finishedAt = new Date();
+            await job.save();
+            return;
+        }
+
+        try {
+            const pageData = {
+                title: page.title,
+                recipientName: page.recipientName,
+                message: page.message,
+                yesButtonText: page.yesButtonText,
+                noButtonText: page.noButtonText,
+            };
+
+            const generated =
+                job.mode === 'image'
+                    ? await aiService.generatePageFromImage(page.referenceImageUrl, pageData)
+                    : await aiService.generatePageFromPrompt(page.aiPrompt, pageData);
+            const { html, css } = aiService.sanitizeGeneratedCode(generated.html, generated.css);
+
+            await Page.updateOne(
+                { _id: page._id },
+                { $set: { customHTML: html, customCSS: css, generationStatus: 'ready' } }
+            );
+            await job.markCompleted();
+
+            console.log(`✅ Página ${page._id} generada (trabajo ${job._id}, intento ${job.attempts})`);
+            this.notifyOwner(page, true);
+        } catch (error) {
+            console.error(`Error generating page ${page._id} (intento ${job.attempts}):`, error.message);
+
+            const isFinal = await job.markFailed(error.message);
+            if (isFinal) {
+                await this.failPage(page._id);
+            }
+        }
+    }
+
+    /**
+     * Fallo definitivo de la generación: la página queda en "failed" y se avisa al dueño
+     */
+    async failPage(pageId) {
+        const page = await Page.findOneAndUpdate(
+            { _id: pageId, isDeleted: { $ne: true } },
+            { $set: { generationStatus: 'failed' } },
+            { new: true }
+        );
+        if (page) this.notifyOwner(page, false);
+    }
+
+    /**
+     * Enviar push al dueño cuando la generación termina (éxito o fallo definitivo).
+     * No bloquea el procesamiento de la cola.
+     */
+    async notifyOwner(page, succeeded) {
+        try {
+            const owner = await User.findById(page.userId).select('+pushSubscriptions');
+            if (!owner || !owner.pushSubscriptions?.length) return;
+
+            const payload = succeeded
+                ? {
+                      title: '✨ Tu página está lista',
+                      body: `"${page.title}" se generó con IA correctamente`,
+                      url: `/page/${page._id}`,
+                      icon: '/favicon.ico',
+                  }
+                : {
+                      title: '⚠️ No pudimos generar tu página',
+                      body: `La generación de "${page.title}" falló. Puedes reintentarla desde el panel.`,
+                      url: `/page/${page._id}`,
+                      icon: '/favicon.ico',
+                  };
+
+            const expired = await sendPushToUser(owner.pushSubscriptions, payload);
+
+            // Limpiar suscripciones expiradas
+            if (expired.length > 0) {
+                await User.findByIdAndUpdate(owner._id, {
+                    $pull: { pushSubscriptions: { endpoint: { $in: expired } } },
+                });
+            }
+        } catch (err) {
+            console.error('Error sending generation push:', err.message);
+        }
+    }
+}
+
+export default new GenerationQueueService();
@@ -0,0 +1,163 @@
+import GiftCode from '../models/GiftCode.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { getPlan } from '../config/plans.js';
+
+function planName(planId) {
+    return getPlan(planId)?.name || 'plan PRO';
+}
+
+/**
+ * Ciclo de vida de los códigos de regalo PRO: emisión al aprobarse la compra,
+ * notificaciones a comprador/destinatario, anulación por reembolso y vencimiento.
+ * El canje (activar PRO al destinatario) vive en paymentController.redeemGift.
+ */
+class GiftService {
+    async notify(userId, data) {
+        try {
+            await Notification.create({
+                userId,
+                audience: 'individual',
+                ...data,
+            });
+        } catch (error) {
+            console.error('Error creating gift notification:', error.message);
+        }
+    }
+
+    /**
+     * Emitir el código de un pago de regalo aprobado y avisar al comprador
+     * (y al destinatario si indicó un email que ya tiene cuenta)
+     */
+    async issueForPayment(payment) {
+        const { gift, created } = await GiftCode.issueForPayment(payment);
+        if (!created) return gift;
+
+        console.log(`🎁 Gift code issued for payment ${payment._id}: ${gift.code}`);
+
+        await this.notify(payment.userId, {
+            title: '¡Tu regalo PRO está listo!',
+            message: `Comparte el código ${gift.code} para regalar ${planName(gift.planId)}. Vence el ${gift.expiresAt.toLocaleDateString('es-PE')}.`,
+            type: 'success',
+            icon: '🎁',
+            actionUrl: '/gifts',
+            actionText: 'Ver mis regalos',
+            metadata: { giftId: gift._id, code: gift.code },
+        });
+
+        if (gift.recipientEmail) {
+            const recipient = await User.findOne({ email: gift.recipientEmail }).select('_id');
+            if (recipient && !recipient._id.equals(payment.userId)) {
+                await this.notify(recipient._id, {
+                    title: '¡Te regalaron PRO!',
+                    message: `Tienes un regalo esperando: canjea el código ${gift.code} para activar ${planName(gift.planId)}.${gift.message ? ` "${gift.message}"` : ''}`,
+                    type: 'promo',
+                    icon: '🎁',
+                    actionUrl: `/gifts/redeem?code=${gift.code}`,
+                    actionText: 'Canjear regalo',
+                    metadata: { giftId: gift._id },
+                });
+            }
+        }
+
+        return gift;
+    }
+
+    /**
+     * Avisar a ambas partes que el regalo fue canjeado
+     */
+    async notifyRedeemed(gift, redeemer, proExpiresAt) {
+        const until = proExpiresAt ? ` hasta el ${proExpiresAt.toLocaleDateString('es-PE')}` : '';
+
+        await this.notify(redeemer._id, {
+            title: '¡Recibiste PRO de regalo!',
+            message: `Activaste ${planName(gift.planId)}${until}.${gift.message ? ` "${gift.message}"` : ''}`,
+            type: 'success',
+            icon: '🎉',
+            actionUrl: '/dashboard',
+            actionText: 'Ir al panel',
+            metadata: { giftId: gift._id },
+        });
+
+        if (!redeemer._id.equals(gift.purchaserId)) {
+            await this.notify(gift.purchaserId, {
+                title: 'Tu regalo fue canjeado',
+                message: `${redeemer.displayName} canjeó tu regalo ${gift.code}.`,
+                type: 'info',
+                icon: '💝',
+                actionUrl: '/gifts',
+                actionText: 'Ver mis regalos',
+                metadata: { giftId: gift._id },
+            });
+        }
+    }
+
+    /**
+     * Anular el regalo de un pago reembolsado/contracargado.
+     * Devuelve el regalo tal como estaba: si ya había sido canjeado, el llamador
+     * debe revocar el PRO del destinatario.
+     * @returns {Promise<Object|null>}
+     */
+    async revokeForPayment(payment, reason) {
+        const previous = await GiftCode.findOneAndUpdate(
+            { paymentId: payment._id, status: { $in: ['active', 'redeemed'] } },
+            { $set: { status: 'revoked', revokedReason: reason } }
+        );
+        if (!previous) return null;
+
+        console.log(`🚫 Gift code ${previous.code} revoked (${previous.status}): ${reason}`);
+
+        await this.notify(payment.userId, {
+            title: 'Regalo anulado',
+            message: `El código ${previous.code} fue anulado porque su pago fue reembolsado o revertido.`,
+            type: 'warning',
+            icon: '⚠️',
+            actionUrl: '/gifts',
+            actionText: 'Ver mis regalos',
+            metadata: { giftId: previous._id },
+        });
+
+        return previous;
+    }
+
+    /**
+     * Marcar como expirados los códigos vencidos sin canjear y avisar al comprador
+     * @returns {Promise<number>} - Cantidad de códigos expirados
+     */
+    async sweepExpired(now = new Date()) {
+        try {
+            const expiredGifts = await GiftCode.find({ status: 'active', expiresAt: { $lte: now } });
+            let expired = 0;
+
+            for (const gift of expiredGifts) {
+                const result = await GiftCode.updateOne(
+                    { _id: gift._id, status: 'active' },
+                    { $set: { status: 'expired' } }
+                );
+                if (result.modifiedCount === 0) continue;
+                expired += 1;
+
+                await this.notify(gift.purchaserId, {
+                    title: 'Tu regalo PRO expiró',
+                    message: `El código ${gift.code} venció sin ser canjeado.`,
+                    type: 'warning',
+                    icon: '⏰',
+                    actionUrl: '/gifts',
+                    actionText: 'Ver mis regalos',
+                    metadata: { giftId: gift._id },
+                });
+            }
+
+            if (expired > 0) {
+                console.log(`⏰ ${expired} códigos de regalo expiraron`);
+            }
+
+            return expired;
+        } catch (error) {
+            console.error('Error sweeping expired gift codes:', error.message);
+            return 0;
+        }
+    }
+}
+
+export default new GiftService();
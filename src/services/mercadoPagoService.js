@@ -1,29 +1,103 @@
-import { MercadoPagoConfig, Preference, Payment } from 'mercadopago';
+import { MercadoPagoConfig, Preference, Payment, PaymentRefund } from 'mercadopago';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { DEFAULT_PLAN_ID, getPlan } from '../config/plans.js';
+import { getPaymentSimulatorUrl } from '../config/paymentSimulator.js';
+import { PROVIDER_CURRENCIES } from '../config/pricing.js';
+import { getMercadoPagoAccount } from '../config/mercadopago.js';
+
+// Ruta interna del SDK (no es API pública): solo se usa con el simulador y con la versión
+// fijada en package.json. Al actualizar el SDK, verificar que AppConfig.BASE_URL siga existiendo.
+const SDK_CONFIG_MODULE = 'mercadopago/dist/utils/config/index.js';
+
+/**
+ * Apuntar el SDK al simulador local. El SDK no acepta una URL base por cliente ni por
+ * petición (RestClient usa AppConfig.BASE_URL), así que se cambia la global.
+ * Si el SDK cambió y no se puede, se falla al arrancar en vez de llamar a la API real.
+ */
+async function pointSdkToSimulator(simulatorUrl) {
+    let AppConfig;
+    try {
+        ({ AppConfig } = await import(SDK_CONFIG_MODULE));
+    } catch (error) {
+        throw new Error(`No se pudo cargar ${SDK_CONFIG_MODULE} para usar el simulador: ${error.message}`);
+    }
+    if (typeof AppConfig?.BASE_URL !== 'string') {
+        throw new Error('La versión instalada del SDK de MercadoPago no expone AppConfig.BASE_URL; no se puede usar el simulador');
+    }
+
+    AppConfig.BASE_URL = simulatorUrl;
+    console.log(`🧪 MercadoPago apuntando al simulador: ${simulatorUrl}`);
+}
+
+const simulatorUrl = getPaymentSimulatorUrl();
+if (simulatorUrl) {
+    await pointSdkToSimulator(simulatorUrl);
+}
 
 class MercadoPagoService {
     constructor() {
-        this.client = new MercadoPagoConfig({
-            accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN,
+        // Clientes del SDK por cuenta (una cuenta por moneda, ver config/mercadopago.js)
+        this.clients = new Map();
+    }
+
+    // Moneda de la cuenta principal; el checkout cobra en la del país del comprador (config/pricing.js)
+    get currency() {
+        return PROVIDER_CURRENCIES.mercadopago[0];
+    }
+
+    get currencies() {
+        return PROVIDER_CURRENCIES.mercadopago;
+    }
+
+    /**
+     * Cliente de la cuenta que cobra en una moneda (la principal si no se indica o no hay cuenta)
+     * @returns {{ account: Object, preference: Preference, payment: Payment, refund: PaymentRefund }}
+     */
+    getClient(currency = null) {
+        const account = getMercadoPagoAccount(currency);
+        const cached = this.clients.get(account.currency);
+        if (cached && cached.account.accessToken === account.accessToken) return cached;
+
+        const config = new MercadoPagoConfig({
+            accessToken: account.accessToken,
             options: { timeout: 5000 },
         });
-
-        this.preference = new Preference(this.client);
-        this.payment = new Payment(this.client);
+        const client = {
+            account,
+            preference: new Preference(config),
+            payment: new Payment(config),
+            refund: new PaymentRefund(config),
+        };
+        this.clients.set(account.currency, client);
+        return client;
     }
 
-    async createProPlanPreference(user) {
+    /**
+     * Crear preferencia para un plan con el monto ya cotizado (checkoutService.quote).
+     * ledgerId es el Payment "created" del checkout; vuelve en metadata.ledger_id.
+     * purpose "gift" compra un código de regalo en vez de activar PRO al pagador.
+     * expiresAt (reserva del cupón) cierra la preferencia: después no acepta pagos.
+     */
+    async createProPlanPreference(user, plan, pricing, ledgerId, purpose = 'self', expiresAt = null) {
         try {
-            console.log('📝 Creando preferencia para:', user.email);
+            console.log(`📝 Creando preferencia (${plan.id}) para:`, user.email);
+
+            // Cada cuenta solo cobra en la moneda de su país
+            const client = this.getClient(pricing.currency);
+            if (client.account.currency !== pricing.currency) {
+                throw new Error(`No hay cuenta de MercadoPago configurada para ${pricing.currency}`);
+            }
 
             const preferenceData = {
                 items: [
                     {
-                        id: 'pro-plan',
-                        title: 'Plan PRO - Páginas Ilimitadas',
-                        description: 'Acceso permanente a creación ilimitada de páginas personalizadas con IA',
+                        id: plan.id,
+                        title: purpose === 'gift' ? `Regalo: ${plan.name}` : plan.name,
+                        description: plan.description,
                         quantity: 1,
-                        currency_id: 'PEN',
-                        unit_price: 7,
+                        currency_id: pricing.currency,
+                        unit_price: pricing.finalAmount,
                     },
                 ],
                 payer: {
@@ -38,23 +112,28 @@ class MercadoPagoService {
                 },
                 // auto_return: 'approved',
                 external_reference: user._id.toString(),
-                notification_url: `${process.env.BACKEND_URL}/api/webhooks/mercadopago`,
+                // account indica qué cuenta verifica la firma y consulta el pago
+                notification_url: `${process.env.BACKEND_URL}/api/webhooks/mercadopago?account=${client.account.currency}`,
                 statement_descriptor: 'LOVEPAGES PRO',
                 payment_methods: {
                     excluded_payment_methods: [],
                     excluded_payment_types: [],
                     installments: 1,
                 },
+                ...(expiresAt && { expires: true, expiration_date_to: expiresAt.toISOString() }),
                 metadata: {
                     userId: user._id.toString(),
                     userEmail: user.email,
-                    plan: 'pro',
+                    plan: plan.id,
+                    coupon_code: pricing.couponCode,
+                    ledger_id: ledgerId.toString(),
+                    purpose,
                 },
             };
 
             console.log('📦 Datos de preferencia:', JSON.stringify(preferenceData, null, 2));
 
-            const response = await this.preference.create({ body: preferenceData });
+            const response = await client.preference.create({ body: preferenceData });
 
             console.log('✅ Respuesta de MercadoPago:', {
                 id: response.id,
@@ -76,9 +155,12 @@ class MercadoPagoService {
         }
     }
 
-    async getPaymentInfo(paymentId) {
+    /**
+     * @param {string|null} currency - Moneda de la cuenta que procesó el pago (null = principal)
+     */
+    async getPaymentInfo(paymentId, currency = null) {
         try {
-            const payment = await this.payment.get({ id: paymentId });
+            const payment = await this.getClient(currency).payment.get({ id: paymentId });
             return payment;
         } catch (error) {
             console.error('Error getting payment info:', error);
@@ -86,6 +168,67 @@ class MercadoPagoService {
         }
     }
 
+    /**
+     * Verificar x-signature de un webhook: HMAC-SHA256 con MERCADOPAGO_WEBHOOK_SECRET sobre
+     * "id:{data.id};request-id:{x-request-id};ts:{ts};" (se omiten las partes que no llegan).
+     * Rechaza timestamps fuera de MERCADOPAGO_WEBHOOK_TOLERANCE_SECONDS (300 por defecto).
+     * @param {Object} headers - Headers de la petición
+     * @param {string|null} dataId - data.id de la query (o del body)
+     * @param {string|null} account - Moneda de la cuenta (?account de notification_url); su secreto firma
+     * @returns {{ valid: boolean, reason: string, requestId: string|null, signature: string|null, signedAt: Date|null }}
+     */
+    verifyWebhookSignature(headers, dataId, account = null, now = Date.now()) {
+        const requestId = headers['x-request-id'] || null;
+        const parts = Object.fromEntries(
+            String(headers['x-signature'] || '')
+                .split(',')
+                .map((part) => part.split('=').map((value) => value.trim()))
+        );
+        const { ts, v1: signature = null } = parts;
+
+        // ts llega en segundos o milisegundos según la integración
+        const tsNumber = Number(ts);
+        const signedAtMs = tsNumber < 1e12 ? tsNumber * 1000 : tsNumber;
+        const result = {
+            requestId,
+            signature,
+            signedAt: Number.isFinite(signedAtMs) && ts ? new Date(signedAtMs) : null,
+        };
+
+        const { currency, webhookSecret: secret } = getMercadoPagoAccount(account);
+        if (!secret) {
+            console.error(`❌ Secreto de webhook de MercadoPago no configurado (cuenta ${currency})`);
+            return { ...result, valid: false, reason: 'not_configured' };
+        }
+
+        if (!ts || !signature) {
+            return { ...result, valid: false, reason: 'missing_signature' };
+        }
+
+        // MercadoPago firma los ids alfanuméricos en minúsculas
+        const id = dataId ? String(dataId).toLowerCase() : null;
+        let manifest = '';
+        if (id) manifest += `id:${id};`;
+        if (requestId) manifest += `request-id:${requestId};`;
+        manifest += `ts:${ts};`;
+
+        const expected = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+        const isMatch =
+            signature.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+        if (!isMatch) {
+            return { ...result, valid: false, reason: 'invalid_signature' };
+        }
+
+        const toleranceSeconds = parseInt(process.env.MERCADOPAGO_WEBHOOK_TOLERANCE_SECONDS) || 300;
+        if (!Number.isFinite(signedAtMs) || Math.abs(now - signedAtMs) > toleranceSeconds * 1000) {
+            return { ...result, valid: false, reason: 'stale' };
+        }
+
+        return { ...result, valid: true, reason: 'valid' };
+    }
+
     async processWebhookNotification(data) {
         try {
             const { action, data: paymentData, type } = data;
@@ -109,15 +252,10 @@ class MercadoPagoService {
             const paymentId = paymentData.id;
             console.log(`🔍 Consultando pago ${paymentId} a MercadoPago...`);
 
-            const paymentInfo = await this.getPaymentInfoWithRetry(paymentId);
+            const paymentInfo = await this.getPaymentInfoWithRetry(paymentId, data.account);
 
             console.log(`💰 Estado del pago ${paymentId}: ${paymentInfo.status} (${paymentInfo.status_detail})`);
 
-            // Solo procesar si está aprobado o tiene un estado final
-            if (paymentInfo.status === 'pending' || paymentInfo.status === 'in_process') {
-                return { processed: false, reason: `Payment ${paymentId} still ${paymentInfo.status}, will wait` };
-            }
-
             return {
                 processed: true,
                 paymentInfo,
@@ -130,10 +268,10 @@ class MercadoPagoService {
         }
     }
 
-    async getPaymentInfoWithRetry(paymentId, retries = 3, delay = 2000) {
+    async getPaymentInfoWithRetry(paymentId, currency = null, retries = 3, delay = 2000) {
         for (let i = 0; i < retries; i++) {
             try {
-                return await this.getPaymentInfo(paymentId);
+                return await this.getPaymentInfo(paymentId, currency);
             } catch (error) {
                 if (i < retries - 1) {
                     console.log(`⏳ Retry ${i + 1}/${retries} for payment ${paymentId}...`);
@@ -145,21 +283,130 @@ class MercadoPagoService {
         }
     }
 
+    /**
+     * Reembolsar un pago (total si no se indica monto) con la cuenta de su moneda
+     */
+    async refundPayment(paymentId, amount = null, currency = null) {
+        try {
+            const body = amount ? { amount } : {};
+            return await this.getClient(currency).refund.create({ payment_id: paymentId, body });
+        } catch (error) {
+            console.error('❌ Error refunding MercadoPago payment:', {
+                message: error.message,
+                error: error.error,
+                status: error.status,
+            });
+            throw new Error('Error al reembolsar el pago en MercadoPago');
+        }
+    }
+
+    /**
+     * Cambio sobre un pago ya aprobado (reembolso, contracargo, cancelación o disputa).
+     * status es el estado destino en el libro de pagos (models/Payment.js);
+     * fromStatuses limita el cambio a pagos que estén en esos estados.
+     * Devuelve null si el estado no afecta a un pago aprobado.
+     */
+    getReversal(paymentInfo) {
+        const lastRefund = paymentInfo.refunds?.[paymentInfo.refunds.length - 1];
+        const base = {
+            paymentId: paymentInfo.id.toString(),
+            currency: paymentInfo.currency_id,
+            statusDetail: paymentInfo.status_detail,
+            amount: paymentInfo.transaction_amount,
+        };
+        const refund = lastRefund
+            ? { refundId: lastRefund.id.toString(), amount: lastRefund.amount }
+            : { refundId: `${paymentInfo.id}-${paymentInfo.transaction_amount_refunded}`, amount: paymentInfo.transaction_amount_refunded };
+
+        switch (paymentInfo.status) {
+            case 'refunded':
+                return {
+                    ...base,
+                    status: 'refunded',
+                    action: 'refund',
+                    amount: paymentInfo.transaction_amount_refunded || paymentInfo.transaction_amount,
+                    refund,
+                };
+            case 'charged_back':
+                return { ...base, status: 'charged_back', action: 'chargeback' };
+            case 'cancelled':
+                return { ...base, status: 'cancelled', action: 'cancellation' };
+            case 'in_mediation':
+                return { ...base, status: 'in_dispute', action: 'dispute_opened' };
+            case 'approved':
+                if (paymentInfo.status_detail === 'partially_refunded') {
+                    return { ...base, status: 'approved', action: 'partial_refund', amount: refund.amount, refund };
+                }
+                // Mediación resuelta a favor del vendedor: el pago vuelve a approved
+                return { ...base, status: 'approved', action: 'dispute_resolved', fromStatuses: ['in_dispute'] };
+            default:
+                return null;
+        }
+    }
+
     isPaymentApproved(paymentInfo) {
         return paymentInfo.status === 'approved' && paymentInfo.status_detail === 'accredited';
     }
 
+    isPaymentPending(paymentInfo) {
+        return paymentInfo.status === 'pending' || paymentInfo.status === 'in_process';
+    }
+
+    isPaymentRejected(paymentInfo) {
+        return paymentInfo.status === 'rejected';
+    }
+
+    /**
+     * Filtro del Payment "created" del checkout que originó este pago
+     */
+    getCheckoutMatch(paymentInfo) {
+        const ledgerId = paymentInfo.metadata?.ledger_id;
+        return mongoose.Types.ObjectId.isValid(ledgerId) ? { _id: ledgerId } : null;
+    }
+
+    /**
+     * Plan comprado en un pago (pagos anteriores al catálogo de planes son lifetime)
+     */
+    getPlanId(paymentInfo) {
+        const planId = paymentInfo.metadata?.plan || paymentInfo.additional_info?.items?.[0]?.id;
+        return getPlan(planId) ? planId : DEFAULT_PLAN_ID;
+    }
+
+    /**
+     * Cupón aplicado en la preferencia (null si no hubo)
+     */
+    getCouponCode(paymentInfo) {
+        return paymentInfo.metadata?.coupon_code || null;
+    }
+
+    /**
+     * Propósito del pago: "gift" si se compró como regalo
+     */
+    getPurpose(paymentInfo) {
+        return paymentInfo.metadata?.purpose === 'gift' ? 'gift' : 'self';
+    }
+
+    /**
+     * Campos del libro de pagos (models/Payment.js) para un pago de MercadoPago
+     */
     formatPaymentData(paymentInfo) {
         return {
-            paymentId: paymentInfo.id,
-            mercadoPagoId: paymentInfo.id.toString(),
+            provider: 'mercadopago',
+            providerPaymentId: paymentInfo.id.toString(),
+            planId: this.getPlanId(paymentInfo),
+            purpose: this.getPurpose(paymentInfo),
             amount: paymentInfo.transaction_amount,
             currency: paymentInfo.currency_id,
-            status: paymentInfo.status,
+            providerStatus: paymentInfo.status,
             statusDetail: paymentInfo.status_detail,
             paymentMethod: paymentInfo.payment_method_id,
             paymentType: paymentInfo.payment_type_id,
-            date: new Date(paymentInfo.date_created),
+            approvedAt: paymentInfo.date_approved ? new Date(paymentInfo.date_approved) : null,
+            payer: {
+                email: paymentInfo.payer?.email || null,
+                name: paymentInfo.payer?.first_name || null,
+                payerId: paymentInfo.payer?.id?.toString() || null,
+            },
         };
     }
 }
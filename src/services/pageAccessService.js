@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+
+/**
+ * Protección de páginas públicas con frase secreta o pregunta secreta.
+ * - Los secretos se guardan como hash scrypt (ver utils/pageSecrets.js)
+ * - Al verificar se emite un token de acceso firmado (HMAC) de corta duración
+ * - El token incluye la versión de la protección: si el dueño cambia el secreto,
+ *   los tokens anteriores dejan de ser válidos
+ */
+class PageAccessService {
+    constructor() {
+        this.secret = process.env.PAGE_ACCESS_TOKEN_SECRET;
+        this.ttlMs = (parseInt(process.env.PAGE_ACCESS_TOKEN_TTL_MINUTES) || 60) * 60 * 1000;
+
+        if (!this.secret) {
+            // Sin secreto configurado los tokens solo sobreviven hasta el próximo reinicio
+            console.warn('⚠️  PAGE_ACCESS_TOKEN_SECRET no configurado, usando secreto temporal');
+            this.secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    sign(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+
+    /**
+     * Emitir token de acceso para una página
+     * @returns {{ accessToken: string, expiresAt: Date }}
+     */
+    issueToken(page) {
+        const expiresAt = new Date(Date.now() + this.ttlMs);
+        const payload = Buffer.from(
+            JSON.stringify({
+                pid: page._id.toString(),
+                v: page.protection?.version || 0,
+                exp: expiresAt.getTime(),
+            })
+        ).toString('base64url');
+
+        return { accessToken: `${payload}.${this.sign(payload)}`, expiresAt };
+    }
+
+    /**
+     * Verificar token de acceso contra la página (firma, página, versión y expiración)
+     */
+    verifyToken(token, page) {
+        if (!token || typeof token !== 'string') return false;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return false;
+
+        const expected = Buffer.from(this.sign(payload));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return false;
+        }
+
+        try {
+            const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return (
+                data.pid === page._id.toString() &&
+                data.v === (page.protection?.version || 0) &&
+                data.exp > Date.now()
+            );
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Verificar si la request puede ver el contenido de una página protegida.
+     * El dueño (autenticado con optionalAuth) siempre tiene acceso.
+     * El token se acepta en el header X-Page-Access-Token o en ?accessToken=
+     */
+    canAccess(page, req) {
+        if (!page.protection || page.protection.type === 'none') return true;
+
+        const ownerId = page.userId?._id || page.userId;
+        if (req.user && ownerId && req.user._id.toString() === ownerId.toString()) return true;
+
+        const token = req.headers['x-page-access-token'] || req.query?.accessToken;
+        return this.verifyToken(token, page);
+    }
+}
+
+export default new PageAccessService();
@@ -1,19 +1,39 @@
 import paypal from '@paypal/checkout-server-sdk';
 import crypto from 'crypto';
+import { DEFAULT_PLAN_ID, getPlan } from '../config/plans.js';
+import { getPaymentSimulatorUrl } from '../config/paymentSimulator.js';
+import { PROVIDER_CURRENCIES } from '../config/pricing.js';
+import checkoutService from './checkoutService.js';
+
+// Moneda por defecto; el checkout cobra en la del país del comprador (config/pricing.js)
+const CURRENCY = PROVIDER_CURRENCIES.paypal[0];
 
 class PayPalService {
     constructor() {
         this.environment = this.getEnvironment();
         this.client = new paypal.core.PayPalHttpClient(this.environment);
+        this.currency = CURRENCY;
+        this.currencies = PROVIDER_CURRENCIES.paypal;
     }
 
     /**
-     * Configurar entorno de PayPal (Sandbox o Production)
+     * Configurar entorno de PayPal (Sandbox, Production o simulador local)
      */
     getEnvironment() {
         const clientId = process.env.PAYPAL_CLIENT_ID;
         const clientSecret = process.env.PAYPAL_CLIENT_SECRET;
 
+        const simulatorUrl = getPaymentSimulatorUrl();
+        if (simulatorUrl) {
+            console.log(`🧪 PayPal apuntando al simulador: ${simulatorUrl}`);
+            return new paypal.core.PayPalEnvironment(
+                clientId || 'simulator',
+                clientSecret || 'simulator',
+                simulatorUrl,
+                simulatorUrl
+            );
+        }
+
         if (!clientId || !clientSecret) {
             throw new Error('PayPal credentials are missing');
         }
@@ -25,13 +45,38 @@ class PayPalService {
     }
 
     /**
-     * Crear orden de pago para plan PRO
+     * Crear orden de pago para un plan PRO
      * @param {Object} user - Usuario que realiza el pago
+     * @param {Object} plan - Plan del catálogo (config/plans.js)
+     * @param {Object} pricing - Monto cotizado con checkoutService.quote (incluye cupón)
+     * @param {string} purpose - "self" o "gift" (compra un código de regalo)
      * @returns {Object} - Detalles de la orden creada
      */
-    async createProPlanOrder(user) {
+    async createProPlanOrder(user, plan, pricing, purpose = 'self') {
         try {
-            console.log('📝 Creando orden PayPal para:', user.email);
+            console.log(`📝 Creando orden PayPal (${plan.id}) para:`, user.email);
+
+            const currency = pricing.currency;
+            const itemTotal = pricing.originalAmount.toFixed(2);
+            const value = pricing.finalAmount.toFixed(2);
+
+            // reference_id: "plan[:CUPON[:gift]]"; se devuelve en la captura
+            const reference = [plan.id];
+            if (pricing.couponCode || purpose === 'gift') reference.push(pricing.couponCode || '');
+            if (purpose === 'gift') reference.push('gift');
+
+            const breakdown = {
+                item_total: {
+                    currency_code: currency,
+                    value: itemTotal,
+                },
+            };
+            if (pricing.discountAmount > 0) {
+                breakdown.discount = {
+                    currency_code: currency,
+                    value: pricing.discountAmount.toFixed(2),
+                };
+            }
 
             const request = new paypal.orders.OrdersCreateRequest();
             request.prefer('return=representation');
@@ -39,27 +84,23 @@ class PayPalService {
                 intent: 'CAPTURE',
                 purchase_units: [
                     {
-                        reference_id: user._id.toString(),
-                        description: 'Love Pages PRO - Páginas Ilimitadas',
+                        reference_id: reference.join(':'),
+                        description: `Love Pages - ${purpose === 'gift' ? 'Regalo: ' : ''}${plan.name}`,
                         custom_id: user._id.toString(),
                         soft_descriptor: 'LOVEPAGES PRO',
                         amount: {
-                            currency_code: 'USD',
-                            value: '1.75',
-                            breakdown: {
-                                item_total: {
-                                    currency_code: 'USD',
-                                    value: '1.75',
-                                },
-                            },
+                            currency_code: currency,
+                            value,
+                            breakdown,
                         },
                         items: [
                             {
-                                name: 'Love Pages PRO',
-                                description: 'Acceso permanente a páginas ilimitadas con IA',
+                                name: plan.name,
+                                description: plan.description,
+                                sku: plan.id,
                                 unit_amount: {
-                                    currency_code: 'USD',
-                                    value: '1.75',
+                                    currency_code: currency,
+                                    value: itemTotal,
                                 },
                                 quantity: '1',
                                 category: 'DIGITAL_GOODS',
@@ -158,6 +199,68 @@ class PayPalService {
         }
     }
 
+    /**
+     * Obtener detalles de una captura (pago)
+     * @param {string} captureId - ID de la captura
+     * @returns {Object} - Detalles de la captura
+     */
+    async getCaptureDetails(captureId) {
+        try {
+            const request = new paypal.payments.CapturesGetRequest(captureId);
+            const response = await this.client.execute(request);
+            return response.result;
+        } catch (error) {
+            console.error('Error getting PayPal capture details:', error);
+            throw new Error('Error al obtener detalles de la captura');
+        }
+    }
+
+    /**
+     * Obtener una disputa (la API de disputas no está en el SDK: llamada REST directa)
+     * @param {string} disputeId - ID de la disputa
+     * @returns {Object} - Detalles de la disputa
+     */
+    async getDisputeDetails(disputeId) {
+        const accessToken = await this.getAccessToken();
+        const response = await fetch(`${this.getApiBaseUrl()}/v1/customer/disputes/${encodeURIComponent(disputeId)}`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+        });
+
+        if (!response.ok) {
+            console.error(`Error getting PayPal dispute ${disputeId}: HTTP ${response.status}`);
+            throw new Error('Error al obtener detalles de la disputa');
+        }
+        return await response.json();
+    }
+
+    /**
+     * Reembolsar una captura (total si no se indica monto)
+     * @param {string} captureId - ID de la captura
+     * @param {number|null} amount - Monto a reembolsar
+     * @param {string} currency - Moneda de la captura
+     * @returns {Object} - Detalles del reembolso
+     */
+    async refundCapture(captureId, amount = null, currency = CURRENCY) {
+        try {
+            const request = new paypal.payments.CapturesRefundRequest(captureId);
+            request.prefer('return=representation');
+            request.requestBody(
+                amount
+                    ? { amount: { value: amount.toFixed(2), currency_code: currency } }
+                    : {}
+            );
+
+            const response = await this.client.execute(request);
+            return response.result;
+        } catch (error) {
+            console.error('❌ Error refunding PayPal capture:', {
+                message: error.message,
+                details: error.details || error.result,
+            });
+            throw new Error('Error al reembolsar el pago en PayPal');
+        }
+    }
+
     /**
      * Verificar si el pago fue completado exitosamente
      * @param {Object} orderDetails - Detalles de la orden
@@ -171,7 +274,49 @@ class PayPalService {
     }
 
     /**
-     * Formatear datos del pago para guardar en BD
+     * Plan comprado en una orden (órdenes anteriores al catálogo usaban el id de usuario
+     * como reference_id y corresponden al plan lifetime)
+     * @param {Object} orderDetails - Detalles de la orden
+     * @returns {string}
+     */
+    getPlanId(orderDetails) {
+        const unit = orderDetails.purchase_units?.[0];
+        const [referencePlan] = (unit?.reference_id || '').split(':');
+        const planId = getPlan(referencePlan) ? referencePlan : unit?.items?.[0]?.sku;
+        return getPlan(planId) ? planId : DEFAULT_PLAN_ID;
+    }
+
+    /**
+     * Cupón aplicado en la orden (segunda parte de reference_id, puede venir vacía)
+     * @param {Object} orderDetails - Detalles de la orden
+     * @returns {string|null}
+     */
+    getCouponCode(orderDetails) {
+        const [, couponCode] = (orderDetails.purchase_units?.[0]?.reference_id || '').split(':');
+        return couponCode || null;
+    }
+
+    /**
+     * Propósito de la orden (tercera parte de reference_id)
+     * @param {Object} orderDetails - Detalles de la orden
+     * @returns {string} - "gift" o "self"
+     */
+    getPurpose(orderDetails) {
+        const [, , purpose] = (orderDetails.purchase_units?.[0]?.reference_id || '').split(':');
+        return purpose === 'gift' ? 'gift' : 'self';
+    }
+
+    /**
+     * Filtro del Payment "created" del checkout que originó esta orden
+     * @param {Object} orderDetails - Detalles de la orden
+     * @returns {Object}
+     */
+    getCheckoutMatch(orderDetails) {
+        return { providerOrderId: orderDetails.id };
+    }
+
+    /**
+     * Campos del libro de pagos (models/Payment.js) para una orden capturada
      * @param {Object} orderDetails - Detalles de la orden
      * @returns {Object}
      */
@@ -179,15 +324,18 @@ class PayPalService {
         const capture = orderDetails.purchase_units?.[0]?.payments?.captures?.[0];
 
         return {
-            paymentId: capture?.id || orderDetails.id,
-            paypalOrderId: orderDetails.id,
+            provider: 'paypal',
+            providerPaymentId: capture?.id || orderDetails.id,
+            providerOrderId: orderDetails.id,
+            planId: this.getPlanId(orderDetails),
+            purpose: this.getPurpose(orderDetails),
             amount: parseFloat(capture?.amount?.value || '0'),
-            currency: capture?.amount?.currency_code || 'USD',
-            status: orderDetails.status.toLowerCase(),
-            statusDetail: capture?.status || 'completed',
+            currency: capture?.amount?.currency_code || CURRENCY,
+            providerStatus: capture?.status || orderDetails.status,
+            statusDetail: capture?.status?.toLowerCase() || 'completed',
             paymentMethod: 'paypal',
             paymentType: 'digital_goods',
-            date: new Date(capture?.create_time || orderDetails.create_time),
+            approvedAt: new Date(capture?.create_time || orderDetails.create_time),
             payer: {
                 email: orderDetails.payer?.email_address,
                 name: orderDetails.payer?.name?.given_name,
@@ -218,11 +366,7 @@ class PayPalService {
             // Preparar body como string si no lo es
             const bodyString = typeof body === 'string' ? body : JSON.stringify(body);
 
-            const baseUrl = process.env.NODE_ENV === 'production'
-                ? 'https://api-m.paypal.com'
-                : 'https://api-m.sandbox.paypal.com';
-
-            const verifyResponse = await fetch(`${baseUrl}/v1/notifications/verify-webhook-signature`, {
+            const verifyResponse = await fetch(`${this.getApiBaseUrl()}/v1/notifications/verify-webhook-signature`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -250,18 +394,26 @@ class PayPalService {
     }
 
     /**
-     * Obtener access token para llamadas directas a la API REST
-     * @returns {string} access token
+     * URL base para llamadas directas a la API REST (fuera del SDK)
+     * @returns {string}
      */
-    async getAccessToken() {
-        const clientId = process.env.PAYPAL_CLIENT_ID;
-        const clientSecret = process.env.PAYPAL_CLIENT_SECRET;
+    getApiBaseUrl() {
+        const simulatorUrl = getPaymentSimulatorUrl();
+        if (simulatorUrl) return simulatorUrl;
 
-        const baseUrl = process.env.NODE_ENV === 'production'
+        return process.env.NODE_ENV === 'production'
             ? 'https://api-m.paypal.com'
             : 'https://api-m.sandbox.paypal.com';
+    }
+
+    /**
+     * Obtener access token para llamadas directas a la API REST
+     * @returns {string} access token
+     */
+    async getAccessToken() {
+        const { clientId, clientSecret } = this.environment;
 
-        const response = await fetch(`${baseUrl}/v1/oauth2/token`, {
+        const response = await fetch(`${this.getApiBaseUrl()}/v1/oauth2/token`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
@@ -274,6 +426,69 @@ class PayPalService {
         return data.access_token;
     }
 
+    /**
+     * Cambio sobre una captura según su estado actual (reembolso total/parcial o reverso)
+     * @param {Object} capture - Detalles de la captura
+     * @param {Object} refund - Recurso del webhook (monto del reembolso)
+     * @returns {Object|null}
+     */
+    getCaptureReversal(capture, refund) {
+        const base = {
+            paymentId: capture.id,
+            amount: parseFloat(refund?.amount?.value || capture.amount?.value || '0'),
+            currency: refund?.amount?.currency_code || capture.amount?.currency_code || CURRENCY,
+            statusDetail: capture.status.toLowerCase(),
+            refund: refund ? { refundId: refund.id, amount: parseFloat(refund.amount?.value || '0') } : null,
+        };
+
+        switch (capture.status) {
+            case 'REFUNDED':
+                return { ...base, status: 'refunded', action: 'refund' };
+            case 'PARTIALLY_REFUNDED':
+                return { ...base, status: 'approved', action: 'partial_refund' };
+            case 'REVERSED':
+                return { ...base, status: 'charged_back', action: 'chargeback' };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Cambio sobre una captura por una disputa (abierta o resuelta)
+     * @param {string} eventType - CUSTOMER.DISPUTE.CREATED | CUSTOMER.DISPUTE.RESOLVED
+     * @param {Object} dispute - Disputa consultada a PayPal (getDisputeDetails)
+     * @returns {Object|null}
+     */
+    getDisputeReversal(eventType, dispute) {
+        const captureId = dispute.disputed_transactions?.[0]?.seller_transaction_id;
+        if (!captureId) return null;
+
+        const base = {
+            paymentId: captureId,
+            amount: parseFloat(dispute.dispute_amount?.value || '0'),
+            currency: dispute.dispute_amount?.currency_code || CURRENCY,
+            reason: dispute.reason || null,
+        };
+
+        if (eventType === 'CUSTOMER.DISPUTE.CREATED') {
+            return { ...base, status: 'in_dispute', statusDetail: 'dispute_opened', action: 'dispute_opened' };
+        }
+
+        // El comprador ganó (o el vendedor aceptó el reclamo): el dinero se devuelve
+        const outcome = dispute.dispute_outcome?.outcome_code;
+        if (outcome === 'RESOLVED_BUYER_FAVOUR' || outcome === 'ACCEPTED') {
+            return { ...base, status: 'charged_back', statusDetail: outcome.toLowerCase(), action: 'chargeback' };
+        }
+
+        return {
+            ...base,
+            status: 'approved',
+            statusDetail: 'dispute_resolved',
+            action: 'dispute_resolved',
+            fromStatuses: ['in_dispute'],
+        };
+    }
+
     /**
      * ✅ FIX: Procesar notificación de webhook correctamente
      * @param {Object} webhookData - Datos del webhook
@@ -329,6 +544,12 @@ class PayPalService {
                 const orderId = resource.id;
                 console.log(`📋 Orden aprobada via webhook, intentando capturar: ${orderId}`);
 
+                // Igual que la captura del frontend: sin el cupón reservado no se cobra
+                const coupon = await checkoutService.ensureCouponForOrder('paypal', orderId);
+                if (!coupon.valid) {
+                    return { processed: false, reason: `Order ${orderId} not captured: ${coupon.reason}` };
+                }
+
                 try {
                     const capturedOrder = await this.capturePayment(orderId);
 
@@ -347,6 +568,39 @@ class PayPalService {
                 return { processed: false, reason: `Order ${orderId} capture attempted from webhook` };
             }
 
+            // Reembolsos y reversos: el recurso es el reembolso (link "up" a la captura)
+            // o la propia captura; se consulta la captura para saber si fue total o parcial
+            if (event_type === 'PAYMENT.CAPTURE.REFUNDED' || event_type === 'PAYMENT.CAPTURE.REVERSED') {
+                const upLink = resource.links?.find((l) => l.rel === 'up' && l.href.includes('/captures/'));
+                const captureId = upLink ? upLink.href.split('/').pop() : resource.id;
+                const capture = await this.getCaptureDetails(captureId);
+                const reversal = this.getCaptureReversal(capture, upLink ? resource : null);
+
+                if (!reversal) {
+                    return { processed: false, reason: `Capture ${captureId} status ${capture.status} has no reversal` };
+                }
+
+                return { processed: true, reversal };
+            }
+
+            // Como con las capturas, no se confía en el recurso del payload (también lo
+            // usa el replay de admin): se consulta la disputa y su estado real decide
+            if (event_type === 'CUSTOMER.DISPUTE.CREATED' || event_type === 'CUSTOMER.DISPUTE.RESOLVED') {
+                if (!resource?.dispute_id) {
+                    return { processed: false, reason: 'Dispute webhook without dispute id' };
+                }
+
+                const dispute = await this.getDisputeDetails(resource.dispute_id);
+                const disputeEvent = dispute.status === 'RESOLVED' ? 'CUSTOMER.DISPUTE.RESOLVED' : 'CUSTOMER.DISPUTE.CREATED';
+                const reversal = this.getDisputeReversal(disputeEvent, dispute);
+
+                if (!reversal) {
+                    return { processed: false, reason: `Dispute ${dispute.dispute_id} without capture id` };
+                }
+
+                return { processed: true, reversal };
+            }
+
             return { processed: false, reason: `Event type not handled: ${event_type}` };
         } catch (error) {
             console.error('Error processing PayPal webhook:', error);
@@ -0,0 +1,98 @@
+import { PLANS, isLifetimePlan } from '../config/plans.js';
+import {
+    PRICING_COUNTRIES,
+    PRICING_PROVIDERS,
+    getDefaultCountry,
+    normalizeCountry,
+    getCountryCurrency,
+    resolveProviderCurrency,
+} from '../config/pricing.js';
+
+// Headers de geolocalización que agregan los CDN / proxies delante del backend
+const COUNTRY_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'cloudfront-viewer-country', 'x-country-code'];
+
+/**
+ * Resolución del país del comprador y tabla de precios localizada
+ */
+class PricingService {
+    /**
+     * País del request, en orden de prioridad:
+     * perfil del usuario → headers de geolocalización → región de Accept-Language → por defecto
+     * @returns {{ country: string, source: string }}
+     */
+    resolveCountry(req) {
+        const profileCountry = normalizeCountry(req.user?.country);
+        if (profileCountry) {
+            return { country: profileCountry, source: 'profile' };
+        }
+
+        for (const header of COUNTRY_HEADERS) {
+            const country = normalizeCountry(req.headers?.[header]);
+            if (country) {
+                return { country, source: 'header' };
+            }
+        }
+
+        const languageCountry = this.countryFromAcceptLanguage(req.headers?.['accept-language']);
+        if (languageCountry) {
+            return { country: languageCountry, source: 'language' };
+        }
+
+        return { country: getDefaultCountry(), source: 'default' };
+    }
+
+    /**
+     * Región del primer idioma de Accept-Language que la tenga (ej: "es-MX,es;q=0.9" → MX)
+     */
+    countryFromAcceptLanguage(header) {
+        if (typeof header !== 'string') return null;
+
+        for (const entry of header.split(',')) {
+            const [tag] = entry.trim().split(';');
+            const region = tag.split('-')[1];
+            const country = region ? normalizeCountry(region) : null;
+            if (country) return country;
+        }
+
+        return null;
+    }
+
+    /**
+     * Moneda en la que cada proveedor cobra a un país
+     * @returns {Object} - { mercadopago: 'MXN', paypal: 'MXN' }
+     */
+    getProviderCurrencies(country) {
+        return Object.fromEntries(
+            PRICING_PROVIDERS.map((provider) => [provider, resolveProviderCurrency(provider, country)])
+        );
+    }
+
+    /**
+     * Precios de todos los planes para un país, por proveedor
+     */
+    getPricing(country) {
+        const currencies = this.getProviderCurrencies(country);
+
+        return {
+            country,
+            countryName: PRICING_COUNTRIES[country]?.name || null,
+            currency: getCountryCurrency(country),
+            providers: currencies,
+            plans: PLANS.map((plan) => ({
+                id: plan.id,
+                name: plan.name,
+                description: plan.description,
+                durationDays: plan.durationDays,
+                isLifetime: isLifetimePlan(plan),
+                prices: Object.fromEntries(
+                    Object.entries(currencies).map(([provider, currency]) => [
+                        provider,
+                        { currency, amount: plan.prices[currency] },
+                    ])
+                ),
+            })),
+        };
+    }
+}
+
+export default new PricingService();
@@ -0,0 +1,271 @@
+import Receipt from '../models/Receipt.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { PRICING_COUNTRIES } from '../config/pricing.js';
+import { getReceiptTaxIdLabel } from '../config/receipts.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { renderPdf, estimateTextWidth, PDF_PAGE_WIDTH } from '../utils/pdf.js';
+
+const PROVIDER_LABELS = {
+    mercadopago: 'Mercado Pago',
+    paypal: 'PayPal',
+    simulation: 'Simulación (desarrollo)',
+};
+
+// Los canjes de regalos no tienen cobro propio (el comprobante es el de la compra del regalo)
+const NON_RECEIPT_PROVIDERS = ['gift'];
+
+// Emisor, identificador fiscal, dirección y correo; los comprobantes anteriores a
+// guardar la etiqueta usan la configurada
+function issuerLines(issuer) {
+    const taxIdLabel = issuer.taxIdLabel || getReceiptTaxIdLabel();
+    return [issuer.taxId && `${taxIdLabel}: ${issuer.taxId}`, issuer.address, issuer.email].filter(Boolean);
+}
+
+function formatAmount(amount, currency) {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+function formatReceiptDate(date) {
+    return new Date(date).toLocaleDateString('es-PE', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Filas del detalle de montos (compartidas por HTML y PDF)
+ */
+function amountRows(receipt) {
+    const rows = [{ label: 'Precio de lista', value: formatAmount(receipt.listAmount, receipt.currency) }];
+    if (receipt.discountAmount > 0) {
+        rows.push({
+            label: `Descuento (cupón ${receipt.couponCode})`,
+            value: `- ${formatAmount(receipt.discountAmount, receipt.currency)}`,
+        });
+    }
+    if (receipt.tax?.rate > 0) {
+        rows.push({ label: 'Subtotal', value: formatAmount(receipt.subtotal, receipt.currency) });
+        rows.push({
+            label: `${receipt.tax.name} (${Math.round(receipt.tax.rate * 10000) / 100}%)`,
+            value: formatAmount(receipt.tax.amount, receipt.currency),
+        });
+    }
+    rows.push({ label: 'Total pagado', value: formatAmount(receipt.total, receipt.currency), total: true });
+    return rows;
+}
+
+function buyerCountry(receipt) {
+    const country = receipt.buyer?.country;
+    return country ? PRICING_COUNTRIES[country]?.name || country : null;
+}
+
+/**
+ * Comprobantes de pago: emisión al aprobarse un pago, aviso al usuario y
+ * representación en HTML / PDF (generados en el servidor)
+ */
+class ReceiptService {
+    canIssueForPayment(payment) {
+        return Boolean(payment?.approvedAt) && !NON_RECEIPT_PROVIDERS.includes(payment.provider);
+    }
+
+    /**
+     * Emitir el comprobante de un pago aprobado y avisar al usuario con el enlace.
+     * No interrumpe la activación del plan si falla.
+     * @returns {Promise<Object|null>}
+     */
+    async issueForPayment(payment) {
+        if (!this.canIssueForPayment(payment)) return null;
+
+        try {
+            const buyer = await User.findById(payment.userId).select('displayName email country');
+            const { receipt, created } = await Receipt.issueForPayment(payment, buyer);
+
+            if (created) {
+                console.log(`🧾 Receipt ${receipt.number} issued for payment ${payment._id}`);
+                await this.notify(receipt);
+            }
+
+            return receipt;
+        } catch (error) {
+            console.error('Error issuing receipt:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Comprobante de un pago; los pagos aprobados antes de existir los comprobantes
+     * lo obtienen al pedirlo (sin notificación). null mientras no tenga número.
+     * @returns {Promise<Object|null>}
+     */
+    async getForPayment(payment) {
+        let receipt = await Receipt.findOne({ paymentId: payment._id });
+        if (receipt) {
+            receipt = await Receipt.recoverNumber(receipt);
+        } else if (this.canIssueForPayment(payment)) {
+            const buyer = await User.findById(payment.userId).select('displayName email country');
+            receipt = (await Receipt.issueForPayment(payment, buyer)).receipt;
+        }
+        return receipt?.number ? receipt : null;
+    }
+
+    async notify(receipt) {
+        try {
+            await Notification.create({
+                userId: receipt.userId,
+                audience: 'individual',
+                title: 'Tu comprobante de pago',
+                message: `Emitimos el comprobante ${receipt.number} por ${formatAmount(receipt.total, receipt.currency)} (${receipt.description}).`,
+                type: 'info',
+                icon: '🧾',
+                actionUrl: `/payments/${receipt.paymentId}/receipt`,
+                actionText: 'Ver comprobante',
+                metadata: {
+                    receiptId: receipt._id,
+                    receiptNumber: receipt.number,
+                    paymentId: receipt.paymentId,
+                    receiptUrl: `/api/payments/${receipt.paymentId}/receipt`,
+                },
+            });
+        } catch (error) {
+            console.error('Error creating receipt notification:', error.message);
+        }
+    }
+
+    renderHtml(receipt) {
+        const issuerHtml = issuerLines(receipt.issuer)
+            .map((line) => `<div>${escapeHtml(line)}</div>`)
+            .join('');
+        const country = buyerCountry(receipt);
+        const rows = amountRows(receipt)
+            .map(
+                (row) =>
+                    `<tr${row.total ? ' class="total"' : ''}><td>${escapeHtml(row.label)}</td><td class="amount">${escapeHtml(row.value)}</td></tr>`
+            )
+            .join('');
+
+        return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Comprobante ${escapeHtml(receipt.number)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 640px; margin: 40px auto; padding: 0 16px; }
+    header { display: flex; justify-content: space-between; border-bottom: 2px solid #e91e63; padding-bottom: 16px; }
+    h1 { margin: 0; font-size: 22px; color: #e91e63; }
+    .number { text-align: right; }
+    .number strong { font-size: 18px; }
+    section { margin-top: 24px; }
+    h2 { font-size: 13px; text-transform: uppercase; color: #888; margin: 0 0 6px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    td { padding: 8px 0; border-bottom: 1px solid #eee; }
+    .amount { text-align: right; }
+    tr.total td { font-weight: bold; font-size: 16px; border-bottom: none; }
+    footer { margin-top: 32px; font-size: 12px; color: #888; }
+</style>
+</head>
+<body>
+<header>
+    <div>
+        <h1>${escapeHtml(receipt.issuer.name)}</h1>
+        ${issuerHtml}
+    </div>
+    <div class="number">
+        <div>Comprobante de pago</div>
+        <strong>${escapeHtml(receipt.number)}</strong>
+        <div>${escapeHtml(formatReceiptDate(receipt.issuedAt))}</div>
+    </div>
+</header>
+<section>
+    <h2>Cliente</h2>
+    <div>${escapeHtml(receipt.buyer?.name || '-')}</div>
+    <div>${escapeHtml(receipt.buyer?.email || '')}</div>
+    ${country ? `<div>${escapeHtml(country)}</div>` : ''}
+</section>
+<section>
+    <h2>Detalle</h2>
+    <table>
+        <tr><td>${escapeHtml(receipt.description)}</td><td class="amount">1</td></tr>
+    </table>
+    <table>${rows}</table>
+</section>
+<section>
+    <h2>Pago</h2>
+    <div>Medio: ${escapeHtml(PROVIDER_LABELS[receipt.provider] || receipt.provider)}</div>
+    ${receipt.providerPaymentId ? `<div>Operación: ${escapeHtml(receipt.providerPaymentId)}</div>` : ''}
+    <div>Fecha de pago: ${escapeHtml(formatReceiptDate(receipt.paidAt))}</div>
+    <div>Moneda: ${escapeHtml(receipt.currency)}</div>
+</section>
+<footer>Los precios incluyen impuestos.</footer>
+</body>
+</html>`;
+    }
+
+    /**
+     * @returns {Buffer}
+     */
+    renderPdf(receipt) {
+        const left = 50;
+        const right = PDF_PAGE_WIDTH - 50;
+        const alignRight = (text, y, options = {}) => ({
+            text,
+            x: right - estimateTextWidth(text, options.size || 10),
+            y,
+            ...options,
+        });
+        const items = [];
+        let y = 60;
+
+        items.push({ text: receipt.issuer.name, x: left, y, size: 18, bold: true });
+        items.push(alignRight('Comprobante de pago', y - 6));
+        items.push(alignRight(receipt.number, y + 10, { size: 13, bold: true }));
+        for (const line of issuerLines(receipt.issuer)) {
+            y += 15;
+            items.push({ text: line, x: left, y });
+        }
+        items.push(alignRight(formatReceiptDate(receipt.issuedAt), Math.max(y, 85)));
+        y = Math.max(y, 85) + 15;
+        items.push({ line: [left, y, right, y] });
+
+        y += 30;
+        items.push({ text: 'CLIENTE', x: left, y, size: 9, bold: true });
+        for (const line of [receipt.buyer?.name || '-', receipt.buyer?.email, buyerCountry(receipt)]) {
+            if (!line) continue;
+            y += 15;
+            items.push({ text: line, x: left, y });
+        }
+
+        y += 35;
+        items.push({ text: 'DETALLE', x: left, y, size: 9, bold: true });
+        y += 18;
+        items.push({ text: receipt.description, x: left, y });
+        items.push(alignRight('1', y));
+        y += 10;
+        items.push({ line: [left, y, right, y] });
+
+        for (const row of amountRows(receipt)) {
+            y += 20;
+            const size = row.total ? 12 : 10;
+            items.push({ text: row.label, x: left, y, size, bold: row.total });
+            items.push(alignRight(row.value, y, { size, bold: row.total }));
+        }
+
+        y += 40;
+        items.push({ text: 'PAGO', x: left, y, size: 9, bold: true });
+        const paymentLines = [
+            `Medio: ${PROVIDER_LABELS[receipt.provider] || receipt.provider}`,
+            receipt.providerPaymentId && `Operación: ${receipt.providerPaymentId}`,
+            `Fecha de pago: ${formatReceiptDate(receipt.paidAt)}`,
+            `Moneda: ${receipt.currency}`,
+        ];
+        for (const line of paymentLines) {
+            if (!line) continue;
+            y += 15;
+            items.push({ text: line, x: left, y });
+        }
+
+        y += 40;
+        items.push({ text: 'Los precios incluyen impuestos.', x: left, y, size: 8 });
+
+        return renderPdf(items, { title: `Comprobante ${receipt.number}`, author: receipt.issuer.name });
+    }
+}
+
+export default new ReceiptService();
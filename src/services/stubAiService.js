@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import AiProvider from './aiProvider.js';
+
+/**
+ * Paletas predefinidas del proveedor local.
+ * La elección es determinista: la misma entrada siempre produce la misma paleta.
+ */
+const PALETTES = [
+    { name: 'rosa', background: 'linear-gradient(135deg, #ff9a9e 0%, #fecfef 100%)', card: '#ffffff', text: '#8b1e3f', accent: '#e91e63' },
+    { name: 'noche', background: 'linear-gradient(160deg, #0f2027 0%, #203a43 50%, #2c5364 100%)', card: 'rgba(255, 255, 255, 0.1)', text: '#f5e6c8', accent: '#d4af37' },
+    { name: 'atardecer', background: 'linear-gradient(135deg, #f6d365 0%, #fda085 100%)', card: '#fffaf3', text: '#6b2d1a', accent: '#ff6f3c' },
+    { name: 'lavanda', background: 'linear-gradient(135deg, #a18cd1 0%, #fbc2eb 100%)', card: '#ffffff', text: '#4a2c6f', accent: '#8e44ad' },
+];
+
+const DARK_PALETTE = { name: 'oscuro', background: 'linear-gradient(135deg, #141e30 0%, #243b55 100%)', card: 'rgba(0, 0, 0, 0.35)', text: '#f1f1f1', accent: '#ff4d6d' };
+
+/**
+ * Escapar texto para insertarlo en el HTML generado
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Elegir un índice estable a partir de un texto
+ */
+function pickIndex(seed, length) {
+    const digest = crypto.createHash('sha256').update(String(seed)).digest();
+    return digest.readUInt32BE(0) % length;
+}
+
+/**
+ * Proveedor de IA local y determinista.
+ * No usa red: devuelve fragmentos HTML/CSS predefinidos con el contenido de la página,
+ * pensado para desarrollo y pruebas sin acceso a Gemini (AI_PROVIDER=stub).
+ */
+class StubAiService extends AiProvider {
+    constructor() {
+        super('stub');
+    }
+
+    async generatePageFromImage(imageUrl, pageData) {
+        const palette = PALETTES[pickIndex(imageUrl, PALETTES.length)];
+        return this.extractHTMLAndCSS(this.buildResponse(pageData, palette));
+    }
+
+    async generatePageFromPrompt(description, pageData) {
+        const palette = this.paletteFromText(description) || PALETTES[pickIndex(description, PALETTES.length)];
+        return this.extractHTMLAndCSS(this.buildResponse(pageData, palette));
+    }
+
+    /**
+     * Refinar aplicando ajustes simples según palabras clave de la instrucción.
+     * El HTML se conserva tal cual; solo se añaden reglas CSS al final.
+     */
+    async refinePage(html, css, instruction, pageData) {
+        const text = String(instruction || '').toLowerCase();
+        const tweaks = [];
+
+        if (/oscur|dark|negro/.test(text)) {
+            tweaks.push(`.page-wrapper { background: ${DARK_PALETTE.background}; }`);
+            tweaks.push(`.card { background: ${DARK_PALETTE.card}; color: ${DARK_PALETTE.text}; }`);
+        }
+        if (/clar|light|blanco/.test(text)) {
+            tweaks.push('.card { background: #ffffff; color: #333333; }');
+        }
+        if (/grande|bigger|larger|más grande/.test(text)) {
+            tweaks.push('h1 { font-size: 3rem; }');
+            tweaks.push('.deco { transform: scale(1.5); }');
+        }
+        if (/pequeñ|smaller/.test(text)) {
+            tweaks.push('h1 { font-size: 1.8rem; }');
+        }
+        if (/animaci|animat|mover|movimiento/.test(text)) {
+            tweaks.push('.deco { animation: float 3s ease-in-out infinite; }');
+        }
+
+        const safeInstruction = String(instruction || '').replace(/\*\//g, '').slice(0, 200);
+        const refinedCss = `${css}\n\n/* Refinamiento: ${safeInstruction} */\n${tweaks.join('\n')}`;
+
+        return this.extractHTMLAndCSS(`\`\`\`html\n${html}\n\`\`\`\n\n\`\`\`css\n${refinedCss}\n\`\`\``);
+    }
+
+    /**
+     * Elegir paleta por palabras clave de la descripción, si las hay
+     */
+    paletteFromText(description) {
+        const text = String(description || '').toLowerCase();
+        if (/noche|estrell|night|star/.test(text)) return PALETTES[1];
+        if (/atardecer|sunset|playa|beach/.test(text)) return PALETTES[2];
+        if (/lavanda|lila|morado|purple/.test(text)) return PALETTES[3];
+        if (/rosa|pink/.test(text)) return PALETTES[0];
+        if (/oscur|dark/.test(text)) return DARK_PALETTE;
+        return null;
+    }
+
+    /**
+     * Construir la respuesta con el mismo formato que devuelve Gemini (bloques ```html y ```css)
+     */
+    buildResponse(pageData, palette) {
+        const { title, recipientName, message, yesButtonText, noButtonText } = pageData;
+
+        const html = `<div class="page-wrapper">
+    <div class="deco deco-1"></div>
+    <div class="deco deco-2"></div>
+    <div class="deco deco-3"></div>
+
+    <div class="card">
+        <h1>${escapeHtml(title)}</h1>
+        <p class="recipient">${escapeHtml(recipientName)}</p>
+        ${message ? `<p class="message">${escapeHtml(message)}</p>` : ''}
+        <div class="buttons">
+            <button id="yes-button">${escapeHtml(yesButtonText || 'Sí')}</button>
+            <button id="no-button">${escapeHtml(noButtonText || 'No')}</button>
+        </div>
+    </div>
+</div>`;
+
+        const css = `/* Diseño local (${palette.name}) */
+.page-wrapper {
+    min-height: 100vh;
+    width: 100%;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    position: relative;
+    overflow: hidden;
+    background: ${palette.background};
+}
+
+.deco {
+    position: absolute;
+    width: 60px;
+    height: 60px;
+    border-radius: 50%;
+    background: ${palette.accent};
+    opacity: 0.35;
+    pointer-events: none;
+    animation: float 4s ease-in-out infinite;
+}
+
+.deco-1 { top: 10%; left: 12%; }
+.deco-2 { bottom: 15%; right: 10%; animation-delay: 1s; }
+.deco-3 { top: 60%; left: 6%; width: 30px; height: 30px; animation-delay: 2s; }
+
+.card {
+    position: relative;
+    z-index: 10;
+    max-width: 500px;
+    width: 90%;
+    padding: 3rem 2rem;
+    text-align: center;
+    background: ${palette.card};
+    color: ${palette.text};
+    border-radius: 20px;
+    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+}
+
+h1 {
+    margin-bottom: 1rem;
+}
+
+.recipient {
+    font-size: 1.5rem;
+    margin-bottom: 1rem;
+}
+
+.message {
+    margin-bottom: 2rem;
+}
+
+.buttons {
+    display: flex;
+    gap: 1rem;
+    justify-content: center;
+    flex-wrap: wrap;
+}
+
+#yes-button,
+#no-button {
+    padding: 0.8rem 2rem;
+    font-size: 1.1rem;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+    font-weight: bold;
+    transition: transform 0.2s ease;
+}
+
+#yes-button {
+    background: ${palette.accent};
+    color: #ffffff;
+}
+
+#no-button {
+    background: transparent;
+    color: ${palette.text};
+    border: 2px solid ${palette.accent};
+}
+
+#yes-button:hover,
+#no-button:hover {
+    transform: scale(1.05);
+}
+
+@keyframes float {
+    0%, 100% { transform: translateY(0); }
+    50% { transform: translateY(-15px); }
+}`;
+
+        return `\`\`\`html\n${html}\n\`\`\`\n\n\`\`\`css\n${css}\n\`\`\``;
+    }
+}
+
+export default StubAiService;
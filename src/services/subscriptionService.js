@@ -0,0 +1,104 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { getPlan } from '../config/plans.js';
+import giftService from './giftService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Vencimiento de planes PRO con duración (mensual/anual).
+ * Una vez al día baja a free a los usuarios con proExpiresAt vencido y les notifica.
+ * isProActive() ya considera el vencimiento; el barrido mantiene isPro consistente.
+ */
+class SubscriptionService {
+    constructor() {
+        this.timer = null;
+    }
+
+    /**
+     * Ejecutar el barrido al iniciar y luego cada SUBSCRIPTION_SWEEP_INTERVAL_HOURS (24 por defecto)
+     */
+    start() {
+        if (this.timer) return;
+
+        const intervalHours = parseInt(process.env.SUBSCRIPTION_SWEEP_INTERVAL_HOURS) || 24;
+        // En el mismo barrido se expiran los códigos de regalo sin canjear
+        const sweep = () => {
+            this.sweepExpired();
+            giftService.sweepExpired();
+        };
+        this.timer = setInterval(sweep, intervalHours * HOUR_MS);
+        sweep();
+
+        console.log(`⏰ Barrido de suscripciones PRO programado (cada ${intervalHours}h)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Bajar a free a los usuarios cuyo PRO venció
+     * @returns {Promise<number>} - Cantidad de usuarios degradados
+     */
+    async sweepExpired(now = new Date()) {
+        try {
+            const expiredUsers = await User.find({
+                isPro: true,
+                proExpiresAt: { $ne: null, $lte: now },
+            }).select('_id email proPlan proExpiresAt');
+
+            let downgraded = 0;
+
+            for (const user of expiredUsers) {
+                // Condición repetida en el update: si renovó entre la consulta y ahora, no se toca
+                const result = await User.updateOne(
+                    { _id: user._id, isPro: true, proExpiresAt: { $ne: null, $lte: now } },
+                    { $set: { isPro: false } }
+                );
+
+                if (result.modifiedCount === 0) continue;
+                downgraded += 1;
+
+                await this.notifyExpired(user);
+            }
+
+            if (downgraded > 0) {
+                console.log(`⏰ ${downgraded} suscripciones PRO vencidas pasaron a free`);
+            }
+
+            return downgraded;
+        } catch (error) {
+            console.error('Error sweeping expired subscriptions:', error.message);
+            return 0;
+        }
+    }
+
+    async notifyExpired(user) {
+        try {
+            const plan = getPlan(user.proPlan);
+
+            await Notification.create({
+                userId: user._id,
+                audience: 'individual',
+                title: 'Tu plan PRO ha vencido',
+                message: `Tu ${plan?.name || 'plan PRO'} venció el ${user.proExpiresAt.toLocaleDateString('es-PE')}. Renueva para seguir usando las funciones PRO.`,
+                type: 'warning',
+                icon: '⏰',
+                actionUrl: '/pricing',
+                actionText: 'Renovar PRO',
+                metadata: {
+                    planId: user.proPlan,
+                    expiredAt: user.proExpiresAt,
+                },
+            });
+        } catch (error) {
+            console.error('Error notifying expired subscription:', error.message);
+        }
+    }
+}
+
+export default new SubscriptionService();
@@ -0,0 +1,142 @@
+import Template from '../models/Template.js';
+import TemplateVersion from '../models/TemplateVersion.js';
+import Notification from '../models/Notification.js';
+import { truncateText } from '../utils/helpers.js';
+
+// Envíos en revisión que puede tener a la vez un mismo autor
+export const MAX_PENDING_SUBMISSIONS = 5;
+
+/**
+ * Acciones del admin sobre una plantilla de la comunidad: estado al que lleva,
+ * estados desde los que se permite y si exige un motivo para el autor
+ */
+export const MODERATION_ACTIONS = {
+    approve: { status: 'approved', from: ['pending', 'changes_requested'], reasonRequired: false },
+    reject: { status: 'rejected', from: ['pending', 'changes_requested', 'approved'], reasonRequired: true },
+    'request-changes': { status: 'changes_requested', from: ['pending'], reasonRequired: true },
+};
+
+// Estados en los que el autor todavía puede editar y reenviar su plantilla
+export const EDITABLE_SUBMISSION_STATUSES = ['pending', 'changes_requested'];
+
+const STATUS_NOTIFICATIONS = {
+    approved: {
+        title: '¡Tu plantilla fue aprobada!',
+        message: (template) => `"${template.name}" ya está publicada en el catálogo con tu nombre.`,
+        reasonLabel: 'Comentario del equipo',
+        type: 'success',
+        icon: '🎉',
+        actionUrl: (template) => `/templates/${template._id}`,
+        actionText: 'Ver plantilla',
+    },
+    rejected: {
+        title: 'Tu plantilla no fue aprobada',
+        message: (template) => `"${template.name}" no se publicará.`,
+        reasonLabel: 'Motivo',
+        type: 'warning',
+        icon: '🚫',
+        actionUrl: () => '/templates/submissions',
+        actionText: 'Ver mis envíos',
+    },
+    changes_requested: {
+        title: 'Tu plantilla necesita cambios',
+        message: (template) => `Revisa "${template.name}" y vuelve a enviarla.`,
+        reasonLabel: 'Cambios pedidos',
+        type: 'info',
+        icon: '✏️',
+        actionUrl: () => '/templates/submissions',
+        actionText: 'Editar envío',
+    },
+};
+
+/**
+ * Plantillas enviadas por usuarios PRO: cola de moderación, decisiones del admin
+ * y avisos al autor. Los endpoints viven en templateController.
+ */
+class TemplateSubmissionService {
+    async countPending(userId) {
+        return Template.countDocuments({ 'author.userId': userId, 'moderation.status': 'pending' });
+    }
+
+    /**
+     * Crear la plantilla enviada por un usuario, fuera del catálogo hasta aprobarla
+     * @param {Object} data - Datos de catálogo y contenido ya validados
+     */
+    async submit(data, user) {
+        const template = new Template({
+            ...data,
+            source: 'community',
+            isPro: false,
+            isActive: false,
+            createdBy: user._id,
+            author: { userId: user._id, name: user.displayName || null },
+        });
+        template.setModerationStatus('pending', { by: user._id });
+        await template.save();
+
+        console.log(`📥 Template submitted for review: ${template._id} by ${user._id}`);
+        return template;
+    }
+
+    /**
+     * Aplicar los cambios del autor y devolver la plantilla a la cola
+     */
+    async resubmit(template, updates, user) {
+        template.set(updates);
+        template.setModerationStatus('pending', { by: user._id });
+        await template.save();
+
+        // Aún no publicada: el historial de versiones empieza al aprobarla
+        await TemplateVersion.deleteMany({ templateId: template._id });
+        return template;
+    }
+
+    /**
+     * Registrar la decisión del admin, publicar la plantilla si se aprueba y avisar al autor
+     * @param {string} action - Clave de MODERATION_ACTIONS
+     */
+    async moderate(template, action, { reviewerId, reason = null }) {
+        const { status } = MODERATION_ACTIONS[action];
+
+        template.setModerationStatus(status, { by: reviewerId, reason });
+        await template.save();
+
+        if (status === 'approved') {
+            await TemplateVersion.ensureBaseline(template);
+        }
+
+        console.log(`🛡️ Template ${template._id} moderated: ${status}`);
+        await this.notifyAuthor(template);
+        return template;
+    }
+
+    async notifyAuthor(template) {
+        const config = STATUS_NOTIFICATIONS[template.moderation.status];
+        const userId = template.author?.userId;
+        if (!config || !userId) return;
+
+        const reason = template.moderation.reason;
+        try {
+            await Notification.create({
+                userId,
+                audience: 'individual',
+                title: config.title,
+                // El motivo completo queda en metadata y en la plantilla
+                message: truncateText(`${config.message(template)}${reason ? ` ${config.reasonLabel}: ${reason}` : ''}`, 490),
+                type: config.type,
+                icon: config.icon,
+                actionUrl: config.actionUrl(template),
+                actionText: config.actionText,
+                metadata: {
+                    templateId: template._id,
+                    moderationStatus: template.moderation.status,
+                    reason,
+                },
+            });
+        } catch (error) {
+            console.error('Error creating template moderation notification:', error.message);
+        }
+    }
+}
+
+export default new TemplateSubmissionService();
@@ -0,0 +1,110 @@
+import Page from '../models/Page.js';
+import PageRevision, { getRevisionLimit } from '../models/PageRevision.js';
+import TemplateVersion from '../models/TemplateVersion.js';
+import User from '../models/User.js';
+
+/**
+ * Actualización de páginas existentes a la versión publicada de su plantilla
+ */
+class TemplateVersionService {
+    /**
+     * ¿La página sigue tal como la dejó su versión de plantilla? Si el usuario la
+     * refinó con IA o la editó, el HTML/CSS ya no coincide y no se pisa.
+     */
+    isUntouched(page, versionDoc) {
+        if (!versionDoc) return false;
+        const rendered = versionDoc.renderHtml(page.templateValues || {});
+        return rendered.html === page.customHTML && rendered.css === page.customCSS;
+    }
+
+    /**
+     * Volver a renderizar con la versión publicada las páginas creadas con versiones
+     * anteriores, usando los valores que envió el usuario. Cada página actualizada
+     * deja una revisión (source "template_rerender") para poder restaurarla; la
+     * revisión incluye templateVersion, así restaurarla también vuelve a la versión anterior.
+     * @param {Object} template - Plantilla ya publicada
+     * @param {Object} options - { actorId, dryRun? }
+     * @returns {Promise<Object>} - { version, matched, updated, skippedNoValues, skippedCustomized, failed }
+     */
+    async rerenderPages(template, { actorId, dryRun = false }) {
+        const summary = {
+            version: template.currentVersion,
+            matched: 0,
+            updated: 0,
+            skippedNoValues: 0,
+            skippedCustomized: 0,
+            failed: 0,
+        };
+
+        const versions = new Map();
+        const getVersion = async (version) => {
+            if (!versions.has(version)) {
+                versions.set(version, await TemplateVersion.findOne({ templateId: template._id, version }));
+            }
+            return versions.get(version);
+        };
+        const revisionLimits = new Map();
+        const getOwnerRevisionLimit = async (userId) => {
+            const key = userId.toString();
+            if (!revisionLimits.has(key)) {
+                const owner = await User.findById(userId).select('isPro proExpiresAt');
+                revisionLimits.set(key, owner ? getRevisionLimit(owner) : undefined);
+            }
+            return revisionLimits.get(key);
+        };
+
+        const pages = Page.find({
+            templateId: template._id,
+            isDeleted: false,
+            templateVersion: { $ne: template.currentVersion },
+        }).cursor();
+
+        for await (const page of pages) {
+            summary.matched += 1;
+
+            // Páginas creadas antes de guardar los valores: no hay con qué renderizar
+            if (!page.templateValues) {
+                summary.skippedNoValues += 1;
+                continue;
+            }
+
+            if (!this.isUntouched(page, await getVersion(page.templateVersion ?? 1))) {
+                summary.skippedCustomized += 1;
+                continue;
+            }
+
+            if (dryRun) {
+                summary.updated += 1;
+                continue;
+            }
+
+            try {
+                const previousSnapshot = PageRevision.pickSnapshot(page);
+                const rendered = template.renderHtml(page.templateValues);
+
+                page.customHTML = rendered.html;
+                page.customCSS = rendered.css;
+                page.templateVersion = template.currentVersion;
+                await page.save();
+
+                await PageRevision.recordChange(previousSnapshot, page, {
+                    userId: actorId,
+                    source: 'template_rerender',
+                    maxRevisions: await getOwnerRevisionLimit(page.userId),
+                });
+                summary.updated += 1;
+            } catch (error) {
+                console.error(`Error re-rendering page ${page._id}:`, error.message);
+                summary.failed += 1;
+            }
+        }
+
+        console.log(
+            `🔁 Template ${template._id} v${template.currentVersion}: ${summary.updated}/${summary.matched} pages re-rendered${dryRun ? ' (dry run)' : ''}`
+        );
+
+        return summary;
+    }
+}
+
+export default new TemplateVersionService();
@@ -49,6 +49,84 @@ export const getClientIP = (req) => {
     );
 };
 
+/**
+ * Clasificar el dispositivo a partir del user-agent
+ * @returns {'mobile'|'tablet'|'desktop'|'bot'|'unknown'}
+ */
+export const getDeviceClass = (userAgent) => {
+    if (!userAgent) return 'unknown';
+    const ua = userAgent.toLowerCase();
+
+    if (/bot|crawler|spider|preview|facebookexternalhit|whatsapp|telegrambot|slurp/.test(ua)) return 'bot';
+    if (/ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/.test(ua)) return 'tablet';
+    if (/mobi|iphone|ipod|android|blackberry|iemobile|opera mini/.test(ua)) return 'mobile';
+    if (/windows|macintosh|linux|cros/.test(ua)) return 'desktop';
+    return 'unknown';
+};
+
+/**
+ * Extraer solo el host de un referrer (ej: "https://l.instagram.com/..." -> "l.instagram.com")
+ */
+export const getReferrerHost = (referrer) => {
+    if (!referrer || typeof referrer !== 'string') return null;
+    try {
+        const { protocol, hostname } = new URL(referrer);
+        if (protocol !== 'http:' && protocol !== 'https:') return null;
+        return hostname.slice(0, 255) || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Validar zona horaria IANA (ej: "America/Lima")
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Offset (ms) de una zona horaria respecto a UTC en un instante dado
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find((p) => p.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convertir una fecha/hora local ("2027-02-14T00:00") de una zona horaria a Date (UTC).
+ * Devuelve null si el formato es inválido.
+ */
+export const zonedTimeToUtc = (localDateTime, timeZone) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(localDateTime || '');
+    if (!match) return null;
+
+    const [, y, mo, d, h = '0', mi = '0', sec = '0'] = match;
+    const wallClock = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+
+    // Dos pasadas para resolver correctamente los cambios de horario (DST)
+    let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+    return new Date(utc);
+};
+
 /**
  * Sanitizar objeto eliminando campos undefined/null
  */
@@ -124,11 +202,51 @@ export const formatPaginationResponse = (data, total, page, limit) => {
     };
 };
 
+/**
+ * Convertir filas a CSV (RFC 4180). columns: [{ key, label }]
+ */
+export const toCsv = (rows, columns) => {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map((column) => escape(column.label)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((column) => escape(row[column.key])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Escapar texto para usarlo literal dentro de una expresión regular ($regex)
+ */
+export const escapeRegex = (value) => {
+    return String(value ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Escapar texto para insertarlo en HTML
+ */
+export const escapeHtml = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
 export default {
     formatDate,
     generateSlug,
     isValidEmail,
     getClientIP,
+    getDeviceClass,
+    getReferrerHost,
+    isValidTimeZone,
+    zonedTimeToUtc,
     sanitizeObject,
     calculatePercentage,
     delay,
@@ -137,4 +255,7 @@ export default {
     isValidObjectId,
     parsePaginationParams,
     formatPaginationResponse,
+    toCsv,
+    escapeRegex,
+    escapeHtml,
 };
\ No newline at end of file
@@ -0,0 +1,275 @@
+import sanitizeHtmlLib from 'sanitize-html';
+import postcss from 'postcss';
+
+/**
+ * Sanitizador de HTML y CSS basado en listas de permitidos.
+ * Se aplica a todo el HTML/CSS que se inyecta tal cual en las páginas públicas:
+ * salida de la IA, plantillas creadas por admins y resultados de renderHtml.
+ * Lo que no está permitido se elimina o se reescribe (no se rechaza el documento completo).
+ */
+
+// Etiquetas HTML permitidas (sin scripts, iframes, formularios, meta, etc.).
+// Nombres en minúsculas: el parser normaliza etiquetas y atributos (el navegador
+// restaura el camelCase de SVG como linearGradient/viewBox al insertarlos).
+const ALLOWED_TAGS = [
+    'div', 'span', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'section', 'article', 'header', 'footer', 'main', 'aside', 'nav',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+    'strong', 'em', 'b', 'i', 'u', 's', 'small', 'mark', 'sub', 'sup', 'br', 'hr',
+    'blockquote', 'q', 'cite', 'time', 'figure', 'figcaption', 'picture', 'img',
+    'a', 'button', 'label',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+    // SVG estático (sin animate/set/foreignObject/use)
+    'svg', 'g', 'path', 'circle', 'ellipse', 'rect', 'line', 'polyline', 'polygon',
+    'defs', 'lineargradient', 'radialgradient', 'stop', 'text', 'tspan', 'title',
+];
+
+const GLOBAL_ATTRIBUTES = ['class', 'id', 'style', 'title', 'role', 'lang', 'dir', 'aria-*', 'data-*'];
+
+const SVG_ATTRIBUTES = [
+    'viewbox', 'xmlns', 'width', 'height', 'fill', 'fill-opacity', 'fill-rule',
+    'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-opacity',
+    'd', 'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'dx', 'dy', 'points',
+    'transform', 'opacity', 'offset', 'stop-color', 'stop-opacity', 'gradientunits',
+    'gradienttransform', 'preserveaspectratio',
+    'text-anchor', 'font-size', 'font-family', 'font-weight',
+];
+
+const SVG_TAGS = [
+    'svg', 'g', 'path', 'circle', 'ellipse', 'rect', 'line', 'polyline', 'polygon',
+    'defs', 'lineargradient', 'radialgradient', 'stop', 'text', 'tspan',
+];
+
+const ALLOWED_ATTRIBUTES = {
+    '*': GLOBAL_ATTRIBUTES,
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'srcset', 'alt', 'width', 'height', 'loading'],
+    button: ['type', 'disabled'],
+    time: ['datetime'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    ...Object.fromEntries(SVG_TAGS.map((tag) => [tag, SVG_ATTRIBUTES])),
+};
+
+// At-rules CSS permitidas; el resto (@import, @charset, @namespace, @document...) se elimina
+const ALLOWED_AT_RULES = ['media', 'keyframes', '-webkit-keyframes', 'supports', 'font-face'];
+
+// Propiedades CSS que pueden ejecutar código o cargar comportamiento
+const BLOCKED_PROPERTIES = ['behavior', '-moz-binding', '-ms-behavior'];
+
+// Valores CSS peligrosos (se comparan tras decodificar escapes CSS)
+const DANGEROUS_VALUE_PATTERNS = [/expression\s*\(/i, /javascript\s*:/i, /vbscript\s*:/i, /<|>/];
+
+// Esquemas permitidos en url(...) de CSS
+const SAFE_CSS_URL = /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp|avif);|#|\/(?!\/))/i;
+
+// Marcador que sustituye a un placeholder {{KEY}} mientras se sanitiza una plantilla
+const PLACEHOLDER_MARKER = /^lpph\d+x$/;
+
+/**
+ * Decodificar escapes CSS (ej: "\6a avascript") para evaluar el valor real
+ */
+function decodeCssEscapes(value) {
+    return value
+        .replace(/\\([0-9a-fA-F]{1,6})\s?/g, (_, hex) => {
+            const code = parseInt(hex, 16);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        })
+        .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Verificar que todas las url(...) de un valor CSS usen esquemas seguros
+ */
+function hasOnlySafeUrls(value, allowPlaceholders) {
+    const urls = [...value.matchAll(/url\s*\(\s*(['"]?)(.*?)\1\s*\)/gi)].map((m) => m[2].trim());
+    // url( sin cerrar o con formato extraño: no se puede evaluar, se descarta
+    const openings = (value.match(/url\s*\(/gi) || []).length;
+    if (openings !== urls.length) return false;
+
+    return urls.every((url) => {
+        const normalized = url.replace(/[\s\u0000-\u001f]/g, '');
+        // El valor real del placeholder se valida al renderizar (renderHtml vuelve a sanitizar)
+        return SAFE_CSS_URL.test(normalized) || (allowPlaceholders && PLACEHOLDER_MARKER.test(normalized));
+    });
+}
+
+/**
+ * Determinar si una declaración CSS es segura
+ */
+function isSafeDeclaration(prop, value, allowPlaceholders = false) {
+    const property = decodeCssEscapes(prop).trim().toLowerCase();
+    if (BLOCKED_PROPERTIES.includes(property)) return false;
+
+    const decoded = decodeCssEscapes(value);
+    if (DANGEROUS_VALUE_PATTERNS.some((pattern) => pattern.test(decoded))) return false;
+    if (/url\s*\(/i.test(decoded) && !hasOnlySafeUrls(decoded, allowPlaceholders)) return false;
+    // image-set()/image() pueden cargar recursos con strings sin url()
+    if (/(^|[^-\w])(image-set|image|-webkit-image-set)\s*\(/i.test(decoded) && /\(\s*['"]/.test(decoded)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Limpiar un árbol postcss (hoja de estilos o estilo inline)
+ */
+function cleanCssTree(root, allowPlaceholders) {
+    root.walkComments((comment) => comment.remove());
+
+    root.walkAtRules((atRule) => {
+        if (!ALLOWED_AT_RULES.includes(atRule.name.toLowerCase())) {
+            atRule.remove();
+        }
+    });
+
+    root.walkRules((rule) => {
+        if (/[<>]/.test(rule.selector) && !rule.parent?.name?.toLowerCase().endsWith('keyframes')) {
+            rule.remove();
+        }
+    });
+
+    root.walkDecls((decl) => {
+        if (!isSafeDeclaration(decl.prop, decl.value, allowPlaceholders)) {
+            decl.remove();
+        }
+    });
+}
+
+/**
+ * Sanitizar una hoja de estilos.
+ * Con strict=true lanza un error si el CSS no se puede interpretar;
+ * si no, devuelve una cadena vacía en ese caso.
+ * allowPlaceholders permite url() con marcadores de placeholder (solo plantillas sin renderizar).
+ */
+export function sanitizeCss(css, { strict = false, allowPlaceholders = false } = {}) {
+    if (!css || typeof css !== 'string') return '';
+
+    let root;
+    try {
+        root = postcss.parse(css);
+    } catch (error) {
+        if (strict) {
+            throw new Error(`CSS no válido: ${error.reason || error.message}`);
+        }
+        console.warn('⚠️ CSS descartado por no poder interpretarse:', error.reason || error.message);
+        return '';
+    }
+
+    cleanCssTree(root, allowPlaceholders);
+    return root.toString().trim();
+}
+
+/**
+ * Sanitizar el contenido de un atributo style="".
+ * allowPlaceholders: igual que en sanitizeCss (plantillas sin renderizar).
+ */
+export function sanitizeInlineStyle(style, { allowPlaceholders = false } = {}) {
+    if (!style || typeof style !== 'string') return '';
+
+    try {
+        const root = postcss.parse(`a{${style}}`);
+        const rule = root.first;
+        if (!rule || root.nodes.length !== 1 || rule.type !== 'rule') return '';
+
+        rule.walkComments((comment) => comment.remove());
+        rule.each((node) => {
+            if (node.type !== 'decl' || !isSafeDeclaration(node.prop, node.value, allowPlaceholders)) {
+                node.remove();
+            }
+        });
+
+        return rule.nodes.map((decl) => `${decl.prop}: ${decl.value}${decl.important ? ' !important' : ''}`).join('; ');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Reemplazar style="" por su versión sanitizada (o quitarlo si queda vacío)
+ */
+function cleanStyleAttribute(attribs, allowPlaceholders) {
+    if (attribs.style !== undefined) {
+        const style = sanitizeInlineStyle(attribs.style, { allowPlaceholders });
+        if (style) {
+            attribs.style = style;
+        } else {
+            delete attribs.style;
+        }
+    }
+    return attribs;
+}
+
+/**
+ * Opciones de sanitize-html; allowPlaceholders se propaga a los style="" de cada etiqueta
+ */
+const buildHtmlOptions = (allowPlaceholders) => ({
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedSchemes: ['https', 'http', 'mailto'],
+    allowedSchemesByTag: {
+        img: ['https', 'http', 'data'],
+    },
+    allowedSchemesAppliedToAttributes: ['href', 'src', 'cite'],
+    allowProtocolRelative: false,
+    // Contenido de etiquetas peligrosas se descarta completo (no solo la etiqueta)
+    nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'template', 'iframe', 'object', 'embed', 'xmp', 'noembed', 'noframes'],
+    // sanitize-html aplica solo una transformación por etiqueta ('a' reemplaza a '*')
+    transformTags: {
+        '*': (tagName, attribs) => ({ tagName, attribs: cleanStyleAttribute(attribs, allowPlaceholders) }),
+        a: (tagName, attribs) => {
+            if (attribs.target === '_blank') {
+                attribs.rel = 'noopener noreferrer';
+            }
+            return { tagName, attribs: cleanStyleAttribute(attribs, allowPlaceholders) };
+        },
+    },
+    exclusiveFilter: (frame) => {
+        // data: en imágenes solo para formatos raster (no svg, que puede contener scripts)
+        if (frame.tag === 'img' && /^\s*data:/i.test(frame.attribs.src || '')) {
+            return !/^\s*data:image\/(png|jpe?g|gif|webp|avif);/i.test(frame.attribs.src);
+        }
+        return false;
+    },
+});
+
+const HTML_OPTIONS = buildHtmlOptions(false);
+const TEMPLATE_HTML_OPTIONS = buildHtmlOptions(true);
+
+/**
+ * Sanitizar un fragmento HTML con la lista de etiquetas/atributos permitidos
+ */
+export function sanitizeHtml(html) {
+    if (!html || typeof html !== 'string') return '';
+    return sanitizeHtmlLib(html, HTML_OPTIONS).trim();
+}
+
+/**
+ * Sanitizar plantillas que aún contienen placeholders {{KEY}} (y bloques {{#if KEY}},
+ * {{else}}, {{/if}}, {{#each KEY}}, {{/each}}).
+ * Los placeholders se sustituyen por marcadores neutros antes de parsear
+ * (en CSS "{{" rompería el parser) y se restauran después.
+ */
+export function sanitizeTemplateSource(html, css) {
+    const placeholders = [];
+    const protect = (text) =>
+        (text || '').replace(/\{\{(?:#(?:if|each) [A-Z0-9_]+|else|\/(?:if|each)|[A-Z0-9_]+)\}\}/g, (match) => {
+            let index = placeholders.indexOf(match);
+            if (index === -1) index = placeholders.push(match) - 1;
+            return `lpph${index}x`;
+        });
+    const restore = (text) => text.replace(/lpph(\d+)x/g, (match, index) => placeholders[index] ?? match);
+
+    return {
+        html: restore(sanitizeHtmlLib(protect(html), TEMPLATE_HTML_OPTIONS).trim()),
+        css: restore(sanitizeCss(protect(css), { strict: true, allowPlaceholders: true })),
+    };
+}
+
+export default {
+    sanitizeHtml,
+    sanitizeCss,
+    sanitizeInlineStyle,
+    sanitizeTemplateSource,
+};
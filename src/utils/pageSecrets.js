@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+/**
+ * Secretos de las páginas protegidas (frase o respuesta a la pregunta secreta).
+ * Se guardan como hash scrypt ("salt:hash"), nunca en texto plano.
+ * Los usan models/Page.js (al construir la protección) y pageController (al desbloquear).
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Normalizar el secreto antes de hashear/comparar.
+ * Para preguntas secretas se ignoran mayúsculas, tildes y espacios repetidos
+ * ("Parque Kennedy" == "parque  kennédy"); la frase secreta solo se recorta.
+ */
+export function normalizeSecret(secret, protectionType) {
+    const value = String(secret || '').trim();
+    if (protectionType !== 'question') return value;
+
+    return value
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ');
+}
+
+export async function hashSecret(secret, protectionType) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(normalizeSecret(secret, protectionType), salt, 64);
+    return `${salt}:${hash.toString('hex')}`;
+}
+
+export async function verifySecret(secret, storedHash, protectionType) {
+    if (!storedHash) return false;
+    const [salt, hash] = storedHash.split(':');
+    if (!salt || !hash) return false;
+
+    const candidate = await scrypt(normalizeSecret(secret, protectionType), salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
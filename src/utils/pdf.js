@@ -0,0 +1,78 @@
+/**
+ * Generador mínimo de PDF (una página, texto y líneas) sin dependencias externas.
+ * Usa las fuentes estándar Helvetica / Helvetica-Bold con WinAnsiEncoding,
+ * que cubre los caracteres del español (tildes, ñ, ¿, ¡).
+ */
+
+// A4 en puntos
+export const PDF_PAGE_WIDTH = 595;
+export const PDF_PAGE_HEIGHT = 842;
+
+/**
+ * Texto como cadena literal de PDF: solo Latin-1 (el resto se reemplaza) y
+ * paréntesis / barras escapados
+ */
+function pdfString(text) {
+    const latin1 = Array.from(String(text ?? ''))
+        .map((char) => (char.charCodeAt(0) <= 0xff && char.length === 1 ? char : '?'))
+        .join('');
+    return `(${latin1.replace(/[\\()]/g, (char) => `\\${char}`).replace(/[\r\n]+/g, ' ')})`;
+}
+
+/**
+ * Ancho aproximado de un texto en Helvetica (para alinear a la derecha)
+ */
+export function estimateTextWidth(text, size) {
+    return String(text ?? '').length * size * 0.5;
+}
+
+/**
+ * Generar un PDF de una página
+ * @param {Array<Object>} items - { text, x, y, size?, bold? } o { line: [x1, y1, x2, y2] };
+ *   coordenadas en puntos con origen arriba a la izquierda
+ * @param {Object} info - { title?, author? } metadatos del documento
+ * @returns {Buffer}
+ */
+export function renderPdf(items, info = {}) {
+    const commands = [];
+    for (const item of items) {
+        if (item.line) {
+            const [x1, y1, x2, y2] = item.line;
+            commands.push(`0.8 G 0.5 w ${x1} ${PDF_PAGE_HEIGHT - y1} m ${x2} ${PDF_PAGE_HEIGHT - y2} l S`);
+            continue;
+        }
+        const font = item.bold ? 'F2' : 'F1';
+        const size = item.size || 10;
+        commands.push(
+            `BT /${font} ${size} Tf ${item.x} ${PDF_PAGE_HEIGHT - item.y} Td ${pdfString(item.text)} Tj ET`
+        );
+    }
+    const content = commands.join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+            '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title ${pdfString(info.title)} /Author ${pdfString(info.author)} /Producer (Love Pages) >>`,
+    ];
+
+    // Las posiciones de la tabla xref son en bytes
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+    pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,513 @@
+import { sanitizeHtml, sanitizeCss } from './htmlSanitizer.js';
+
+/**
+ * Motor de plantillas: validación de valores y renderizado de HTML/CSS con
+ * placeholders {{KEY}}, secciones condicionales y listas repetibles.
+ *
+ * Sintaxis (solo en el HTML; el CSS admite únicamente {{KEY}}):
+ *   {{KEY}}                          valor del campo, escapado según su tipo
+ *   {{#if KEY}} … {{else}} … {{/if}} sección visible si el campo tiene valor
+ *                                    (toggle activado, lista con elementos, texto no vacío)
+ *   {{#each LIST}} … {{/each}}       repite la sección por cada elemento de un campo
+ *                                    repeater; dentro, {{KEY}} busca primero en los
+ *                                    subcampos del elemento (itemFields)
+ */
+
+export const FIELD_TYPES = [
+    'text',
+    'textarea',
+    'color',
+    'image_url',
+    'select', // opción de una lista (options)
+    'date', // AAAA-MM-DD, se muestra según dateStyle
+    'number', // con min / max opcionales
+    'toggle', // true / false, para {{#if}}
+    'repeater', // lista de elementos con itemFields
+];
+
+export const DATE_STYLES = ['long', 'short', 'iso'];
+
+// Tope de elementos de un repeater (además de su maxItems)
+export const MAX_REPEATER_ITEMS = 50;
+
+const KEY_PATTERN = '[A-Z0-9_]+';
+const PLACEHOLDER = new RegExp(`\\{\\{(${KEY_PATTERN})\\}\\}`, 'g');
+const BLOCK_TAG = new RegExp(`\\{\\{(?:#(if|each) (${KEY_PATTERN})|(else)|/(if|each))\\}\\}`, 'g');
+const HEX_COLOR = /^#[0-9a-fA-F]{3,8}$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// ============================================
+// PARSER DE BLOQUES
+// ============================================
+
+/**
+ * Convertir el texto en un árbol de nodos text / if / each.
+ * Lanza un Error si los bloques no están balanceados.
+ */
+export function parseTemplateBlocks(text) {
+    const root = [];
+    const stack = [{ node: null, target: root }];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(BLOCK_TAG)) {
+        const top = stack[stack.length - 1];
+        if (match.index > lastIndex) {
+            top.target.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const [, open, key, isElse, close] = match;
+        if (open) {
+            const node = { type: open, key, children: [], elseChildren: [] };
+            top.target.push(node);
+            stack.push({ node, target: node.children });
+        } else if (isElse) {
+            if (top.node?.type !== 'if' || top.target === top.node.elseChildren) {
+                throw new Error('{{else}} fuera de un bloque {{#if}}');
+            }
+            top.target = top.node.elseChildren;
+        } else {
+            if (top.node?.type !== close) {
+                throw new Error(`{{/${close}}} no cierra ningún bloque {{#${close}}}`);
+            }
+            stack.pop();
+        }
+    }
+
+    if (stack.length > 1) {
+        const { node } = stack[stack.length - 1];
+        throw new Error(`Falta cerrar el bloque {{#${node.type} ${node.key}}}`);
+    }
+    if (lastIndex < text.length) {
+        root.push({ type: 'text', value: text.slice(lastIndex) });
+    }
+
+    return root;
+}
+
+// ============================================
+// VALORES
+// ============================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fecha AAAA-MM-DD válida (como Date UTC) o null
+ */
+function parseDateValue(value) {
+    const match = typeof value === 'string' ? ISO_DATE.exec(value.trim()) : null;
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+function formatDateValue(value, style = 'long') {
+    const date = parseDateValue(value);
+    if (!date) return '';
+    if (style === 'iso') return value.trim();
+
+    const options =
+        style === 'short'
+            ? { day: '2-digit', month: '2-digit', year: 'numeric' }
+            : { day: 'numeric', month: 'long', year: 'numeric' };
+    return date.toLocaleDateString('es-PE', { ...options, timeZone: 'UTC' });
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim()) return Number(value);
+    return NaN;
+}
+
+function selectOptionValues(field) {
+    return (field.options || []).map((option) => option.value);
+}
+
+/**
+ * Valor del usuario (o el por defecto) llevado al tipo del campo
+ */
+function normalizeFieldValue(field, raw) {
+    switch (field.type) {
+        case 'toggle':
+            if (raw === undefined || raw === null || raw === '') return field.defaultValue === 'true';
+            return raw === true || raw === 'true';
+
+        case 'number': {
+            const number = toNumber(raw ?? field.defaultValue);
+            if (!Number.isFinite(number)) return null;
+            if ((field.min ?? null) !== null && number < field.min) return null;
+            if ((field.max ?? null) !== null && number > field.max) return null;
+            return number;
+        }
+
+        case 'repeater': {
+            if (!Array.isArray(raw)) return [];
+            const maxItems = Math.min(field.maxItems || MAX_REPEATER_ITEMS, MAX_REPEATER_ITEMS);
+            return raw
+                .filter(isPlainObject)
+                .slice(0, maxItems)
+                .map((item) => normalizeValues(field.itemFields || [], item));
+        }
+
+        default:
+            return (typeof raw === 'string' && raw) || field.defaultValue || '';
+    }
+}
+
+function normalizeValues(fields, values = {}) {
+    return Object.fromEntries(fields.map((field) => [field.key, normalizeFieldValue(field, values[field.key])]));
+}
+
+/**
+ * Texto que reemplaza a {{KEY}} según el tipo de campo:
+ * - text/textarea/select/date: se escapa HTML para evitar XSS
+ * - color: se valida formato de color hex
+ * - image_url: se sanitiza como URL (sin escapar HTML, ya que va en src="")
+ * - number / toggle / repeater: el número, "true"/"false" y la cantidad de elementos
+ */
+function formatFieldValue(field, value) {
+    switch (field.type) {
+        case 'image_url': {
+            // Si no hay URL válida, usar fallback o string vacío
+            const url = sanitizeUrl(value);
+            if (!url && field.imageConfig?.fallbackImageUrl) {
+                return sanitizeUrl(field.imageConfig.fallbackImageUrl);
+            }
+            return url;
+        }
+
+        case 'color':
+            return HEX_COLOR.test(value) ? value : field.defaultValue || '#000000';
+
+        case 'select': {
+            const allowed = selectOptionValues(field);
+            if (allowed.includes(value)) return escapeHtml(value);
+            return escapeHtml(allowed.includes(field.defaultValue) ? field.defaultValue : allowed[0] || '');
+        }
+
+        case 'date':
+            return escapeHtml(formatDateValue(value, field.dateStyle));
+
+        case 'number':
+            return value === null ? '' : String(value);
+
+        case 'toggle':
+            return value ? 'true' : 'false';
+
+        case 'repeater':
+            return String(value.length);
+
+        default:
+            return escapeHtml(value);
+    }
+}
+
+function isTruthy(entry) {
+    if (!entry) return false;
+    switch (entry.field.type) {
+        case 'toggle':
+            return entry.value;
+        case 'repeater':
+            return entry.value.length > 0;
+        case 'number':
+            return entry.value !== null && entry.value !== 0;
+        default:
+            return formatFieldValue(entry.field, entry.value) !== '';
+    }
+}
+
+// ============================================
+// RENDER
+// ============================================
+
+/**
+ * Ámbito de resolución de claves: los campos del elemento actual de un {{#each}}
+ * tapan a los de la plantilla
+ */
+function createScope(fields, values, parent = null) {
+    return { fields: new Map(fields.map((field) => [field.key, field])), values, parent };
+}
+
+function lookup(scope, key) {
+    for (let current = scope; current; current = current.parent) {
+        const field = current.fields.get(key);
+        if (field) return { field, value: current.values[key] };
+    }
+    return null;
+}
+
+// Un solo reemplazo por pasada: un valor que contenga "{{KEY}}" no se vuelve a procesar
+function replacePlaceholders(text, scope) {
+    return text.replace(PLACEHOLDER, (match, key) => {
+        const entry = lookup(scope, key);
+        return entry ? formatFieldValue(entry.field, entry.value) : match;
+    });
+}
+
+function renderNodes(nodes, scope) {
+    return nodes
+        .map((node) => {
+            if (node.type === 'text') return replacePlaceholders(node.value, scope);
+
+            const entry = lookup(scope, node.key);
+            if (node.type === 'if') {
+                return renderNodes(isTruthy(entry) ? node.children : node.elseChildren, scope);
+            }
+
+            if (entry?.field.type !== 'repeater') return '';
+            return entry.value
+                .map((item) => renderNodes(node.children, createScope(entry.field.itemFields || [], item, scope)))
+                .join('');
+        })
+        .join('');
+}
+
+/**
+ * Renderizar el HTML/CSS de una plantilla (o de una de sus versiones) con los valores del usuario.
+ * El HTML/CSS resultante se sanitiza con listas de permitidos antes de devolverse.
+ * @param {Object} source - { html, css, editableFields }
+ */
+export function renderTemplateSource(source, values = {}) {
+    const scope = createScope(source.editableFields, normalizeValues(source.editableFields, values));
+
+    const renderedHtml = renderNodes(parseTemplateBlocks(source.html), scope);
+    const renderedCss = replacePlaceholders(source.css, scope);
+
+    // El resultado final también pasa por el sanitizador (los valores pueden romper el contexto CSS)
+    return { html: sanitizeHtml(renderedHtml), css: sanitizeCss(renderedCss) };
+}
+
+// ============================================
+// VALIDACIÓN
+// ============================================
+
+/**
+ * Motivo por el que un valor no es válido para su campo (null si es válido)
+ */
+function validateFieldValue(field, value) {
+    const label = `"${field.label}"`;
+
+    const isEmpty = value === undefined || value === null || (typeof value === 'string' && !value.trim());
+    if (isEmpty) {
+        if (!field.required || field.type === 'toggle') return null;
+        return field.type === 'image_url' ? `La imagen ${label} es requerida` : `El campo ${label} es requerido`;
+    }
+
+    switch (field.type) {
+        case 'toggle':
+            return typeof value === 'boolean' || value === 'true' || value === 'false'
+                ? null
+                : `El campo ${label} debe ser verdadero o falso`;
+
+        case 'number': {
+            const number = toNumber(value);
+            if (!Number.isFinite(number)) return `El campo ${label} debe ser un número`;
+            if ((field.min ?? null) !== null && number < field.min) {
+                return `El campo ${label} debe ser como mínimo ${field.min}`;
+            }
+            if ((field.max ?? null) !== null && number > field.max) {
+                return `El campo ${label} debe ser como máximo ${field.max}`;
+            }
+            return null;
+        }
+
+        case 'repeater': {
+            if (!Array.isArray(value)) return `El campo ${label} debe ser una lista`;
+
+            const minItems = Math.max(field.minItems || 0, field.required ? 1 : 0);
+            const maxItems = Math.min(field.maxItems || MAX_REPEATER_ITEMS, MAX_REPEATER_ITEMS);
+            if (value.length < minItems) return `${label} necesita al menos ${minItems} elemento(s)`;
+            if (value.length > maxItems) return `${label} admite como máximo ${maxItems} elementos`;
+
+            for (const [index, item] of value.entries()) {
+                if (!isPlainObject(item)) return `El elemento ${index + 1} de ${label} no es válido`;
+                for (const itemField of field.itemFields || []) {
+                    const reason = validateFieldValue(itemField, item[itemField.key]);
+                    if (reason) return `${field.label} #${index + 1}: ${reason}`;
+                }
+            }
+            return null;
+        }
+    }
+
+    if (typeof value !== 'string') return `El campo ${label} no es válido`;
+    const text = value.trim();
+
+    switch (field.type) {
+        case 'image_url':
+            return sanitizeUrl(text) ? null : `La URL de ${label} no es válida`;
+        case 'color':
+            return HEX_COLOR.test(text) ? null : `El color de ${label} no es válido`;
+        case 'select':
+            return selectOptionValues(field).includes(text) ? null : `La opción elegida en ${label} no es válida`;
+        case 'date':
+            return parseDateValue(text) ? null : `La fecha de ${label} no es válida (AAAA-MM-DD)`;
+        default:
+            return field.maxLength && text.length > field.maxLength
+                ? `El campo ${label} no puede superar ${field.maxLength} caracteres`
+                : null;
+    }
+}
+
+/**
+ * Validar los valores del usuario contra los campos editables (requeridos, tipo, longitud)
+ * @param {Object} source - { editableFields }
+ * @returns {{ valid: boolean, reason?: string, field?: string }}
+ */
+export function validateTemplateValues(source, values = {}) {
+    for (const field of source.editableFields) {
+        const reason = validateFieldValue(field, values[field.key]);
+        if (reason) return { valid: false, reason, field: field.key };
+    }
+    return { valid: true };
+}
+
+function pickFieldValues(fields, values) {
+    return Object.fromEntries(
+        fields
+            .filter((field) => values[field.key] !== undefined && values[field.key] !== null)
+            .map((field) => {
+                const value = values[field.key];
+                if (field.type !== 'repeater' || !Array.isArray(value)) return [field.key, value];
+                return [
+                    field.key,
+                    value.map((item) => (isPlainObject(item) ? pickFieldValues(field.itemFields || [], item) : item)),
+                ];
+            })
+    );
+}
+
+/**
+ * Valores enviados por el usuario limitados a los campos de la plantilla (lo que se guarda en la página)
+ */
+export function pickTemplateValues(source, values = {}) {
+    return pickFieldValues(source.editableFields, values);
+}
+
+/**
+ * Validar una plantilla antes de guardarla: definición de los campos, bloques
+ * balanceados y que cada placeholder / bloque use un campo definido.
+ * @param {Object} source - { html, css, editableFields }
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function checkTemplateSource(source) {
+    const fields = source.editableFields || [];
+    const seen = new Set();
+
+    for (const field of fields) {
+        if (seen.has(field.key)) return { valid: false, reason: `Campo editable duplicado: ${field.key}` };
+        seen.add(field.key);
+
+        if (field.type === 'select' && !field.options?.length) {
+            return { valid: false, reason: `El campo ${field.key} (select) necesita opciones` };
+        }
+        if (field.type === 'repeater') {
+            if (!field.itemFields?.length) {
+                return { valid: false, reason: `El campo ${field.key} (repeater) necesita itemFields` };
+            }
+            for (const itemField of field.itemFields) {
+                if (itemField.type === 'repeater') {
+                    return { valid: false, reason: `El campo ${field.key} no puede contener otro repeater` };
+                }
+                if (itemField.type === 'select' && !itemField.options?.length) {
+                    return { valid: false, reason: `El subcampo ${field.key}.${itemField.key} (select) necesita opciones` };
+                }
+            }
+        }
+    }
+
+    if (new RegExp(BLOCK_TAG.source).test(source.css || '')) {
+        return { valid: false, reason: 'El CSS no admite bloques {{#if}} / {{#each}}; úsalos en el HTML' };
+    }
+
+    let nodes;
+    try {
+        nodes = parseTemplateBlocks(source.html || '');
+    } catch (error) {
+        return { valid: false, reason: error.message };
+    }
+
+    const missing = new Set();
+    const errors = [];
+    const check = (list, scope) => {
+        for (const node of list) {
+            if (node.type === 'text') {
+                for (const [, key] of node.value.matchAll(PLACEHOLDER)) {
+                    if (!lookup(scope, key)) missing.add(key);
+                }
+                continue;
+            }
+
+            const entry = lookup(scope, node.key);
+            if (!entry) {
+                missing.add(node.key);
+            } else if (node.type === 'each' && entry.field.type !== 'repeater') {
+                errors.push(`{{#each ${node.key}}} requiere un campo repeater`);
+            }
+
+            const childScope =
+                node.type === 'each' && entry?.field.type === 'repeater'
+                    ? createScope(entry.field.itemFields || [], {}, scope)
+                    : scope;
+            check(node.children, childScope);
+            check(node.elseChildren, scope);
+        }
+    };
+
+    const rootScope = createScope(fields, {});
+    check(nodes, rootScope);
+    for (const [, key] of (source.css || '').matchAll(PLACEHOLDER)) {
+        if (!rootScope.fields.has(key)) missing.add(key);
+    }
+
+    if (missing.size > 0) {
+        return { valid: false, reason: `Placeholders sin campo editable definido: ${[...missing].join(', ')}` };
+    }
+    if (errors.length > 0) {
+        return { valid: false, reason: errors[0] };
+    }
+    return { valid: true };
+}
+
+// ============================================
+// ESCAPADO
+// ============================================
+
+/**
+ * Sanitizar URL para campos de imagen.
+ * Solo permite URLs HTTPS válidas para evitar XSS vía src="javascript:..."
+ */
+function sanitizeUrl(url) {
+    if (!url || typeof url !== 'string') return '';
+    const trimmed = url.trim();
+    if (!trimmed) return '';
+
+    try {
+        const parsed = new URL(trimmed);
+        // Solo permitir https (y http en desarrollo)
+        if (parsed.protocol === 'https:' || parsed.protocol === 'http:') {
+            // Escapar comillas dobles para que sea seguro dentro de src="..."
+            return parsed.href.replace(/"/g, '%22');
+        }
+        return '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Sanitizar HTML para evitar XSS en campos de texto
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
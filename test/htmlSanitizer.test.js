@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml, sanitizeCss, sanitizeTemplateSource } from '../src/utils/htmlSanitizer.js';
+
+/**
+ * Corpus de vectores XSS conocidos: cada uno debe salir neutralizado por
+ * sanitizeHtml, sanitizeCss y sanitizeTemplateSource
+ */
+
+// Fragmentos HTML y lo que no debe sobrevivir en la salida
+const HTML_VECTORS = [
+    {
+        name: '<svg><animate> que reescribe href',
+        html: '<svg><a><animate attributeName="href" values="javascript:alert(1)"/><text x="0" y="10">x</text></a></svg>',
+        forbidden: [/<animate/i, /javascript:/i],
+    },
+    {
+        name: '<svg><set> con javascript:',
+        html: '<svg><set attributeName="onmouseover" to="alert(1)"/></svg>',
+        forbidden: [/<set/i, /alert/i],
+    },
+    {
+        name: '<meta http-equiv="refresh">',
+        html: '<meta http-equiv="refresh" content="0;url=javascript:alert(1)"><p>hola</p>',
+        forbidden: [/<meta/i, /http-equiv/i, /javascript:/i],
+    },
+    {
+        name: '<form action>',
+        html: '<form action="javascript:alert(1)"><button formaction="javascript:alert(2)">Enviar</button></form>',
+        forbidden: [/<form/i, /action=/i, /javascript:/i],
+    },
+    {
+        name: 'srcdoc en iframe',
+        html: '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+        forbidden: [/<iframe/i, /srcdoc/i, /<script/i],
+    },
+    {
+        name: 'srcdoc en etiqueta permitida',
+        html: '<div srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;">x</div>',
+        forbidden: [/srcdoc/i],
+    },
+    {
+        name: 'url(javascript:) en style inline',
+        html: '<div style="background-image: url(javascript:alert(1))">x</div>',
+        forbidden: [/javascript:/i, /url\(/i],
+    },
+    {
+        name: 'url(javascript:) con escapes CSS',
+        html: '<div style="background: url(\'\\6a avascript:alert(1)\')">x</div>',
+        forbidden: [/avascript/i],
+    },
+    {
+        name: 'expression() en style inline',
+        html: '<div style="width: expression(alert(1))">x</div>',
+        forbidden: [/expression/i],
+    },
+    {
+        name: 'behavior en style inline',
+        html: '<div style="behavior: url(xss.htc)">x</div>',
+        forbidden: [/behavior/i, /htc/i],
+    },
+    {
+        name: 'imagen data: SVG',
+        html: '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+        forbidden: [/<img/i, /svg\+xml/i],
+    },
+    {
+        name: 'url(data:) SVG en style inline',
+        html: '<div style="background: url(data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+)">x</div>',
+        forbidden: [/svg\+xml/i],
+    },
+];
+
+// Hojas de estilo y lo que no debe sobrevivir en la salida
+const CSS_VECTORS = [
+    {
+        name: 'url(javascript:)',
+        css: '.a { background: url(javascript:alert(1)); color: red; }',
+        forbidden: [/javascript:/i],
+        kept: /color:\s*red/,
+    },
+    {
+        name: '@import',
+        css: '@import url("https://evil.example/x.css"); .a { color: red; }',
+        forbidden: [/@import/i, /evil/i],
+        kept: /color:\s*red/,
+    },
+    {
+        name: 'expression()',
+        css: '.a { width: expression(alert(1)); color: red; }',
+        forbidden: [/expression/i],
+        kept: /color:\s*red/,
+    },
+    {
+        name: 'behavior',
+        css: '.a { behavior: url(xss.htc); -moz-binding: url(xss.xml#x); color: red; }',
+        forbidden: [/behavior/i, /binding/i],
+        kept: /color:\s*red/,
+    },
+    {
+        name: 'url(data:) SVG',
+        css: '.a { background: url("data:image/svg+xml;utf8,<svg onload=alert(1)>"); color: red; }',
+        forbidden: [/svg/i, /onload/i],
+        kept: /color:\s*red/,
+    },
+];
+
+function assertClean(output, forbidden) {
+    for (const pattern of forbidden) {
+        assert.doesNotMatch(output, pattern);
+    }
+}
+
+describe('sanitizeHtml', () => {
+    for (const vector of HTML_VECTORS) {
+        it(`neutraliza ${vector.name}`, () => {
+            assertClean(sanitizeHtml(vector.html), vector.forbidden);
+        });
+    }
+
+    it('conserva el HTML y los estilos seguros', () => {
+        const html = '<div class="card" style="color: red"><img src="https://example.com/a.png" alt="a"></div>';
+        const output = sanitizeHtml(html);
+        assert.match(output, /class="card"/);
+        assert.match(output, /color:\s*red/);
+        assert.match(output, /src="https:\/\/example.com\/a.png"/);
+    });
+});
+
+describe('sanitizeCss', () => {
+    for (const vector of CSS_VECTORS) {
+        it(`neutraliza ${vector.name}`, () => {
+            const output = sanitizeCss(vector.css);
+            assertClean(output, vector.forbidden);
+            assert.match(output, vector.kept);
+        });
+    }
+});
+
+describe('sanitizeTemplateSource', () => {
+    for (const vector of HTML_VECTORS) {
+        it(`neutraliza ${vector.name} en el HTML`, () => {
+            assertClean(sanitizeTemplateSource(vector.html, '').html, vector.forbidden);
+        });
+    }
+
+    for (const vector of CSS_VECTORS) {
+        it(`neutraliza ${vector.name} en el CSS`, () => {
+            const { css } = sanitizeTemplateSource('', vector.css);
+            assertClean(css, vector.forbidden);
+            assert.match(css, vector.kept);
+        });
+    }
+
+    it('conserva placeholders en url() de style inline y del CSS', () => {
+        const { html, css } = sanitizeTemplateSource(
+            '<div style="background-image: url({{PHOTO}}); color: {{C}}">x</div>',
+            '.hero { background-image: url({{PHOTO}}); color: {{C}}; }'
+        );
+        assert.match(html, /background-image:\s*url\(\{\{PHOTO\}\}\)/);
+        assert.match(html, /color:\s*\{\{C\}\}/);
+        assert.match(css, /background-image:\s*url\(\{\{PHOTO\}\}\)/);
+        assert.match(css, /color:\s*\{\{C\}\}/);
+    });
+
+    it('conserva los bloques {{#if}} / {{#each}}', () => {
+        const source = '{{#if SHOW}}<ul>{{#each ITEMS}}<li>{{TEXT}}</li>{{/each}}</ul>{{else}}<p>-</p>{{/if}}';
+        assert.equal(sanitizeTemplateSource(source, '').html, source);
+    });
+
+    it('no acepta placeholders en url() fuera de las plantillas', () => {
+        assert.doesNotMatch(sanitizeHtml('<div style="background-image: url(lpph0x)">x</div>'), /url\(/);
+        assert.doesNotMatch(sanitizeCss('.a { background: url(lpph0x); }'), /url\(/);
+    });
+});